@@ -0,0 +1,116 @@
+/**
+ * Webhook ingress for the service worker
+ * Imported into the generated workbox service worker (see vite.config.js).
+ * Same-origin requests to /webhook/<endpoint> are forwarded to an open app
+ * window, which runs the matching workflow and sends back the response.
+ */
+const WEBHOOK_PREFIX = "/webhook/";
+
+// Slightly above the app-side limit so the app can answer with its own 504
+const WEBHOOK_TIMEOUT = 130000;
+
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url);
+
+  if (
+    url.origin !== self.location.origin ||
+    !url.pathname.startsWith(WEBHOOK_PREFIX)
+  ) {
+    return;
+  }
+
+  event.respondWith(handleWebhook(event.request, url));
+});
+
+async function handleWebhook(request, url) {
+  const client = await findAppClient();
+  if (!client) {
+    return jsonResponse(503, {
+      error: "No app window is open to handle this webhook",
+    });
+  }
+
+  let reply;
+  try {
+    reply = await sendToClient(client, {
+      method: request.method,
+      path: url.pathname,
+      endpoint: decodeURIComponent(url.pathname.slice(WEBHOOK_PREFIX.length)),
+      headers: Object.fromEntries(request.headers.entries()),
+      query: Object.fromEntries(url.searchParams.entries()),
+      body: await readBody(request),
+      receivedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    return jsonResponse(504, { error: error.message });
+  }
+
+  return new Response(reply.body ?? null, {
+    status: reply.status || 200,
+    headers: reply.headers || {},
+  });
+}
+
+// Prefer the focused window, then any visible one, then whatever is open
+async function findAppClient() {
+  const windows = await self.clients.matchAll({
+    type: "window",
+    includeUncontrolled: true,
+  });
+
+  return (
+    windows.find((c) => c.focused) ||
+    windows.find((c) => c.visibilityState === "visible") ||
+    windows[0] ||
+    null
+  );
+}
+
+async function readBody(request) {
+  if (request.method === "GET" || request.method === "HEAD") return null;
+
+  const text = await request.text();
+  if (!text) return null;
+
+  const contentType = request.headers.get("content-type") || "";
+
+  if (contentType.includes("application/json")) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  if (contentType.includes("application/x-www-form-urlencoded")) {
+    return Object.fromEntries(new URLSearchParams(text).entries());
+  }
+
+  return text;
+}
+
+function sendToClient(client, request) {
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+
+    const timer = setTimeout(() => {
+      channel.port1.close();
+      reject(new Error("Timed out waiting for the workflow to respond"));
+    }, WEBHOOK_TIMEOUT);
+
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      channel.port1.close();
+      resolve(event.data || {});
+    };
+
+    client.postMessage({ type: "webhook-request", request }, [channel.port2]);
+  });
+}
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
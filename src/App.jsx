@@ -12,6 +12,7 @@ import Toolbar from "./components/Toolbar/Toolbar";
 import ExecutionPanel from "./components/ExecutionPanel/ExecutionPanel";
 import NodeConfigPanel from "./components/NodeConfig/NodeConfigPanel";
 import ToastContainer from "./components/Toast/Toast";
+import ConsentPrompt from "./components/ConsentPrompt/ConsentPrompt";
 import LoadingOverlay from "./components/LoadingOverlay/LoadingOverlay";
 import WorkflowManager from "./components/WorkflowManager/WorkflowManager";
 import OverseerPanel from "./components/Overseer/OverseerPanel";
@@ -27,8 +28,13 @@ import useModelStore from "./store/modelStore";
 import webLLMService from "./engine/WebLLMService";
 import executionEngine from "./engine/ExecutionEngine";
 
+// Services
+import schedulerService from "./services/SchedulerService";
+import webhookService from "./services/WebhookService";
+
 // Utilities
 import { verifyDownloadedModels } from "./utils/cacheUtils";
+import { listWorkflows } from "./utils/workflowRepository";
 
 // Styles
 import "./App.css";
@@ -185,6 +191,45 @@ function App() {
     };
   }, [setLoading, setReady, setError]);
 
+  // Schedule and Webhook Triggers of saved workflows run while the app is open
+  useEffect(() => {
+    const runSavedWorkflow = (workflow, trigger, payload) =>
+      executionEngine.execute(
+        workflow.nodes,
+        workflow.edges,
+        {
+          executionStore: useExecutionStore.getState(),
+          workflowStore: useWorkflowStore.getState(),
+        },
+        payload,
+        // Pinned data is for development; scheduled and webhook runs are live
+        { triggerNodeId: trigger.id, workflow, usePinnedData: false }
+      );
+    const isBusy = () => executionEngine.isRunning;
+
+    schedulerService.start({ run: runSavedWorkflow, isBusy });
+    webhookService.start({
+      run: runSavedWorkflow,
+      isBusy,
+      getNodeResult: (nodeId) =>
+        useExecutionStore.getState().nodeResults[nodeId],
+    });
+
+    const syncSchedules = () =>
+      listWorkflows()
+        .then((workflows) => schedulerService.sync(workflows))
+        .catch((error) => console.error("Failed to sync schedules:", error));
+
+    syncSchedules();
+    window.addEventListener("workflowSaved", syncSchedules);
+
+    return () => {
+      window.removeEventListener("workflowSaved", syncSchedules);
+      schedulerService.stop();
+      webhookService.stop();
+    };
+  }, []);
+
   // Run workflow handler
   const handleRun = useCallback(
     async (options = {}) => {
@@ -204,7 +249,7 @@ function App() {
         edges,
         { executionStore, workflowStore },
         {}, // Initial data
-        { debug } // Options
+        { debug, workflow: workflowStore.getWorkflowData() } // Options
       );
     },
     [nodes, edges, isRunning]
@@ -226,6 +271,7 @@ function App() {
             />
           </div>
           <ToastContainer />
+          <ConsentPrompt />
           <LoadingOverlay />
           <WorkflowManager
             isOpen={showWorkflowManager}
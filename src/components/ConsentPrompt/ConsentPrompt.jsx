@@ -0,0 +1,66 @@
+/**
+ * ConsentPrompt Component
+ * Asks the user before a tool that needs permission runs (e.g. an AI
+ * Agent reading the clipboard through Browser Tools)
+ */
+import { memo, useEffect } from "react";
+import useConsentStore from "../../store/consentStore";
+import useExecutionStore from "../../store/executionStore";
+import "../Toolbar/Toolbar.css";
+import "./ConsentPrompt.css";
+
+function ConsentPrompt() {
+  const request = useConsentStore((state) => state.requests[0]);
+  const respond = useConsentStore((state) => state.respond);
+  const denyAll = useConsentStore((state) => state.denyAll);
+  const isRunning = useExecutionStore((state) => state.isRunning);
+
+  // Nothing is waiting for an answer once the run has stopped
+  useEffect(() => {
+    if (!isRunning) denyAll();
+  }, [isRunning, denyAll]);
+
+  if (!request) return null;
+
+  return (
+    <div className="modal-overlay consent-overlay">
+      <div className="modal-content consent-modal" role="alertdialog">
+        <div className="modal-header">
+          <h2>🔐 {request.title}</h2>
+        </div>
+
+        <div className="modal-body">
+          {request.source && (
+            <p className="consent-source">
+              <strong>{request.source}</strong> wants to run this tool
+            </p>
+          )}
+          {request.description && <p>{request.description}</p>}
+          {request.details !== undefined && (
+            <pre className="consent-details">
+              {typeof request.details === "string"
+                ? request.details
+                : JSON.stringify(request.details, null, 2)}
+            </pre>
+          )}
+
+          <div className="consent-actions">
+            <button onClick={() => respond(request.id, false)}>Deny</button>
+            <button onClick={() => respond(request.id, true, true)}>
+              Allow for this session
+            </button>
+            <button
+              className="btn-primary"
+              onClick={() => respond(request.id, true)}
+              autoFocus
+            >
+              Allow once
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(ConsentPrompt);
@@ -38,6 +38,66 @@ function formatValue(value, type) {
   }
 }
 
+const TASK_STATUS_ICONS = {
+  pending: "⏳",
+  running: "🔄",
+  completed: "✅",
+  partial: "⚠️",
+  failed: "❌",
+};
+
+// Task trees (Decompose node) have a task and subtasks on every level
+function isTaskTree(value) {
+  return (
+    getValueType(value) === "object" &&
+    typeof value.task === "string" &&
+    Array.isArray(value.subtasks)
+  );
+}
+
+// Collapsible task tree: status and task per row, results underneath
+function TaskTreeNode({ keyName, task, level = 0 }) {
+  const [isExpanded, setIsExpanded] = useState(level < 2);
+  const hasDetails = task.subtasks.length > 0 || task.result !== undefined;
+
+  return (
+    <div
+      className="tree-node task-tree-node"
+      style={{ paddingLeft: level > 0 ? 16 : 0 }}
+    >
+      <div
+        className="tree-node-header"
+        onClick={() => hasDetails && setIsExpanded(!isExpanded)}
+      >
+        {hasDetails && (
+          <span className={`tree-expand ${isExpanded ? "expanded" : ""}`}>
+            ▶
+          </span>
+        )}
+        {keyName !== undefined && <span className="tree-key">{keyName}:</span>}
+        <span className="task-tree-status" title={task.status}>
+          {TASK_STATUS_ICONS[task.status] || "•"}
+        </span>
+        <span className="task-tree-task" title={task.task}>
+          {task.task}
+        </span>
+      </div>
+
+      {isExpanded && (
+        <div className="tree-children">
+          {task.error && <div className="task-tree-error">{task.error}</div>}
+          {task.result !== undefined && (
+            <TreeNode keyName="result" value={task.result} depth={1} />
+          )}
+          {task.subtasks.map((subtask) => (
+            <TaskTreeNode key={subtask.id} task={subtask} level={level + 1} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // Single tree node component
 function TreeNode({ keyName, value, depth = 0, path = "" }) {
   const [isExpanded, setIsExpanded] = useState(depth < 2);
@@ -61,6 +121,14 @@ function TreeNode({ keyName, value, depth = 0, path = "" }) {
     }
   };
 
+  if (isTaskTree(value)) {
+    return (
+      <div style={{ paddingLeft: depth * 16 }}>
+        <TaskTreeNode keyName={keyName} task={value} />
+      </div>
+    );
+  }
+
   return (
     <div className="tree-node" style={{ paddingLeft: depth * 16 }}>
       <div className="tree-node-header" onClick={toggleExpand}>
@@ -276,4 +344,4 @@ function DataViewer({ data, title, showViewToggle = true }) {
 }
 
 export default memo(DataViewer);
-export { TreeNode, TableView };
+export { TreeNode, TableView, TaskTreeNode };
@@ -17,6 +17,7 @@ import useExecutionStore from "../../store/executionStore";
 import { useToastStore } from "../../store/toastStore";
 import { isValidConnection } from "../../utils/validation";
 import { createNode, getNodeColor, NODE_TYPES } from "../../utils/nodeTypes";
+import { saveWorkflow } from "../../utils/workflowRepository";
 import ContextMenu from "../ContextMenu/ContextMenu";
 
 // Import custom node components
@@ -29,6 +30,7 @@ import CodeExecutorNode from "../../nodes/actions/CodeExecutorNode";
 import SetVariableNode from "../../nodes/actions/SetVariableNode";
 import LocalStorageNode from "../../nodes/actions/LocalStorageNode";
 import FileSystemNode from "../../nodes/ai-tools/FileSystemNode";
+import BrowserToolsNode from "../../nodes/ai-tools/BrowserToolsNode";
 import HTTPRequestNode from "../../nodes/ai-tools/HTTPRequestNode";
 import IfElseNode from "../../nodes/logic/IfElseNode";
 import LoopNode from "../../nodes/logic/LoopNode";
@@ -38,11 +40,16 @@ import GroupNode from "../../nodes/logic/GroupNode";
 import AIAgentNode from "../../nodes/ai/AIAgentNode";
 import ChatModelNode from "../../nodes/ai/ChatModelNode";
 import VectorMemoryNode from "../../nodes/ai/VectorMemoryNode";
+import DocumentLoaderNode from "../../nodes/ai/DocumentLoaderNode";
+import ConversationMemoryNode from "../../nodes/ai/ConversationMemoryNode";
 import WaitForApprovalNode from "../../nodes/ai/WaitForApprovalNode";
 import SubWorkflowNode from "../../nodes/ai/SubWorkflowNode";
 import SemanticRouterNode from "../../nodes/ai/SemanticRouterNode";
 import EvaluatorNode from "../../nodes/ai/EvaluatorNode";
 import SwarmNode from "../../nodes/ai/SwarmNode";
+import PlannerNode from "../../nodes/ai/PlannerNode";
+import CriticNode from "../../nodes/ai/CriticNode";
+import DecomposeNode from "../../nodes/ai/DecomposeNode";
 import TextToSpeechNode from "../../nodes/ai-tools/TextToSpeechNode";
 import ImageGenerationNode from "../../nodes/ai-tools/ImageGenerationNode";
 import PythonExecutorNode from "../../nodes/ai-tools/PythonExecutorNode";
@@ -66,6 +73,7 @@ const nodeTypes = {
   codeExecutor: CodeExecutorNode,
   setVariable: SetVariableNode,
   fileSystem: FileSystemNode,
+  browserTools: BrowserToolsNode,
   localStorage: LocalStorageNode,
   pythonExecutor: PythonExecutorNode,
   ifElse: IfElseNode,
@@ -75,6 +83,8 @@ const nodeTypes = {
   aiAgent: AIAgentNode,
   chatModel: ChatModelNode,
   vectorMemory: VectorMemoryNode,
+  documentLoader: DocumentLoaderNode,
+  conversationMemory: ConversationMemoryNode,
   waitForApproval: WaitForApprovalNode,
   subWorkflow: SubWorkflowNode,
   textToSpeech: TextToSpeechNode,
@@ -82,6 +92,9 @@ const nodeTypes = {
   semanticRouter: SemanticRouterNode,
   evaluator: EvaluatorNode,
   swarm: SwarmNode,
+  planner: PlannerNode,
+  critic: CriticNode,
+  decompose: DecomposeNode,
   output: OutputNode,
   groupNode: GroupNode,
 };
@@ -118,6 +131,7 @@ function WorkflowEditor() {
   const setSelectedNode = useWorkflowStore((state) => state.setSelectedNode);
   const selectedNodeId = useWorkflowStore((state) => state.selectedNodeId);
   const getWorkflowData = useWorkflowStore((state) => state.getWorkflowData);
+  const setWorkflowId = useWorkflowStore((state) => state.setWorkflowId);
   const closeConfig = useWorkflowStore((state) => state.closeConfig);
 
   // Toast
@@ -416,9 +430,15 @@ function WorkflowEditor() {
       // Ctrl+S - Save
       if (isMod && event.key === "s") {
         event.preventDefault();
-        const workflow = getWorkflowData();
-        localStorage.setItem("flownode-workflow", JSON.stringify(workflow));
-        toast.success("Workflow saved");
+        saveWorkflow(getWorkflowData())
+          .then((workflowId) => {
+            setWorkflowId(workflowId);
+            window.dispatchEvent(new CustomEvent("workflowSaved"));
+            toast.success("Workflow saved");
+          })
+          .catch((error) =>
+            toast.error(`Failed to save workflow: ${error.message}`)
+          );
       }
 
       // Ctrl+C - Copy
@@ -497,6 +517,7 @@ function WorkflowEditor() {
     addNode,
     setSelectedNode,
     getWorkflowData,
+    setWorkflowId,
     fitView,
     zoomIn,
     zoomOut,
@@ -23,7 +23,7 @@ export default function ExecutionControls() {
       edges,
       { executionStore, workflowStore },
       {},
-      { debug: isDebugMode }
+      { debug: isDebugMode, workflow: workflowStore.getWorkflowData() }
     );
   }, [nodes, edges, isRunning, isDebugMode]);
 
@@ -0,0 +1,404 @@
+/**
+ * ExecutionHistory Component
+ * Browse, filter and re-run past executions stored in IndexedDB
+ */
+import { memo, useState, useEffect, useCallback, useMemo } from "react";
+import useExecutionStore from "../../store/executionStore";
+import useWorkflowStore from "../../store/workflowStore";
+import executionEngine from "../../engine/ExecutionEngine";
+import DataViewer from "../DataViewer/DataViewer";
+import {
+  getExecutions,
+  deleteExecution,
+  clearExecutions,
+} from "../../utils/executionHistory";
+import { getArtifact } from "../../utils/artifactStorage";
+import { canPinNode, createPin } from "../../utils/pinnedData";
+import { useToastStore } from "../../store/toastStore";
+import "./ExecutionHistory.css";
+
+const STATUS_ICONS = {
+  success: "✅",
+  error: "❌",
+  stopped: "⏹️",
+  running: "⏳",
+};
+
+const formatDuration = (ms) => {
+  if (ms == null) return "-";
+  if (ms < 1000) return `${ms}ms`;
+  return `${(ms / 1000).toFixed(2)}s`;
+};
+
+const formatDate = (time) =>
+  new Date(time).toLocaleString(undefined, {
+    dateStyle: "short",
+    timeStyle: "medium",
+  });
+
+// What the node detail shows for a recorded node run
+const entryData = (entry) =>
+  entry.success
+    ? { input: entry.input, output: entry.output }
+    : { input: entry.input, error: entry.error, attempts: entry.attempts };
+
+const sortEntries = (nodes) =>
+  Object.entries(nodes || {}).sort(([, a], [, b]) => a.startTime - b.startTime);
+
+/**
+ * Sub-workflow run recorded on the node that called it
+ */
+function SubExecution({ record }) {
+  const [expanded, setExpanded] = useState(null);
+
+  return (
+    <div className="eh-sub">
+      <div className="eh-sub-title">
+        🔀 {record.workflowName} {STATUS_ICONS[record.status] || "•"}{" "}
+        <span className="eh-meta">{formatDuration(record.duration)}</span>
+      </div>
+      {record.error && <div className="eh-error">{record.error}</div>}
+      {sortEntries(record.nodes).map(([nodeId, entry]) => (
+        <div key={nodeId} className="eh-node">
+          <div
+            className="eh-node-header"
+            onClick={() => setExpanded(expanded === nodeId ? null : nodeId)}
+          >
+            <span>{entry.success ? "✅" : "❌"}</span>
+            <span className="eh-node-label">{entry.label}</span>
+            <span className="eh-meta">
+              {formatDuration(entry.executionTime)}
+              {entry.runs > 1 ? ` ×${entry.runs}` : ""}
+            </span>
+          </div>
+          {expanded === nodeId && <DataViewer data={entryData(entry)} />}
+          {entry.subExecution && <SubExecution record={entry.subExecution} />}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function ExecutionHistory() {
+  const [records, setRecords] = useState([]);
+  const [statusFilter, setStatusFilter] = useState("");
+  const [workflowFilter, setWorkflowFilter] = useState("");
+  const [selectedId, setSelectedId] = useState(null);
+  const [expandedNodes, setExpandedNodes] = useState(new Set());
+  const [showLogs, setShowLogs] = useState(false);
+
+  const isRunning = useExecutionStore((state) => state.isRunning);
+  const canvasNodes = useWorkflowStore((state) => state.nodes);
+  const updateNode = useWorkflowStore((state) => state.updateNode);
+  const toast = useToastStore();
+
+  const loadRecords = useCallback(() => {
+    getExecutions({ limit: 200 }).then(setRecords).catch(console.error);
+  }, []);
+
+  // Reload whenever the engine stores a new execution
+  useEffect(() => {
+    loadRecords();
+    window.addEventListener("executionRecorded", loadRecords);
+    return () => window.removeEventListener("executionRecorded", loadRecords);
+  }, [loadRecords]);
+
+  const workflowNames = useMemo(
+    () => [...new Set(records.map((r) => r.workflowName))].sort(),
+    [records]
+  );
+
+  const filtered = useMemo(
+    () =>
+      records.filter(
+        (r) =>
+          (!statusFilter || r.status === statusFilter) &&
+          (!workflowFilter || r.workflowName === workflowFilter)
+      ),
+    [records, statusFilter, workflowFilter]
+  );
+
+  const selected = records.find((r) => r.executionId === selectedId);
+
+  const selectRecord = (executionId) => {
+    setSelectedId(executionId === selectedId ? null : executionId);
+    setExpandedNodes(new Set());
+    setShowLogs(false);
+  };
+
+  const toggleNode = (nodeId) => {
+    setExpandedNodes((prev) => {
+      const next = new Set(prev);
+      if (next.has(nodeId)) {
+        next.delete(nodeId);
+      } else {
+        next.add(nodeId);
+      }
+      return next;
+    });
+  };
+
+  // Replay the recorded graph with the original trigger payload,
+  // optionally only from one node onwards
+  const handleRerun = useCallback(
+    async (executionId, fromNodeId = null) => {
+      if (executionEngine.isRunning) return;
+
+      try {
+        await executionEngine.rerunExecution(
+          executionId,
+          {
+            executionStore: useExecutionStore.getState(),
+            workflowStore: useWorkflowStore.getState(),
+          },
+          { fromNodeId }
+        );
+      } catch (error) {
+        toast.error(`Re-run failed: ${error.message}`);
+      }
+    },
+    [toast]
+  );
+
+  // Pin a recorded output onto the matching node of the open workflow
+  const handlePin = useCallback(
+    (nodeId, entry) => {
+      updateNode(nodeId, {
+        pinnedData: createPin(entry, selected?.executionId),
+      });
+      toast.success(`Pinned output of "${entry.label}"`);
+    },
+    [selected, updateNode, toast]
+  );
+
+  const handleDelete = useCallback(
+    async (executionId) => {
+      await deleteExecution(executionId);
+      setSelectedId(null);
+      loadRecords();
+    },
+    [loadRecords]
+  );
+
+  const handleClearAll = useCallback(async () => {
+    if (!window.confirm("Delete all execution history?")) return;
+    await clearExecutions();
+    setSelectedId(null);
+    loadRecords();
+  }, [loadRecords]);
+
+  const handleDownloadArtifact = useCallback(async (artifactId) => {
+    const artifact = await getArtifact(artifactId);
+    if (!artifact) {
+      alert("Artifact no longer exists");
+      return;
+    }
+
+    const blob =
+      artifact.data instanceof Blob
+        ? artifact.data
+        : new Blob(
+            [
+              typeof artifact.data === "string"
+                ? artifact.data
+                : JSON.stringify(artifact.data, null, 2),
+            ],
+            { type: artifact.type || "text/plain" }
+          );
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = artifact.name || `artifact_${artifact.id}.txt`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, []);
+
+  const nodeEntries = selected ? sortEntries(selected.nodes) : [];
+
+  return (
+    <div className="execution-history">
+      <div className="eh-filters">
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+        >
+          <option value="">All statuses</option>
+          <option value="success">Success</option>
+          <option value="error">Failed</option>
+          <option value="stopped">Stopped</option>
+        </select>
+        <select
+          value={workflowFilter}
+          onChange={(e) => setWorkflowFilter(e.target.value)}
+        >
+          <option value="">All workflows</option>
+          {workflowNames.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <button
+          className="btn-icon"
+          onClick={handleClearAll}
+          title="Delete all history"
+          disabled={records.length === 0}
+        >
+          🗑️
+        </button>
+      </div>
+
+      {filtered.length === 0 ? (
+        <div className="empty-logs">
+          <p>No executions recorded</p>
+          <p className="hint">Every run is saved here with its inputs</p>
+        </div>
+      ) : (
+        <div className="eh-list">
+          {filtered.map((record) => (
+            <div
+              key={record.executionId}
+              className={`eh-item eh-${record.status} ${
+                record.executionId === selectedId ? "selected" : ""
+              }`}
+            >
+              <div
+                className="eh-item-header"
+                onClick={() => selectRecord(record.executionId)}
+              >
+                <span className="eh-status">
+                  {STATUS_ICONS[record.status] || "•"}
+                </span>
+                <div className="eh-item-info">
+                  <span className="eh-workflow">{record.workflowName}</span>
+                  <span className="eh-meta">
+                    {formatDate(record.startTime)} ·{" "}
+                    {formatDuration(record.duration)} ·{" "}
+                    {Object.keys(record.nodes || {}).length} nodes
+                  </span>
+                </div>
+              </div>
+
+              {record.executionId === selectedId && selected && (
+                <div className="eh-detail">
+                  <div className="eh-actions">
+                    <button
+                      onClick={() => handleRerun(selected.executionId)}
+                      disabled={isRunning || !selected.graph}
+                      title="Run the recorded workflow again with the original trigger input"
+                    >
+                      ▶️ Re-run
+                    </button>
+                    <button
+                      className="btn-danger"
+                      onClick={() => handleDelete(selected.executionId)}
+                    >
+                      🗑️ Delete
+                    </button>
+                  </div>
+
+                  {selected.error && (
+                    <div className="eh-error">{selected.error}</div>
+                  )}
+
+                  <div className="eh-section-title">Trigger Input</div>
+                  <DataViewer data={selected.triggerInput} />
+
+                  <div className="eh-section-title">
+                    Nodes ({nodeEntries.length})
+                  </div>
+                  {nodeEntries.map(([nodeId, entry]) => (
+                    <div key={nodeId} className="eh-node">
+                      <div
+                        className="eh-node-header"
+                        onClick={() => toggleNode(nodeId)}
+                      >
+                        <span>{entry.success ? "✅" : "❌"}</span>
+                        <span className="eh-node-label">{entry.label}</span>
+                        <span className="eh-meta">
+                          {formatDuration(entry.executionTime)}
+                          {entry.runs > 1 ? ` ×${entry.runs}` : ""}
+                        </span>
+                      </div>
+                      {expandedNodes.has(nodeId) && (
+                        <>
+                          <DataViewer data={entryData(entry)} />
+                          <button
+                            className="eh-retry"
+                            onClick={() =>
+                              handleRerun(selected.executionId, nodeId)
+                            }
+                            disabled={isRunning || !selected.graph}
+                            title="Re-run this node and everything after it, reusing recorded upstream outputs"
+                          >
+                            ↻ Retry from here
+                          </button>
+                          {entry.success &&
+                            canPinNode(entry.type) &&
+                            canvasNodes.some((n) => n.id === nodeId) && (
+                              <button
+                                className="eh-retry"
+                                onClick={() => handlePin(nodeId, entry)}
+                                title="Pin this output on the node in the open workflow so runs reuse it"
+                              >
+                                📌 Pin output
+                              </button>
+                            )}
+                        </>
+                      )}
+                      {entry.subExecution && (
+                        <SubExecution record={entry.subExecution} />
+                      )}
+                    </div>
+                  ))}
+
+                  {selected.artifacts?.length > 0 && (
+                    <>
+                      <div className="eh-section-title">
+                        Artifacts ({selected.artifacts.length})
+                      </div>
+                      {selected.artifacts.map((artifact) => (
+                        <button
+                          key={artifact.id}
+                          className="eh-artifact"
+                          onClick={() => handleDownloadArtifact(artifact.id)}
+                          title="Download"
+                        >
+                          📎 {artifact.name}
+                        </button>
+                      ))}
+                    </>
+                  )}
+
+                  <div
+                    className="eh-section-title eh-toggle"
+                    onClick={() => setShowLogs(!showLogs)}
+                  >
+                    {showLogs ? "▼" : "▶"} Logs ({selected.logs?.length || 0})
+                  </div>
+                  {showLogs && (
+                    <div className="eh-logs">
+                      {(selected.logs || []).map((log, i) => (
+                        <div key={i} className={`eh-log log-${log.type}`}>
+                          {log.nodeName && <strong>[{log.nodeName}] </strong>}
+                          {log.message}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="eh-meta eh-id">{selected.executionId}</div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default memo(ExecutionHistory);
@@ -4,7 +4,11 @@
  */
 import { memo, useRef, useEffect, useState, useCallback, useMemo } from "react";
 import useExecutionStore from "../../store/executionStore";
+import useWorkflowStore from "../../store/workflowStore";
+import { useToastStore } from "../../store/toastStore";
+import executionEngine from "../../engine/ExecutionEngine";
 import DataViewer from "../DataViewer/DataViewer";
+import ExecutionHistory from "../ExecutionHistory/ExecutionHistory";
 import {
   getAllArtifacts,
   deleteArtifact,
@@ -12,12 +16,55 @@ import {
 } from "../../utils/artifactStorage";
 import "./ExecutionPanel.css";
 
+/**
+ * Text AI nodes are generating right now, below the logs. Kept apart from
+ * the panel so token updates only re-render this list.
+ */
+const LiveStreams = memo(function LiveStreams() {
+  const endRef = useRef(null);
+  const streams = useExecutionStore((state) => state.streams);
+  const isRunning = useExecutionStore((state) => state.isRunning);
+
+  // Output nodes fed by an AI node repeat its text, so they are left out
+  const live = isRunning
+    ? Object.entries(streams).filter(
+        ([, stream]) => !stream.done && !stream.sourceId
+      )
+    : [];
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: "nearest" });
+  }, [streams]);
+
+  if (live.length === 0) return null;
+
+  return (
+    <>
+      {live.map(([nodeId, stream]) => (
+        <div key={nodeId} className="log-entry log-ai log-stream">
+          <div className="log-main">
+            <span className="log-icon">✍️</span>
+            <div className="log-content">
+              <span className="log-node">[{stream.nodeName || nodeId}]</span>
+              <span className="log-stream-text">
+                {stream.text}
+                <span className="log-stream-cursor">▍</span>
+              </span>
+            </div>
+          </div>
+        </div>
+      ))}
+      <div ref={endRef} />
+    </>
+  );
+});
+
 function ExecutionPanel() {
   const logsEndRef = useRef(null);
   const [selectedLogId] = useState(null);
   const [expandedLogs, setExpandedLogs] = useState(new Set());
   const [expandedArtifacts, setExpandedArtifacts] = useState(new Set());
-  const [activeTab, setActiveTab] = useState("logs"); // logs, output, artifacts
+  const [activeTab, setActiveTab] = useState("logs"); // logs, output, artifacts, history
   const [persistedArtifacts, setPersistedArtifacts] = useState([]);
   const [artifactUrls, setArtifactUrls] = useState({}); // Object URL cache
   const [selectedArtifacts, setSelectedArtifacts] = useState(new Set()); // For batch delete // Object URL cache
@@ -38,6 +85,7 @@ function ExecutionPanel() {
   const removeArtifactsFromStore = useExecutionStore(
     (state) => state.removeArtifacts
   );
+  const toast = useToastStore();
 
   // Combine session artifacts with persisted artifacts (dedupe by id)
   const artifacts = useMemo(() => {
@@ -175,6 +223,26 @@ function ExecutionPanel() {
     return "📎";
   }, []);
 
+  // Resume a failed execution at the failing node, reusing recorded upstream outputs
+  const handleRetryFromNode = useCallback(
+    async (executionId, nodeId) => {
+      if (executionEngine.isRunning) return;
+      try {
+        await executionEngine.rerunExecution(
+          executionId,
+          {
+            executionStore: useExecutionStore.getState(),
+            workflowStore: useWorkflowStore.getState(),
+          },
+          { fromNodeId: nodeId }
+        );
+      } catch (error) {
+        toast.error(`Retry failed: ${error.message}`);
+      }
+    },
+    [toast]
+  );
+
   // Copy all logs to clipboard
   const handleCopyLogs = async () => {
     const logText = logs
@@ -361,6 +429,12 @@ function ExecutionPanel() {
               <span className="tab-badge">{artifacts.length}</span>
             )}
           </button>
+          <button
+            className={`tab-btn ${activeTab === "history" ? "active" : ""}`}
+            onClick={() => setActiveTab("history")}
+          >
+            🕘 History
+          </button>
         </div>
         <div className="panel-actions">
           {isRunning && (
@@ -406,7 +480,8 @@ function ExecutionPanel() {
                       selectedLogId === log.id ? "selected" : ""
                     } ${log.data ? "has-data" : ""} ${
                       expandedLogs.has(log.id) ? "expanded" : ""
-                    }`}
+                    } ${log.depth ? "log-nested" : ""}`}
+                    style={log.depth ? { "--log-depth": log.depth } : undefined}
                   >
                     <div
                       className="log-main"
@@ -442,10 +517,26 @@ function ExecutionPanel() {
                     {expandedLogs.has(log.id) && log.data && (
                       <div className="log-data-expanded">
                         <DataViewer data={log.data} />
+                        {log.data.canRetry && log.data.executionId && (
+                          <button
+                            className="log-retry-btn"
+                            onClick={() =>
+                              handleRetryFromNode(
+                                log.data.executionId,
+                                log.data.nodeId
+                              )
+                            }
+                            disabled={isRunning}
+                            title="Re-run this node and everything after it, reusing recorded upstream outputs"
+                          >
+                            ↻ Retry from here
+                          </button>
+                        )}
                       </div>
                     )}
                   </div>
                 ))}
+                <LiveStreams />
                 <div ref={logsEndRef} />
               </div>
             )}
@@ -482,6 +573,9 @@ function ExecutionPanel() {
           </>
         )}
 
+        {/* History Tab */}
+        {activeTab === "history" && <ExecutionHistory />}
+
         {/* Artifacts Tab */}
         {activeTab === "artifacts" && (
           <>
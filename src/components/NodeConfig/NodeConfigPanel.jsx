@@ -6,6 +6,7 @@
 import { memo, useCallback, useState, useRef, useEffect } from "react";
 import useWorkflowStore from "../../store/workflowStore";
 import { NODE_TYPES, getNodeColor } from "../../utils/nodeTypes";
+import DataViewer from "../DataViewer/DataViewer";
 
 // Node-specific config components
 import HTTPRequestConfig from "./configs/HTTPRequestConfig";
@@ -20,11 +21,17 @@ import ManualTriggerConfig from "./configs/ManualTriggerConfig";
 import TextToSpeechConfig from "./configs/TextToSpeechConfig";
 import PythonExecutorConfig from "./configs/PythonExecutorConfig";
 import VectorMemoryConfig from "./configs/VectorMemoryConfig";
+import DocumentLoaderConfig from "./configs/DocumentLoaderConfig";
+import ConversationMemoryConfig from "./configs/ConversationMemoryConfig";
 import FileSystemConfig from "./configs/FileSystemConfig";
+import BrowserToolsConfig from "./configs/BrowserToolsConfig";
 import LocalStorageConfig from "./configs/LocalStorageConfig";
 import OutputConfig from "./configs/OutputConfig";
 import ChatModelConfig from "./configs/ChatModelConfig";
 import SwarmConfig from "./configs/SwarmConfig";
+import PlannerConfig from "./configs/PlannerConfig";
+import CriticConfig from "./configs/CriticConfig";
+import DecomposeConfig from "./configs/DecomposeConfig";
 import SemanticRouterConfig from "./configs/SemanticRouterConfig";
 import EvaluatorConfig from "./configs/EvaluatorConfig";
 import ImageGenConfig from "./configs/ImageGenConfig";
@@ -51,11 +58,17 @@ const configComponents = {
   textToSpeech: TextToSpeechConfig,
   pythonExecutor: PythonExecutorConfig,
   vectorMemory: VectorMemoryConfig,
+  documentLoader: DocumentLoaderConfig,
+  conversationMemory: ConversationMemoryConfig,
   fileSystem: FileSystemConfig,
+  browserTools: BrowserToolsConfig,
   localStorage: LocalStorageConfig,
   output: OutputConfig,
   chatModel: ChatModelConfig,
   swarm: SwarmConfig,
+  planner: PlannerConfig,
+  critic: CriticConfig,
+  decompose: DecomposeConfig,
   semanticRouter: SemanticRouterConfig,
   evaluator: EvaluatorConfig,
   imageGeneration: ImageGenConfig,
@@ -283,6 +296,24 @@ function NodeConfigPanel() {
             <p>No configuration available for this node type.</p>
           </div>
         )}
+
+        {selectedNode.data.pinnedData && (
+          <div className="config-section">
+            <div className="config-section-title">📌 Pinned Data</div>
+            <p className="hint">
+              Runs started from the editor reuse this output instead of
+              executing the node. Scheduled and webhook runs ignore it.
+            </p>
+            <DataViewer data={selectedNode.data.pinnedData.output} />
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={() => handleUpdate({ pinnedData: null })}
+            >
+              Unpin
+            </button>
+          </div>
+        )}
       </div>
 
       <footer className="config-footer">
@@ -18,6 +18,12 @@ function AIAgentConfig({ data, onUpdate }) {
   const modelStatus = useModelStore((state) => state.status);
   const currentModelId = useModelStore((state) => state.currentModelId);
 
+  // Nodes saved before the strategy selector may store "auto" or "react",
+  // which answer directly (with tool calling when tools are connected)
+  const reasoningMode = ["cot", "tot", "adaptive"].includes(data.reasoningMode)
+    ? data.reasoningMode
+    : "direct";
+
   // Filter models: only downloaded AND capable of reasoning/tool_use
   const filteredModels = useMemo(() => {
     return availableModels.filter(
@@ -156,29 +162,35 @@ function AIAgentConfig({ data, onUpdate }) {
         <div className="config-field">
           <label>Strategy</label>
           <select
-            value={data.reasoningMode || "auto"}
+            value={reasoningMode}
             onChange={(e) => onUpdate({ reasoningMode: e.target.value })}
           >
-            <option value="auto">🤖 Auto (Smart Selection)</option>
+            <option value="direct">💬 Direct (Single Answer)</option>
             <option value="cot">📝 Chain-of-Thought (Step-by-Step)</option>
             <option value="tot">🌳 Tree-of-Thoughts (Branching)</option>
-            <option value="react">⚡ ReAct (Tool Calling)</option>
+            <option value="adaptive">🤖 Auto (Smart Selection)</option>
           </select>
           <p className="hint">
-            {data.reasoningMode === "cot"
+            {reasoningMode === "cot"
               ? "Linear step-by-step reasoning with audit trail"
-              : data.reasoningMode === "tot"
+              : reasoningMode === "tot"
               ? "Explores multiple branches, picks the best path"
-              : data.reasoningMode === "react"
-              ? "Thought → Action → Observation loop with tools"
-              : "Automatically selects based on task complexity"}
+              : reasoningMode === "adaptive"
+              ? "Tree-of-Thoughts for decisions, ReAct when tools are connected, otherwise Chain-of-Thought"
+              : "Answers directly, using connected tools (ReAct) when available"}
           </p>
+          {reasoningMode !== "direct" && (
+            <p className="hint">
+              Output is an object with the answer in <code>response</code> and
+              the reasoning in <code>auditTrail</code>
+            </p>
+          )}
         </div>
 
-        {data.reasoningMode === "tot" && (
+        {(reasoningMode === "tot" || reasoningMode === "adaptive") && (
           <div className="config-row">
             <div className="config-field">
-              <label>Branch Count</label>
+              <label>Branches</label>
               <input
                 type="number"
                 value={data.branchCount || 3}
@@ -188,7 +200,35 @@ function AIAgentConfig({ data, onUpdate }) {
                 min={2}
                 max={5}
               />
-              <p className="hint">Number of reasoning paths to explore</p>
+              <p className="hint">Paths explored per step</p>
+            </div>
+
+            <div className="config-field">
+              <label>Beam Width</label>
+              <input
+                type="number"
+                value={data.beamWidth || 2}
+                onChange={(e) =>
+                  onUpdate({ beamWidth: parseInt(e.target.value, 10) })
+                }
+                min={1}
+                max={5}
+              />
+              <p className="hint">Best paths kept per level</p>
+            </div>
+
+            <div className="config-field">
+              <label>Depth</label>
+              <input
+                type="number"
+                value={data.treeDepth || 1}
+                onChange={(e) =>
+                  onUpdate({ treeDepth: parseInt(e.target.value, 10) })
+                }
+                min={1}
+                max={4}
+              />
+              <p className="hint">Levels of refinement</p>
             </div>
           </div>
         )}
@@ -202,12 +242,47 @@ function AIAgentConfig({ data, onUpdate }) {
                 onUpdate({ enableSelfCorrection: e.target.checked })
               }
             />
-            Enable Self-Correction (Critic)
+            Verify Answers (Critic)
           </label>
           <p className="hint">
-            Second-pass verification to detect and fix errors before output
+            A critic reviews and corrects the answer and scores its reasoning
+            steps. Low-confidence answers leave through the review output.
           </p>
         </div>
+
+        {data.enableSelfCorrection && (
+          <div className="config-row">
+            <div className="config-field">
+              <label>Min Confidence</label>
+              <input
+                type="number"
+                value={data.confidenceThreshold ?? 0.7}
+                onChange={(e) =>
+                  onUpdate({ confidenceThreshold: parseFloat(e.target.value) })
+                }
+                min={0}
+                max={1}
+                step={0.05}
+              />
+              <p className="hint">Below this goes to review</p>
+            </div>
+            <div className="config-field">
+              <label>Corrections</label>
+              <input
+                type="number"
+                value={data.correctionIterations ?? 2}
+                onChange={(e) =>
+                  onUpdate({
+                    correctionIterations: parseInt(e.target.value, 10),
+                  })
+                }
+                min={0}
+                max={5}
+              />
+              <p className="hint">Max rewrite attempts</p>
+            </div>
+          </div>
+        )}
       </div>
 
       <div className="config-section">
@@ -243,6 +318,22 @@ function AIAgentConfig({ data, onUpdate }) {
             />
           </div>
         </div>
+
+        <div className="config-field">
+          <label className="toggle-label">
+            <input
+              type="checkbox"
+              checked={data.streamSentences || false}
+              onChange={(e) => onUpdate({ streamSentences: e.target.checked })}
+            />
+            Stream Sentences Downstream
+          </label>
+          <p className="hint">
+            Connected Output and Text to Speech nodes get each sentence as soon
+            as it is written, so long answers start being spoken early. Applies
+            to Direct answers and is off while answers are verified.
+          </p>
+        </div>
       </div>
 
       <div className="config-section">
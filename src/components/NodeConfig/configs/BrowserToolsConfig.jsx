@@ -0,0 +1,109 @@
+/**
+ * BrowserToolsConfig Component
+ * Configuration panel for Browser Tools: which toolkit tools a connected
+ * AI Agent may call and when the user is asked first
+ */
+import { memo, useMemo } from "react";
+import browserToolkit from "../../../engine/tools/BrowserToolkit";
+import useConsentStore from "../../../store/consentStore";
+import { useToastStore } from "../../../store/toastStore";
+
+// Browser feature each tool depends on
+const TOOL_CAPABILITIES = {
+  fileRead: "fileSystemAccess",
+  fileWrite: "fileSystemAccess",
+  clipboardRead: "clipboard",
+  clipboardWrite: "clipboard",
+  storageGet: "indexedDB",
+  storageSet: "indexedDB",
+  webgpuInfo: "webGPU",
+};
+
+function BrowserToolsConfig({ data, onUpdate }) {
+  const enabledTools = data.enabledTools || [];
+  const grants = useConsentStore((state) => state.grants);
+  const clearGrants = useConsentStore((state) => state.clearGrants);
+  const toast = useToastStore();
+
+  const tools = useMemo(() => browserToolkit.getAvailableTools(), []);
+  const capabilities = useMemo(() => browserToolkit.checkCapabilities(), []);
+  const grantCount = Object.keys(grants).length;
+
+  const toggleTool = (toolId) => {
+    onUpdate({
+      enabledTools: enabledTools.includes(toolId)
+        ? enabledTools.filter((id) => id !== toolId)
+        : [...enabledTools, toolId],
+    });
+  };
+
+  return (
+    <div className="config-sections">
+      <div className="config-section">
+        <div className="config-section-title">Tools</div>
+
+        {tools.map((tool) => {
+          const capability = TOOL_CAPABILITIES[tool.id];
+          const unsupported = capability && !capabilities[capability];
+          return (
+            <div key={tool.id} className="config-field">
+              <label className="toggle-label">
+                <input
+                  type="checkbox"
+                  checked={enabledTools.includes(tool.id)}
+                  onChange={() => toggleTool(tool.id)}
+                />
+                {tool.requiresPermission && "🔐 "}
+                {tool.name}
+              </label>
+              <p className="hint">
+                {tool.description}
+                {unsupported && " - not supported in this browser"}
+              </p>
+            </div>
+          );
+        })}
+        <p className="hint">
+          Connect this node to an AI Agent's Tools slot. Each ticked tool is
+          offered to the agent separately.
+        </p>
+      </div>
+
+      <div className="config-section">
+        <div className="config-section-title">Permissions</div>
+
+        <div className="config-field">
+          <label className="toggle-label">
+            <input
+              type="checkbox"
+              checked={data.alwaysAsk || false}
+              onChange={(e) => onUpdate({ alwaysAsk: e.target.checked })}
+            />
+            Ask Before Every Call
+          </label>
+          <p className="hint">
+            🔐 tools always ask first. With this on, every tool asks, every
+            time.
+          </p>
+        </div>
+
+        <div className="config-field">
+          <button
+            onClick={() => {
+              clearGrants();
+              toast.success("Session permissions cleared");
+            }}
+            disabled={grantCount === 0}
+          >
+            Forget Session Permissions ({grantCount})
+          </button>
+          <p className="hint">
+            Tools allowed "for this session" ask again after this
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(BrowserToolsConfig);
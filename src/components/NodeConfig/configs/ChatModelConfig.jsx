@@ -4,6 +4,11 @@
  */
 import { memo } from "react";
 import useModelStore from "../../../store/modelStore";
+import {
+  LLM_PROVIDERS,
+  resolveProviderId,
+} from "../../../engine/llm/LLMService";
+import { DEFAULT_BASE_URL } from "../../../engine/llm/OpenAICompatibleProvider";
 import "./ChatModelConfig.css";
 
 function ChatModelConfig({ data, onUpdate, requiredCapability = null }) {
@@ -18,6 +23,18 @@ function ChatModelConfig({ data, onUpdate, requiredCapability = null }) {
       )
     : availableModels;
 
+  const provider = resolveProviderId(data.provider);
+
+  // Model ids are not shared between providers
+  const handleProviderChange = (nextProvider) => {
+    const model = nextProvider === "webllm" ? filteredModels[0] : null;
+    onUpdate({
+      provider: nextProvider,
+      modelId: model?.id || "",
+      modelName: model?.name || "",
+    });
+  };
+
   const handleModelChange = (modelId) => {
     const model = filteredModels.find((m) => m.id === modelId);
     onUpdate({
@@ -46,33 +63,110 @@ function ChatModelConfig({ data, onUpdate, requiredCapability = null }) {
         <div className="config-field">
           <label>Provider</label>
           <select
-            value={data.provider || "webllm"}
-            onChange={(e) => onUpdate({ provider: e.target.value })}
-          >
-            <option value="webllm">WebLLM (Local Browser)</option>
-            <option value="openai">OpenAI API</option>
-            <option value="anthropic">Anthropic API</option>
-            <option value="local">Local Ollama</option>
-          </select>
-        </div>
-
-        <div className="config-field">
-          <label>Model</label>
-          <select
-            value={data.modelId || ""}
-            onChange={(e) => handleModelChange(e.target.value)}
+            value={provider}
+            onChange={(e) => handleProviderChange(e.target.value)}
           >
-            <option value="">Select a model...</option>
-            {filteredModels.map((model) => (
-              <option key={model.id} value={model.id}>
-                {model.name} ({model.size})
+            {Object.entries(LLM_PROVIDERS).map(([id, info]) => (
+              <option key={id} value={id}>
+                {info.icon} {info.name}
               </option>
             ))}
           </select>
-          <p className="hint">Choose the AI model for text generation</p>
+          <p className="hint">
+            {provider === "webllm"
+              ? "Runs in this browser; needs WebGPU"
+              : provider === "openai-compatible"
+              ? "A local server with an OpenAI-style API: llama.cpp, Ollama, vLLM"
+              : "Scripted responses for testing workflows without a model"}
+          </p>
         </div>
 
-        {data.provider === "webllm" && (
+        {provider === "webllm" && (
+          <div className="config-field">
+            <label>Model</label>
+            <select
+              value={data.modelId || ""}
+              onChange={(e) => handleModelChange(e.target.value)}
+            >
+              <option value="">Select a model...</option>
+              {filteredModels.map((model) => (
+                <option key={model.id} value={model.id}>
+                  {model.name} ({model.size})
+                </option>
+              ))}
+            </select>
+            <p className="hint">Choose the AI model for text generation</p>
+          </div>
+        )}
+
+        {provider === "openai-compatible" && (
+          <>
+            <div className="config-field">
+              <label>Base URL</label>
+              <input
+                type="text"
+                value={data.baseUrl || ""}
+                onChange={(e) => onUpdate({ baseUrl: e.target.value })}
+                placeholder={DEFAULT_BASE_URL}
+              />
+              <p className="hint">
+                llama.cpp: http://localhost:8080/v1 · Ollama:
+                http://localhost:11434/v1 · vLLM: http://localhost:8000/v1. The
+                server must allow this origin (CORS).
+              </p>
+            </div>
+
+            <div className="config-field">
+              <label>Model</label>
+              <input
+                type="text"
+                value={data.modelId || ""}
+                onChange={(e) =>
+                  onUpdate({
+                    modelId: e.target.value,
+                    modelName: e.target.value,
+                  })
+                }
+                placeholder="llama3.2"
+              />
+              <p className="hint">
+                Model name on the server; llama.cpp serves its loaded model when
+                empty
+              </p>
+            </div>
+
+            <div className="config-field">
+              <label>API Key</label>
+              <input
+                type="password"
+                value={data.apiKey || ""}
+                onChange={(e) => onUpdate({ apiKey: e.target.value })}
+                placeholder="Optional"
+              />
+              <p className="hint">
+                Saved with the workflow; local servers usually need none
+              </p>
+            </div>
+          </>
+        )}
+
+        {provider === "mock" && (
+          <div className="config-field">
+            <label>Mock Responses</label>
+            <textarea
+              value={data.mockResponses || ""}
+              onChange={(e) => onUpdate({ mockResponses: e.target.value })}
+              placeholder={"First response\n---\nSecond response"}
+              rows={6}
+            />
+            <p className="hint">
+              Returned in order, one per model call, separated by a line with
+              ---. The last one repeats; leave empty to echo the prompt.
+            </p>
+          </div>
+        )}
+
+        {provider === "webllm" && (
           <div className="model-status-section">
             <div className={`status-badge ${modelStatus}`}>
               {modelStatus === "ready" && "✓ Model Ready"}
@@ -136,8 +230,9 @@ function ChatModelConfig({ data, onUpdate, requiredCapability = null }) {
         <div className="config-section-title">Connection</div>
         <div className="connection-info">
           <p>
-            Connect the <strong>Model ◆</strong> output (top) to an AI Agent's
-            Model input slot.
+            Connect the <strong>Model ◆</strong> output (top) to the Model slot
+            of an AI Agent, Planner, Critic, Swarm, Semantic Router or
+            Evaluator.
           </p>
         </div>
       </div>
@@ -0,0 +1,102 @@
+/**
+ * ConversationMemoryConfig Component
+ * Configuration panel for the Conversation Memory node: which session a
+ * run belongs to and when older turns are summarized
+ */
+import { memo, useState } from "react";
+import { conversationMemoryService } from "../../../services/ConversationMemoryService";
+import {
+  DEFAULT_KEEP_RECENT,
+  DEFAULT_TOKEN_BUDGET,
+} from "../../../utils/conversationMemory";
+
+function ConversationMemoryConfig({ data, onUpdate }) {
+  const [cleared, setCleared] = useState(null);
+  const sessionId = data.sessionId || "";
+  // Sessions named by an expression are only known at run time
+  const isLiteral = !sessionId.includes("{{");
+
+  const handleClear = async () => {
+    const id = sessionId.trim() || "default";
+    await conversationMemoryService.clearSession(id);
+    setCleared(id);
+  };
+
+  return (
+    <div className="config-sections">
+      <div className="config-section">
+        <div className="config-section-title">Session</div>
+
+        <div className="config-field">
+          <label>Session ID</label>
+          <input
+            type="text"
+            value={sessionId}
+            onChange={(e) => {
+              onUpdate({ sessionId: e.target.value });
+              setCleared(null);
+            }}
+            placeholder="{{ $input.sessionId }}"
+            style={{ fontFamily: "monospace" }}
+          />
+          <p className="hint">
+            Supports {"{{ }}"} expressions, e.g. a user or chat id from the
+            trigger. Runs with the same id share one history; an empty id uses
+            &quot;default&quot;.
+          </p>
+        </div>
+
+        {isLiteral && (
+          <div className="config-field">
+            <button onClick={handleClear}>🧹 Clear Session History</button>
+            {cleared && (
+              <p className="hint">Session &quot;{cleared}&quot; cleared</p>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="config-section">
+        <div className="config-section-title">Summarization</div>
+
+        <div className="config-row">
+          <div className="config-field">
+            <label>Token Budget</label>
+            <input
+              type="number"
+              value={data.tokenBudget ?? DEFAULT_TOKEN_BUDGET}
+              onChange={(e) =>
+                onUpdate({
+                  tokenBudget:
+                    parseInt(e.target.value, 10) || DEFAULT_TOKEN_BUDGET,
+                })
+              }
+              min={100}
+              step={100}
+            />
+          </div>
+
+          <div className="config-field">
+            <label>Keep Recent</label>
+            <input
+              type="number"
+              value={data.keepRecent ?? DEFAULT_KEEP_RECENT}
+              onChange={(e) =>
+                onUpdate({ keepRecent: parseInt(e.target.value, 10) || 0 })
+              }
+              min={0}
+              step={2}
+            />
+          </div>
+        </div>
+        <p className="hint">
+          Once the summary and stored messages pass the budget, the connected
+          model folds older turns into the summary. The last Keep Recent
+          messages stay word for word.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default memo(ConversationMemoryConfig);
@@ -0,0 +1,107 @@
+/**
+ * CriticConfig Component
+ * Configuration panel for the Critic node
+ */
+import { memo } from "react";
+
+function CriticConfig({ data, onUpdate }) {
+  return (
+    <div className="config-sections">
+      <div className="config-section">
+        <div className="config-section-title">Review</div>
+
+        <div className="config-field">
+          <label>Question</label>
+          <textarea
+            value={data.question || ""}
+            onChange={(e) => onUpdate({ question: e.target.value })}
+            placeholder="{{input.question}}"
+            rows={2}
+          />
+          <p className="hint">
+            What the answer responds to. Empty uses input.question or
+            input.prompt.
+          </p>
+        </div>
+
+        <div className="config-field">
+          <label>Answer</label>
+          <textarea
+            value={data.response || ""}
+            onChange={(e) => onUpdate({ response: e.target.value })}
+            placeholder="{{input.response}}"
+            rows={2}
+          />
+          <p className="hint">
+            Empty uses input.response or input.result, or the whole input.
+            Reasoning steps in input.steps are scored as well.
+          </p>
+        </div>
+      </div>
+
+      <div className="config-section">
+        <div className="config-section-title">Verification</div>
+
+        <div className="config-row">
+          <div className="config-field">
+            <label>Min Confidence</label>
+            <input
+              type="number"
+              value={data.confidenceThreshold ?? 0.7}
+              onChange={(e) =>
+                onUpdate({ confidenceThreshold: parseFloat(e.target.value) })
+              }
+              min={0}
+              max={1}
+              step={0.05}
+            />
+          </div>
+
+          <div className="config-field">
+            <label>Corrections</label>
+            <input
+              type="number"
+              value={data.correctionIterations ?? 2}
+              onChange={(e) =>
+                onUpdate({
+                  correctionIterations: parseInt(e.target.value, 10),
+                })
+              }
+              min={0}
+              max={5}
+              disabled={data.autoCorrect === false}
+            />
+          </div>
+        </div>
+        <p className="hint">
+          Answers below the confidence, with a high hallucination risk or with
+          declining step quality leave through the review output
+        </p>
+
+        <div className="config-field">
+          <label className="toggle-label">
+            <input
+              type="checkbox"
+              checked={data.autoCorrect !== false}
+              onChange={(e) => onUpdate({ autoCorrect: e.target.checked })}
+            />
+            Correct flagged answers
+          </label>
+        </div>
+
+        <div className="config-field">
+          <label className="toggle-label">
+            <input
+              type="checkbox"
+              checked={data.scoreSteps !== false}
+              onChange={(e) => onUpdate({ scoreSteps: e.target.checked })}
+            />
+            Score reasoning steps (PRM)
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(CriticConfig);
@@ -0,0 +1,174 @@
+/**
+ * DecomposeConfig Component
+ * Configuration panel for the Decompose node: the task, how deep it is
+ * split, what solves the leaves and how results are combined
+ */
+import { memo, useEffect, useState } from "react";
+import useWorkflowStore from "../../../store/workflowStore";
+import { listWorkflows } from "../../../utils/workflowRepository";
+
+const ROLLUP_HINTS = {
+  join: "Each parent gets its subtasks' results as titled sections",
+  list: "Each parent gets an array of its subtasks' results",
+  summarize: "The agent combines the subtasks' results into one answer",
+};
+
+function DecomposeConfig({ data, onUpdate }) {
+  const currentWorkflowId = useWorkflowStore((state) => state.workflowId);
+  const [workflows, setWorkflows] = useState([]);
+  const leafExecutor = data.leafExecutor || "agent";
+  const rollup = data.rollup || "join";
+
+  useEffect(() => {
+    listWorkflows()
+      .then((saved) =>
+        setWorkflows(saved.filter((w) => w.id !== currentWorkflowId))
+      )
+      .catch(console.error);
+  }, [currentWorkflowId]);
+
+  const selectWorkflow = (workflowId) => {
+    onUpdate({
+      workflowId,
+      workflowName: workflows.find((w) => w.id === workflowId)?.name || "",
+    });
+  };
+
+  return (
+    <div className="config-sections">
+      <div className="config-section">
+        <div className="config-section-title">Task</div>
+
+        <div className="config-field">
+          <label>Task</label>
+          <textarea
+            value={data.task || ""}
+            onChange={(e) => onUpdate({ task: e.target.value })}
+            placeholder="Research {{input.topic}}, compare the options and write a recommendation"
+            rows={3}
+          />
+          <p className="hint">
+            Supports {"{{ }}"} expressions. Leave empty to use the node input
+            as the task.
+          </p>
+        </div>
+
+        <div className="config-row">
+          <div className="config-field">
+            <label>Max Depth</label>
+            <input
+              type="number"
+              value={data.maxDepth ?? 3}
+              onChange={(e) =>
+                onUpdate({ maxDepth: parseInt(e.target.value, 10) || 1 })
+              }
+              min={1}
+              max={5}
+            />
+          </div>
+
+          <div className="config-field">
+            <label>Min Length to Split</label>
+            <input
+              type="number"
+              value={data.minComplexity ?? 50}
+              onChange={(e) =>
+                onUpdate({ minComplexity: parseInt(e.target.value, 10) || 0 })
+              }
+              min={0}
+              step={10}
+            />
+          </div>
+        </div>
+        <p className="hint">
+          Tasks are split on "and", numbered steps, "first / then / finally"
+          and comma lists. Shorter tasks stay whole.
+        </p>
+      </div>
+
+      <div className="config-section">
+        <div className="config-section-title">Leaf Tasks</div>
+
+        <div className="config-field">
+          <label>Solve With</label>
+          <select
+            value={leafExecutor}
+            onChange={(e) => {
+              const next = e.target.value;
+              onUpdate({
+                leafExecutor: next,
+                // Summaries are written by the agent
+                ...(next === "subWorkflow" &&
+                  rollup === "summarize" && { rollup: "join" }),
+              });
+            }}
+          >
+            <option value="agent">Connected AI Agent</option>
+            <option value="subWorkflow">Sub-workflow</option>
+          </select>
+          <p className="hint">
+            {leafExecutor === "agent"
+              ? "Connect an AI Agent to the Agent slot. It runs once per leaf with its own model, memory and tools."
+              : "The workflow runs once per leaf with { task, rootTask, path } as input"}
+          </p>
+        </div>
+
+        {leafExecutor === "subWorkflow" && (
+          <div className="config-field">
+            <label>Workflow</label>
+            <select
+              value={
+                workflows.some((w) => w.id === data.workflowId)
+                  ? data.workflowId
+                  : ""
+              }
+              onChange={(e) => selectWorkflow(e.target.value)}
+            >
+              <option value="">Select a saved workflow...</option>
+              {workflows.map((w) => (
+                <option key={w.id} value={w.id}>
+                  {w.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="config-field">
+          <label className="toggle-label">
+            <input
+              type="checkbox"
+              checked={data.continueOnError || false}
+              onChange={(e) => onUpdate({ continueOnError: e.target.checked })}
+            />
+            Continue When a Leaf Fails
+          </label>
+          <p className="hint">
+            Failed leaves are marked in the tree and the other leaves still run
+          </p>
+        </div>
+      </div>
+
+      <div className="config-section">
+        <div className="config-section-title">Results</div>
+
+        <div className="config-field">
+          <label>Roll Up</label>
+          <select
+            value={rollup}
+            onChange={(e) => onUpdate({ rollup: e.target.value })}
+          >
+            <option value="join">Join as sections</option>
+            <option value="list">Keep as list</option>
+            {leafExecutor === "agent" && (
+              <option value="summarize">Summarize with agent</option>
+            )}
+          </select>
+          <p className="hint">{ROLLUP_HINTS[rollup]}</p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(DecomposeConfig);
@@ -0,0 +1,178 @@
+/**
+ * DocumentLoaderConfig Component
+ * Configuration panel for the Document Loader node: the format, how the
+ * text is chunked and where the chunks are stored
+ */
+import { memo } from "react";
+import {
+  DEFAULT_SEPARATORS,
+  DOCUMENT_FORMATS,
+} from "../../../utils/documentLoader";
+
+const FORMAT_LABELS = {
+  text: "Plain Text",
+  markdown: "Markdown",
+  html: "HTML",
+  csv: "CSV (one line per row)",
+  json: "JSON (one record per array item)",
+  pdf: "PDF (text layer)",
+};
+
+// Separators are stored as the JSON text entered; report errors inline
+const getSeparatorsError = (text) => {
+  if (!text || !text.trim()) return null;
+  try {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) && parsed.every((s) => typeof s === "string")
+      ? null
+      : "must be an array of strings";
+  } catch (e) {
+    return e.message;
+  }
+};
+
+function DocumentLoaderConfig({ data, onUpdate }) {
+  const store = data.store !== false;
+  const separatorsError = getSeparatorsError(data.separators);
+
+  return (
+    <div className="config-sections">
+      <div className="config-section">
+        <div className="config-section-title">Document</div>
+
+        <div className="config-field">
+          <label>Format</label>
+          <select
+            value={data.format || "auto"}
+            onChange={(e) => onUpdate({ format: e.target.value })}
+          >
+            <option value="auto">Auto-detect</option>
+            {DOCUMENT_FORMATS.map((format) => (
+              <option key={format} value={format}>
+                {FORMAT_LABELS[format]}
+              </option>
+            ))}
+          </select>
+          <p className="hint">
+            Connect a File System (read) or HTTP Request node, or pass text
+          </p>
+        </div>
+
+        <div className="config-field">
+          <label>Source Name</label>
+          <input
+            type="text"
+            value={data.source || ""}
+            onChange={(e) => onUpdate({ source: e.target.value })}
+            placeholder="Defaults to the file name"
+          />
+          <p className="hint">
+            Shown in citations. Supports {"{{ }}"} expressions.
+          </p>
+        </div>
+      </div>
+
+      <div className="config-section">
+        <div className="config-section-title">Chunking</div>
+
+        <div className="config-row">
+          <div className="config-field">
+            <label>Chunk Size</label>
+            <input
+              type="number"
+              value={data.chunkSize ?? 1000}
+              onChange={(e) =>
+                onUpdate({ chunkSize: parseInt(e.target.value, 10) || 1 })
+              }
+              min={50}
+              step={100}
+            />
+          </div>
+
+          <div className="config-field">
+            <label>Overlap</label>
+            <input
+              type="number"
+              value={data.chunkOverlap ?? 200}
+              onChange={(e) =>
+                onUpdate({ chunkOverlap: parseInt(e.target.value, 10) || 0 })
+              }
+              min={0}
+              step={50}
+            />
+          </div>
+        </div>
+        <p className="hint">
+          In characters. The overlap repeats the end of each chunk at the
+          start of the next, so sentences keep their context.
+        </p>
+
+        <div className="config-field">
+          <label>Separators (JSON)</label>
+          <input
+            type="text"
+            value={data.separators || ""}
+            onChange={(e) => onUpdate({ separators: e.target.value })}
+            placeholder={JSON.stringify(DEFAULT_SEPARATORS)}
+            style={{
+              fontFamily: "monospace",
+              borderColor: separatorsError ? "var(--color-error)" : undefined,
+            }}
+          />
+          <p className="hint">
+            {separatorsError
+              ? `Invalid separators: ${separatorsError}`
+              : "Chunks end at the first separator found, tried in order"}
+          </p>
+        </div>
+      </div>
+
+      <div className="config-section">
+        <div className="config-section-title">Storage</div>
+
+        <div className="config-field">
+          <label className="toggle-label">
+            <input
+              type="checkbox"
+              checked={store}
+              onChange={(e) => onUpdate({ store: e.target.checked })}
+            />
+            Store in Vector Memory
+          </label>
+        </div>
+
+        {store && (
+          <>
+            <div className="config-field">
+              <label>Namespace</label>
+              <input
+                type="text"
+                value={data.namespace || "documents"}
+                onChange={(e) => onUpdate({ namespace: e.target.value })}
+                placeholder="documents"
+              />
+              <p className="hint">
+                Query it with a Vector Memory node using the same namespace
+              </p>
+            </div>
+
+            <div className="config-field">
+              <label className="toggle-label">
+                <input
+                  type="checkbox"
+                  checked={data.replaceExisting !== false}
+                  onChange={(e) =>
+                    onUpdate({ replaceExisting: e.target.checked })
+                  }
+                />
+                Replace Earlier Chunks of This Source
+              </label>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default memo(DocumentLoaderConfig);
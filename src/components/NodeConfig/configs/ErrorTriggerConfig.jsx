@@ -3,8 +3,23 @@
  * Configuration panel for global Error Handler Trigger
  */
 import { memo } from "react";
+import useWorkflowStore from "../../../store/workflowStore";
+
+function ErrorTriggerConfig({ data, onUpdate, nodeId }) {
+  const nodes = useWorkflowStore((state) => state.nodes);
+  const watchableNodes = nodes.filter(
+    (n) => n.id !== nodeId && n.type !== "errorTrigger"
+  );
+  const specificNodes = data.specificNodes || [];
+
+  const toggleNode = (id) => {
+    onUpdate({
+      specificNodes: specificNodes.includes(id)
+        ? specificNodes.filter((n) => n !== id)
+        : [...specificNodes, id],
+    });
+  };
 
-function ErrorTriggerConfig({ data, onUpdate }) {
   return (
     <div className="config-sections">
       <div className="config-section">
@@ -21,6 +36,26 @@ function ErrorTriggerConfig({ data, onUpdate }) {
           </label>
           <p className="hint">Catches errors from any node in the workflow</p>
         </div>
+
+        {data.watchAll === false && (
+          <div className="config-field">
+            <label>Watched Nodes</label>
+            {watchableNodes.map((node) => (
+              <label key={node.id} className="toggle-label">
+                <input
+                  type="checkbox"
+                  checked={specificNodes.includes(node.id)}
+                  onChange={() => toggleNode(node.id)}
+                />
+                {node.data?.label || node.type}
+              </label>
+            ))}
+            <p className="hint">
+              Failures in other nodes go to the workflow's error workflow (⚙️
+              Settings), if one is set
+            </p>
+          </div>
+        )}
       </div>
 
       <div className="config-section">
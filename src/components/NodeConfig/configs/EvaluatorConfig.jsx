@@ -95,6 +95,22 @@ function EvaluatorConfig({ data, onUpdate }) {
             />
           </div>
         )}
+
+        {data.evaluationType === "llm" && (
+          <div className="config-field">
+            <label>Criteria</label>
+            <textarea
+              value={data.criteria || ""}
+              onChange={(e) => onUpdate({ criteria: e.target.value })}
+              placeholder="The answer cites at least one source and is under 100 words"
+              rows={4}
+            />
+            <p className="hint">
+              The model of the connected Chat Model (or WebLLM) answers PASS or
+              FAIL with a reason, which is fed back on retry
+            </p>
+          </div>
+        )}
       </div>
 
       <div className="config-section">
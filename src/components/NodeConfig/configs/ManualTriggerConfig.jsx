@@ -3,6 +3,7 @@
  * Configuration panel for Manual Trigger with form builder
  */
 import { memo, useState } from "react";
+import useWorkflowStore from "../../../store/workflowStore";
 import "./ManualTriggerConfig.css";
 
 // Available field types
@@ -15,7 +16,8 @@ const FIELD_TYPES = [
   { value: "json", label: "JSON", icon: "{ }" },
 ];
 
-function ManualTriggerConfig({ data, onUpdate }) {
+function ManualTriggerConfig({ data, onUpdate, nodeId }) {
+  const nodes = useWorkflowStore((state) => state.nodes);
   const [newFieldName, setNewFieldName] = useState("");
   const [newFieldType, setNewFieldType] = useState("text");
 
@@ -95,6 +97,15 @@ function ManualTriggerConfig({ data, onUpdate }) {
     });
   };
 
+  // Require a field when the workflow is called as a sub-workflow
+  const handleRequiredChange = (fieldId, required) => {
+    onUpdate({
+      inputFields: fields.map((f) =>
+        f.id === fieldId ? { ...f, required } : f
+      ),
+    });
+  };
+
   // Move field up/down
   const handleMoveField = (index, direction) => {
     const newFields = [...fields];
@@ -247,6 +258,17 @@ function ManualTriggerConfig({ data, onUpdate }) {
 
               <div className="field-input">{renderFieldInput(field)}</div>
 
+              <label className="field-required">
+                <input
+                  type="checkbox"
+                  checked={Boolean(field.required)}
+                  onChange={(e) =>
+                    handleRequiredChange(field.id, e.target.checked)
+                  }
+                />
+                Required when called as a sub-workflow
+              </label>
+
               {field.type === "dropdown" && (
                 <div className="field-options">
                   <label>Options (comma-separated)</label>
@@ -311,6 +333,31 @@ function ManualTriggerConfig({ data, onUpdate }) {
         </div>
         <p className="hint">This data will be passed to connected nodes</p>
       </div>
+
+      <div className="config-section">
+        <div className="config-section-title">Sub-Workflow Output</div>
+        <div className="config-field">
+          <label>Output Node</label>
+          <select
+            value={data.outputNodeId || ""}
+            onChange={(e) => onUpdate({ outputNodeId: e.target.value })}
+          >
+            <option value="">Last node that completed</option>
+            {nodes
+              .filter((n) => n.id !== nodeId)
+              .map((n) => (
+                <option key={n.id} value={n.id}>
+                  {n.data?.label || n.type}
+                </option>
+              ))}
+          </select>
+          <p className="hint">
+            When another workflow calls this one through a Sub-Workflow node,
+            the fields above are its typed inputs and the output node's result
+            is returned
+          </p>
+        </div>
+      </div>
     </div>
   );
 }
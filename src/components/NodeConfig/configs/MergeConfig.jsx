@@ -20,9 +20,9 @@ function MergeConfig({ data, onUpdate }) {
             <option value="first">Proceed on FIRST Input</option>
           </select>
           <p className="hint">
-            {data.mode === "wait"
-              ? "Acts as a barrier. Waits until all connected branches finish."
-              : "Race condition. Continues as soon as one branch finishes."}
+            {data.mode === "first"
+              ? "Race condition. Continues once with the first branch to finish; later branches are ignored."
+              : "Acts as a barrier. Waits until all connected branches finish or are skipped by an If/Else or Switch."}
           </p>
         </div>
 
@@ -0,0 +1,347 @@
+/**
+ * PlannerConfig Component
+ * Configuration panel for the Planner node: goal, plan source and an
+ * editable plan that can be reviewed and approved before it runs
+ */
+import { memo, useState, useMemo } from "react";
+import useWorkflowStore from "../../../store/workflowStore";
+import { useToastStore } from "../../../store/toastStore";
+import { NODE_TYPES } from "../../../utils/nodeTypes";
+import {
+  createLLM,
+  DEFAULT_MODEL_ID,
+  LLM_PROVIDERS,
+  resolveProviderId,
+} from "../../../engine/llm/LLMService";
+import planningService from "../../../engine/planning/PlanningService";
+import "./PlannerConfig.css";
+
+const STEP_ACTIONS = [
+  "think",
+  "compute",
+  "search",
+  "generate",
+  "validate",
+  "store",
+  "retrieve",
+  "tool",
+];
+
+/**
+ * One editable plan step. Inputs are edited as JSON and only saved once
+ * they parse.
+ */
+function StepEditor({ step, tools, onChange, onRemove }) {
+  const [inputsDraft, setInputsDraft] = useState(() =>
+    JSON.stringify(step.inputs || {}, null, 2)
+  );
+  const [inputsError, setInputsError] = useState(null);
+
+  const handleInputsChange = (value) => {
+    setInputsDraft(value);
+    try {
+      onChange({ inputs: JSON.parse(value || "{}") });
+      setInputsError(null);
+    } catch {
+      setInputsError("Invalid JSON");
+    }
+  };
+
+  return (
+    <div className="planner-step">
+      <div className="planner-step-header">
+        <span className="planner-step-id">{step.id}</span>
+        <select
+          value={step.action}
+          onChange={(e) => onChange({ action: e.target.value })}
+        >
+          {STEP_ACTIONS.map((action) => (
+            <option key={action} value={action}>
+              {action}
+            </option>
+          ))}
+        </select>
+        {step.action === "tool" && (
+          <select
+            value={step.tool || ""}
+            onChange={(e) => onChange({ tool: e.target.value })}
+          >
+            <option value="">Select tool...</option>
+            {tools.map((tool) => (
+              <option key={tool.name} value={tool.name}>
+                {tool.name}
+              </option>
+            ))}
+            {step.tool && !tools.some((t) => t.name === step.tool) && (
+              <option value={step.tool}>{step.tool} (not connected)</option>
+            )}
+          </select>
+        )}
+        <button
+          className="planner-step-remove"
+          onClick={onRemove}
+          title="Remove step"
+        >
+          ×
+        </button>
+      </div>
+
+      <input
+        type="text"
+        value={step.description || ""}
+        onChange={(e) => onChange({ description: e.target.value })}
+        placeholder="What this step does"
+      />
+
+      <textarea
+        className="planner-step-inputs"
+        value={inputsDraft}
+        onChange={(e) => handleInputsChange(e.target.value)}
+        rows={2}
+      />
+      {inputsError && <p className="hint planner-error">{inputsError}</p>}
+
+      <input
+        type="text"
+        value={(step.dependencies || []).join(", ")}
+        onChange={(e) =>
+          onChange({
+            dependencies: e.target.value
+              .split(",")
+              .map((id) => id.trim())
+              .filter(Boolean)
+              .map((id) => (/^\d+$/.test(id) ? Number(id) : id)),
+          })
+        }
+        placeholder="Depends on steps (e.g. 1, 2)"
+      />
+    </div>
+  );
+}
+
+function PlannerConfig({ data, onUpdate, nodeId }) {
+  const nodes = useWorkflowStore((state) => state.nodes);
+  const edges = useWorkflowStore((state) => state.edges);
+  const toast = useToastStore();
+  const [isGenerating, setIsGenerating] = useState(false);
+
+  const steps = data.plan?.steps || [];
+
+  // Same resources the engine hands to the planner at run time
+  const { tools, model } = useMemo(() => {
+    const incoming = edges.filter((e) => e.target === nodeId);
+    const sourceOf = (edge) => nodes.find((n) => n.id === edge.source);
+
+    const modelNode = incoming
+      .filter((e) => e.targetHandle === "model-slot")
+      .map(sourceOf)[0];
+
+    return {
+      model: modelNode?.data || { modelId: DEFAULT_MODEL_ID },
+      tools: incoming
+        .filter((e) => e.targetHandle === "tool-slot")
+        .map(sourceOf)
+        .filter(Boolean)
+        .map((node) => ({
+          name: node.data?.label || node.type,
+          description: NODE_TYPES[node.type]?.description || node.type,
+        })),
+    };
+  }, [edges, nodes, nodeId]);
+
+  // Any edit to the plan needs a fresh approval
+  const updatePlan = (nextSteps) => {
+    onUpdate({
+      plan: { ...(data.plan || {}), steps: nextSteps },
+      planApproved: false,
+    });
+  };
+
+  const updateStep = (index, changes) => {
+    updatePlan(
+      steps.map((step, i) => (i === index ? { ...step, ...changes } : step))
+    );
+  };
+
+  const addStep = () => {
+    const nextId = steps.reduce((max, s) => Math.max(max, Number(s.id) || 0), 0);
+    updatePlan([
+      ...steps,
+      {
+        id: nextId + 1,
+        action: "think",
+        description: "",
+        inputs: {},
+        dependencies: [],
+      },
+    ]);
+  };
+
+  const handleGenerate = async () => {
+    if (!data.goal?.trim()) {
+      toast.error("Enter a goal to plan for");
+      return;
+    }
+    if (data.goal.includes("{{")) {
+      toast.error("Replace {{ }} expressions with an example goal to plan");
+      return;
+    }
+
+    setIsGenerating(true);
+    try {
+      const llm = createLLM(model);
+      await llm.prepare({
+        log: (type, message) => type === "info" && toast.info(message),
+      });
+      const plan = await planningService.generatePlan(
+        data.goal,
+        { availableTools: tools },
+        { llm }
+      );
+      onUpdate({
+        plan: { goal: plan.goal || data.goal, steps: plan.steps },
+        planApproved: false,
+      });
+      toast.success(`Plan created with ${plan.steps.length} steps`);
+    } catch (error) {
+      toast.error(`Planning failed: ${error.message}`);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  return (
+    <div className="config-sections">
+      <div className="config-section">
+        <div className="config-section-title">Goal</div>
+
+        <div className="config-field">
+          <label>Goal</label>
+          <textarea
+            value={data.goal || ""}
+            onChange={(e) => onUpdate({ goal: e.target.value })}
+            placeholder="Research {{input.topic}} and write a short summary"
+            rows={3}
+          />
+          <p className="hint">
+            Supports {"{{ }}"} expressions. Leave empty to use the node input
+            as the goal.
+          </p>
+        </div>
+      </div>
+
+      <div className="config-section">
+        <div className="config-section-title">Plan</div>
+
+        <div className="config-field">
+          <label>Plan Source</label>
+          <select
+            value={data.planMode || "generate"}
+            onChange={(e) => onUpdate({ planMode: e.target.value })}
+          >
+            <option value="generate">Generate a plan on every run</option>
+            <option value="approved">Run the approved plan below</option>
+          </select>
+          <p className="hint">
+            {data.planMode === "approved"
+              ? "The reviewed plan runs as written; replans still happen when a step fails"
+              : "The model writes a new plan from the goal each run"}
+          </p>
+        </div>
+
+        {data.planMode === "approved" && (
+          <>
+            <div className="config-field">
+              <button
+                className="planner-generate-btn"
+                onClick={handleGenerate}
+                disabled={isGenerating}
+              >
+                {isGenerating ? "⏳ Planning..." : "✨ Generate Plan"}
+              </button>
+              <p className="hint">
+                Uses{" "}
+                {model.modelId ||
+                  LLM_PROVIDERS[resolveProviderId(model.provider)]?.name}
+                {tools.length > 0 &&
+                  ` with ${tools.length} connected tool${
+                    tools.length === 1 ? "" : "s"
+                  }`}
+              </p>
+            </div>
+
+            <div className="planner-steps">
+              {steps.map((step, index) => (
+                <StepEditor
+                  key={`${step.id}-${index}`}
+                  step={step}
+                  tools={tools}
+                  onChange={(changes) => updateStep(index, changes)}
+                  onRemove={() =>
+                    updatePlan(steps.filter((_, i) => i !== index))
+                  }
+                />
+              ))}
+              <button className="planner-add-step" onClick={addStep}>
+                + Add Step
+              </button>
+            </div>
+
+            <div className="config-field">
+              <label className="toggle-label">
+                <input
+                  type="checkbox"
+                  checked={data.planApproved || false}
+                  disabled={steps.length === 0}
+                  onChange={(e) => onUpdate({ planApproved: e.target.checked })}
+                />
+                Approve this plan
+              </label>
+              <p className="hint">
+                Editing a step clears the approval. Unapproved plans do not
+                run.
+              </p>
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="config-section">
+        <div className="config-section-title">Recovery</div>
+
+        <div className="config-row">
+          <div className="config-field">
+            <label>Max Replans</label>
+            <input
+              type="number"
+              value={data.maxReplans ?? 2}
+              onChange={(e) =>
+                onUpdate({ maxReplans: parseInt(e.target.value, 10) || 0 })
+              }
+              min={0}
+              max={5}
+            />
+          </div>
+
+          <div className="config-field">
+            <label>Step Retries</label>
+            <input
+              type="number"
+              value={data.stepRetries ?? 1}
+              onChange={(e) =>
+                onUpdate({ stepRetries: parseInt(e.target.value, 10) || 1 })
+              }
+              min={1}
+              max={5}
+            />
+          </div>
+        </div>
+        <p className="hint">
+          Failed steps are retried, then the remaining work is replanned
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default memo(PlannerConfig);
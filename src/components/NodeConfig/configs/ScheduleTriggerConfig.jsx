@@ -2,7 +2,17 @@
  * ScheduleTriggerConfig Component
  * Configuration panel for Schedule Trigger nodes
  */
-import { memo } from "react";
+import { memo, useMemo } from "react";
+import useWorkflowStore from "../../../store/workflowStore";
+import {
+  getNextRuns,
+  validateCron,
+  isValidTimezone,
+  describeCron,
+} from "../../../utils/cronParser";
+import schedulerService, {
+  CATCH_UP_POLICIES,
+} from "../../../services/SchedulerService";
 
 const PRESETS = [
   { value: "* * * * *", label: "Every minute" },
@@ -14,7 +24,56 @@ const PRESETS = [
   { value: "0 0 * * 0", label: "Every Sunday at midnight" },
 ];
 
-function ScheduleTriggerConfig({ data, onUpdate }) {
+const CATCH_UP_OPTIONS = [
+  { value: CATCH_UP_POLICIES.SKIP, label: "Skip missed runs" },
+  { value: CATCH_UP_POLICIES.ONCE, label: "Run once" },
+  { value: CATCH_UP_POLICIES.ALL, label: "Run all missed" },
+];
+
+const PREVIEW_COUNT = 5;
+
+function ScheduleTriggerConfig({ data, onUpdate, nodeId }) {
+  const workflowId = useWorkflowStore((state) => state.workflowId);
+  const schedule = data.schedule || "*/5 * * * *";
+  const timezone = data.timezone || "";
+
+  const { error, nextRuns } = useMemo(() => {
+    const { valid, error } = validateCron(schedule);
+    if (!valid) return { error, nextRuns: [] };
+    if (!isValidTimezone(timezone)) {
+      return { error: `Unknown timezone "${timezone}"`, nextRuns: [] };
+    }
+    return {
+      error: null,
+      nextRuns: getNextRuns(schedule, { count: PREVIEW_COUNT, timezone }),
+    };
+  }, [schedule, timezone]);
+
+  const formatRun = (date) =>
+    date.toLocaleString(undefined, {
+      timeZone: timezone || undefined,
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+
+  // Registration is picked up from the saved copy of the workflow
+  const job = schedulerService
+    .getJobs()
+    .find((j) => j.workflowId === workflowId && j.triggerId === nodeId);
+
+  let status;
+  if (!data.enabled) {
+    status = "Disabled";
+  } else if (!workflowId) {
+    status = "Save the workflow to register this schedule";
+  } else if (job) {
+    status = `Registered${
+      job.lastRun ? ` · last run ${new Date(job.lastRun).toLocaleString()}` : ""
+    }`;
+  } else {
+    status = "Save the workflow to apply changes";
+  }
+
   return (
     <div className="schedule-trigger-config">
       <div className="config-section">
@@ -24,11 +83,28 @@ function ScheduleTriggerConfig({ data, onUpdate }) {
           <label>Cron Expression</label>
           <input
             type="text"
-            value={data.schedule || "*/5 * * * *"}
+            value={schedule}
             onChange={(e) => onUpdate({ schedule: e.target.value })}
             placeholder="*/5 * * * *"
+            style={{ borderColor: error ? "var(--color-error)" : undefined }}
           />
-          <p className="hint">Format: minute hour day month weekday</p>
+          {error ? (
+            <p
+              className="error-message"
+              style={{
+                color: "var(--color-error)",
+                fontSize: "11px",
+                marginTop: "4px",
+              }}
+            >
+              {error}
+            </p>
+          ) : (
+            <p className="hint">
+              {describeCron(schedule) ||
+                "Format: minute hour day month weekday"}
+            </p>
+          )}
         </div>
 
         <div className="config-field">
@@ -49,6 +125,34 @@ function ScheduleTriggerConfig({ data, onUpdate }) {
             ))}
           </select>
         </div>
+
+        <div className="config-field">
+          <label>Timezone</label>
+          <input
+            type="text"
+            value={timezone}
+            onChange={(e) => onUpdate({ timezone: e.target.value.trim() })}
+            placeholder={Intl.DateTimeFormat().resolvedOptions().timeZone}
+          />
+          <p className="hint">IANA name, e.g. Europe/Berlin. Empty = local</p>
+        </div>
+
+        {nextRuns.length > 0 && (
+          <div className="config-field">
+            <label>Next {PREVIEW_COUNT} Runs</label>
+            <div
+              style={{
+                fontFamily: "monospace",
+                fontSize: "12px",
+                lineHeight: 1.6,
+              }}
+            >
+              {nextRuns.map((run) => (
+                <div key={run.getTime()}>{formatRun(run)}</div>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
 
       <div className="config-section">
@@ -62,9 +166,23 @@ function ScheduleTriggerConfig({ data, onUpdate }) {
           />
         </div>
 
+        <div className="config-field" style={{ marginTop: "8px" }}>
+          <label>Missed Runs</label>
+          <select
+            value={data.catchUp || CATCH_UP_POLICIES.SKIP}
+            onChange={(e) => onUpdate({ catchUp: e.target.value })}
+          >
+            {CATCH_UP_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <p className="hint">What to do with runs due while the app was closed</p>
+        </div>
+
         <p className="hint" style={{ marginTop: "8px" }}>
-          Note: Browser schedules use setInterval simulation. For production,
-          use a proper scheduler.
+          {status}. Schedules run while the app is open.
         </p>
       </div>
     </div>
@@ -3,6 +3,10 @@
  * Configuration panel for Semantic Router Node
  */
 import { memo, useCallback } from "react";
+import {
+  DEFAULT_ROUTE_K,
+  DEFAULT_ROUTE_THRESHOLD,
+} from "../../../utils/routeScoring";
 
 function SemanticRouterConfig({ data, onUpdate }) {
   // Helpers to manage routes
@@ -13,6 +17,7 @@ function SemanticRouterConfig({ data, onUpdate }) {
       id: newId,
       label: `Route ${currentRoutes.length + 1}`,
       keywords: [],
+      examples: [],
     };
     onUpdate({ routes: [...currentRoutes, newRoute] });
   }, [data.routes, onUpdate]);
@@ -20,10 +25,14 @@ function SemanticRouterConfig({ data, onUpdate }) {
   const handleRemoveRoute = useCallback(
     (index) => {
       const currentRoutes = [...(data.routes || [])];
-      currentRoutes.splice(index, 1);
-      onUpdate({ routes: currentRoutes });
+      const [removed] = currentRoutes.splice(index, 1);
+      onUpdate({
+        routes: currentRoutes,
+        // A removed fallback route falls back to "Other" again
+        ...(removed?.id === data.fallbackRoute && { fallbackRoute: "" }),
+      });
     },
-    [data.routes, onUpdate]
+    [data.routes, data.fallbackRoute, onUpdate]
   );
 
   const handleUpdateRoute = useCallback(
@@ -37,6 +46,12 @@ function SemanticRouterConfig({ data, onUpdate }) {
           .map((k) => k.trim())
           .filter((k) => k);
         currentRoutes[index] = { ...currentRoutes[index], keywords };
+      } else if (field === "examples") {
+        // One utterance per line; blank lines are ignored when routing
+        currentRoutes[index] = {
+          ...currentRoutes[index],
+          examples: value.split("\n"),
+        };
       } else {
         currentRoutes[index] = { ...currentRoutes[index], [field]: value };
       }
@@ -46,6 +61,8 @@ function SemanticRouterConfig({ data, onUpdate }) {
     [data.routes, onUpdate]
   );
 
+  const isEmbedding = data.classificationMode === "embedding";
+
   return (
     <div className="config-sections">
       <div className="config-section">
@@ -65,8 +82,84 @@ function SemanticRouterConfig({ data, onUpdate }) {
             {data.classificationMode === "keyword"
               ? "Matches exact words in the input text"
               : data.classificationMode === "embedding"
-              ? "Routes based on semantic meaning (requires Vector Memory)"
-              : "Uses AI model to determine intent (slowest but smartest)"}
+              ? "Compares the input with each route's example utterances (embeddings are cached per workflow)"
+              : "Asks the connected Chat Model (or WebLLM) to pick a route (slowest but smartest)"}
+          </p>
+        </div>
+
+        {isEmbedding && (
+          <>
+            <div className="config-row">
+              <div className="config-field">
+                <label>Scoring</label>
+                <select
+                  value={data.scoring || "centroid"}
+                  onChange={(e) => onUpdate({ scoring: e.target.value })}
+                >
+                  <option value="centroid">Centroid</option>
+                  <option value="knn">k-Nearest Examples</option>
+                </select>
+              </div>
+
+              {data.scoring === "knn" && (
+                <div className="config-field">
+                  <label>K</label>
+                  <input
+                    type="number"
+                    value={data.k ?? DEFAULT_ROUTE_K}
+                    onChange={(e) =>
+                      onUpdate({
+                        k: parseInt(e.target.value, 10) || DEFAULT_ROUTE_K,
+                      })
+                    }
+                    min={1}
+                  />
+                </div>
+              )}
+
+              <div className="config-field">
+                <label>Threshold</label>
+                <input
+                  type="number"
+                  value={data.threshold ?? DEFAULT_ROUTE_THRESHOLD}
+                  onChange={(e) => {
+                    const threshold = parseFloat(e.target.value);
+                    onUpdate({
+                      threshold: isNaN(threshold)
+                        ? DEFAULT_ROUTE_THRESHOLD
+                        : threshold,
+                    });
+                  }}
+                  min={-1}
+                  max={1}
+                  step={0.05}
+                />
+              </div>
+            </div>
+            <p className="hint">
+              Centroid compares the input with the average of a route&apos;s
+              examples; k-NN averages its K most similar examples. Routes
+              scoring below the threshold don&apos;t match.
+            </p>
+          </>
+        )}
+
+        <div className="config-field">
+          <label>Fallback Route</label>
+          <select
+            value={data.fallbackRoute || ""}
+            onChange={(e) => onUpdate({ fallbackRoute: e.target.value })}
+          >
+            <option value="">&quot;Other&quot; output</option>
+            {(data.routes || []).map((route) => (
+              <option key={route.id} value={route.id}>
+                {route.label}
+              </option>
+            ))}
+          </select>
+          <p className="hint">
+            Where inputs go when no route matches. The output&apos;s routing
+            field lists every route&apos;s score.
           </p>
         </div>
       </div>
@@ -146,7 +239,13 @@ function SemanticRouterConfig({ data, onUpdate }) {
                 />
               </div>
 
-              <div className="config-field" style={{ marginBottom: 0 }}>
+              <div
+                className="config-field"
+                style={{
+                  marginBottom:
+                    data.classificationMode === "keyword" ? 0 : "8px",
+                }}
+              >
                 <label style={{ fontSize: "11px" }}>
                   {data.classificationMode === "keyword"
                     ? "Keywords (comma separated)"
@@ -165,6 +264,24 @@ function SemanticRouterConfig({ data, onUpdate }) {
                   }
                 />
               </div>
+
+              {data.classificationMode !== "keyword" && (
+                <div className="config-field" style={{ marginBottom: 0 }}>
+                  <label style={{ fontSize: "11px" }}>
+                    Example Utterances (one per line)
+                  </label>
+                  <textarea
+                    value={(route.examples || []).join("\n")}
+                    onChange={(e) =>
+                      handleUpdateRoute(index, "examples", e.target.value)
+                    }
+                    placeholder={
+                      "My code throws an error\nHow do I fix this bug?"
+                    }
+                    rows={3}
+                  />
+                </div>
+              )}
             </div>
           ))}
 
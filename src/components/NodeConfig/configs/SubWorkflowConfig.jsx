@@ -2,28 +2,111 @@
  * SubWorkflowConfig Component
  * Configuration panel for Sub-Workflow Node
  */
-import { memo } from "react";
+import { memo, useEffect, useState } from "react";
+import useWorkflowStore from "../../../store/workflowStore";
+import {
+  listWorkflows,
+  findWorkflow,
+} from "../../../utils/workflowRepository";
+import { getWorkflowInterface } from "../../../utils/workflowInterface";
 
 function SubWorkflowConfig({ data, onUpdate }) {
+  const currentWorkflowId = useWorkflowStore((state) => state.workflowId);
+  const [workflows, setWorkflows] = useState([]);
+  const [target, setTarget] = useState(null);
+
+  useEffect(() => {
+    listWorkflows()
+      .then((saved) =>
+        setWorkflows(saved.filter((w) => w.id !== currentWorkflowId))
+      )
+      .catch(console.error);
+  }, [currentWorkflowId]);
+
+  useEffect(() => {
+    findWorkflow(data.workflowId).then(setTarget).catch(console.error);
+  }, [data.workflowId]);
+
+  const targetInterface = target ? getWorkflowInterface(target) : null;
+
+  const isKnown = workflows.some((w) => w.id === data.workflowId);
+
   return (
     <div className="config-sections">
       <div className="config-section">
         <div className="config-section-title">Target Workflow</div>
 
         <div className="config-field">
-          <label>Workflow ID</label>
+          <label>Workflow</label>
+          <select
+            value={isKnown ? data.workflowId : ""}
+            onChange={(e) => onUpdate({ workflowId: e.target.value })}
+          >
+            <option value="">Select a saved workflow...</option>
+            {workflows.map((w) => (
+              <option key={w.id} value={w.id}>
+                {w.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="config-field">
+          <label>Workflow ID or Name</label>
           <input
             type="text"
             value={data.workflowId || ""}
             onChange={(e) => onUpdate({ workflowId: e.target.value })}
-            placeholder="UUID of target workflow"
+            placeholder="ID or name of target workflow"
           />
           <p className="hint">
-            The ID of the workflow to execute. (Future: Dropdown selection)
+            Saved workflows are looked up by ID first, then by name
           </p>
         </div>
       </div>
 
+      {targetInterface && (
+        <div className="config-section">
+          <div className="config-section-title">Interface</div>
+
+          {!targetInterface.trigger ? (
+            <p className="hint">⚠️ This workflow has no trigger node</p>
+          ) : (
+            <>
+              <div className="config-field">
+                <label>Inputs</label>
+                {targetInterface.inputs.length === 0 ? (
+                  <p className="hint">
+                    No typed inputs - add input fields to its Manual Trigger
+                  </p>
+                ) : (
+                  <ul className="hint">
+                    {targetInterface.inputs.map((field) => (
+                      <li key={field.name}>
+                        <code>{field.name}</code> ({field.type})
+                        {field.required ? " - required" : ""}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              <div className="config-field">
+                <label>Output</label>
+                <p className="hint">
+                  {targetInterface.outputNode
+                    ? `Result of "${
+                        targetInterface.outputNode.data?.label ||
+                        targetInterface.outputNode.type
+                      }"`
+                    : "Result of the last node that completed"}
+                </p>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
       <div className="config-section">
         <div className="config-section-title">Execution Mode</div>
 
@@ -37,7 +120,8 @@ function SubWorkflowConfig({ data, onUpdate }) {
             Pass Input Data
           </label>
           <p className="hint">
-            Forward input from this node to the start of the sub-workflow
+            Forward input from this node to the start of the sub-workflow.
+            Keys matching its inputs are checked and converted to their type
           </p>
         </div>
 
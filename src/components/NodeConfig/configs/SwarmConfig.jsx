@@ -3,51 +3,209 @@
  * Configuration panel for Swarm Node (Multi-Agent System)
  */
 import { memo } from "react";
+import { AGENT_ROLES } from "../../../engine/swarm/SwarmCoordinator";
+import "./SwarmConfig.css";
+
+const BUILT_IN_ROLES = Object.values(AGENT_ROLES);
+
+// First sentence of a role prompt, e.g. "You are a critical reviewer."
+const summarize = (prompt) => prompt.split("\n")[0].replace(/:$/, "");
+
+const PATTERN_HINTS = {
+  parallel: "Every agent answers on its own, then the answers are aggregated",
+  coordinator:
+    "The coordinator splits the task, specialists work on their parts and the coordinator writes the final answer",
+  debate:
+    "Agents answer, read each other's answers and revise them over several rounds, then vote",
+};
 
 function SwarmConfig({ data, onUpdate }) {
+  const roles = data.roles || [];
+  const customRoles = data.customRoles || [];
+  const pattern = data.pattern || "parallel";
+  const hasRoles = roles.length + customRoles.length > 0;
+
+  const toggleRole = (roleId) => {
+    onUpdate({
+      roles: roles.includes(roleId)
+        ? roles.filter((id) => id !== roleId)
+        : [...roles, roleId],
+    });
+  };
+
+  const updateCustomRole = (roleId, changes) => {
+    onUpdate({
+      customRoles: customRoles.map((role) =>
+        role.id === roleId ? { ...role, ...changes } : role
+      ),
+    });
+  };
+
+  const addCustomRole = () => {
+    onUpdate({
+      customRoles: [
+        ...customRoles,
+        {
+          id: `custom_${crypto.randomUUID()}`,
+          name: `Agent ${customRoles.length + 1}`,
+          emoji: "🧑‍💼",
+          systemPrompt: "",
+        },
+      ],
+    });
+  };
+
   return (
     <div className="config-sections">
       <div className="config-section">
-        <div className="config-section-title">Swarm Size</div>
+        <div className="config-section-title">Agents</div>
 
-        <div className="config-field">
-          <label>Agent Count</label>
-          <input
-            type="number"
-            value={data.agentCount || 3}
-            onChange={(e) => onUpdate({ agentCount: parseInt(e.target.value) })}
-            min={2}
-            max={10}
-            step={1}
-          />
-          <p className="hint">Number of parallel agents to spawn (2-10)</p>
+        <div className="swarm-roles">
+          {BUILT_IN_ROLES.map((role) => (
+            <label key={role.id} className="toggle-label swarm-role">
+              <input
+                type="checkbox"
+                checked={roles.includes(role.id)}
+                onChange={() => toggleRole(role.id)}
+              />
+              <span>
+                {role.emoji} {role.name}
+                <span className="swarm-role-desc">
+                  {summarize(role.systemPrompt)}
+                </span>
+              </span>
+            </label>
+          ))}
         </div>
+
+        {customRoles.map((role) => (
+          <div key={role.id} className="swarm-custom-role">
+            <div className="swarm-custom-header">
+              <input
+                type="text"
+                className="swarm-custom-emoji"
+                value={role.emoji || ""}
+                onChange={(e) =>
+                  updateCustomRole(role.id, { emoji: e.target.value })
+                }
+                maxLength={4}
+              />
+              <input
+                type="text"
+                value={role.name || ""}
+                onChange={(e) =>
+                  updateCustomRole(role.id, { name: e.target.value })
+                }
+                placeholder="Role name"
+              />
+              <button
+                className="swarm-custom-remove"
+                onClick={() =>
+                  onUpdate({
+                    customRoles: customRoles.filter((r) => r.id !== role.id),
+                  })
+                }
+                title="Remove role"
+              >
+                ×
+              </button>
+            </div>
+            <textarea
+              value={role.systemPrompt || ""}
+              onChange={(e) =>
+                updateCustomRole(role.id, { systemPrompt: e.target.value })
+              }
+              placeholder="You are a product manager. Focus on user value..."
+              rows={3}
+            />
+          </div>
+        ))}
+
+        <button className="swarm-add-role" onClick={addCustomRole}>
+          + Add Custom Role
+        </button>
+
+        {!hasRoles && (
+          <div className="config-field">
+            <label>Agent Count</label>
+            <input
+              type="number"
+              value={data.agentCount || 3}
+              onChange={(e) =>
+                onUpdate({ agentCount: parseInt(e.target.value) })
+              }
+              min={2}
+              max={10}
+              step={1}
+            />
+            <p className="hint">
+              No roles chosen - the swarm uses this many general agents
+            </p>
+          </div>
+        )}
       </div>
 
       <div className="config-section">
-        <div className="config-section-title">Execution</div>
+        <div className="config-section-title">Collaboration</div>
 
         <div className="config-field">
-          <label>Aggregation Mode</label>
+          <label>Pattern</label>
           <select
-            value={data.aggregationMode || "consensus"}
-            onChange={(e) => onUpdate({ aggregationMode: e.target.value })}
+            value={pattern}
+            onChange={(e) => onUpdate({ pattern: e.target.value })}
           >
-            <option value="consensus">Consensus (Vote)</option>
-            <option value="first">First to Finish</option>
-            <option value="all">Return All Results</option>
+            <option value="parallel">Parallel</option>
+            <option value="coordinator">Coordinator-led</option>
+            <option value="debate">Debate</option>
           </select>
+          <p className="hint">{PATTERN_HINTS[pattern]}</p>
+        </div>
+
+        {pattern === "parallel" && (
+          <div className="config-field">
+            <label>Aggregation Mode</label>
+            <select
+              value={data.aggregationMode || "consensus"}
+              onChange={(e) => onUpdate({ aggregationMode: e.target.value })}
+            >
+              <option value="consensus">Consensus (Vote)</option>
+              <option value="first">First Answer</option>
+              <option value="all">Return All Results</option>
+            </select>
+            <p className="hint">
+              {data.aggregationMode === "first"
+                ? "Stops at the first agent that answers"
+                : data.aggregationMode === "all"
+                ? "Collect responses from all agents"
+                : "Agents vote on the best answer"}
+            </p>
+          </div>
+        )}
+
+        {pattern === "coordinator" && !roles.includes("coordinator") && (
           <p className="hint">
-            {data.aggregationMode === "consensus"
-              ? "Agents vote on the best answer"
-              : data.aggregationMode === "first"
-              ? "Fastest response wins (race)"
-              : "Collect responses from all agents"}
+            The built-in Coordinator leads when it is not selected above
           </p>
-        </div>
+        )}
+
+        {pattern === "debate" && (
+          <div className="config-field">
+            <label>Rounds</label>
+            <input
+              type="number"
+              value={data.debateRounds ?? 2}
+              onChange={(e) =>
+                onUpdate({ debateRounds: parseInt(e.target.value, 10) })
+              }
+              min={1}
+              max={5}
+            />
+            <p className="hint">The first round is the opening answers</p>
+          </div>
+        )}
 
         <div className="config-field">
-          <label>Timeout (ms)</label>
+          <label>Timeout per Response (ms)</label>
           <input
             type="number"
             value={data.timeout || 30000}
@@ -70,7 +228,10 @@ function SwarmConfig({ data, onUpdate }) {
             placeholder="You are a swarm of experts solving a problem..."
             style={{ minHeight: "120px" }}
           />
-          <p className="hint">Shared instruction for all agents in the swarm</p>
+          <p className="hint">
+            Added to every agent's role prompt. Each agent's messages are in
+            the output under agents[].messages.
+          </p>
         </div>
       </div>
     </div>
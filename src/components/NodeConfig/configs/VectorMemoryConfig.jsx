@@ -4,7 +4,23 @@
  */
 import { memo } from "react";
 
+// Filters are stored as the JSON text entered; report parse errors inline
+const getFilterError = (text) => {
+  if (!text || !text.trim()) return null;
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed)
+      ? null
+      : "must be a JSON object";
+  } catch (e) {
+    return e.message;
+  }
+};
+
 function VectorMemoryConfig({ data, onUpdate }) {
+  const semanticWeight = data.semanticWeight ?? 0.7;
+  const filterError = getFilterError(data.filter);
+
   return (
     <div className="config-sections">
       <div className="config-section">
@@ -60,6 +76,44 @@ function VectorMemoryConfig({ data, onUpdate }) {
               />
               <span className="hint">{data.minScore || 0.3}</span>
             </div>
+
+            <div className="config-field">
+              <label>Semantic Weight</label>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.1"
+                value={semanticWeight}
+                onChange={(e) =>
+                  onUpdate({ semanticWeight: parseFloat(e.target.value) })
+                }
+              />
+              <span className="hint">
+                {semanticWeight} meaning /{" "}
+                {Math.round((1 - semanticWeight) * 10) / 10} keywords
+              </span>
+            </div>
+
+            <div className="config-field">
+              <label>Metadata Filter (JSON)</label>
+              <textarea
+                value={data.filter || ""}
+                onChange={(e) => onUpdate({ filter: e.target.value })}
+                placeholder='{ "source": "faq.md", "page": { "$gte": 3 } }'
+                rows={3}
+                style={{
+                  fontFamily: "monospace",
+                  fontSize: "12px",
+                  borderColor: filterError ? "var(--color-error)" : undefined,
+                }}
+              />
+              <p className="hint">
+                {filterError
+                  ? `Invalid filter: ${filterError}`
+                  : "Only search memories whose metadata matches. Operators: $ne, $gt, $gte, $lt, $lte, $in, $contains"}
+              </p>
+            </div>
           </>
         )}
       </div>
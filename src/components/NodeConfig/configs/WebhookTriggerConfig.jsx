@@ -3,8 +3,21 @@
  * Configuration panel for Webhook Trigger
  */
 import { memo } from "react";
+import useWorkflowStore from "../../../store/workflowStore";
+import {
+  RESPONSE_MODES,
+  normalizeEndpoint,
+} from "../../../services/WebhookService";
 
 function WebhookTriggerConfig({ data, onUpdate }) {
+  const nodes = useWorkflowStore((state) => state.nodes);
+  const outputNodes = nodes.filter((n) => n.type === "output");
+
+  const responseMode = data.responseMode || RESPONSE_MODES.IMMEDIATE;
+  const url = `${window.location.origin}/webhook/${normalizeEndpoint(
+    data.endpoint || "/webhook/default"
+  )}`;
+
   return (
     <div className="config-sections">
       <div className="config-section">
@@ -19,6 +32,7 @@ function WebhookTriggerConfig({ data, onUpdate }) {
             <option value="POST">POST</option>
             <option value="GET">GET</option>
             <option value="PUT">PUT</option>
+            <option value="DELETE">DELETE</option>
           </select>
         </div>
 
@@ -30,10 +44,50 @@ function WebhookTriggerConfig({ data, onUpdate }) {
             onChange={(e) => onUpdate({ endpoint: e.target.value })}
             placeholder="/webhook/my-trigger"
           />
-          <p className="hint">Relative path from server root</p>
+          <p className="hint">
+            Same-origin requests to {url} run this workflow once it is saved
+            and the app is open
+          </p>
         </div>
       </div>
 
+      <div className="config-section">
+        <div className="config-section-title">Response</div>
+
+        <div className="config-field">
+          <label>Respond With</label>
+          <select
+            value={responseMode}
+            onChange={(e) => onUpdate({ responseMode: e.target.value })}
+          >
+            <option value={RESPONSE_MODES.IMMEDIATE}>
+              202 Accepted (immediately)
+            </option>
+            <option value={RESPONSE_MODES.OUTPUT}>
+              Output node result (after run)
+            </option>
+          </select>
+        </div>
+
+        {responseMode === RESPONSE_MODES.OUTPUT && (
+          <div className="config-field">
+            <label>Output Node</label>
+            <select
+              value={data.responseNodeId || ""}
+              onChange={(e) => onUpdate({ responseNodeId: e.target.value })}
+            >
+              <option value="">First Output node</option>
+              {outputNodes.map((node) => (
+                <option key={node.id} value={node.id}>
+                  {node.data?.label || node.id}
+                </option>
+              ))}
+            </select>
+            <p className="hint">Its output becomes the response body</p>
+          </div>
+        )}
+      </div>
+
       <div className="config-section">
         <div className="config-section-title">Security</div>
 
@@ -48,6 +102,21 @@ function WebhookTriggerConfig({ data, onUpdate }) {
           </label>
           <p className="hint">Validates "Authorization" header</p>
         </div>
+
+        {data.authRequired && (
+          <div className="config-field">
+            <label>Token</label>
+            <input
+              type="password"
+              value={data.authToken || ""}
+              onChange={(e) => onUpdate({ authToken: e.target.value })}
+              placeholder="secret-token"
+            />
+            <p className="hint">
+              Send as "Authorization: Bearer &lt;token&gt;"
+            </p>
+          </div>
+        )}
       </div>
     </div>
   );
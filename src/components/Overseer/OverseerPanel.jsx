@@ -49,6 +49,7 @@ function ActionCard({ actions, isFixAction, onRevise }) {
 
     if (isPreviewing) {
       // If previewing, just commit what's there
+      overseerService.snapshotBeforeEdit();
       commitPreview();
     } else {
       // Otherwise execute normally via service (legacy path) or just set state
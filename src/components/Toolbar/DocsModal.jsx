@@ -44,12 +44,20 @@ const NAV_STRUCTURE = [
     color: "#e040fb",
     nodes: [
       "aiAgent",
+      "planner",
+      "critic",
+      "decompose",
+      "swarm",
       "vectorMemory",
+      "documentLoader",
+      "conversationMemory",
+      "semanticRouter",
       "waitForApproval",
       "subWorkflow",
       "textToSpeech",
       "imageGeneration",
       "pythonExecutor",
+      "browserTools",
     ],
   },
 ];
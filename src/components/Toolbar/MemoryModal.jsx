@@ -0,0 +1,404 @@
+/**
+ * MemoryModal Component
+ * Browse and curate vector memory outside of workflows: list namespaces,
+ * search and edit entries, preview similarity search, and export or
+ * import a namespace as JSONL
+ */
+import { memo, useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { useToastStore } from "../../store/toastStore";
+import { vectorMemoryService } from "../../services/VectorMemoryService";
+import { parseMemoryJSONL, toMemoryJSONL } from "../../utils/memoryJsonl";
+import "./Toolbar.css";
+import "./MemoryModal.css";
+
+// Rendering thousands of chunks makes the list sluggish
+const MAX_LISTED = 200;
+const PREVIEW_TOP_K = 10;
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatScore = (score) =>
+  score === null || score === undefined ? "–" : score.toFixed(2);
+
+const itemMatches = (item, term) =>
+  [item.id, item.text, JSON.stringify(item.metadata || {})].some((value) =>
+    String(value).toLowerCase().includes(term)
+  );
+
+function MemoryModal({ onClose }) {
+  const toast = useToastStore();
+  const fileInputRef = useRef(null);
+
+  const [namespaces, setNamespaces] = useState([]);
+  const [namespace, setNamespace] = useState(null);
+  const [items, setItems] = useState([]);
+  const [search, setSearch] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [importTarget, setImportTarget] = useState("");
+  const [progress, setProgress] = useState(null);
+
+  const loadNamespaces = useCallback(async () => {
+    const list = await vectorMemoryService.listNamespaces();
+    setNamespaces(list);
+    setNamespace((ns) =>
+      list.some((n) => n.namespace === ns) ? ns : list[0]?.namespace || null
+    );
+  }, []);
+
+  const loadItems = useCallback(async () => {
+    setItems(namespace ? await vectorMemoryService.getItems(namespace) : []);
+  }, [namespace]);
+
+  const refresh = useCallback(
+    () => Promise.all([loadNamespaces(), loadItems()]),
+    [loadNamespaces, loadItems]
+  );
+
+  useEffect(() => {
+    loadNamespaces().catch(console.error);
+  }, [loadNamespaces]);
+
+  useEffect(() => {
+    setSearch("");
+    setPreview(null);
+    setSelectedId(null);
+    loadItems().catch(console.error);
+  }, [loadItems]);
+
+  const selected = items.find((item) => item.id === selectedId);
+
+  // Edit a copy of the selected entry; metadata is edited as JSON text
+  useEffect(() => {
+    setDraft(
+      selected
+        ? {
+            text: selected.text,
+            metadata: JSON.stringify(selected.metadata || {}, null, 2),
+          }
+        : null
+    );
+  }, [selected]);
+
+  const filtered = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return term ? items.filter((item) => itemMatches(item, term)) : items;
+  }, [items, search]);
+
+  const handlePreview = useCallback(async () => {
+    if (!search.trim()) return;
+    try {
+      const result = await vectorMemoryService.query(
+        namespace,
+        search,
+        PREVIEW_TOP_K,
+        0
+      );
+      setPreview(result);
+    } catch (error) {
+      toast.error(`Search failed: ${error.message}`);
+    }
+  }, [namespace, search, toast]);
+
+  const handleSave = useCallback(async () => {
+    let metadata;
+    try {
+      metadata = JSON.parse(draft.metadata || "{}");
+    } catch (error) {
+      toast.error(`Invalid metadata JSON: ${error.message}`);
+      return;
+    }
+    if (!metadata || typeof metadata !== "object" || Array.isArray(metadata)) {
+      toast.error("Metadata must be a JSON object");
+      return;
+    }
+
+    try {
+      await vectorMemoryService.upsert(namespace, {
+        id: selected.id,
+        text: draft.text,
+        metadata,
+      });
+      setPreview(null);
+      await refresh();
+      toast.success("Entry saved");
+    } catch (error) {
+      toast.error(`Save failed: ${error.message}`);
+    }
+  }, [draft, namespace, selected, refresh, toast]);
+
+  const handleDelete = useCallback(
+    async (ids) => {
+      await vectorMemoryService.delete(namespace, ids);
+      setSelectedId((id) => (ids.includes(id) ? null : id));
+      setPreview(null);
+      await refresh();
+      toast.info(`Deleted ${ids.length} entr${ids.length === 1 ? "y" : "ies"}`);
+    },
+    [namespace, refresh, toast]
+  );
+
+  const handleClear = useCallback(async () => {
+    if (!window.confirm(`Delete namespace "${namespace}" and all entries?`))
+      return;
+    await vectorMemoryService.deleteNamespace(namespace);
+    await loadNamespaces();
+    toast.info(`Cleared "${namespace}"`);
+  }, [namespace, loadNamespaces, toast]);
+
+  const handleExport = useCallback(() => {
+    const blob = new Blob([toMemoryJSONL(items)], {
+      type: "application/x-ndjson",
+    });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${namespace}.jsonl`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, [items, namespace]);
+
+  // Entries are upserted by id, so importing again updates them
+  const handleImportFile = useCallback(
+    async (event) => {
+      const file = event.target.files?.[0];
+      event.target.value = "";
+      if (!file) return;
+
+      const target =
+        importTarget.trim() || file.name.replace(/\.[^.]*$/, "") || "default";
+      try {
+        const entries = parseMemoryJSONL(await file.text());
+        if (entries.length === 0) throw new Error("No entries in file");
+
+        setProgress({ done: 0, total: entries.length });
+        const result = await vectorMemoryService.upsert(target, entries, {
+          onProgress: (done, total) => setProgress({ done, total }),
+        });
+        setImportTarget("");
+        setNamespace(target);
+        await refresh();
+        toast.success(
+          `Imported into "${target}": ${result.added} added, ${result.updated} updated`
+        );
+      } catch (error) {
+        toast.error(`Import failed: ${error.message}`);
+      } finally {
+        setProgress(null);
+      }
+    },
+    [importTarget, refresh, toast]
+  );
+
+  const info = namespaces.find((n) => n.namespace === namespace);
+  const listed = preview ? preview.matches : filtered.slice(0, MAX_LISTED);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal-content mem-modal"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="modal-header">
+          <h2>🧠 Memory</h2>
+          <button className="btn-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body mem-body">
+          <div className="mem-namespaces">
+            {namespaces.length === 0 && (
+              <p className="hint">
+                No memories yet. Vector Memory and Document Loader nodes store
+                them here, or import a JSONL file.
+              </p>
+            )}
+            {namespaces.map((n) => (
+              <div
+                key={n.namespace}
+                className={`mem-item ${
+                  n.namespace === namespace ? "selected" : ""
+                }`}
+                onClick={() => setNamespace(n.namespace)}
+              >
+                <span className="mem-title">{n.namespace}</span>
+                <span className="mem-meta">
+                  {n.count} entries · {formatBytes(n.size)}
+                  {n.embedded < n.count &&
+                    ` · ${n.count - n.embedded} not embedded`}
+                </span>
+              </div>
+            ))}
+
+            <div className="mem-import">
+              <input
+                type="text"
+                value={importTarget}
+                onChange={(e) => setImportTarget(e.target.value)}
+                placeholder="Namespace (defaults to file name)"
+                disabled={!!progress}
+              />
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={!!progress}
+              >
+                {progress
+                  ? `Embedding ${progress.done}/${progress.total}`
+                  : "📥 Import JSONL"}
+              </button>
+              <input
+                type="file"
+                ref={fileInputRef}
+                accept=".jsonl,.ndjson,.txt"
+                onChange={handleImportFile}
+                style={{ display: "none" }}
+              />
+            </div>
+          </div>
+
+          <div className="mem-entries">
+            {info && (
+              <>
+                <div className="mem-actions">
+                  <input
+                    type="text"
+                    value={search}
+                    onChange={(e) => {
+                      setSearch(e.target.value);
+                      setPreview(null);
+                    }}
+                    onKeyDown={(e) => e.key === "Enter" && handlePreview()}
+                    placeholder="Filter entries, or Enter for a similarity search"
+                  />
+                  <button
+                    onClick={handlePreview}
+                    disabled={!search.trim()}
+                    title="Rank entries the way a Vector Memory query would"
+                  >
+                    🔍 Similar
+                  </button>
+                  <button onClick={handleExport} disabled={items.length === 0}>
+                    📤 Export
+                  </button>
+                  <button className="btn-danger" onClick={handleClear}>
+                    🧹 Clear
+                  </button>
+                </div>
+
+                <div className="mem-summary">
+                  {preview ? (
+                    <>
+                      Top {preview.count} by {preview.retrieval} search
+                      {preview.pendingEmbeddings > 0 &&
+                        ` (${preview.pendingEmbeddings} entries not embedded yet)`}
+                    </>
+                  ) : (
+                    <>
+                      {filtered.length} of {items.length} entries
+                      {filtered.length > MAX_LISTED &&
+                        `, first ${MAX_LISTED} shown`}
+                    </>
+                  )}
+                  {!preview && search.trim() && filtered.length > 0 && (
+                    <button
+                      className="btn-danger"
+                      onClick={() =>
+                        window.confirm(
+                          `Delete the ${filtered.length} matching entries?`
+                        ) && handleDelete(filtered.map((item) => item.id))
+                      }
+                    >
+                      🗑️ Delete matching
+                    </button>
+                  )}
+                </div>
+
+                <div className="mem-list">
+                  {listed.map((item) => (
+                    <div
+                      key={item.id}
+                      className={`mem-item ${
+                        item.id === selectedId ? "selected" : ""
+                      }`}
+                      onClick={() => setSelectedId(item.id)}
+                    >
+                      <span className="mem-title">{item.text}</span>
+                      <span className="mem-meta">
+                        {item.id}
+                        {preview &&
+                          ` · score ${formatScore(
+                            item.score
+                          )} (keyword ${formatScore(
+                            item.keywordScore
+                          )}, semantic ${formatScore(item.semanticScore)})`}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="mem-detail">
+            {selected && draft && (
+              <>
+                <div className="mem-meta">
+                  <strong>{selected.id}</strong>
+                  <br />
+                  Saved {new Date(selected.timestamp).toLocaleString()} ·{" "}
+                  {selected.embedding
+                    ? `${selected.embedding.length}-dim embedding (${selected.embeddingModel})`
+                    : "not embedded yet"}
+                </div>
+
+                <label>Text</label>
+                <textarea
+                  value={draft.text}
+                  onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+                  rows={8}
+                />
+
+                <label>Metadata (JSON)</label>
+                <textarea
+                  className="mem-json"
+                  value={draft.metadata}
+                  onChange={(e) =>
+                    setDraft({ ...draft, metadata: e.target.value })
+                  }
+                  rows={6}
+                />
+
+                <div className="mem-detail-actions">
+                  <button
+                    onClick={handleSave}
+                    disabled={!draft.text.trim()}
+                    title="Changed text is embedded again"
+                  >
+                    💾 Save
+                  </button>
+                  <button
+                    className="btn-danger"
+                    onClick={() => handleDelete([selected.id])}
+                  >
+                    🗑️ Delete
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(MemoryModal);
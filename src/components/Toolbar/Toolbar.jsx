@@ -8,11 +8,11 @@ import useExecutionStore from "../../store/executionStore";
 import { useToastStore } from "../../store/toastStore";
 import TutorialModal from "./TutorialModal";
 import DocsModal from "./DocsModal";
-import {
-  saveWorkflow,
-  exportWorkflow,
-  importWorkflow,
-} from "../../utils/serialization";
+import WorkflowSettingsModal from "./WorkflowSettingsModal";
+import VersionHistoryModal from "./VersionHistoryModal";
+import MemoryModal from "./MemoryModal";
+import { exportWorkflow, importWorkflow } from "../../utils/serialization";
+import { saveWorkflow } from "../../utils/workflowRepository";
 
 import "./Toolbar.css";
 
@@ -23,6 +23,9 @@ function Toolbar() {
   // Modal state
   const [showTutorial, setShowTutorial] = useState(false);
   const [showDocs, setShowDocs] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showVersions, setShowVersions] = useState(false);
+  const [showMemory, setShowMemory] = useState(false);
 
   // Workflow store
   const workflowName = useWorkflowStore((state) => state.workflowName);
@@ -31,6 +34,7 @@ function Toolbar() {
   const clearWorkflow = useWorkflowStore((state) => state.clearWorkflow);
   const loadWorkflow = useWorkflowStore((state) => state.loadWorkflow);
   const getWorkflowData = useWorkflowStore((state) => state.getWorkflowData);
+  const setWorkflowId = useWorkflowStore((state) => state.setWorkflowId);
 
   // Execution store
   const clearLogs = useExecutionStore((state) => state.clearLogs);
@@ -59,11 +63,17 @@ function Toolbar() {
   }, []);
 
   // Handlers
-  const handleSave = useCallback(() => {
-    const workflow = getWorkflowData();
-    saveWorkflow(workflow);
-    toast.success("Workflow saved successfully!");
-  }, [getWorkflowData, toast]);
+  const handleSave = useCallback(async () => {
+    try {
+      const workflow = getWorkflowData();
+      // Keep the assigned ID so later saves update the same entry
+      setWorkflowId(await saveWorkflow(workflow));
+      window.dispatchEvent(new CustomEvent("workflowSaved"));
+      toast.success("Workflow saved successfully!");
+    } catch (error) {
+      toast.error(`Failed to save workflow: ${error.message}`);
+    }
+  }, [getWorkflowData, setWorkflowId, toast]);
 
   const handleExport = useCallback(() => {
     const workflow = getWorkflowData();
@@ -162,6 +172,24 @@ function Toolbar() {
           📁 Manage
         </button>
 
+        <button
+          onClick={() => setShowSettings(true)}
+          title="Workflow settings"
+        >
+          ⚙️ Settings
+        </button>
+
+        <button
+          onClick={() => setShowVersions(true)}
+          title="Version history"
+        >
+          🕒 History
+        </button>
+
+        <button onClick={() => setShowMemory(true)} title="Browse memory">
+          🧠 Memory
+        </button>
+
         <button
           onClick={handleClear}
           title="Clear canvas"
@@ -183,6 +211,13 @@ function Toolbar() {
       {/* Modals */}
       {showTutorial && <TutorialModal onClose={() => setShowTutorial(false)} />}
       {showDocs && <DocsModal onClose={() => setShowDocs(false)} />}
+      {showSettings && (
+        <WorkflowSettingsModal onClose={() => setShowSettings(false)} />
+      )}
+      {showVersions && (
+        <VersionHistoryModal onClose={() => setShowVersions(false)} />
+      )}
+      {showMemory && <MemoryModal onClose={() => setShowMemory(false)} />}
     </header>
   );
 }
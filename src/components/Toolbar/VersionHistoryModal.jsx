@@ -0,0 +1,294 @@
+/**
+ * VersionHistoryModal Component
+ * Browse saved versions of the current workflow, compare two versions
+ * (or a version and the canvas) and restore one
+ */
+import { memo, useState, useEffect, useCallback, useMemo } from "react";
+import useWorkflowStore from "../../store/workflowStore";
+import { useToastStore } from "../../store/toastStore";
+import versioningService from "../../utils/versioningService";
+import { saveWorkflow } from "../../utils/workflowRepository";
+import { diffWorkflows } from "../../utils/workflowDiff";
+import "./Toolbar.css";
+import "./VersionHistoryModal.css";
+
+// Compare target meaning "what is on the canvas now"
+const CURRENT = "current";
+
+const nodeName = (node) => node.data?.label || node.type || node.id;
+
+function VersionHistoryModal({ onClose }) {
+  const workflowId = useWorkflowStore((state) => state.workflowId);
+  const nodes = useWorkflowStore((state) => state.nodes);
+  const edges = useWorkflowStore((state) => state.edges);
+  const settings = useWorkflowStore((state) => state.settings);
+  const getWorkflowData = useWorkflowStore((state) => state.getWorkflowData);
+  const loadWorkflow = useWorkflowStore((state) => state.loadWorkflow);
+  const toast = useToastStore();
+
+  const [versions, setVersions] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareTo, setCompareTo] = useState(CURRENT);
+  const [message, setMessage] = useState("");
+
+  const loadVersions = useCallback(() => {
+    if (!workflowId) return;
+    versioningService
+      .getVersions(workflowId, versioningService.maxVersions)
+      .then((list) => {
+        setVersions(list);
+        setSelectedId((id) => id || list[0]?.id || null);
+      })
+      .catch(console.error);
+  }, [workflowId]);
+
+  useEffect(() => {
+    loadVersions();
+    window.addEventListener("workflowVersionSaved", loadVersions);
+    return () =>
+      window.removeEventListener("workflowVersionSaved", loadVersions);
+  }, [loadVersions]);
+
+  const selected = versions.find((v) => v.id === selectedId);
+  const target = useMemo(
+    () =>
+      compareTo === CURRENT
+        ? { nodes, edges, settings }
+        : versions.find((v) => v.id === compareTo)?.data,
+    [compareTo, nodes, edges, settings, versions]
+  );
+
+  // Changes going from the selected version to the compare target
+  const diff = useMemo(
+    () => (selected && target ? diffWorkflows(selected.data, target) : null),
+    [selected, target]
+  );
+
+  // Node names for edge descriptions, from either side of the diff
+  const nameOf = useMemo(() => {
+    const all = [...(selected?.data.nodes || []), ...(target?.nodes || [])];
+    const names = new Map(all.map((n) => [n.id, nodeName(n)]));
+    return (id) => names.get(id) || id;
+  }, [selected, target]);
+
+  const handleSnapshot = useCallback(async () => {
+    try {
+      const workflow = getWorkflowData();
+      await versioningService.saveVersion(
+        workflow.id,
+        workflow,
+        message.trim() || "Manual snapshot"
+      );
+      setMessage("");
+      toast.success("Snapshot saved");
+    } catch (error) {
+      toast.error(`Snapshot failed: ${error.message}`);
+    }
+  }, [getWorkflowData, message, toast]);
+
+  // Keep the canvas as a version, then load and save the chosen one
+  const handleRestore = useCallback(
+    async (version) => {
+      try {
+        const current = getWorkflowData();
+        await versioningService.saveVersionIfChanged(
+          current.id,
+          current,
+          "Before restore"
+        );
+
+        const restored = { ...version.data, id: current.id };
+        loadWorkflow(restored);
+        await saveWorkflow(restored, {
+          versionMessage: `Restored version from ${new Date(
+            version.timestamp
+          ).toLocaleString()}`,
+        });
+        window.dispatchEvent(new CustomEvent("workflowSaved"));
+        toast.success("Version restored");
+      } catch (error) {
+        toast.error(`Restore failed: ${error.message}`);
+      }
+    },
+    [getWorkflowData, loadWorkflow, toast]
+  );
+
+  const handleDelete = useCallback(
+    async (versionId) => {
+      await versioningService.deleteVersion(versionId);
+      if (selectedId === versionId) setSelectedId(null);
+      if (compareTo === versionId) setCompareTo(CURRENT);
+      loadVersions();
+    },
+    [selectedId, compareTo, loadVersions]
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal-content vh-modal"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="modal-header">
+          <h2>🕒 Version History</h2>
+          <button className="btn-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body vh-body">
+          {!workflowId ? (
+            <p className="hint">
+              Save the workflow to start keeping versions. Every save, restore
+              and Overseer edit is recorded here.
+            </p>
+          ) : (
+            <>
+              <div className="vh-snapshot">
+                <input
+                  type="text"
+                  value={message}
+                  onChange={(e) => setMessage(e.target.value)}
+                  placeholder="Snapshot message (optional)"
+                />
+                <button onClick={handleSnapshot} disabled={nodes.length === 0}>
+                  📸 Snapshot
+                </button>
+              </div>
+
+              <div className="vh-layout">
+                <div className="vh-list">
+                  {versions.length === 0 && (
+                    <p className="hint">No versions yet</p>
+                  )}
+                  {versions.map((version) => (
+                    <div
+                      key={version.id}
+                      className={`vh-item ${
+                        version.id === selectedId ? "selected" : ""
+                      }`}
+                      onClick={() => setSelectedId(version.id)}
+                    >
+                      <div className="vh-item-info">
+                        <span className="vh-message">
+                          {version.message || "Version"}
+                        </span>
+                        <span className="vh-meta">
+                          {versioningService.formatTimestamp(
+                            version.timestamp
+                          )}{" "}
+                          · {version.nodeCount} nodes · {version.edgeCount}{" "}
+                          edges
+                        </span>
+                      </div>
+                      <div className="vh-item-actions">
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleRestore(version);
+                          }}
+                          title="Restore this version"
+                        >
+                          ↩
+                        </button>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleDelete(version.id);
+                          }}
+                          title="Delete this version"
+                        >
+                          🗑️
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="vh-diff">
+                  {selected && (
+                    <>
+                      <div className="vh-compare">
+                        <span>Changes since this version, compared with</span>
+                        <select
+                          value={compareTo}
+                          onChange={(e) => setCompareTo(e.target.value)}
+                        >
+                          <option value={CURRENT}>Current canvas</option>
+                          {versions
+                            .filter((v) => v.id !== selected.id)
+                            .map((v) => (
+                              <option key={v.id} value={v.id}>
+                                {v.message || "Version"} (
+                                {new Date(v.timestamp).toLocaleString()})
+                              </option>
+                            ))}
+                        </select>
+                      </div>
+
+                      {diff?.isEmpty && (
+                        <p className="hint">No differences</p>
+                      )}
+
+                      {diff && !diff.isEmpty && (
+                        <ul className="vh-changes">
+                          {diff.nodes.added.map((node) => (
+                            <li key={`+${node.id}`} className="vh-added">
+                              + Node <strong>{nodeName(node)}</strong>
+                            </li>
+                          ))}
+                          {diff.nodes.removed.map((node) => (
+                            <li key={`-${node.id}`} className="vh-removed">
+                              − Node <strong>{nodeName(node)}</strong>
+                            </li>
+                          ))}
+                          {diff.nodes.changed.map((change) => (
+                            <li key={`~${change.id}`} className="vh-changed">
+                              ~ Node <strong>{nodeName(change.after)}</strong>
+                              <span className="vh-fields">
+                                {change.fields.join(", ")}
+                              </span>
+                            </li>
+                          ))}
+                          {diff.edges.added.map((edge) => (
+                            <li key={`+${edge.id}`} className="vh-added">
+                              + Connection {nameOf(edge.source)} →{" "}
+                              {nameOf(edge.target)}
+                            </li>
+                          ))}
+                          {diff.edges.removed.map((edge) => (
+                            <li key={`-${edge.id}`} className="vh-removed">
+                              − Connection {nameOf(edge.source)} →{" "}
+                              {nameOf(edge.target)}
+                            </li>
+                          ))}
+                          {diff.settings.length > 0 && (
+                            <li className="vh-changed">
+                              ~ Settings
+                              <span className="vh-fields">
+                                {diff.settings.join(", ")}
+                              </span>
+                            </li>
+                          )}
+                        </ul>
+                      )}
+
+                      <button
+                        className="vh-restore"
+                        onClick={() => handleRestore(selected)}
+                      >
+                        ↩ Restore this version
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(VersionHistoryModal);
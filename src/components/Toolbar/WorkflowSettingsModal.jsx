@@ -0,0 +1,167 @@
+/**
+ * WorkflowSettingsModal Component
+ * Per-workflow options stored in the workflow JSON (settings)
+ */
+import { memo, useEffect, useState } from "react";
+import useWorkflowStore from "../../store/workflowStore";
+import { listWorkflows } from "../../utils/workflowRepository";
+import { LIMITS } from "../../config/appConfig";
+import "./Toolbar.css";
+
+function WorkflowSettingsModal({ onClose }) {
+  const workflowId = useWorkflowStore((state) => state.workflowId);
+  const settings = useWorkflowStore((state) => state.settings);
+  const updateSettings = useWorkflowStore((state) => state.updateSettings);
+
+  const [errorWorkflows, setErrorWorkflows] = useState([]);
+  const recording = settings.llmRecording;
+
+  // Only workflows that can handle errors are offered
+  useEffect(() => {
+    listWorkflows()
+      .then((workflows) =>
+        setErrorWorkflows(
+          workflows.filter(
+            (w) =>
+              w.id !== workflowId &&
+              (w.nodes || []).some((n) => n.type === "errorTrigger")
+          )
+        )
+      )
+      .catch(console.error);
+  }, [workflowId]);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>⚙️ Workflow Settings</h2>
+          <button className="btn-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div className="modal-body">
+          <h3>Execution</h3>
+
+          <div className="config-field">
+            <label>Branch Execution</label>
+            <select
+              value={settings.executionMode || "parallel"}
+              onChange={(e) =>
+                updateSettings({ executionMode: e.target.value })
+              }
+            >
+              <option value="parallel">Parallel</option>
+              <option value="sequential">
+                Sequential (one branch at a time)
+              </option>
+            </select>
+          </div>
+
+          {settings.executionMode !== "sequential" && (
+            <div className="config-field">
+              <label>Concurrency Limit</label>
+              <input
+                type="number"
+                min={1}
+                max={LIMITS.MAX_BRANCH_CONCURRENCY}
+                value={
+                  settings.concurrency ?? LIMITS.DEFAULT_BRANCH_CONCURRENCY
+                }
+                onChange={(e) =>
+                  updateSettings({
+                    concurrency: parseInt(e.target.value, 10) || 1,
+                  })
+                }
+              />
+              <p className="hint">
+                Maximum number of nodes running at the same time across all
+                branches
+              </p>
+            </div>
+          )}
+
+          <div className="config-field">
+            <label>When a Branch Fails</label>
+            <select
+              value={settings.onBranchError || "stopAll"}
+              onChange={(e) =>
+                updateSettings({ onBranchError: e.target.value })
+              }
+            >
+              <option value="stopAll">Cancel all other branches</option>
+              <option value="continue">Continue other branches</option>
+            </select>
+            <p className="hint">
+              With "continue", the remaining branches finish and Merge nodes
+              join what arrived; the run is still reported as failed.
+            </p>
+          </div>
+
+          <h3>AI Models</h3>
+
+          <div className="config-field">
+            <label>LLM Mode</label>
+            <select
+              value={settings.llmMode || "live"}
+              onChange={(e) => updateSettings({ llmMode: e.target.value })}
+            >
+              <option value="live">Live (call the model)</option>
+              <option value="record">Record responses</option>
+              <option value="replay">Replay recording</option>
+            </select>
+            <p className="hint">
+              Record keeps every model response of the next run in the workflow.
+              Replay answers from that recording by node, prompt and model,
+              without loading a model - for tests and demos.
+            </p>
+          </div>
+
+          {recording && (
+            <div className="config-field">
+              <label>Recording</label>
+              <p className="hint">
+                {recording.entries.length} response(s), recorded{" "}
+                {new Date(recording.recordedAt).toLocaleString()}
+              </p>
+              <button
+                className="btn-danger"
+                onClick={() => updateSettings({ llmRecording: null })}
+              >
+                Clear Recording
+              </button>
+            </div>
+          )}
+
+          <h3>Error Handling</h3>
+
+          <div className="config-field">
+            <label>Error Workflow</label>
+            <select
+              value={settings.errorWorkflowId || ""}
+              onChange={(e) =>
+                updateSettings({ errorWorkflowId: e.target.value || null })
+              }
+            >
+              <option value="">None</option>
+              {errorWorkflows.map((w) => (
+                <option key={w.id} value={w.id}>
+                  {w.name}
+                </option>
+              ))}
+            </select>
+            <p className="hint">
+              Runs the chosen workflow's Error Trigger when a node fails and no
+              Error Trigger in this workflow handles it. Only saved workflows
+              with an Error Trigger are listed.
+            </p>
+          </div>
+
+          <p className="hint">Save the workflow to apply settings.</p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(WorkflowSettingsModal);
@@ -5,11 +5,13 @@
 import { memo, useState, useEffect, useCallback } from "react";
 import useWorkflowStore from "../../store/workflowStore";
 import { useToastStore } from "../../store/toastStore";
+import {
+  listWorkflows,
+  saveWorkflow,
+  deleteWorkflow,
+} from "../../utils/workflowRepository";
 import "./WorkflowManager.css";
 
-// Storage key for workflows list
-const WORKFLOWS_STORAGE_KEY = "flownode-workflows";
-
 function WorkflowManager({ isOpen, onClose }) {
   const [workflows, setWorkflows] = useState([]);
   const [searchQuery, setSearchQuery] = useState("");
@@ -21,31 +23,39 @@ function WorkflowManager({ isOpen, onClose }) {
   const getWorkflowData = useWorkflowStore((state) => state.getWorkflowData);
   const clearWorkflow = useWorkflowStore((state) => state.clearWorkflow);
   const setWorkflowName = useWorkflowStore((state) => state.setWorkflowName);
+  const setWorkflowId = useWorkflowStore((state) => state.setWorkflowId);
+  const currentWorkflowId = useWorkflowStore((state) => state.workflowId);
   const toast = useToastStore();
 
-  // Load workflows from localStorage
+  // Load workflows from the workflow repository
   const loadWorkflowsList = useCallback(() => {
-    try {
-      const saved = localStorage.getItem(WORKFLOWS_STORAGE_KEY);
-      if (saved) {
-        setWorkflows(JSON.parse(saved));
-      }
-    } catch (error) {
-      console.error("Failed to load workflows:", error);
-    }
+    listWorkflows()
+      .then(setWorkflows)
+      .catch((error) => console.error("Failed to load workflows:", error));
   }, []);
 
   useEffect(() => {
     if (isOpen) {
-      // eslint-disable-next-line
       loadWorkflowsList();
     }
   }, [isOpen, loadWorkflowsList]);
 
-  const saveWorkflowsList = (newWorkflows) => {
-    localStorage.setItem(WORKFLOWS_STORAGE_KEY, JSON.stringify(newWorkflows));
-    setWorkflows(newWorkflows);
-  };
+  // Persist a change, refresh the list and let schedules/webhooks resync
+  const persist = useCallback(
+    async (action, successMessage) => {
+      try {
+        const result = await action();
+        window.dispatchEvent(new CustomEvent("workflowSaved"));
+        loadWorkflowsList();
+        toast.success(successMessage);
+        return result;
+      } catch (error) {
+        toast.error(`Workflow storage failed: ${error.message}`);
+        return null;
+      }
+    },
+    [loadWorkflowsList, toast]
+  );
 
   // Filter workflows by search
   const filteredWorkflows = workflows.filter((w) =>
@@ -53,57 +63,52 @@ function WorkflowManager({ isOpen, onClose }) {
   );
 
   // Save current workflow
-  const handleSaveNew = useCallback(() => {
+  const handleSaveNew = useCallback(async () => {
     const workflow = getWorkflowData();
-    const newEntry = {
-      id: Date.now().toString(),
-      name: workflow.name || "Untitled Workflow",
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      nodeCount: workflow.nodes.length,
-      data: workflow,
-    };
-
-    saveWorkflowsList([newEntry, ...workflows]);
-    toast.success(`Saved "${newEntry.name}"`);
-  }, [getWorkflowData, workflows, toast]);
+    const workflowId = await persist(
+      () => saveWorkflow(workflow),
+      `Saved "${workflow.name || "Untitled Workflow"}"`
+    );
+    if (workflowId) setWorkflowId(workflowId);
+  }, [getWorkflowData, persist, setWorkflowId]);
 
   // Load a workflow
   const handleLoad = useCallback(
     (workflow) => {
-      loadWorkflow(workflow.data);
-      setWorkflowName(workflow.name);
+      loadWorkflow(workflow);
       toast.success(`Loaded "${workflow.name}"`);
       onClose();
     },
-    [loadWorkflow, setWorkflowName, toast, onClose]
+    [loadWorkflow, toast, onClose]
   );
 
   // Delete a workflow
   const handleDelete = useCallback(
     (id) => {
       const workflow = workflows.find((w) => w.id === id);
-      const newWorkflows = workflows.filter((w) => w.id !== id);
-      saveWorkflowsList(newWorkflows);
-      toast.info(`Deleted "${workflow?.name}"`);
+      persist(() => deleteWorkflow(id), `Deleted "${workflow?.name}"`);
     },
-    [workflows, toast]
+    [workflows, persist]
   );
 
   // Duplicate a workflow
   const handleDuplicate = useCallback(
     (workflow) => {
-      const duplicate = {
-        ...workflow,
-        id: Date.now().toString(),
-        name: `${workflow.name} (Copy)`,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      };
-      saveWorkflowsList([duplicate, ...workflows]);
-      toast.success(`Duplicated "${workflow.name}"`);
+      persist(
+        () =>
+          saveWorkflow(
+            {
+              ...workflow,
+              id: null,
+              name: `${workflow.name} (Copy)`,
+              createdAt: null,
+            },
+            { versionMessage: `Duplicated from "${workflow.name}"` }
+          ),
+        `Duplicated "${workflow.name}"`
+      );
     },
-    [workflows, toast]
+    [persist]
   );
 
   // Start editing name
@@ -115,25 +120,32 @@ function WorkflowManager({ isOpen, onClose }) {
   // Save edited name
   const handleSaveName = useCallback(
     (id) => {
-      const newWorkflows = workflows.map((w) =>
-        w.id === id
-          ? { ...w, name: editName, updatedAt: new Date().toISOString() }
-          : w
-      );
-      saveWorkflowsList(newWorkflows);
+      const workflow = workflows.find((w) => w.id === id);
       setEditingId(null);
-      toast.success("Renamed workflow");
+      if (!workflow || workflow.name === editName) return;
+
+      persist(
+        () =>
+          saveWorkflow(
+            { ...workflow, name: editName },
+            { versionMessage: `Renamed from "${workflow.name}"` }
+          ),
+        "Renamed workflow"
+      );
+      if (id === currentWorkflowId) setWorkflowName(editName);
     },
-    [workflows, editName, toast]
+    [workflows, editName, persist, currentWorkflowId, setWorkflowName]
   );
 
   // Create new workflow
   const handleCreateNew = useCallback(() => {
     clearWorkflow();
+    // Unsaved until the next save, which must not overwrite the previous one
+    setWorkflowId(null);
     setWorkflowName("New Workflow");
     toast.info("Created new workflow");
     onClose();
-  }, [clearWorkflow, setWorkflowName, toast, onClose]);
+  }, [clearWorkflow, setWorkflowId, setWorkflowName, toast, onClose]);
 
   // Format date
   const formatDate = (dateStr) => {
@@ -219,7 +231,7 @@ function WorkflowManager({ isOpen, onClose }) {
                       </h3>
                     )}
                     <div className="workflow-meta">
-                      <span>{workflow.nodeCount} nodes</span>
+                      <span>{workflow.nodes?.length || 0} nodes</span>
                       <span>•</span>
                       <span>{formatDate(workflow.updatedAt)}</span>
                     </div>
@@ -43,9 +43,14 @@ export const LIMITS = {
   MAX_EDGE_SNAPSHOTS: 5,
   MAX_ARTIFACTS_DISPLAY: 100,
   MAX_LOG_ENTRIES: 1000,
+  MAX_EXECUTION_HISTORY: 200, // Stored execution records
 
   // SubWorkflow
   MAX_SUBWORKFLOW_DEPTH: 5,
+
+  // Parallel branches
+  DEFAULT_BRANCH_CONCURRENCY: 4, // Nodes running at the same time
+  MAX_BRANCH_CONCURRENCY: 16,
 };
 
 // VRAM requirements (in GB)
@@ -73,9 +78,9 @@ export const UI_CONFIG = {
 
 // Storage keys
 export const STORAGE_KEYS = {
-  WORKFLOW: "flownode-workflow",
+  WORKFLOW: "flownode-workflow", // Legacy, migrated to IndexedDB
   SELECTED_MODEL: "selectedModel",
-  WORKFLOWS: "iosans-workflows",
+  WORKFLOWS: "iosans-workflows", // Legacy, migrated to IndexedDB
   OVERSEER_SESSIONS: "overseer-sessions",
   MODEL_STATE: "model-storage",
 };
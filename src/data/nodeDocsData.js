@@ -121,13 +121,24 @@ export const NODE_DOCS = {
 - \`,\` = value list (1,3,5)
 - \`-\` = range (1-5)
 - \`/\` = step (*/5 = every 5)
+- Month and weekday names (JAN-DEC, SUN-SAT) and @hourly / @daily / @weekly / @monthly / @yearly
+
+**Scheduling:**
+Saved workflows with an enabled Schedule Trigger are registered with the scheduler when the app starts and whenever a workflow is saved. Runs missed while the tab was closed are handled by the catch-up policy:
+- \`skip\` = ignore missed runs
+- \`once\` = run once for all missed runs
+- \`all\` = replay every missed run (up to 50)
 
 **Output Schema:**
 \`\`\`javascript
 {
-  timestamp: "2024-01-15T10:30:00.000Z",
+  timestamp: "2024-01-15T10:30:02.000Z",
   trigger: "schedule",
   schedule: "*/5 * * * *",
+  timezone: "Europe/Berlin",         // null = local time
+  scheduledTime: "2024-01-15T10:30:00.000Z", // null for manual runs
+  catchUp: false,                    // true for missed runs
+  missedRuns: 3,                     // only with the "once" policy
   nextRun: "2024-01-15T10:35:00.000Z"
 }
 \`\`\`
@@ -140,6 +151,18 @@ export const NODE_DOCS = {
         desc: "When the workflow should run",
         default: "*/5 * * * *",
       },
+      {
+        name: "Timezone",
+        type: "string",
+        desc: "IANA timezone the expression is evaluated in (empty = local)",
+        default: "",
+      },
+      {
+        name: "Missed Runs",
+        type: "select",
+        desc: "Catch-up policy for runs missed while the app was closed (skip, once, all)",
+        default: "skip",
+      },
       {
         name: "Enabled",
         type: "boolean",
@@ -176,10 +199,10 @@ export const NODE_DOCS = {
     ],
 
     tips: [
-      "Schedules only run when the browser tab is open and active",
+      "Schedules only run while the app is open; use 'Missed Runs' to catch up after it was closed",
+      "Save the workflow after changing the schedule so the scheduler picks it up",
       "Use 'Enabled' toggle to pause schedules without deleting the configuration",
-      "For more reliable scheduling, consider using browser extensions or service workers",
-      "Test your CRON expression at crontab.guru before deploying",
+      "Check the next-runs preview in the config panel to verify your expression",
     ],
 
     connections: {
@@ -203,6 +226,14 @@ export const NODE_DOCS = {
 https://your-domain.com/webhook/{endpoint}
 \`\`\`
 
+**How Requests Arrive:**
+The app's service worker intercepts same-origin requests to \`/webhook/*\` (from other tabs, bookmarklets or pages on the same origin) and forwards them to an open app window. The first saved workflow whose Webhook Trigger matches the endpoint and method is run. Requests that never reach the browser (e.g. curl against the server) are not intercepted.
+
+**Responses:**
+- \`202 Accepted\` - returned immediately, the workflow runs in the background
+- Output node result - waits for the run and returns the chosen Output node's output (JSON, or text for string output)
+- \`401\` wrong token, \`404\` no matching workflow, \`500\` workflow failed, \`503\` no app window open, \`504\` timeout
+
 **Supported Methods:**
 - GET - Retrieve data, parameters in URL
 - POST - Submit data in request body (JSON)
@@ -223,8 +254,9 @@ https://your-domain.com/webhook/{endpoint}
 {
   method: "POST",
   endpoint: "/webhook/my-hook",
+  path: "/webhook/my-hook",
   headers: { "content-type": "application/json", ... },
-  body: { ...requestBody },
+  body: { ...requestBody },  // JSON, form fields or raw text
   query: { ...urlParams },
   timestamp: "..."
 }
@@ -251,6 +283,19 @@ https://your-domain.com/webhook/{endpoint}
         desc: "Require authentication token",
         default: "false",
       },
+      {
+        name: "Token",
+        type: "string",
+        desc: "Expected Authorization header value (raw or Bearer)",
+        default: "",
+      },
+      {
+        name: "Respond With",
+        type: "select",
+        desc: "Immediate 202 or the output of a chosen Output node",
+        default: "immediate",
+        options: ["immediate", "output"],
+      },
     ],
 
     examples: [
@@ -278,7 +323,8 @@ Endpoint: /webhook/stripe`,
     ],
 
     tips: [
-      "Webhooks require a publicly accessible URL - use tunneling (ngrok) for local development",
+      "Save the workflow - only saved workflows receive webhook requests",
+      "Keep an app window open; the service worker forwards requests to it",
       "Always validate incoming data before processing",
       "Use Auth Required for sensitive webhooks to prevent unauthorized access",
       "Connect to Code Executor to validate signatures or transform data",
@@ -303,22 +349,22 @@ Endpoint: /webhook/stripe`,
 1. **Watch All** - Catches errors from any node in the workflow
 2. **Specific Nodes** - Only watches selected nodes by ID
 
-**Retry Logic:**
-- Automatic retry with configurable count
-- Exponential backoff between attempts
-- Final failure triggers error output
+**When It Runs:**
+Error Triggers never start with a normal run. When a node fails after all its retries, the Error Triggers watching that node run with the failure details. If none does, the error workflow chosen under ⚙️ Settings runs instead (its Error Trigger receives the same payload).
 
 **Output Schema:**
 \`\`\`javascript
 {
-  error: {
-    message: "Network request failed",
-    nodeId: "httpRequest-abc123",
-    nodeName: "API Call",
-    stack: "Error: Network request failed\\n  at..."
-  },
-  originalInput: { ...inputThatCausedError },
-  retryAttempt: 1,
+  trigger: "error",
+  error: "Network request failed",
+  nodeId: "httpRequest-abc123",
+  nodeLabel: "API Call",
+  nodeType: "httpRequest",
+  attempts: 3,
+  input: { ...inputThatCausedError },
+  executionId: "exec_1705312200000_ab12cd34",
+  workflowId: "1705312000000",
+  workflowName: "Sync Orders",
   timestamp: "..."
 }
 \`\`\`
@@ -377,7 +423,8 @@ Retry Count: 3`,
 
     tips: [
       "Place Error Trigger anywhere in your workflow - it's not connected to the main flow",
-      "Use error.nodeId to identify which node failed",
+      "Use nodeId and nodeLabel to identify which node failed",
+      "Set a shared error workflow under ⚙️ Settings to reuse one alerting flow across workflows",
       "Combine with AI Agent to generate human-readable error summaries",
       "Log errors to Local Storage for debugging across sessions",
     ],
@@ -1426,6 +1473,12 @@ Routes:
 | wait | Waits for ALL inputs before proceeding |
 | first | Proceeds with FIRST input to arrive |
 
+**Join semantics:**
+- Branches run in parallel (see Workflow Settings → Execution)
+- In wait mode, results are ordered by input handle (input 1 first), not by arrival time
+- Branches that cannot arrive (the untaken side of an If/Else or Switch, or a failed branch when "continue other branches" is set) are not waited for
+- In first mode, later arrivals are ignored for the rest of the run
+
 **Output (wait mode):**
 \`\`\`javascript
 {
@@ -1485,6 +1538,7 @@ Trigger                       ├→ Merge → Use result
     tips: [
       "Use 'wait' mode when you need data from all branches",
       "Use 'first' mode for redundancy or timeout scenarios",
+      "Rejoining If/Else paths works in wait mode: the skipped path is not waited for",
       "Merge has 2 inputs - connect both to activate",
       "Data from both inputs is available in the merged output",
     ],
@@ -1530,6 +1584,62 @@ Trigger                       ├→ Merge → Use result
 }
 \`\`\`
 
+**Reasoning Strategies:**
+- **Direct** (default): one answer; uses connected tools (ReAct) when available
+- **Chain-of-Thought**: numbered steps followed by a final answer
+- **Tree-of-Thoughts**: scores several branches, keeps the best (beam width) and refines them for the configured depth
+- **Auto**: Tree-of-Thoughts for comparisons and decisions, ReAct when tools are connected, otherwise Chain-of-Thought
+
+Agents saved before strategies could be chosen answer directly, whatever their old setting.
+
+With a reasoning strategy the output is structured:
+\`\`\`javascript
+{
+  response: "Final answer...",
+  strategy: "tot",
+  branches: [...], selectedBranch: {...}, // ToT
+  steps: [...],                           // CoT
+  auditTrail: { strategy, input, steps, duration, success }
+}
+\`\`\`
+
+**Tool Calls:**
+Every connected tool is described to the model with its JSON-Schema parameters, e.g. a Text to Speech tool takes \`{"text": string}\`. Arguments are checked before the tool runs; missing or wrongly typed fields are sent back to the model with the expected input so it can correct the call in the next iteration. Plain text is accepted for tools with a text parameter, and quoted numbers are converted.
+
+**Streaming:**
+The answer appears in the node and in the Logs tab while it is generated. With *Stream Sentences Downstream* on, each finished sentence goes straight to Output and Text to Speech nodes connected to the agent's output: Output nodes show the text so far and speech starts with the first sentence. When the flow reaches the Text to Speech node it waits for the queued sentences instead of speaking the answer again. Applies to Direct answers (with or without tools); not used together with *Verify Answers*.
+
+**Verification (opt-in):**
+With *Verify Answers* on, a critic reviews the answer, rewrites it up to *Corrections* times and the reasoning steps are scored by the Process Reward Model. The node gains a second output: answers below *Min Confidence*, with a high hallucination risk or with declining step quality leave through **review ⚑** instead of **verified ✓**.
+\`\`\`javascript
+{
+  response: "Corrected answer...",
+  verification: {
+    confidence: 0.82,        // 70% critic score, 30% average step score
+    needsReview: false,
+    reasons: [],
+    critic: { score: 8, issues, hallucinationRisk, corrected, iterations },
+    prm: { steps: [{ stepIndex, score, flags }], aggregate, drift }
+  }
+}
+\`\`\`
+
+**Model Providers:**
+Connect a Chat Model node to the Model slot to choose where the model runs. Without one the agent uses WebLLM with its own model.
+| Provider | Runs on | Notes |
+|----------|---------|-------|
+| WebLLM | This browser (WebGPU) | Models below; downloaded once and cached |
+| OpenAI-Compatible Server | llama.cpp, Ollama, vLLM, LM Studio | Base URL such as \`http://localhost:11434/v1\`; no WebGPU needed. The server must allow the app's origin (CORS) |
+| Mock | Nothing | Scripted responses in order, or an echo of the prompt; for testing workflows |
+
+The same provider serves every model call of the node, including tool calls, reasoning strategies and verification. Swarm, Semantic Router (LLM mode), Evaluator (AI mode), Planner and Critic nodes have the same Model slot.
+
+**Memory Slot:**
+Connect a Vector Memory to retrieve relevant passages (returned as citations), or a Conversation Memory to keep the chat history of a session across runs.
+
+**Record & Replay:**
+Set *LLM Mode* in Workflow Settings to *Record* and run the workflow once: every model response is saved with the workflow, keyed by node, prompt hash and model. A run that fails or is stopped keeps the previous recording. In *Replay* mode the responses come from that recording and no model is loaded, so tests and demos give the same results on any machine. A prompt or model that was not recorded fails the node; record again after changing them.
+
 **Available Models:**
 | Model | Size | Best For |
 |-------|------|----------|
@@ -1565,6 +1675,36 @@ Trigger                       ├→ Merge → Use result
         desc: "Maximum response length in tokens",
         default: "2000",
       },
+      {
+        name: "Reasoning Strategy",
+        type: "select",
+        desc: "Direct, Chain-of-Thought, Tree-of-Thoughts or Auto",
+        default: "Direct",
+      },
+      {
+        name: "Branches / Beam Width / Depth",
+        type: "number",
+        desc: "Tree-of-Thoughts search: paths per step, paths kept per level, levels of refinement",
+        default: "3 / 2 / 1",
+      },
+      {
+        name: "Verify Answers",
+        type: "boolean",
+        desc: "Critic review, corrections and step scores; adds the review output",
+        default: "false",
+      },
+      {
+        name: "Min Confidence / Corrections",
+        type: "number",
+        desc: "Confidence below which answers go to review; max rewrite attempts",
+        default: "0.7 / 2",
+      },
+      {
+        name: "Stream Sentences Downstream",
+        type: "boolean",
+        desc: "Send each finished sentence to connected Output / Text to Speech nodes while the answer is generated",
+        default: "false",
+      },
     ],
 
     examples: [
@@ -1628,12 +1768,518 @@ Max Tokens: 400`,
     },
   },
 
+  planner: {
+    id: "planner",
+    icon: "🗺️",
+    title: "Planner",
+    category: "AI",
+    overview: `The Planner turns a goal into a structured, step-by-step plan and executes it. Steps can think, generate, compute or call tools connected to the tool slot. When a step fails the Planner replans the remaining work from what already succeeded.`,
+
+    technicalDetails: `
+**Execution Flow:**
+1. The goal is resolved (template, or the node input when empty)
+2. A JSON plan is generated - or the approved plan is used
+3. Steps run in order once their dependencies completed
+4. Failed steps are retried (Step Retries), then the unfinished steps are replanned (Max Replans)
+5. The result of the last completed step is returned
+
+**Step Actions:**
+| Action | Purpose |
+|--------|---------|
+| think / generate | Ask the model |
+| compute | Evaluate an arithmetic expression |
+| tool | Call a node connected to the tool slot, by name |
+| search / store / retrieve / validate | Built-in helpers |
+
+An input value of \`{step_1.field}\` is replaced with that field of step 1's result.
+
+**Plan Review:**
+With Plan Source set to *approved*, generate a plan in the settings panel, edit its steps, and tick *Approve this plan*. Any edit clears the approval; unapproved plans do not run.
+
+**Output Schema:**
+\`\`\`javascript
+{
+  goal: "Summarize the latest release notes",
+  success: true,
+  result: "...",           // last completed step
+  plan: { goal, steps: [{ id, action, description, status, result }] },
+  results: { 1: ..., 2: ... },
+  replans: [{ failedSteps: [{ id, action, description, error }], plan }]
+}
+\`\`\`
+    `,
+
+    config: [
+      {
+        name: "Goal",
+        type: "string",
+        desc: "What to accomplish; supports {{ }}. Empty uses the input",
+        default: "",
+      },
+      {
+        name: "Plan Source",
+        type: "select",
+        desc: "Generate a plan every run or run the approved plan",
+        default: "generate",
+        options: ["generate", "approved"],
+      },
+      {
+        name: "Max Replans",
+        type: "number",
+        desc: "Replanning attempts before the node fails",
+        default: "2",
+      },
+      {
+        name: "Step Retries",
+        type: "number",
+        desc: "Attempts per step before it counts as failed",
+        default: "1",
+      },
+    ],
+
+    examples: [
+      {
+        title: "Research Assistant",
+        description: "Fetch data with a tool, then summarize it",
+        config: `Goal: Find the current weather in {{input.city}} and suggest an outfit
+Tool slot: HTTP Request (Tool)`,
+        flow: `Manual Trigger → Planner → Output`,
+      },
+      {
+        title: "Reviewed Procedure",
+        description: "Run the same approved plan on every input",
+        config: `Plan Source: approved
+Goal: Extract the action items from the meeting notes`,
+        flow: `Webhook → Planner (approved plan) → Local Storage`,
+      },
+    ],
+
+    tips: [
+      "Give tool nodes descriptive labels - the plan refers to tools by name",
+      "Use an approved plan for repeatable procedures, generated plans for open-ended goals",
+      "Check the replans array to see why the original plan failed",
+      "Connect a Chat Model to the model slot to choose the planning model",
+    ],
+
+    connections: {
+      inputs: 1,
+      outputs: 1,
+    },
+  },
+
+  critic: {
+    id: "critic",
+    icon: "🧐",
+    title: "Critic",
+    category: "AI",
+    overview: `The Critic verifies an answer produced upstream. It reviews the answer for errors and hallucinations, rewrites it when needed, scores its reasoning steps and routes answers it is not confident about to a separate output for human review.`,
+
+    technicalDetails: `
+**Execution Flow:**
+1. The question and answer are read from the input (or the templates)
+2. A critic review scores the answer (1-10) and lists issues
+3. Flagged answers are rewritten up to *Corrections* times, then scored again
+4. The Process Reward Model scores each reasoning step (input.steps, or the paragraphs of the answer) and detects drift
+5. Confidence = 70% critic score + 30% average step score
+
+**Outputs:**
+| Output | When |
+|--------|------|
+| verified ✓ | Confidence at or above the threshold |
+| review ⚑ | Low confidence, high hallucination risk, declining step quality, or the review failed |
+
+**Output Schema:**
+\`\`\`javascript
+{
+  question: "What is the boiling point of water at altitude?",
+  response: "Corrected answer...",
+  verification: {
+    confidence: 0.64,
+    needsReview: true,
+    reasons: ["Confidence 64% is below 70%"],
+    critic: { score: 6, issues: [...], hallucinationRisk: "MEDIUM", corrected: true, iterations: 1 },
+    prm: { steps: [{ stepIndex, score, flags }], aggregate: { average, min, max }, drift: false }
+  }
+}
+\`\`\`
+    `,
+
+    config: [
+      {
+        name: "Question",
+        type: "string",
+        desc: "What the answer responds to; empty uses input.question or input.prompt",
+        default: "",
+      },
+      {
+        name: "Answer",
+        type: "string",
+        desc: "Answer to verify; empty uses input.response, input.result or the input",
+        default: "",
+      },
+      {
+        name: "Min Confidence",
+        type: "number (0-1)",
+        desc: "Answers below this go to the review output",
+        default: "0.7",
+      },
+      {
+        name: "Corrections",
+        type: "number",
+        desc: "Maximum rewrite attempts for flagged answers",
+        default: "2",
+      },
+      {
+        name: "Correct flagged answers",
+        type: "boolean",
+        desc: "Off only scores and routes the answer",
+        default: "true",
+      },
+      {
+        name: "Score reasoning steps",
+        type: "boolean",
+        desc: "Include Process Reward Model step scores",
+        default: "true",
+      },
+    ],
+
+    examples: [
+      {
+        title: "Human Review Queue",
+        description: "Only confident answers go out automatically",
+        config: `Min Confidence: 0.75`,
+        flow: `AI Agent → Critic → (verified) Output
+                      → (review) Wait for Approval`,
+      },
+      {
+        title: "Checked Plan Result",
+        description: "Verify the result of a Planner run",
+        config: `Question: {{input.goal}}
+Answer: {{input.result}}`,
+        flow: `Planner → Critic → Output`,
+      },
+    ],
+
+    tips: [
+      "Pass the question along - the critic judges answers against it",
+      "Turn off corrections to audit answers without changing them",
+      "The AI Agent has the same stage built in under Verify Answers",
+    ],
+
+    connections: {
+      inputs: 1,
+      outputs: 2,
+    },
+  },
+
+  swarm: {
+    id: "swarm",
+    icon: "🐝",
+    title: "Swarm",
+    category: "AI",
+    overview: `The Swarm runs several AI agents with different roles on the same input. Choose built-in roles (Coder, Researcher, Architect, Critic, Coordinator) or write custom roles with their own system prompts, then pick how they collaborate.`,
+
+    technicalDetails: `
+**Collaboration Patterns:**
+| Pattern | How it works |
+|---------|--------------|
+| Parallel | Every agent answers on its own; answers are aggregated by vote, first answer, or all |
+| Coordinator-led | The coordinator breaks the task down, each specialist contributes, the coordinator synthesizes |
+| Debate | Agents answer, then read the other answers and revise theirs each round; a vote picks the final answer |
+
+In a vote every agent picks the best answer by number; ties go to the earlier answer. Agents run one after another because the local model generates one response at a time. The timeout applies to each response.
+
+Without any roles the swarm uses *Agent Count* identical general agents.
+
+**Output Schema:**
+\`\`\`javascript
+{
+  result: "Final answer...",
+  pattern: "debate",
+  allResponses: [{ agentId: "coder", role: "Coder", response: "...", success: true }],
+  agents: [
+    { id: "coder", name: "Coder", emoji: "💻",
+      messages: [{ role: "user", content, phase: "answer", round: 1 },
+                 { role: "assistant", content, phase: "answer", round: 1 }] }
+  ],
+  votes: [{ agent: "critic", choice: 2 }], tally: { coder: 1, critic: 2 },
+  breakdown: "...",                  // coordinator-led
+  rounds: [{ round: 1, answers }],   // debate
+  successCount: 3, totalAgents: 3, duration: 41250
+}
+\`\`\`
+    `,
+
+    config: [
+      {
+        name: "Roles",
+        type: "multi-select",
+        desc: "Built-in agent roles to include",
+        default: "researcher, coder, critic",
+      },
+      {
+        name: "Custom Roles",
+        type: "list",
+        desc: "Agents with your own name, emoji and system prompt",
+        default: "",
+      },
+      {
+        name: "Pattern",
+        type: "select",
+        desc: "How the agents collaborate",
+        default: "parallel",
+        options: ["parallel", "coordinator", "debate"],
+      },
+      {
+        name: "Aggregation Mode",
+        type: "select",
+        desc: "Parallel only: vote, first answer or all answers",
+        default: "consensus",
+        options: ["consensus", "first", "all"],
+      },
+      {
+        name: "Rounds",
+        type: "number",
+        desc: "Debate only: rounds including the opening answers",
+        default: "2",
+      },
+      {
+        name: "Timeout per Response",
+        type: "number (ms)",
+        desc: "Longest wait for a single agent response",
+        default: "30000",
+      },
+      {
+        name: "System Prompt",
+        type: "text",
+        desc: "Shared instruction added to every role",
+        default: "",
+      },
+    ],
+
+    examples: [
+      {
+        title: "Design Review",
+        description: "Specialists contribute, the coordinator writes it up",
+        config: `Roles: Architect, Coder, Critic
+Pattern: Coordinator-led`,
+        flow: `Manual Trigger → Swarm → Output`,
+      },
+      {
+        title: "Decision Debate",
+        description: "Let opposing viewpoints argue before deciding",
+        config: `Custom Roles: Optimist, Skeptic, Pragmatist
+Pattern: Debate
+Rounds: 3`,
+        flow: `Manual Trigger → Swarm → Output`,
+      },
+    ],
+
+    tips: [
+      "Give custom roles clearly different perspectives - similar roles converge immediately",
+      "Inspect agents[].messages in the output to see how each agent reasoned",
+      "Small local models follow short, focused role prompts best",
+      "Connect a Chat Model to the model slot to run the agents on a local OpenAI-compatible server",
+    ],
+
+    connections: {
+      inputs: 1,
+      outputs: 2,
+    },
+  },
+
+  decompose: {
+    id: "decompose",
+    icon: "🌳",
+    title: "Decompose",
+    category: "AI",
+    overview: `The Decompose node splits a complex task into a tree of smaller tasks, solves each leaf with a connected AI Agent or a saved sub-workflow, and combines the results back up the tree. The output includes the full tree, which the data viewer shows as a collapsible task tree with the status and result of every task.`,
+
+    technicalDetails: `
+**Execution Flow:**
+1. The task comes from the *Task* template, or the node input
+2. Tasks longer than *Min Length to Split* are split on "and", numbered steps, "first / then / finally" or comma lists
+3. Each part is split again until it is short enough or *Max Depth* is reached
+4. Leaves run one after another through the connected AI Agent (with its own model, memory and tools) or the sub-workflow
+5. Every parent combines its subtasks' results according to *Roll Up*
+
+**Leaf Inputs:**
+| Solved with | Input |
+|-------------|-------|
+| AI Agent | The leaf task, followed by the overall task for context |
+| Sub-workflow | \`{ task, rootTask, path }\` where path is the leaf id, e.g. "root.2.1" |
+
+**Output Schema:**
+\`\`\`javascript
+{
+  task: "Research solar and wind power and write a comparison",
+  result: "## Research solar ...\\n...",   // the root's rolled-up result
+  tree: {
+    id: "root", task, status: "completed", result,
+    subtasks: [{ id: "root.1", task, status: "completed", result, subtasks: [] }]
+  },
+  progress: { total: 3, completed: 3, pending: 0, running: 0, failed: 0, percentComplete: 100 }
+}
+\`\`\`
+    `,
+
+    config: [
+      {
+        name: "Task",
+        type: "string",
+        desc: "Task to split; empty uses the node input. Supports {{ }} expressions",
+        default: "",
+      },
+      {
+        name: "Max Depth",
+        type: "number",
+        desc: "Deepest level of subtasks",
+        default: "3",
+      },
+      {
+        name: "Min Length to Split",
+        type: "number",
+        desc: "Tasks shorter than this many characters are not split",
+        default: "50",
+      },
+      {
+        name: "Solve With",
+        type: "select",
+        desc: "What runs the leaf tasks",
+        default: "agent",
+        options: ["agent", "subWorkflow"],
+      },
+      {
+        name: "Workflow",
+        type: "select",
+        desc: "Saved workflow that solves each leaf (sub-workflow only)",
+        default: "",
+      },
+      {
+        name: "Roll Up",
+        type: "select",
+        desc: "How parents combine their subtasks' results",
+        default: "join",
+        options: ["join", "list", "summarize"],
+      },
+      {
+        name: "Continue When a Leaf Fails",
+        type: "boolean",
+        desc: "Mark failed leaves and keep going instead of stopping",
+        default: "false",
+      },
+    ],
+
+    examples: [
+      {
+        title: "Research Report",
+        description: "An agent researches each part, then summarizes",
+        config: `Task: Research {{input.topic}}, list the main risks, suggest mitigations
+Roll Up: Summarize with agent`,
+        flow: `Manual Trigger → Decompose → Output
+                      ◆ Agent: AI Agent`,
+      },
+      {
+        title: "Per-Part Pipeline",
+        description: "Run a saved workflow for every leaf",
+        config: `Solve With: Sub-workflow
+Workflow: Draft and Review`,
+        flow: `Manual Trigger → Decompose → Output`,
+      },
+    ],
+
+    tips: [
+      "Write tasks as numbered steps to control exactly how they split",
+      "Check the tree in the output before tuning depth - short tasks stay whole",
+      "Summarize is useful when the final answer should read as one text",
+    ],
+
+    connections: {
+      inputs: 1,
+      outputs: 1,
+    },
+  },
+
+  browserTools: {
+    id: "browserTools",
+    icon: "🧰",
+    title: "Browser Tools",
+    category: "AI",
+    overview: `Browser Tools give an AI Agent access to browser APIs: files, the clipboard, key-value storage, HTTP requests, WebGPU information and element screenshots. Tick the tools the agent may call and connect the node to the agent's Tools slot. Tools that touch private data ask for your permission in the app before they run.`,
+
+    technicalDetails: `
+**Tools:**
+| Tool | Input | Asks first |
+|------|-------|------------|
+| Read File | \`{ types? }\` | 🔐 Yes |
+| Write File | \`{ content, filename? }\` | 🔐 Yes |
+| Read Clipboard | - | 🔐 Yes |
+| Write Clipboard | \`{ text }\` | No |
+| Get Storage | \`{ key }\` | No |
+| Set Storage | \`{ key, value }\` | No |
+| HTTP Fetch | \`{ url, method?, headers?, body? }\` | No |
+| WebGPU Info | - | No |
+| Capture Element | \`{ selector }\` | No |
+
+Each ticked tool appears to the agent as its own tool. Plain text input goes to the tool's first field, so "hello" for Write Clipboard becomes \`{ text: "hello" }\`.
+
+**Consent Prompt:**
+- *Allow once* runs the call
+- *Allow for this session* stops asking for that tool until the page reloads or the permissions are cleared
+- *Deny* fails the call; the agent is told permission was denied
+- Open prompts are denied when the run stops
+    `,
+
+    config: [
+      {
+        name: "Tools",
+        type: "multi-select",
+        desc: "Toolkit tools the agent may call",
+        default: "Write Clipboard, Get Storage, Set Storage",
+      },
+      {
+        name: "Ask Before Every Call",
+        type: "boolean",
+        desc: "Ask for every tool and every call, never remembering the answer",
+        default: "false",
+      },
+    ],
+
+    examples: [
+      {
+        title: "Clipboard Assistant",
+        description: "Rewrite whatever is on the clipboard",
+        config: `Tools: Read Clipboard, Write Clipboard`,
+        flow: `Manual Trigger → AI Agent → Output
+                  ◆ Tools: Browser Tools`,
+      },
+      {
+        title: "Agent Scratchpad",
+        description: "Let the agent keep notes between runs",
+        config: `Tools: Get Storage, Set Storage`,
+        flow: `Schedule Trigger → AI Agent → Output
+                  ◆ Tools: Browser Tools`,
+      },
+    ],
+
+    tips: [
+      "Only tick the tools the task needs - small models pick tools more reliably from a short list",
+      "File tools open the browser's file picker, so they need someone at the screen",
+      "Use Forget Session Permissions in the settings to be asked again",
+    ],
+
+    connections: {
+      inputs: 0,
+      outputs: 0,
+    },
+  },
+
   vectorMemory: {
     id: "vectorMemory",
     icon: "🧠",
     title: "Vector Memory",
     category: "AI",
-    overview: `Vector Memory stores and retrieves information using semantic similarity. It converts text into embeddings (vector representations) and finds the most relevant matches. Essential for RAG (Retrieval Augmented Generation) workflows.`,
+    overview: `Vector Memory stores and retrieves information using hybrid search. It converts text into embeddings (vector representations) with a local model and ranks matches by meaning and by keywords, so paraphrased questions still find the right passages. Essential for RAG (Retrieval Augmented Generation) workflows.`,
 
     technicalDetails: `
 **Operations:**
@@ -1643,30 +2289,38 @@ Max Tokens: 400`,
 | upsert | Add or update memory entries |
 | delete | Remove specific entries |
 
-**Embedding Process:**
-1. Text is converted to vector embeddings
-2. Vectors are stored in local IndexedDB
-3. Queries find closest vectors by cosine similarity
+**Hybrid Search:**
+1. Text is embedded locally with all-MiniLM-L6-v2 on upsert
+2. Text and embedding are stored together in IndexedDB
+3. Queries score every item by cosine similarity (meaning) and BM25 (keywords)
+4. \`score = semanticWeight × cosine + (1 − semanticWeight) × BM25\`
+
+Memories saved before embeddings were available are embedded in the background on the first query of the namespace or the next upsert; until then they are ranked by keywords, after the embedded memories. If the embedding model cannot load, search falls back to keywords (\`retrieval: "keyword"\`) and the model is not tried again for five minutes.
+
+**Metadata Filters:**
+| Filter | Matches |
+|--------|---------|
+| \`{"source": "faq.md"}\` | Equal value |
+| \`{"source": ["a.md", "b.md"]}\` | Any of the values |
+| \`{"page": {"$gte": 3, "$lt": 10}}\` | $gt, $gte, $lt, $lte, $ne, $in |
+| \`{"tags": {"$contains": "billing"}}\` | Array item or substring |
 
 **Query Output:**
 \`\`\`javascript
 {
-  results: [
-    { id: "mem_123", text: "...", score: 0.92, metadata: {...} },
-    { id: "mem_456", text: "...", score: 0.85, metadata: {...} }
+  matches: [
+    { id: "mem_123", text: "...", score: 0.82, keywordScore: 0.4,
+      semanticScore: 0.9, metadata: {...} }
   ],
-  query: "original query text",
-  namespace: "default"
+  count: 1,
+  retrieval: "hybrid", // or "keyword"
+  pendingEmbeddings: 0
 }
 \`\`\`
 
 **Upsert Output:**
 \`\`\`javascript
-{
-  id: "mem_789",
-  success: true,
-  namespace: "default"
-}
+{ status: "success", added: 1, updated: 0, total: 12, pendingEmbeddings: 0 }
 \`\`\`
     `,
 
@@ -1696,15 +2350,26 @@ Max Tokens: 400`,
         desc: "Minimum similarity threshold",
         default: "0.3",
       },
+      {
+        name: "Semantic Weight",
+        type: "number (0-1)",
+        desc: "Share of meaning (embeddings) vs keywords (BM25) in the score",
+        default: "0.7",
+      },
+      {
+        name: "Metadata Filter",
+        type: "JSON",
+        desc: "Only search memories whose metadata matches",
+        default: "(none)",
+      },
     ],
 
     examples: [
       {
         title: "Build Knowledge Base",
         description: "Store documents for later retrieval",
-        config: `Mode: upsert
-Namespace: knowledge`,
-        flow: `File System (read) → Code (split into chunks) → Loop → Vector Memory (upsert)`,
+        config: `Document Loader namespace: knowledge`,
+        flow: `File System (read) → Document Loader (chunks + stores) → Vector Memory (query)`,
       },
       {
         title: "RAG Query",
@@ -1716,8 +2381,8 @@ Min Score: 0.5`,
         flow: `Manual Trigger → Vector Memory (query) → AI Agent (answer with context)`,
       },
       {
-        title: "Conversation Memory",
-        description: "Remember past conversations",
+        title: "Searchable Exchanges",
+        description: "Keep past exchanges to search later (for chat history, use Conversation Memory)",
         config: `Mode: upsert
 Namespace: conversations`,
         flow: `After AI response → Vector Memory (upsert) // stores each exchange`,
@@ -1727,7 +2392,9 @@ Namespace: conversations`,
     tips: [
       "Use namespaces to separate different knowledge bases",
       "Higher Min Score returns fewer but more relevant results",
-      "Chunk large documents into paragraphs for better retrieval",
+      "Lower the Semantic Weight when exact terms (IDs, names) matter most",
+      "Store a source in the metadata and filter on it to search one document",
+      "Load large documents with a Document Loader so they are chunked",
       "Combine with AI Agent for powerful RAG workflows",
     ],
 
@@ -1737,6 +2404,296 @@ Namespace: conversations`,
     },
   },
 
+  documentLoader: {
+    id: "documentLoader",
+    icon: "📄",
+    title: "Document Loader",
+    category: "AI",
+    overview: `Document Loader turns files into searchable memory. It reads plain text, Markdown, HTML, CSV, JSON and the text layer of PDFs, splits the text into overlapping chunks and stores each chunk in Vector Memory with its source and position. AI Agents that retrieve these chunks return citations pointing back to them.`,
+
+    technicalDetails: `
+**Input:**
+Connect a File System (read) or HTTP Request node, or pass text directly. The format is detected from the file name, content type or content.
+
+| Format | Becomes |
+|--------|---------|
+| text, markdown | The text as is |
+| html | Readable text without tags, scripts or styles |
+| csv | One line per row: \`Header: value; Header: value\` |
+| json | One paragraph per array item |
+| pdf | The text layer, page by page (scanned PDFs need OCR) |
+
+**Chunking:**
+Each chunk is at most Chunk Size characters and ends at the first separator found in its second half (paragraph, line, sentence, word). The next chunk starts Overlap characters earlier, at a word boundary.
+
+**Chunk Metadata:**
+\`\`\`javascript
+{
+  id: "handbook.pdf#4",
+  text: "...",
+  metadata: {
+    source: "handbook.pdf", format: "pdf",
+    chunk: 4, chunkCount: 31,
+    start: 3820, end: 4790, // Offsets in the extracted text
+    page: 3                  // PDFs only
+  }
+}
+\`\`\`
+
+Chunk ids are \`source#chunk\`, and earlier chunks of the same source are replaced, so loading a document again updates it instead of duplicating it.
+
+**Citations:**
+When an AI Agent's memory slot retrieves chunks, they are numbered in its prompt and its output gets \`citations\`: \`{ index, id, label, source, chunk, page, start, end, score, text, cited }\`. \`cited\` is true when the answer mentions \`[index]\`.
+    `,
+
+    config: [
+      {
+        name: "Format",
+        type: "select",
+        desc: "Document format",
+        default: "auto",
+        options: ["auto", "text", "markdown", "html", "csv", "json", "pdf"],
+      },
+      {
+        name: "Source Name",
+        type: "string",
+        desc: "Name used in metadata and citations",
+        default: "(file name)",
+      },
+      {
+        name: "Chunk Size",
+        type: "number",
+        desc: "Maximum characters per chunk",
+        default: "1000",
+      },
+      {
+        name: "Overlap",
+        type: "number",
+        desc: "Characters repeated from the previous chunk",
+        default: "200",
+      },
+      {
+        name: "Separators",
+        type: "JSON array",
+        desc: "Where chunks may end, in order of preference",
+        default: '["\\n\\n", "\\n", ". ", " ", ""]',
+      },
+      {
+        name: "Store in Vector Memory",
+        type: "boolean",
+        desc: "Upsert the chunks into the namespace",
+        default: "true",
+      },
+      {
+        name: "Namespace",
+        type: "string",
+        desc: "Vector Memory namespace for the chunks",
+        default: "documents",
+      },
+    ],
+
+    examples: [
+      {
+        title: "Ask Questions About a PDF",
+        description: "Load a handbook, then answer with citations",
+        config: `Format: auto
+Namespace: handbook`,
+        flow: `File System (read) → Document Loader
+AI Agent ◆ Vector Memory (namespace: handbook)`,
+      },
+      {
+        title: "Index a Web Page",
+        description: "Fetch and chunk documentation",
+        config: `Source Name: {{input.url}}
+Chunk Size: 800`,
+        flow: `HTTP Request → Document Loader`,
+      },
+    ],
+
+    tips: [
+      "Smaller chunks give more precise citations; larger ones more context",
+      "Filter a Vector Memory query on source to search one document",
+      "Turn storage off to inspect the chunks before storing them",
+    ],
+
+    connections: {
+      inputs: 1,
+      outputs: 1,
+    },
+  },
+
+  conversationMemory: {
+    id: "conversationMemory",
+    icon: "💬",
+    title: "Conversation Memory",
+    category: "AI",
+    overview: `Conversation Memory gives an AI Agent a chat history that lasts across runs. Connect it to the agent's Memory slot: each run adds the question and answer to a session, and the next run in the same session sees them. When the history grows past the token budget, the connected model summarizes the older turns so long conversations still fit the model's context.`,
+
+    technicalDetails: `
+**Sessions:**
+The Session ID is resolved against the agent's input, so \`{{ $input.sessionId }}\` gives every user or chat its own history. Runs with the same id share one history; an empty id uses \`default\`. Sessions are stored in IndexedDB.
+
+**Each AI Agent Call:**
+1. The session's summary is added to the system prompt
+2. The stored messages come before the new message, as chat history (reasoning strategies and tool calls get them as a transcript in the system prompt)
+3. After the answer, the question and answer are added to the session
+
+**Summarization:**
+Tokens are estimated at about four characters each. Once the summary and stored messages pass Token Budget, every message except the last Keep Recent is folded into the summary by the agent's model, and those messages are dropped. If summarizing fails, the messages are kept and it is tried again after the next turn.
+    `,
+
+    config: [
+      {
+        name: "Session ID",
+        type: "expression",
+        desc: "Which history a run belongs to",
+        default: "{{ $input.sessionId }}",
+      },
+      {
+        name: "Token Budget",
+        type: "number",
+        desc: "Estimated tokens of history before older turns are summarized",
+        default: "1500",
+      },
+      {
+        name: "Keep Recent",
+        type: "number",
+        desc: "Latest messages kept word for word when summarizing",
+        default: "6",
+      },
+    ],
+
+    examples: [
+      {
+        title: "Chatbot With Memory",
+        description: "Answer webhook messages per user",
+        config: `Session ID: {{ $input.body.userId }}
+Token Budget: 2000`,
+        flow: `Webhook Trigger → AI Agent → Output
+AI Agent ◆ Conversation Memory`,
+      },
+    ],
+
+    tips: [
+      "Use a Vector Memory instead to search documents or facts",
+      "Keep the budget well under the model's context window, leaving room for the answer",
+      "Clear a session with a fixed id from the node's settings",
+    ],
+
+    connections: {
+      inputs: 0,
+      outputs: 0,
+    },
+  },
+
+  semanticRouter: {
+    id: "semanticRouter",
+    icon: "🧭",
+    title: "Semantic Router",
+    category: "AI",
+    overview: `Semantic Router sends its input to one of several outputs by what the text is about. Each route is an output; inputs that match no route go to the fallback route or to the last output, "Other". Routes match by keywords, by similarity to example utterances, or by asking a model.`,
+
+    technicalDetails: `
+**Classification Modes:**
+| Mode | Matches |
+|------|---------|
+| keyword | The first route with one of its keywords in the text |
+| embedding | The route whose example utterances are most similar, if it reaches the threshold |
+| llm | The route the connected Chat Model (or WebLLM) picks; examples are shown to it |
+
+**Embedding Scoring:**
+- **Centroid:** cosine similarity to the average of the route's examples
+- **k-NN:** average similarity of the route's K most similar examples
+
+Routes without examples use their keywords (or label) as a single example. Example embeddings are cached per workflow and router, so only new or changed examples are embedded on later runs.
+
+**Output:**
+The input passes through (text inputs become \`{ text }\`) with a \`routing\` field for debugging:
+\`\`\`javascript
+{
+  text: "My build fails with a null pointer",
+  routing: {
+    route: "Technical", routeId: "route-1", outputIndex: 1,
+    mode: "embedding", scoring: "centroid", threshold: 0.3,
+    fallback: false, // true when no route matched
+    scores: [
+      { id: "route-0", label: "General", score: 0.21 },
+      { id: "route-1", label: "Technical", score: 0.64 },
+      { id: "route-2", label: "Creative", score: 0.12 }
+    ]
+  }
+}
+\`\`\`
+
+Keyword scores are the share of a route's keywords found in the text; LLM mode gives no scores.
+    `,
+
+    config: [
+      {
+        name: "Classification Mode",
+        type: "select",
+        desc: "How routes are matched",
+        default: "keyword",
+        options: ["keyword", "embedding", "llm"],
+      },
+      {
+        name: "Routes",
+        type: "array",
+        desc: "Label, keywords and example utterances of each output",
+        default: "General, Technical, Creative",
+      },
+      {
+        name: "Scoring",
+        type: "select",
+        desc: "Embedding mode: compare with the examples' centroid or the K nearest",
+        default: "centroid",
+        options: ["centroid", "knn"],
+      },
+      {
+        name: "K",
+        type: "number",
+        desc: "Examples averaged by k-NN scoring",
+        default: "3",
+      },
+      {
+        name: "Threshold",
+        type: "number",
+        desc: "Embedding mode: minimum score for a route to match",
+        default: "0.3",
+      },
+      {
+        name: "Fallback Route",
+        type: "select",
+        desc: "Route for inputs that match none",
+        default: "Other output",
+      },
+    ],
+
+    examples: [
+      {
+        title: "Support Triage",
+        description: "Send tickets to the right agent",
+        config: `Classification Mode: embedding
+Technical examples: "The app crashes on start", "I get a 500 error"
+Billing examples: "I was charged twice", "How do I get a refund?"
+Fallback Route: Technical`,
+        flow: `Webhook Trigger → Semantic Router → AI Agent (per route)`,
+      },
+    ],
+
+    tips: [
+      "Give each route several varied examples; k-NN suits routes that cover different kinds of request",
+      "Check routing.scores in the output to tune the threshold",
+      "Use keyword mode for fixed commands and LLM mode when routes are hard to describe by example",
+    ],
+
+    connections: {
+      inputs: 1,
+      outputs: 4,
+      outputLabels: ["General", "Technical", "Creative", "Other"],
+    },
+  },
+
   waitForApproval: {
     id: "waitForApproval",
     icon: "✋",
@@ -1853,22 +2810,39 @@ Subject: {{input.subject}}
 
     technicalDetails: `
 **Execution:**
-1. Current workflow pauses
-2. Selected sub-workflow executes with input
-3. Sub-workflow output becomes this node's output
+1. Current workflow waits on this node
+2. The sub-workflow runs in its own nested engine from its Manual Trigger, with full branching, loops, merges, retries and AI resources
+3. The designated output node's result becomes this node's output
 4. Parent workflow continues
 
-**Input Passing:**
-- If "Pass Input" enabled: full input passed to sub-workflow
-- Sub-workflow receives data at its trigger node
+A failing sub-workflow fails this node, so retries, Error Triggers and error workflows apply. Sub-workflows may nest up to 5 levels and cannot call themselves.
+
+**Typed Inputs:**
+- The sub-workflow's Manual Trigger input fields are its input schema
+- Input keys matching a field name are converted to the field type; missing fields use their default value
+- Fields marked "Required" must be provided, otherwise this node fails with the validation errors
+- The trigger passes the validated input on as \`data\`
+
+**Output Node:**
+- Chosen in the sub-workflow's Manual Trigger ("Sub-Workflow Output")
+- Without one, the last node that completed is used
+
+**Logs & History:**
+- Sub-workflow logs appear indented under this node in the Logs tab
+- The History tab shows the nested run (its nodes, inputs and outputs) under this node
 
 **Output:**
 \`\`\`javascript
 {
   subWorkflowId: "wf_abc123",
   subWorkflowName: "Process Data",
-  result: { ...subWorkflowOutput },
-  duration: 1.5
+  executionId: "exec_...",
+  result: { ...outputNodeResult },
+  outputNodeId: "node_5",
+  allResults: { node_2: {...}, node_5: {...} },
+  nodesExecuted: 4,
+  duration: 1500,
+  success: true
 }
 \`\`\`
     `,
@@ -3,26 +3,69 @@
  * Traverses and executes workflow graphs with full branching and loop support
  */
 import { executeNode } from "./NodeExecutors";
+import browserToolkit from "./tools/BrowserToolkit";
+import { getToolContract } from "../utils/toolContracts";
 import { findTriggerNodes } from "../utils/validation";
+import { getWorkflow } from "../utils/workflowRepository";
+import { saveExecution, getExecution } from "../utils/executionHistory";
+import { canPinNode } from "../utils/pinnedData";
+import { createLLMRecorder } from "../utils/llmRecording";
+import {
+  getWorkflowInterface,
+  applyInputSchema,
+} from "../utils/workflowInterface";
+import { LIMITS } from "../config/appConfig";
 
 class ExecutionEngine {
   constructor() {
     this.isRunning = false;
     this.isPaused = false;
     this.debugMode = false;
+    this.usePinnedData = true;
     this.stepResolve = null;
     this.abortController = null;
     this.executedNodes = new Set();
-    // Track pending results for merge nodes (sync barrier)
-    this.pendingMerge = new Map(); // nodeId -> { expected: number, results: array }
+    // Track arrivals for merge nodes (sync barrier)
+    this.pendingMerge = new Map(); // nodeId -> { arrivals, fired }
+    // Edges that cannot carry data this run (untaken branches, failed nodes)
+    this.deadEdges = new Set();
+    // Branch scheduling (from workflow settings)
+    this.executionMode = "parallel";
+    this.onBranchError = "stopAll";
+    this.maxConcurrency = LIMITS.DEFAULT_BRANCH_CONCURRENCY;
+    this.activeSlots = 0;
+    this.slotQueue = [];
+    this.branchFailures = [];
+    // Sub-workflow runs: engine that called this one (null at top level)
+    this.parent = null;
+    this.depth = 0;
+    this.detached = false;
+    this.subExecutions = new Map(); // calling nodeId -> nested record
+    // Sentences streamed to Text to Speech nodes: nodeId -> { queue, segments, error }
+    this.speechStreams = new Map();
+    // Records or replays model calls (null when the model is called live)
+    this.llmRecorder = null;
   }
 
   /**
    * Execute a workflow
    */
   async execute(nodes, edges, stores, initialData = {}, options = {}) {
-    const { executionStore, workflowStore } = stores;
-    const { debug = false } = options;
+    const { workflowStore } = stores;
+    // workflow: saved metadata ({ id, name, settings }) of the graph being run
+    // resumeFrom: { record, nodeId } to continue a recorded execution
+    // usePinnedData: reuse pinned node outputs (off for unattended runs)
+    // llmMode / llmRecording: "live", "record" or "replay" model calls and
+    // the recording to replay (default from the workflow settings)
+    const {
+      debug = false,
+      triggerNodeId = null,
+      workflow = null,
+      resumeFrom = null,
+      usePinnedData = true,
+      llmMode = workflow?.settings?.llmMode,
+      llmRecording = workflow?.settings?.llmRecording,
+    } = options;
 
     if (this.isRunning) {
       throw new Error("Workflow is already running");
@@ -31,46 +74,107 @@ class ExecutionEngine {
     this.isRunning = true;
     this.isPaused = false;
     this.debugMode = debug;
+    this.usePinnedData = usePinnedData;
     this.abortController = new AbortController();
     this.executedNodes = new Set();
+    this.pendingMerge = new Map();
+    this.deadEdges = new Set();
+    this.branchFailures = [];
+    this.subExecutions = new Map();
+    this.speechStreams = new Map();
+    this.configureBranching(workflow?.settings);
+    // Sub-workflows share the recording of the top-level run
+    this.llmRecorder = this.parent
+      ? this.parent.llmRecorder
+      : this.configureLLMRecording(llmMode, llmRecording);
     this.executionId = `exec_${Date.now()}_${crypto.randomUUID().slice(0, 8)}`;
 
+    // Record saved to execution history when the run ends
+    this.record = {
+      executionId: this.executionId,
+      workflowId: workflow?.id || null,
+      workflowName: workflow?.name || "Untitled Workflow",
+      status: "running",
+      startTime: Date.now(),
+      endTime: null,
+      duration: null,
+      triggerNodeId,
+      triggerInput: this.snapshotData(initialData),
+      graph: this.snapshotData({ nodes, edges }),
+      nodes: {}, // nodeId -> { label, type, input, output, timings, ... }
+      resumedFrom: resumeFrom?.record.executionId || null,
+      parentExecutionId: this.parent?.executionId || null,
+      logs: [],
+      artifacts: [],
+      error: null,
+    };
+    const executionStore = this.createRecordingStore(stores.executionStore);
+
     // Store references for graph traversal
     this.nodes = nodes;
     this.edges = edges;
     this.nodeMap = new Map(nodes.map((n) => [n.id, n]));
     this.executionStore = executionStore;
     this.workflowStore = workflowStore;
+    this.workflow = workflow;
 
     executionStore.startExecution();
 
+    if (this.llmRecorder && !this.parent) {
+      executionStore.addLog({
+        type: "info",
+        message:
+          this.llmRecorder.mode === "record"
+            ? "📼 Recording model responses"
+            : `📼 Replaying ${
+                llmRecording?.entries?.length || 0
+              } recorded model response(s)`,
+      });
+    }
+
     try {
-      // Find trigger nodes
-      const triggers = findTriggerNodes(nodes);
+      const results = [];
+
+      if (resumeFrom) {
+        results.push(
+          await this.resumeFromRecord(resumeFrom.record, resumeFrom.nodeId)
+        );
+      } else {
+        // Find trigger nodes (or only the requested one, e.g. a due schedule).
+        // Error Triggers only start when a node fails.
+        const triggers = triggerNodeId
+          ? nodes.filter((n) => n.id === triggerNodeId)
+          : findTriggerNodes(nodes).filter((n) => n.type !== "errorTrigger");
+
+        if (triggers.length === 0) {
+          executionStore.addLog({
+            type: "error",
+            message:
+              "No trigger node found. Add a trigger to start the workflow.",
+          });
+          throw new Error("No trigger node found");
+        }
 
-      if (triggers.length === 0) {
         executionStore.addLog({
-          type: "error",
-          message:
-            "No trigger node found. Add a trigger to start the workflow.",
+          type: "info",
+          message: `Starting workflow${debug ? " (debug mode)" : ""} with ${
+            triggers.length
+          } trigger(s)`,
         });
-        throw new Error("No trigger node found");
-      }
 
-      executionStore.addLog({
-        type: "info",
-        message: `Starting workflow${debug ? " (debug mode)" : ""} with ${
-          triggers.length
-        } trigger(s)`,
-      });
+        // Execute from each trigger
+        for (const trigger of triggers) {
+          const result = await this.executeFromNode(trigger.id, initialData);
+          results.push(result);
+        }
+      }
 
-      // Execute from each trigger
-      const results = [];
-      for (const trigger of triggers) {
-        const result = await this.executeFromNode(trigger.id, initialData);
-        results.push(result);
+      // Branches that failed while others continued still fail the run
+      if (this.branchFailures.length > 0) {
+        throw this.branchFailures[0];
       }
 
+      this.finishLLMRecording(true);
       executionStore.stopExecution();
       executionStore.addLog({
         type: "success",
@@ -78,22 +182,402 @@ class ExecutionEngine {
       });
 
       this.isRunning = false;
+      this.saveRecord("success");
       return { success: true, results };
     } catch (error) {
       executionStore.addLog({
         type: "error",
         message: `Workflow failed: ${error.message}`,
       });
+
+      // Route node failures into error handlers (not user stops)
+      let errorHandled = false;
+      if (error.nodeFailure && !this.abortController?.signal.aborted) {
+        errorHandled = await this.runErrorHandlers(error.nodeFailure);
+      }
+
+      this.finishLLMRecording(false);
       executionStore.stopExecution();
       this.isRunning = false;
-      return { success: false, error: error.message };
+      this.saveRecord(
+        this.abortController?.signal.aborted ? "stopped" : "error",
+        { error: error.message, errorHandled }
+      );
+      return { success: false, error: error.message, errorHandled };
+    }
+  }
+
+  /**
+   * Run a recorded execution again with its original trigger input.
+   * With fromNodeId only that node and everything downstream of it run
+   * ("Retry from here"); all other nodes reuse their recorded outputs.
+   */
+  async rerunExecution(executionId, stores, { fromNodeId = null } = {}) {
+    const record = await getExecution(executionId);
+    if (!record?.graph) {
+      throw new Error(`Execution ${executionId} not found in history`);
+    }
+
+    const saved = await getWorkflow(record.workflowId);
+
+    return this.execute(
+      record.graph.nodes,
+      record.graph.edges,
+      stores,
+      record.triggerInput || {},
+      {
+        triggerNodeId: record.triggerNodeId,
+        workflow: saved || { id: record.workflowId, name: record.workflowName },
+        resumeFrom: fromNodeId ? { record, nodeId: fromNodeId } : null,
+      }
+    );
+  }
+
+  /**
+   * Restore recorded outputs of a past execution and continue from a node.
+   * Branches elsewhere that were cancelled or never started (a failing
+   * sibling stops them) run again too, from the recorded output that fed
+   * them, so merges after them don't continue without them.
+   */
+  async resumeFromRecord(record, nodeId) {
+    const entry = record.nodes?.[nodeId];
+    if (!entry || !this.nodeMap.has(nodeId)) {
+      throw new Error(`Node ${nodeId} did not run in ${record.executionId}`);
+    }
+
+    const downstream = this.getDownstreamNodeIds(nodeId);
+
+    // Whether an edge carried its source's recorded output
+    const delivered = (edge) => {
+      const source = record.nodes[edge.source];
+      return (
+        source?.success &&
+        (source.outputIndex === undefined ||
+          edge.sourceHandle === `output-${source.outputIndex}`)
+      );
+    };
+
+    // Edges from a finished node into one that did not finish; merges are
+    // fed below instead of being started once per edge
+    const resumed = [];
+    for (const node of this.nodes) {
+      if (downstream.has(node.id) || record.nodes[node.id]?.success) continue;
+      for (const edge of this.getIncomingFlowEdges(node.id)) {
+        if (!downstream.has(edge.source) && delivered(edge)) {
+          resumed.push(edge);
+        }
+      }
+    }
+
+    // Nodes that run again in this execution
+    const live = new Set(downstream);
+    for (const edge of resumed) {
+      for (const id of this.getDownstreamNodeIds(edge.target)) live.add(id);
+    }
+
+    // Everything that is not re-run keeps its recorded output
+    let restoredCount = 0;
+    for (const [id, recorded] of Object.entries(record.nodes)) {
+      if (live.has(id) || !recorded.success) continue;
+      this.record.nodes[id] = { ...recorded, restored: true };
+      this.executionStore.setNodeResult(id, {
+        success: true,
+        output: recorded.output,
+        executionTime: 0,
+        restored: true,
+      });
+      restoredCount++;
+    }
+
+    // Merge nodes that are re-run still wait for branches that are not,
+    // so feed them the recorded outputs of those branches up front and
+    // treat branches that did not deliver as dead
+    const starts = [
+      // A merge node re-runs with the branch inputs it originally joined
+      {
+        target: nodeId,
+        input: entry.input,
+        joined: this.nodeMap.get(nodeId).type === "merge",
+      },
+    ];
+    for (const mergeId of live) {
+      const merge = this.nodeMap.get(mergeId);
+      if (mergeId === nodeId || merge?.type !== "merge") continue;
+
+      const state = this.getMergeState(mergeId);
+      for (const edge of this.getIncomingFlowEdges(mergeId)) {
+        if (live.has(edge.source)) continue;
+        if (delivered(edge)) {
+          state.arrivals.set(edge.id, record.nodes[edge.source].output);
+        } else {
+          this.deadEdges.add(edge.id);
+        }
+      }
+
+      // Nothing re-run leads here: join what was recorded now
+      const join = this.resolveMerge(mergeId);
+      if (join.ready) {
+        starts.push({ target: mergeId, input: join.input, joined: true });
+      }
+    }
+    for (const edge of resumed) {
+      if (this.nodeMap.get(edge.target)?.type === "merge") continue;
+      starts.push({
+        target: edge.target,
+        input: record.nodes[edge.source].output,
+        edge,
+      });
+    }
+
+    this.executionStore.addLog({
+      type: "info",
+      message: `Retrying from "${entry.label}" (${restoredCount} recorded output(s) reused from ${record.executionId}${
+        starts.length > 1
+          ? `, ${starts.length - 1} unfinished branch(es) run again`
+          : ""
+      })`,
+    });
+
+    const results = await this.runBranches(
+      starts,
+      this.abortController?.signal,
+      (start, signal) =>
+        this.executeFromNode(start.target, start.input, new Set(), {
+          signal,
+          edge: start.edge || null,
+          joined: start.joined,
+        })
+    );
+    return results[0];
+  }
+
+  /**
+   * Collect a node and every node reachable from it
+   * @param {string} stopAt - Optional node the search does not enter
+   * (the loop node when collecting a loop body)
+   */
+  getDownstreamNodeIds(nodeId, stopAt = null) {
+    const reached = new Set([nodeId]);
+    const queue = [nodeId];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const edge of this.edges) {
+        if (
+          edge.source === current &&
+          edge.target !== stopAt &&
+          !reached.has(edge.target)
+        ) {
+          reached.add(edge.target);
+          queue.push(edge.target);
+        }
+      }
+    }
+
+    return reached;
+  }
+
+  /**
+   * Wrap the execution store so logs and artifacts also land in the record
+   */
+  createRecordingStore(executionStore) {
+    return {
+      ...executionStore,
+      addLog: (log) => {
+        executionStore.addLog(log);
+        if (this.record.logs.length < LIMITS.MAX_LOG_ENTRIES) {
+          this.record.logs.push({
+            timestamp: new Date().toISOString(),
+            ...log,
+            data:
+              log.data === undefined
+                ? undefined
+                : this.snapshotData(log.data),
+          });
+        }
+      },
+      addArtifact: (artifact) => {
+        executionStore.addArtifact(artifact);
+        this.record.artifacts.push({
+          id: artifact.id,
+          nodeId: artifact.nodeId,
+          name: artifact.name,
+          type: artifact.type,
+        });
+      },
+    };
+  }
+
+  /**
+   * Store a node run in the execution record (last run wins, runs counted)
+   */
+  recordNode(node, entry) {
+    const previous = this.record.nodes[node.id];
+    this.record.nodes[node.id] = {
+      label: node.data?.label || node.type,
+      type: node.type,
+      runs: (previous?.runs || 0) + 1,
+      ...entry,
+      input: this.snapshotData(entry.input),
+      output: this.snapshotData(entry.output),
+      subExecution: this.subExecutions.get(node.id),
+    };
+    this.subExecutions.delete(node.id);
+  }
+
+  /**
+   * Persist the execution record to IndexedDB (fire and forget)
+   */
+  saveRecord(status, extra = {}) {
+    const endTime = Date.now();
+    const record = {
+      ...this.record,
+      ...extra,
+      status,
+      endTime,
+      duration: endTime - this.record.startTime,
+    };
+
+    // Awaited sub-workflow runs are stored inside the caller's record
+    if (this.parent && !this.detached) {
+      this.finalRecord = record;
+      return;
+    }
+
+    saveExecution(record)
+      .then(() =>
+        window.dispatchEvent(
+          new CustomEvent("executionRecorded", {
+            detail: { executionId: record.executionId },
+          })
+        )
+      )
+      .catch((error) =>
+        console.error("Failed to save execution history:", error)
+      );
+  }
+
+  /**
+   * Run error handlers for a failed node: the workflow's own Error Triggers
+   * watching that node, otherwise the error workflow set in its settings
+   * @returns {Promise<boolean>} Whether any handler ran
+   */
+  async runErrorHandlers(failure) {
+    const payload = {
+      ...failure,
+      executionId: this.executionId,
+      workflowId: this.workflow?.id || null,
+      workflowName: this.workflow?.name || null,
+      timestamp: new Date().toISOString(),
+    };
+
+    const watchesNode = (handler) =>
+      handler.data?.watchAll !== false ||
+      (handler.data?.specificNodes || []).includes(failure.nodeId);
+
+    const localHandlers = this.nodes.filter(
+      (n) => n.type === "errorTrigger" && watchesNode(n)
+    );
+
+    if (localHandlers.length > 0) {
+      await this.runErrorTriggers(localHandlers, payload);
+      return true;
+    }
+
+    const errorWorkflowId = this.workflow?.settings?.errorWorkflowId;
+    if (!errorWorkflowId || errorWorkflowId === this.workflow?.id) {
+      return false;
+    }
+
+    const errorWorkflow = await getWorkflow(errorWorkflowId).catch(() => null);
+    const handlers = (errorWorkflow?.nodes || []).filter(
+      (n) => n.type === "errorTrigger"
+    );
+
+    if (handlers.length === 0) {
+      this.executionStore.addLog({
+        type: "warning",
+        message: errorWorkflow
+          ? `Error workflow "${errorWorkflow.name}" has no Error Trigger`
+          : `Error workflow ${errorWorkflowId} not found`,
+      });
+      return false;
+    }
+
+    this.executionStore.addLog({
+      type: "info",
+      message: `Running error workflow "${errorWorkflow.name}"`,
+    });
+
+    // Temporarily swap in the error workflow's graph
+    const previous = { nodes: this.nodes, edges: this.edges };
+    this.nodes = errorWorkflow.nodes;
+    this.edges = errorWorkflow.edges || [];
+    this.nodeMap = new Map(this.nodes.map((n) => [n.id, n]));
+
+    try {
+      await this.runErrorTriggers(handlers, payload);
+    } finally {
+      this.nodes = previous.nodes;
+      this.edges = previous.edges;
+      this.nodeMap = new Map(this.nodes.map((n) => [n.id, n]));
+    }
+
+    return true;
+  }
+
+  /**
+   * Execute Error Trigger nodes; failures inside handlers are logged, not re-routed
+   */
+  async runErrorTriggers(handlers, payload) {
+    for (const handler of handlers) {
+      try {
+        await this.executeFromNode(handler.id, payload);
+      } catch (error) {
+        this.executionStore.addLog({
+          type: "error",
+          nodeId: handler.id,
+          nodeName: handler.data?.label || "Error Trigger",
+          message: `Error handler failed: ${error.message}`,
+        });
+      }
     }
   }
 
   /**
    * Execute from a specific node and follow edges
+   * @param {Object} branch - { signal, edge, joined }: abort signal of the
+   * branch being run, the edge it arrived through (for merge joins) and
+   * whether the input is an already joined merge input
    */
-  async executeFromNode(nodeId, inputData, visited = new Set()) {
+  async executeFromNode(nodeId, inputData, visited = new Set(), branch = {}) {
+    const {
+      signal = this.abortController?.signal,
+      edge = null,
+      joined = false,
+    } = branch;
+
+    // Check if aborted
+    if (signal?.aborted) {
+      throw this.getAbortError(signal);
+    }
+
+    const node = this.nodeMap.get(nodeId);
+    if (!node) {
+      return { success: false, error: `Node ${nodeId} not found` };
+    }
+
+    // MERGE NODE SYNC BARRIER
+    // Wait until every incoming branch has either arrived or can no longer
+    // arrive (untaken if/else path, failed branch)
+    if (node.type === "merge" && !joined) {
+      const join = this.joinMerge(node, edge, inputData);
+      if (!join.ready) {
+        return { success: true, output: inputData, waiting: true };
+      }
+      inputData = join.input;
+    }
+
     // Prevent infinite loops - use hash of input for more unique keys
     const inputHash =
       typeof inputData === "object" && inputData !== null
@@ -107,11 +591,6 @@ class ExecutionEngine {
     }
     visited.add(visitKey);
 
-    // Check if aborted
-    if (this.abortController?.signal.aborted) {
-      throw new Error("Workflow was stopped");
-    }
-
     // Wait if paused
     await this.waitIfPaused();
 
@@ -120,54 +599,6 @@ class ExecutionEngine {
       await this.waitForStep();
     }
 
-    const node = this.nodeMap.get(nodeId);
-    if (!node) {
-      return { success: false, error: `Node ${nodeId} not found` };
-    }
-
-    // MERGE NODE SYNC BARRIER
-    // If this is a merge node in "wait" mode, wait for all incoming branches
-    if (node.type === "merge" && node.data?.mode !== "first") {
-      const incomingEdges = this.edges.filter((e) => e.target === nodeId);
-      const expectedCount = incomingEdges.length;
-
-      if (expectedCount > 1) {
-        // Initialize pending merge tracker if needed
-        if (!this.pendingMerge.has(nodeId)) {
-          this.pendingMerge.set(nodeId, {
-            expected: expectedCount,
-            results: [],
-          });
-        }
-
-        const pending = this.pendingMerge.get(nodeId);
-        pending.results.push(inputData);
-
-        // If not all branches arrived yet, skip execution
-        if (pending.results.length < pending.expected) {
-          this.executionStore.addLog({
-            type: "info",
-            nodeId,
-            nodeName: node.data?.label || "Merge",
-            message: `⏳ Waiting for ${
-              pending.expected - pending.results.length
-            } more branch(es)`,
-          });
-          return { success: true, output: inputData, waiting: true };
-        }
-
-        // All branches arrived - merge the results and continue
-        inputData = pending.results;
-        this.pendingMerge.delete(nodeId); // Clear for next execution
-        this.executionStore.addLog({
-          type: "info",
-          nodeId,
-          nodeName: node.data?.label || "Merge",
-          message: `✅ All ${expectedCount} branches arrived - merging`,
-        });
-      }
-    }
-
     // Mark as executing
     this.executionStore.setCurrentNode(nodeId);
     this.executionStore.addLog({
@@ -177,8 +608,24 @@ class ExecutionEngine {
       message: `Executing ${node.data?.label || node.type}`,
     });
 
-    // For AI Agent nodes, detect connected resources and tools
-    if (node.type === "aiAgent") {
+    // Pinned nodes reuse the output stored in the workflow
+    const pinned =
+      this.usePinnedData && canPinNode(node.type) && node.data?.pinnedData;
+
+    // For AI Agent, Planner, Critic, Decompose and the other model-driven
+    // nodes, detect connected resources and tools
+    if (
+      [
+        "aiAgent",
+        "planner",
+        "critic",
+        "decompose",
+        "swarm",
+        "semanticRouter",
+        "evaluator",
+      ].includes(node.type) &&
+      !pinned
+    ) {
       // Get resources connected via diamond handles (model-slot, memory-slot, tool-slot)
       const connectedResources = this.getConnectedResources(nodeId);
 
@@ -191,11 +638,11 @@ class ExecutionEngine {
         this.executionStore.addLog({
           type: "info",
           nodeId,
-          nodeName: node.data?.label || "AI Agent",
+          nodeName: node.data?.label || node.type,
           message: `Using connected model: ${
             connectedResources.model.modelName ||
             connectedResources.model.modelId ||
-            "WebLLM"
+            connectedResources.model.provider
           }`,
         });
       }
@@ -209,13 +656,18 @@ class ExecutionEngine {
           type: "info",
           nodeId,
           nodeName: node.data?.label || "AI Agent",
-          message: `Using connected memory: ${connectedResources.memory.namespace}`,
+          message: `Using connected memory: ${
+            connectedResources.memory.namespace || "conversation history"
+          }`,
         });
       }
 
       // Combine tools from outgoing edges AND tool-slot connections
       if (node.data?.enableToolCalling !== false) {
-        const outgoingTools = this.getConnectedTools(nodeId);
+        // Planner steps only call tools on the tool slot, its outgoing
+        // edges are the regular flow
+        const outgoingTools =
+          node.type === "aiAgent" ? this.getConnectedTools(nodeId) : [];
         const allTools = [...connectedResources.tools, ...outgoingTools];
 
         if (allTools.length > 0) {
@@ -259,6 +711,8 @@ class ExecutionEngine {
     const context = {
       nodeId,
       executionId: this.executionId,
+      // Key for per-workflow caches (Semantic Router embeddings)
+      workflowId: this.workflow?.id || null,
       nodes: this.nodes,
       edges: this.edges,
       executionStore: this.executionStore,
@@ -267,6 +721,33 @@ class ExecutionEngine {
       loopState: (node.type === "loop" && this.loopStates?.get(nodeId)) || null,
       // Allow nodes to update their own data (e.g., Output node to set lastOutput)
       updateNodeData: (data) => this.workflowStore?.updateNode(nodeId, data),
+      // Resources on another node's slots (Decompose runs its agent)
+      getConnectedResources: (id) => this.getConnectedResources(id),
+      // Live text of an AI node while it generates
+      streamText: (text) =>
+        this.executionStore.setNodeStream?.(nodeId, {
+          text,
+          nodeName: node.data?.label || node.type,
+        }),
+      // Complete sentences for the Output / Text to Speech nodes after it
+      streamSentence: (sentence, text) =>
+        this.streamDownstream(node, sentence, text, signal),
+      // Route the node's model calls through the run's recorder
+      wrapLLM: (llm) =>
+        this.llmRecorder
+          ? this.llmRecorder.wrap(
+              llm,
+              this.parent ? `${this.workflow?.id}/${nodeId}` : nodeId
+            )
+          : llm,
+      // Run another workflow in a nested engine (Sub-Workflow node)
+      runSubWorkflow: (workflow, input, options = {}) =>
+        this.runSubWorkflow(workflow, input, {
+          ...options,
+          node,
+          signal,
+          heartbeat: () => context.heartbeat?.(),
+        }),
     };
 
     // Get retry settings from node config
@@ -275,71 +756,157 @@ class ExecutionEngine {
     const retryDelay = node.data?.retryDelay || 1000;
     const isAINode =
       node.type === "aiAgent" ||
+      node.type === "planner" ||
+      node.type === "critic" ||
+      node.type === "swarm" ||
+      node.type === "decompose" ||
       node.type === "textToSpeech" ||
       node.type === "imageGeneration";
     const nodeTimeout = node.data?.timeout || (isAINode ? 300000 : 60000);
 
-    // Execute with retry logic
-    let result;
-    const startTime = Date.now();
-
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      if (attempt > 0) {
-        // Calculate exponential backoff delay
-        const delay = retryDelay * Math.pow(2, attempt - 1);
+    // Sentences streamed to a speech node have already been spoken
+    const speech = this.speechStreams.get(nodeId);
+    this.speechStreams.delete(nodeId);
+    if (speech) {
+      await speech.queue;
+      if (speech.error) {
         this.executionStore.addLog({
           type: "warning",
           nodeId,
           nodeName: node.data?.label || node.type,
-          message: `Retrying (attempt ${attempt + 1}/${
-            maxRetries + 1
-          }) after ${delay}ms...`,
+          message: `Streamed speech failed (${speech.error}), speaking the full text`,
         });
-        await new Promise((r) => setTimeout(r, delay));
       }
+    }
 
-      try {
-        // Execute with timeout
-        result = await this.executeWithTimeout(
-          node,
-          inputData,
-          context,
-          nodeTimeout
-        );
-
-        // Check if node returned a failure (not a thrown error)
-        if (!result.success) {
-          throw new Error(result.error || "Node execution failed");
-        }
+    // Execute with retry logic
+    let result;
+    let attempts = 0;
+    const startTime = Date.now();
 
-        break; // Success, exit retry loop
-      } catch (error) {
-        if (attempt === maxRetries) {
-          // Final attempt failed, record error
-          const executionTime = Date.now() - startTime;
-          this.executionStore.setNodeResult(nodeId, {
-            success: false,
-            error: error.message,
-            executionTime,
-            attempts: attempt + 1,
-          });
+    if (pinned) {
+      // Pinned data stands in for the node's own execution
+      result = {
+        success: true,
+        output: pinned.output,
+        outputIndex: pinned.outputIndex,
+        pinned: true,
+      };
+      this.executionStore.addLog({
+        type: "info",
+        nodeId,
+        nodeName: node.data?.label || node.type,
+        message: `📌 Using pinned data (pinned ${new Date(
+          pinned.pinnedAt
+        ).toLocaleString()})`,
+      });
+    } else if (speech && !speech.error) {
+      result = {
+        success: true,
+        output: {
+          type: "audio",
+          text: speech.segments.map((segment) => segment.text).join(" "),
+          segments: speech.segments,
+          streamed: true,
+          _executed: true,
+        },
+      };
+      this.executionStore.addLog({
+        type: "info",
+        nodeId,
+        nodeName: node.data?.label || node.type,
+        message: `🔊 Spoke ${speech.segments.length} streamed sentence(s)`,
+      });
+    } else {
+      for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        if (attempt > 0) {
+          // Calculate exponential backoff delay
+          const delay = retryDelay * Math.pow(2, attempt - 1);
           this.executionStore.addLog({
-            type: "error",
+            type: "warning",
             nodeId,
             nodeName: node.data?.label || node.type,
-            message: `Node failed after ${attempt + 1} attempt(s): ${
-              error.message
-            }`,
-            data: {
+            message: `Retrying (attempt ${attempt + 1}/${
+              maxRetries + 1
+            }) after ${delay}ms...`,
+          });
+          await new Promise((r) => setTimeout(r, delay));
+        }
+
+        try {
+          // Execute with timeout once a concurrency slot is free
+          await this.acquireSlot(signal);
+          try {
+            result = await this.executeWithTimeout(
+              node,
+              inputData,
+              context,
+              nodeTimeout,
+              signal
+            );
+          } finally {
+            this.releaseSlot();
+          }
+
+          // Check if node returned a failure (not a thrown error)
+          if (!result.success) {
+            throw new Error(result.error || "Node execution failed");
+          }
+
+          attempts = attempt + 1;
+          break; // Success, exit retry loop
+        } catch (error) {
+          // Stopped or cancelled branches are not node failures
+          if (signal?.aborted) {
+            throw this.getAbortError(signal);
+          }
+          if (attempt === maxRetries) {
+            // Final attempt failed, record error
+            const executionTime = Date.now() - startTime;
+            this.executionStore.finishNodeStream?.(nodeId);
+            this.executionStore.setNodeResult(nodeId, {
+              success: false,
               error: error.message,
               executionTime,
-              canRetry: true,
+              attempts: attempt + 1,
+            });
+            this.recordNode(node, {
+              success: false,
+              input: inputData,
+              error: error.message,
+              startTime,
+              executionTime,
+              attempts: attempt + 1,
+            });
+            this.executionStore.addLog({
+              type: "error",
               nodeId,
-            },
-          });
-          throw new Error(
-            `Node ${node.data?.label || nodeId} failed: ${error.message}`
-          );
+              nodeName: node.data?.label || node.type,
+              message: `Node failed after ${attempt + 1} attempt(s): ${
+                error.message
+              }`,
+              data: {
+                error: error.message,
+                executionTime,
+                canRetry: true,
+                nodeId,
+                executionId: this.executionId,
+              },
+            });
+            const failure = new Error(
+              `Node ${node.data?.label || nodeId} failed: ${error.message}`
+            );
+            // Details for error handlers (Error Trigger / error workflow)
+            failure.nodeFailure = {
+              nodeId,
+              label: node.data?.label || node.type,
+              nodeType: node.type,
+              error: error.message,
+              attempts: attempt + 1,
+              input: this.snapshotData(inputData),
+            };
+            throw failure;
+          }
         }
       }
     }
@@ -348,8 +915,19 @@ class ExecutionEngine {
     const executionTime = Date.now() - startTime;
 
     // Store result with execution time
+    this.executionStore.finishNodeStream?.(nodeId);
     this.executionStore.setNodeResult(nodeId, { ...result, executionTime });
     this.executedNodes.add(nodeId);
+    this.recordNode(node, {
+      success: true,
+      input: inputData,
+      output: result.output,
+      outputIndex: result.outputIndex,
+      startTime,
+      executionTime,
+      attempts,
+      pinned: Boolean(pinned),
+    });
 
     this.executionStore.addLog({
       type: "success",
@@ -367,21 +945,32 @@ class ExecutionEngine {
     // Handle different execution patterns
     if (result.loopData) {
       // Legacy loop node - iterate through items (kept for backwards compatibility)
-      return await this.executeLoop(node, result, visited);
+      return await this.executeLoop(node, result, visited, signal);
     } else if (result.outputIndex !== undefined) {
       // Branching node (if/else, switch, loop) - follow specific output
       // Pass loopState through for loop nodes
-      return await this.executeBranch(node, result, visited, result.loopState);
+      return await this.executeBranch(
+        node,
+        result,
+        visited,
+        result.loopState,
+        signal
+      );
     } else {
       // Normal node - follow all connected edges
-      return await this.executeNextNodes(nodeId, result.output, visited);
+      return await this.executeNextNodes(
+        nodeId,
+        result.output,
+        visited,
+        signal
+      );
     }
   }
 
   /**
    * Execute a loop node (iterate through items)
    */
-  async executeLoop(loopNode, result, visited) {
+  async executeLoop(loopNode, result, visited, signal) {
     const { items, index: startIndex } = result.loopData;
     const nodeId = loopNode.id;
     const outputData = [];
@@ -401,8 +990,8 @@ class ExecutionEngine {
     if (loopBodyEdge) {
       for (let i = startIndex; i < items.length; i++) {
         // Check for abort
-        if (this.abortController?.signal.aborted) {
-          throw new Error("Workflow was stopped");
+        if (signal?.aborted) {
+          throw this.getAbortError(signal);
         }
 
         const item = items[i];
@@ -420,12 +1009,14 @@ class ExecutionEngine {
           nodeId,
           message: `Loop iteration ${i + 1}/${items.length}`,
         });
+        this.resetLoopBody(nodeId, [loopBodyEdge]);
 
         // Execute the loop body with this item
         const iterationResult = await this.executeFromNode(
           loopBodyEdge.target,
           iterationData,
-          new Set() // Fresh visited set for each iteration
+          new Set(), // Fresh visited set for each iteration
+          { signal, edge: loopBodyEdge }
         );
 
         if (iterationResult.success) {
@@ -451,7 +1042,10 @@ class ExecutionEngine {
         loopResults: outputData,
         itemCount: items.length,
       };
-      return await this.executeFromNode(doneEdge.target, doneData, visited);
+      return await this.executeFromNode(doneEdge.target, doneData, visited, {
+        signal,
+        edge: doneEdge,
+      });
     }
 
     return { success: true, output: outputData };
@@ -461,16 +1055,24 @@ class ExecutionEngine {
    * Execute branching node (if/else, switch, loop)
    * @param {Object} loopState - Optional loop state to persist across iterations
    */
-  async executeBranch(node, result, visited, loopState = null) {
+  async executeBranch(node, result, visited, loopState = null, signal) {
     const { output, outputIndex } = result;
     const nodeId = node.id;
+    const handle = `output-${outputIndex}`;
 
-    // Find the edge for the selected output
-    const targetEdge = this.edges.find(
-      (e) => e.source === nodeId && e.sourceHandle === `output-${outputIndex}`
-    );
+    // Find the edges for the selected output
+    const outgoingEdges = this.edges.filter((e) => e.source === nodeId);
+    const targetEdges = outgoingEdges.filter((e) => e.sourceHandle === handle);
+
+    // Paths behind the other outputs will not run this time, so merges
+    // waiting on them must not wait forever. Loops come back around to
+    // their other output, so they are left alone.
+    const skipped =
+      node.type === "loop"
+        ? []
+        : outgoingEdges.filter((e) => e.sourceHandle !== handle);
 
-    if (targetEdge) {
+    if (targetEdges.length > 0) {
       this.executionStore.addLog({
         type: "info",
         nodeId,
@@ -484,27 +1086,42 @@ class ExecutionEngine {
         if (!this.loopStates) this.loopStates = new Map();
         this.loopStates.set(nodeId, loopState);
       }
-
-      return await this.executeFromNode(targetEdge.target, output, visited);
+      if (node.type === "loop" && outputIndex === 0) {
+        this.resetLoopBody(nodeId, targetEdges);
+      }
+    } else {
+      // No connected edge for this output
+      this.executionStore.addLog({
+        type: "info",
+        nodeId,
+        message: `Branch output ${
+          outputIndex + 1
+        } has no connection, ending path`,
+      });
     }
 
-    // No connected edge for this output
-    this.executionStore.addLog({
-      type: "info",
-      nodeId,
-      message: `Branch output ${
-        outputIndex + 1
-      } has no connection, ending path`,
-    });
-
-    return { success: true, output };
+    const [results] = await Promise.all([
+      this.runBranches(targetEdges, signal, (edge, branchSignal) =>
+        this.executeFromNode(edge.target, output, visited, {
+          signal: branchSignal,
+          edge,
+        })
+      ),
+      this.skipEdges(skipped, visited, signal),
+    ]);
+
+    if (results.length === 0) return { success: true, output };
+    return results.length === 1
+      ? results[0]
+      : { success: true, outputs: results, parallel: true };
   }
 
   /**
-   * Execute all nodes connected to this node's outputs (PARALLEL)
-   * Uses Promise.all() for simultaneous execution of sibling nodes
+   * Execute all nodes connected to this node's outputs
+   * Siblings run in parallel (bounded by the concurrency limit) unless the
+   * workflow is set to run branches sequentially
    */
-  async executeNextNodes(nodeId, outputData, visited) {
+  async executeNextNodes(nodeId, outputData, visited, signal) {
     // Find all edges from this node's outputs
     const outgoingEdges = this.edges.filter((e) => e.source === nodeId);
 
@@ -546,11 +1163,14 @@ class ExecutionEngine {
       }
     }
 
-    // Execute all connected nodes IN PARALLEL using Promise.all
-    const results = await Promise.all(
-      outgoingEdges.map((edge) =>
-        this.executeFromNode(edge.target, outputData, visited)
-      )
+    const results = await this.runBranches(
+      outgoingEdges,
+      signal,
+      (edge, branchSignal) =>
+        this.executeFromNode(edge.target, outputData, visited, {
+          signal: branchSignal,
+          edge,
+        })
     );
 
     // Return the last result (for linear flows) or aggregate for parallel
@@ -559,11 +1179,592 @@ class ExecutionEngine {
       : { success: true, outputs: results, parallel: true };
   }
 
+  /**
+   * Recorder for the model calls of a run in "record" or "replay" mode
+   * (see utils/llmRecording); null in "live" mode
+   */
+  configureLLMRecording(mode, recording) {
+    if (mode !== "record" && mode !== "replay") return null;
+    return createLLMRecorder({ mode, recording });
+  }
+
+  /**
+   * End of a top-level run: a new recording replaces the one in the
+   * workflow settings when the workflow is the one being edited. A run that
+   * failed or was stopped keeps the previous recording, since its own is
+   * missing the responses of the nodes that did not run.
+   * @param {boolean} succeeded - Whether the run completed
+   */
+  finishLLMRecording(succeeded) {
+    const recorder = this.llmRecorder;
+    if (!recorder || this.parent) return;
+
+    if (recorder.mode === "replay") {
+      this.executionStore.addLog({
+        type: "info",
+        message: `📼 Replayed ${recorder.stats.replayed} model response(s)`,
+      });
+      return;
+    }
+
+    if (!succeeded) {
+      this.executionStore.addLog({
+        type: "warning",
+        message: `📼 Discarded ${recorder.stats.recorded} recorded model response(s) - the run did not complete, so the previous recording is kept`,
+      });
+      return;
+    }
+
+    const isOpenWorkflow =
+      (this.workflow?.id ?? null) === (this.workflowStore?.workflowId ?? null);
+    if (isOpenWorkflow && this.workflowStore?.updateSettings) {
+      this.workflowStore.updateSettings({
+        llmRecording: recorder.getRecording(),
+      });
+    }
+
+    this.executionStore.addLog({
+      type: "success",
+      message: `📼 Recorded ${recorder.stats.recorded} model response(s)${
+        isOpenWorkflow
+          ? ' - set LLM Mode to "Replay" in Workflow Settings to run without the model'
+          : ""
+      }`,
+    });
+  }
+
+  /**
+   * Read branch scheduling options from the workflow settings
+   * - executionMode: "parallel" | "sequential"
+   * - concurrency: max nodes executing at the same time (parallel mode)
+   * - onBranchError: "stopAll" cancels sibling branches when one fails,
+   *   "continue" lets them finish and fails the run at the end
+   */
+  configureBranching(settings = {}) {
+    this.executionMode =
+      settings.executionMode === "sequential" ? "sequential" : "parallel";
+    this.onBranchError =
+      settings.onBranchError === "continue" ? "continue" : "stopAll";
+
+    const concurrency = parseInt(settings.concurrency, 10);
+    this.maxConcurrency =
+      this.executionMode === "sequential"
+        ? 1
+        : Math.min(
+            Math.max(
+              1,
+              Number.isFinite(concurrency)
+                ? concurrency
+                : LIMITS.DEFAULT_BRANCH_CONCURRENCY
+            ),
+            LIMITS.MAX_BRANCH_CONCURRENCY
+          );
+    this.activeSlots = 0;
+    this.slotQueue = [];
+  }
+
+  /**
+   * Run one branch per edge. Every branch gets its own abort controller
+   * linked to the parent signal, so a failing branch can cancel its
+   * siblings without stopping the whole workflow from the outside.
+   * @param {Function} run - (edge, signal) => Promise<result>
+   */
+  async runBranches(edges, signal, run) {
+    if (edges.length === 0) return [];
+
+    const controllers = edges.map(() => this.createBranchController(signal));
+
+    const runOne = async (edge, i) => {
+      try {
+        return await run(edge, controllers[i].signal);
+      } catch (error) {
+        if (this.onBranchError !== "continue" || !error.nodeFailure) {
+          // Fail fast: cancel every sibling still running
+          const reason = new Error("Branch cancelled: a sibling branch failed");
+          reason.branchCancelled = true;
+          controllers.forEach((c) => c.abort(reason));
+          throw error;
+        }
+
+        // Keep the other branches going; nothing after the failed node runs
+        this.branchFailures.push(error);
+        this.executionStore.addLog({
+          type: "warning",
+          nodeId: error.nodeFailure.nodeId,
+          nodeName: error.nodeFailure.label,
+          message: "Branch failed, continuing with other branches",
+        });
+        await this.skipEdges(
+          this.edges.filter((e) => e.source === error.nodeFailure.nodeId),
+          new Set(),
+          signal
+        );
+        return { success: false, error: error.message };
+      }
+    };
+
+    if (this.executionMode === "sequential" || edges.length === 1) {
+      const results = [];
+      for (let i = 0; i < edges.length; i++) {
+        results.push(await runOne(edges[i], i));
+      }
+      return results;
+    }
+
+    return Promise.all(edges.map(runOne));
+  }
+
+  /**
+   * Create an abort controller that also aborts when the parent does
+   */
+  createBranchController(parentSignal) {
+    const controller = new AbortController();
+    if (parentSignal?.aborted) {
+      controller.abort(parentSignal.reason);
+    } else if (parentSignal) {
+      parentSignal.addEventListener(
+        "abort",
+        () => controller.abort(parentSignal.reason),
+        { once: true }
+      );
+    }
+    return controller;
+  }
+
+  /**
+   * Error for an aborted signal: branch cancellations keep their reason,
+   * everything else is a user stop
+   */
+  getAbortError(signal) {
+    return signal?.reason?.branchCancelled
+      ? signal.reason
+      : new Error("Workflow was stopped");
+  }
+
+  /**
+   * Wait for a free concurrency slot
+   */
+  acquireSlot(signal) {
+    if (this.activeSlots < this.maxConcurrency) {
+      this.activeSlots++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: () => {
+          signal?.removeEventListener("abort", onAbort);
+          resolve();
+        },
+      };
+      const onAbort = () => {
+        this.slotQueue = this.slotQueue.filter((w) => w !== waiter);
+        reject(this.getAbortError(signal));
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      this.slotQueue.push(waiter);
+    });
+  }
+
+  /**
+   * Hand the slot to the next waiting node, or free it
+   */
+  releaseSlot() {
+    const next = this.slotQueue.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      this.activeSlots = Math.max(0, this.activeSlots - 1);
+    }
+  }
+
+  /**
+   * Flow edges into a node (resource slots of AI Agents are not inputs)
+   */
+  getIncomingFlowEdges(nodeId) {
+    return this.edges.filter(
+      (e) =>
+        e.target === nodeId &&
+        !["model-slot", "memory-slot", "tool-slot"].includes(e.targetHandle)
+    );
+  }
+
+  /**
+   * Per-run join state of a merge node
+   */
+  getMergeState(nodeId) {
+    if (!this.pendingMerge.has(nodeId)) {
+      this.pendingMerge.set(nodeId, { arrivals: new Map(), fired: false });
+    }
+    return this.pendingMerge.get(nodeId);
+  }
+
+  /**
+   * Start a new join cycle for the nodes a loop iteration runs: merges in
+   * the body forget the last iteration's arrivals and first-wins race, and
+   * branches that were dead last time can deliver again
+   * @param {string} loopId - Loop node
+   * @param {Array<Object>} bodyEdges - Edges into the loop body
+   */
+  resetLoopBody(loopId, bodyEdges) {
+    const body = new Set();
+    for (const edge of bodyEdges) {
+      for (const id of this.getDownstreamNodeIds(edge.target, loopId)) {
+        body.add(id);
+      }
+    }
+
+    for (const id of body) this.pendingMerge.delete(id);
+    for (const edge of this.edges) {
+      const inBody = edge.source === loopId || body.has(edge.source);
+      if (inBody && body.has(edge.target)) this.deadEdges.delete(edge.id);
+    }
+  }
+
+  /**
+   * Register a branch arriving at a merge node
+   * @returns {{ready: boolean, input?: any}} input is ordered by input handle
+   */
+  joinMerge(node, edge, inputData) {
+    const nodeId = node.id;
+    const nodeName = node.data?.label || "Merge";
+    const incoming = this.getIncomingFlowEdges(nodeId);
+    const state = this.getMergeState(nodeId);
+
+    if (node.data?.mode === "first") {
+      // Race: only the first branch to arrive continues
+      if (state.fired) {
+        this.executionStore.addLog({
+          type: "info",
+          nodeId,
+          nodeName,
+          message: "Ignoring later branch (first input already merged)",
+        });
+        return { ready: false };
+      }
+      state.fired = true;
+      return { ready: true, input: inputData };
+    }
+
+    if (!edge || incoming.length <= 1) {
+      return { ready: true, input: inputData };
+    }
+
+    state.arrivals.set(edge.id, inputData);
+    this.deadEdges.delete(edge.id);
+
+    const join = this.resolveMerge(nodeId);
+    if (!join.ready) {
+      const remaining = incoming.filter(
+        (e) => !state.arrivals.has(e.id) && !this.deadEdges.has(e.id)
+      ).length;
+      this.executionStore.addLog({
+        type: "info",
+        nodeId,
+        nodeName,
+        message: `⏳ Waiting for ${remaining} more branch(es)`,
+      });
+      return join;
+    }
+
+    this.executionStore.addLog({
+      type: "info",
+      nodeId,
+      nodeName,
+      message: `✅ ${join.input.length} of ${incoming.length} branches arrived - merging`,
+    });
+    return join;
+  }
+
+  /**
+   * Check whether every incoming branch of a "wait" merge has settled
+   * (arrived or dead). Once ready the state is cleared for the next join.
+   * @returns {{ready: boolean, input?: array, dead?: boolean}}
+   */
+  resolveMerge(nodeId) {
+    const incoming = this.getIncomingFlowEdges(nodeId);
+    const state = this.getMergeState(nodeId);
+    const settled = incoming.every(
+      (e) => state.arrivals.has(e.id) || this.deadEdges.has(e.id)
+    );
+
+    if (!settled) {
+      return { ready: false };
+    }
+    if (state.arrivals.size === 0) {
+      return { ready: false, dead: true };
+    }
+
+    const handleIndex = (e) =>
+      parseInt(String(e.targetHandle || "").replace("input-", ""), 10) || 0;
+    const input = [...incoming]
+      .sort((a, b) => handleIndex(a) - handleIndex(b))
+      .filter((e) => state.arrivals.has(e.id))
+      .map((e) => state.arrivals.get(e.id));
+
+    this.pendingMerge.delete(nodeId);
+    return { ready: true, input };
+  }
+
+  /**
+   * Mark edges as dead for this run and propagate: nodes whose inputs are
+   * all dead are skipped, and merges that were only waiting on dead
+   * branches run with what has arrived
+   */
+  async skipEdges(edges, visited, signal) {
+    const queue = [...edges];
+    const readyMerges = [];
+
+    while (queue.length > 0) {
+      const edge = queue.shift();
+      if (this.deadEdges.has(edge.id)) continue;
+      this.deadEdges.add(edge.id);
+
+      const target = this.nodeMap.get(edge.target);
+      if (!target) continue;
+      const outgoing = this.edges.filter((e) => e.source === target.id);
+
+      if (target.type === "merge") {
+        if (target.data?.mode === "first") {
+          const incoming = this.getIncomingFlowEdges(target.id);
+          if (incoming.every((e) => this.deadEdges.has(e.id))) {
+            queue.push(...outgoing);
+          }
+          continue;
+        }
+
+        const join = this.resolveMerge(target.id);
+        if (join.ready) {
+          readyMerges.push({ node: target, input: join.input });
+        } else if (join.dead) {
+          queue.push(...outgoing);
+        }
+        continue;
+      }
+
+      const incoming = this.getIncomingFlowEdges(target.id);
+      if (incoming.every((e) => this.deadEdges.has(e.id))) {
+        queue.push(...outgoing);
+      }
+    }
+
+    return Promise.all(
+      readyMerges.map(({ node, input }) => {
+        this.executionStore.addLog({
+          type: "info",
+          nodeId: node.id,
+          nodeName: node.data?.label || "Merge",
+          message: `✅ Remaining branches were skipped - merging ${input.length} input(s)`,
+        });
+        return this.executeFromNode(node.id, input, visited, {
+          signal,
+          joined: true,
+        });
+      })
+    );
+  }
+
+  /**
+   * Run a saved workflow as a sub-workflow of the calling node in a nested
+   * engine, so it gets the same branching, loops, merges, retries and AI
+   * resources as a top-level run. Its logs go to this run's log under the
+   * calling node and its record is nested in that node's history entry.
+   * @param {Object} options - { node, signal, heartbeat, detached }; a
+   * detached run is not awaited and is saved to history on its own
+   * @returns {Promise<Object>} { executionId, output, outputNodeId, results,
+   * nodesExecuted, duration }
+   */
+  async runSubWorkflow(
+    workflow,
+    input,
+    { node, signal, heartbeat, detached = false }
+  ) {
+    if (this.depth + 1 > LIMITS.MAX_SUBWORKFLOW_DEPTH) {
+      throw new Error(
+        `Sub-workflows are nested more than ${LIMITS.MAX_SUBWORKFLOW_DEPTH} levels deep`
+      );
+    }
+    if (this.getWorkflowChain().includes(workflow.id)) {
+      throw new Error(`Workflow "${workflow.name}" calls itself`);
+    }
+
+    const { trigger, inputs, outputNode } = getWorkflowInterface(workflow);
+    if (!trigger) {
+      throw new Error(`Workflow "${workflow.name}" has no trigger node`);
+    }
+
+    const { data, errors } = applyInputSchema(inputs, input);
+    if (errors.length > 0) {
+      throw new Error(
+        `Invalid input for "${workflow.name}": ${errors.join("; ")}`
+      );
+    }
+
+    const child = new ExecutionEngine();
+    child.parent = this;
+    child.depth = this.depth + 1;
+    child.detached = detached;
+
+    // Live node results (the record only keeps JSON snapshots)
+    const results = new Map();
+    const stores = {
+      executionStore: this.createSubWorkflowStore(node, results, heartbeat),
+      workflowStore: null,
+    };
+
+    const stopChild = () => child.stop();
+    signal?.addEventListener("abort", stopChild);
+
+    const run = child
+      .execute(workflow.nodes, workflow.edges || [], stores, data, {
+        triggerNodeId: trigger.id,
+        workflow,
+        usePinnedData: false,
+      })
+      .finally(() => signal?.removeEventListener("abort", stopChild));
+
+    if (detached) {
+      return { executionId: child.executionId };
+    }
+
+    const outcome = await run;
+    const { graph: _graph, logs: _logs, ...record } = child.finalRecord;
+    this.subExecutions.set(node.id, record);
+
+    if (!outcome.success) {
+      throw new Error(`Sub-workflow "${workflow.name}": ${outcome.error}`);
+    }
+
+    // The designated output node, otherwise the last node that completed
+    const outputNodeId = outputNode?.id || [...child.executedNodes].pop();
+    if (outputNode && !results.has(outputNode.id)) {
+      throw new Error(
+        `Output node "${
+          outputNode.data?.label || outputNode.id
+        }" of "${workflow.name}" did not run`
+      );
+    }
+
+    return {
+      executionId: child.executionId,
+      output: results.get(outputNodeId)?.output ?? null,
+      outputNodeId: outputNodeId || null,
+      results: Object.fromEntries(
+        [...results].map(([id, result]) => [id, result.output])
+      ),
+      nodesExecuted: child.executedNodes.size,
+      duration: record.duration,
+    };
+  }
+
+  /**
+   * Execution store for a sub-workflow run: logs are nested under the
+   * calling node and node results stay out of this run's canvas state
+   */
+  createSubWorkflowStore(node, results, heartbeat) {
+    const store = this.executionStore;
+    const label = node.data?.label || node.type;
+    const ignore = () => {};
+
+    return {
+      ...store,
+      startExecution: ignore,
+      stopExecution: ignore,
+      setCurrentNode: ignore,
+      setActiveSupportingNodes: ignore,
+      addEdgeSnapshot: ignore,
+      setNodeStream: ignore,
+      finishNodeStream: ignore,
+      setNodeResult: (nodeId, result) => results.set(nodeId, result),
+      addLog: (log) => {
+        // Activity inside the sub-workflow keeps the calling node alive
+        heartbeat?.();
+        store.addLog({
+          ...log,
+          nodeId: node.id,
+          nodeName: `${label} › ${log.nodeName || "Sub-workflow"}`,
+          depth: (log.depth || 0) + 1,
+          // Retrying a failed sub-workflow node means re-running the caller
+          data: log.data?.canRetry
+            ? { ...log.data, executionId: this.executionId, nodeId: node.id }
+            : log.data,
+        });
+      },
+    };
+  }
+
+  /**
+   * Feed a sentence streamed by an AI node to the nodes on its outgoing
+   * edges: Output nodes show the text so far, Text to Speech nodes speak
+   * each sentence while the rest is still being generated
+   */
+  streamDownstream(node, sentence, text, signal) {
+    for (const edge of this.edges) {
+      if (edge.source !== node.id) continue;
+      const target = this.nodeMap.get(edge.target);
+
+      if (target?.type === "output") {
+        this.executionStore.setNodeStream?.(target.id, {
+          text,
+          nodeName: target.data?.label || "Output",
+          sourceId: node.id,
+        });
+      } else if (target?.type === "textToSpeech") {
+        this.queueSpeech(target, sentence, signal);
+      }
+    }
+  }
+
+  /**
+   * Speak streamed sentences one after another; when the speech node's
+   * turn in the flow comes it waits for the queue instead of re-speaking
+   */
+  queueSpeech(node, sentence, signal) {
+    const speech = this.speechStreams.get(node.id) || {
+      queue: Promise.resolve(),
+      segments: [],
+      error: null,
+    };
+    this.speechStreams.set(node.id, speech);
+
+    speech.queue = speech.queue.then(async () => {
+      if (speech.error || signal?.aborted) return;
+      const result = await executeNode(node, sentence, {
+        nodeId: node.id,
+        executionId: this.executionId,
+        nodes: this.nodes,
+        edges: this.edges,
+        executionStore: this.executionStore,
+        addLog: (log) =>
+          this.executionStore.addLog({ ...log, nodeId: node.id }),
+        streamed: true,
+      });
+      if (result.success) {
+        speech.segments.push(result.output);
+      } else {
+        speech.error = result.error;
+      }
+    });
+  }
+
+  /**
+   * IDs of the workflows running this engine, outermost first
+   */
+  getWorkflowChain() {
+    return [
+      ...(this.parent?.getWorkflowChain() || []),
+      this.workflow?.id,
+    ].filter(Boolean);
+  }
+
   /**
    * Wait while paused
    */
   async waitIfPaused() {
-    while (this.isPaused && !this.abortController?.signal.aborted) {
+    while (
+      (this.isPaused || this.parent?.isPaused) &&
+      !this.abortController?.signal.aborted
+    ) {
       await new Promise((resolve) => setTimeout(resolve, 100));
     }
   }
@@ -639,8 +1840,15 @@ class ExecutionEngine {
 
   /**
    * Execute a node with resettable heartbeat timeout
+   * @param {AbortSignal} signal - Branch signal (defaults to the run's)
    */
-  async executeWithTimeout(node, inputData, context, timeout) {
+  async executeWithTimeout(
+    node,
+    inputData,
+    context,
+    timeout,
+    signal = this.abortController?.signal
+  ) {
     let timer;
     let rejectPromise;
 
@@ -662,14 +1870,15 @@ class ExecutionEngine {
 
     // Listen for abort signal
     let abortHandler = null;
-    if (this.abortController?.signal) {
-      if (this.abortController.signal.aborted) {
-        return Promise.reject(new Error("Workflow was stopped"));
+    if (signal) {
+      if (signal.aborted) {
+        clearTimeout(timer);
+        return Promise.reject(this.getAbortError(signal));
       }
       abortHandler = () => {
-        rejectPromise(new Error("Workflow was stopped"));
+        rejectPromise(this.getAbortError(signal));
       };
-      this.abortController.signal.addEventListener("abort", abortHandler);
+      signal.addEventListener("abort", abortHandler);
     }
 
     // Add heartbeat function to context so nodes can reset the timer
@@ -693,8 +1902,8 @@ class ExecutionEngine {
       if (timer) clearTimeout(timer);
       timer = null;
       // Clean up abort listener
-      if (abortHandler && this.abortController?.signal) {
-        this.abortController.signal.removeEventListener("abort", abortHandler);
+      if (abortHandler) {
+        signal.removeEventListener("abort", abortHandler);
       }
     }
   }
@@ -725,26 +1934,53 @@ class ExecutionEngine {
             modelId: sourceNode.data?.modelId,
             modelName: sourceNode.data?.modelName,
             provider: sourceNode.data?.provider || "webllm",
+            baseUrl: sourceNode.data?.baseUrl,
+            apiKey: sourceNode.data?.apiKey,
+            mockResponses: sourceNode.data?.mockResponses,
             temperature: sourceNode.data?.temperature,
             maxTokens: sourceNode.data?.maxTokens,
           };
           break;
         case "memory-slot":
+          // Conversation Memory keeps the chat history of a session
+          if (sourceNode.type === "conversationMemory") {
+            resources.memory = {
+              nodeId: sourceNode.id,
+              type: "conversationMemory",
+              sessionId: sourceNode.data?.sessionId,
+              tokenBudget: sourceNode.data?.tokenBudget,
+              keepRecent: sourceNode.data?.keepRecent,
+            };
+            break;
+          }
           // Get memory configuration from Vector Memory node
           resources.memory = {
             nodeId: sourceNode.id,
+            type: "vectorMemory",
             namespace: sourceNode.data?.namespace || "default",
             mode: sourceNode.data?.mode || "query",
             topK: sourceNode.data?.topK || 5,
+            filter: sourceNode.data?.filter,
+            semanticWeight: sourceNode.data?.semanticWeight,
           };
           break;
         case "tool-slot":
+          // Browser Tools provide one tool per enabled toolkit tool
+          if (sourceNode.type === "browserTools") {
+            resources.tools.push(
+              ...browserToolkit.generateToolSchemas(
+                sourceNode.id,
+                sourceNode.data?.enabledTools || []
+              )
+            );
+            break;
+          }
           // Tool provider node
           resources.tools.push({
             nodeId: sourceNode.id,
             name: sourceNode.data?.label || sourceNode.type,
             type: sourceNode.type,
-            description: this.getToolDescription(sourceNode.type),
+            ...getToolContract(sourceNode),
           });
           break;
       }
@@ -769,8 +2005,7 @@ class ExecutionEngine {
           nodeId: targetNode.id,
           name: targetNode.data?.label || targetNode.type,
           type: targetNode.type,
-          description: this.getToolDescription(targetNode.type),
-          inputSchema: { input: "any" },
+          ...getToolContract(targetNode),
         });
       }
     }
@@ -812,37 +2047,15 @@ class ExecutionEngine {
   }
 
   /**
-   * Get description for a tool node type
+   * Copy data into a JSON-safe snapshot (drops functions, breaks references)
    */
-  getToolDescription(nodeType) {
-    const descriptions = {
-      // Core utility nodes
-      codeExecutor:
-        "Execute JavaScript code. Pass data to process and receive the result.",
-      httpRequest: "Make HTTP requests to APIs. Returns the response data.",
-      setVariable: "Store a value in workflow memory for later use.",
-      ifElse: "Evaluate a condition and return the result.",
-      loopEach: "Iterate through an array of items.",
-      switchNode: "Route based on a value matching specific cases.",
-      delay: "Wait for a specified duration.",
-      merge: "Combine multiple inputs into one output.",
-      // Media/AI nodes
-      textToSpeech: "Convert text to spoken audio. Returns audio blob/URL.",
-      imageGeneration:
-        "Generate an image from a text prompt. Returns image data.",
-      pythonExecutor: "Execute Python code in a sandboxed environment.",
-      // Data processing nodes
-      dataTransformer: "Transform data using mapping rules.",
-      vectorMemory: "Store or query vector embeddings for semantic search.",
-      semanticRouter: "Route input based on semantic classification.",
-      evaluator: "Validate output against schema or regex patterns.",
-      output: "Display or save the final output of the workflow.",
-      // Additional utility nodes
-      webhookTrigger: "Listen for incoming webhook requests.",
-      browserEvent: "Capture browser events like clicks or navigation.",
-      speechToText: "Convert audio to text transcription.",
-    };
-    return descriptions[nodeType] || `Execute ${nodeType} node.`;
+  snapshotData(data) {
+    if (data === undefined) return null;
+    try {
+      return JSON.parse(JSON.stringify(data));
+    } catch {
+      return String(data);
+    }
   }
 
   /**
@@ -862,4 +2075,5 @@ class ExecutionEngine {
 
 // Singleton instance
 const executionEngine = new ExecutionEngine();
+export { ExecutionEngine };
 export default executionEngine;
@@ -0,0 +1,89 @@
+import { TextDecoder, TextEncoder } from "util";
+globalThis.TextDecoder = TextDecoder;
+globalThis.TextEncoder = TextEncoder;
+
+jest.mock("./WebLLMService", () => ({ webLLMService: {}, default: {} }));
+jest.mock("./memory/VectorMemory", () => ({ __esModule: true, default: {} }));
+
+import { ExecutionEngine } from "./ExecutionEngine";
+
+// Execution history needs IndexedDB, which jsdom does not have
+jest.spyOn(console, "error").mockImplementation(() => {});
+
+const executionStore = {
+  addLog: () => {},
+  addArtifact: () => {},
+  addEdgeSnapshot: () => {},
+  finishNodeStream: () => {},
+  setActiveSupportingNodes: () => {},
+  setCurrentNode: () => {},
+  setNodeResult: () => {},
+  setNodeStream: () => {},
+  startExecution: () => {},
+  stopExecution: () => {},
+};
+
+// HTTP Request nodes: "/fail" fails while `failing` is set, "/slow" answers
+// after a delay, so it is still running when its sibling fails
+let failing = true;
+globalThis.fetch = jest.fn(async (url) => {
+  if (url.endsWith("/fail") && failing) throw new Error("boom");
+  if (url.endsWith("/slow")) await new Promise((r) => setTimeout(r, 100));
+  return {
+    status: 200,
+    statusText: "OK",
+    headers: new Map([["content-type", "application/json"]]),
+    json: async () => ({ url }),
+  };
+});
+
+const node = (id, type, data = {}) => ({
+  id,
+  type,
+  data: { label: id, ...data },
+});
+const edge = (source, target, targetHandle = "input-0") => ({
+  id: `${source}-${target}`,
+  source,
+  target,
+  sourceHandle: "output-0",
+  targetHandle,
+});
+
+test("retry from a failed node re-runs the siblings it cancelled", async () => {
+  const nodes = [
+    node("trigger", "manualTrigger"),
+    node("fail", "httpRequest", { url: "https://api.test/fail" }),
+    node("slow", "httpRequest", { url: "https://api.test/slow" }),
+    node("merge", "merge", { mode: "wait" }),
+  ];
+  const edges = [
+    edge("trigger", "fail"),
+    edge("trigger", "slow"),
+    edge("fail", "merge"),
+    edge("slow", "merge", "input-1"),
+  ];
+
+  const first = new ExecutionEngine();
+  const failed = await first.execute(nodes, edges, { executionStore }, {});
+  expect(failed.success).toBe(false);
+  expect(first.record.nodes.slow?.success).not.toBe(true);
+  expect(first.record.nodes.merge).toBeUndefined();
+
+  failing = false;
+  const retry = new ExecutionEngine();
+  const result = await retry.execute(
+    nodes,
+    edges,
+    { executionStore },
+    {},
+    {
+      resumeFrom: { record: first.record, nodeId: "fail" },
+    }
+  );
+
+  expect(result.success).toBe(true);
+  expect(retry.record.nodes.slow.success).toBe(true);
+  expect(retry.record.nodes.merge.success).toBe(true);
+  expect(retry.record.nodes.merge.input).toHaveLength(2);
+});
@@ -2,14 +2,46 @@
  * Node Executors
  * Execution logic for each node type
  */
-import webLLMService from "./WebLLMService";
+import { createLLM, DEFAULT_MODEL_ID } from "./llm/LLMService";
 import vectorMemory from "./memory/VectorMemory";
 import { saveArtifact } from "../utils/artifactStorage";
 import { vectorMemoryService } from "../services/VectorMemoryService";
+import { conversationMemoryService } from "../services/ConversationMemoryService";
+import { routeEmbeddingCache } from "../services/RouteEmbeddingCache";
 import { executeSandboxed } from "../utils/sandboxedExecutor";
 import { autoDetectType, dataUriToBlob } from "../utils/autoDetectType";
-import { runJSONReActLoop } from "./ToolCallingService";
+import {
+  runJSONReActLoop,
+  resolveToolNode,
+  validateToolCall,
+} from "./ToolCallingService";
 import mespeakService from "../services/MespeakService";
+import { getNextRun } from "../utils/cronParser";
+import { findWorkflow } from "../utils/workflowRepository";
+import reasoningEngine from "./reasoning/ReasoningEngine";
+import { PlanningService } from "./planning/PlanningService";
+import responseVerifier from "./verification/ResponseVerifier";
+import { SwarmCoordinator } from "./swarm/SwarmCoordinator";
+import browserToolkit, { BROWSER_TOOLS } from "./tools/BrowserToolkit";
+import useConsentStore from "../store/consentStore";
+import { DecompositionEngine } from "./planning/DecompositionEngine";
+import { validateToolArguments } from "../utils/toolContracts";
+import { createSentenceStream } from "../utils/sentenceStream";
+import {
+  createDocumentChunks,
+  detectDocumentFormat,
+  extractDocumentText,
+  toCitation,
+} from "../utils/documentLoader";
+import { extractPdfText } from "../utils/pdfText";
+import { formatTranscript } from "../utils/conversationMemory";
+import {
+  DEFAULT_ROUTE_K,
+  DEFAULT_ROUTE_THRESHOLD,
+  pickRoute,
+  routeExamples,
+  scoreRoute,
+} from "../utils/routeScoring";
 
 /**
  * Execute a single node and return its output
@@ -475,6 +507,252 @@ const formatInputForAI = (input) => {
   return String(input);
 };
 
+// AI Agent strategy setting -> ReasoningEngine mode (others answer directly)
+const REASONING_STRATEGIES = new Map([
+  ["cot", "cot"],
+  ["tot", "tot"],
+  ["adaptive", "auto"],
+]);
+
+/**
+ * Prepare the model of a node: the connected Chat Model's provider, or
+ * WebLLM with the node's own model. Returns a context whose `llm` every
+ * LLM call made for the node goes through (recorded or replayed when the
+ * run records model responses).
+ */
+const prepareModel = async (data, context, nodeName) => {
+  const provider = createLLM(
+    data.connectedModel || {
+      provider: "webllm",
+      modelId: data.modelId || DEFAULT_MODEL_ID,
+    }
+  );
+  const llm = context.wrapLLM ? context.wrapLLM(provider) : provider;
+
+  await llm.prepare({
+    log: (type, message) =>
+      context.addLog({ type, nodeId: context.nodeId, nodeName, message }),
+    onProgress: () => {
+      if (context.heartbeat) context.heartbeat();
+    },
+  });
+
+  return { ...context, llm };
+};
+
+/**
+ * Stream an AI Agent's answer while it is generated: the text goes to the
+ * node preview and, with "Stream Sentences Downstream", each complete
+ * sentence to the Output / Text to Speech nodes after it
+ */
+const createAnswerStream = (data, context) => {
+  let streamSentences = Boolean(data.streamSentences && context.streamSentence);
+
+  // A verified answer may still be rewritten before it leaves the node
+  if (streamSentences && data.enableSelfCorrection) {
+    streamSentences = false;
+    context.addLog({
+      type: "warning",
+      nodeId: context.nodeId,
+      nodeName: data.label || "AI Agent",
+      message:
+        "⚠️ Sentences are not streamed downstream while answers are verified",
+    });
+  }
+
+  const newSentences = () =>
+    streamSentences ? createSentenceStream(context.streamSentence) : null;
+  let sentences = newSentences();
+  let lastText = "";
+
+  return {
+    update(text) {
+      lastText = text;
+      context.streamText?.(text);
+      sentences?.push(text);
+    },
+    restart() {
+      sentences = newSentences();
+      lastText = "";
+    },
+    // Send the unfinished last sentence once generation is done
+    finish() {
+      sentences?.flush(lastText);
+    },
+  };
+};
+
+/**
+ * Verify an AI answer when the node has verification enabled. The answer
+ * becomes an object with the verification details; low-confidence answers
+ * leave through the review output (index 1).
+ * @param {string|Object} output - Answer text, or an object with response
+ * @param {string} question - What the answer responds to
+ * @param {Array} steps - Reasoning steps behind the answer, if any
+ */
+const verifyOutput = async (output, question, steps, data, context) => {
+  if (!data.enableSelfCorrection) return { output };
+
+  const isObject = typeof output === "object" && output !== null;
+  const response = isObject
+    ? output.response ?? JSON.stringify(output)
+    : String(output ?? "");
+
+  const { response: verified, ...verification } =
+    await responseVerifier.verify(
+      question,
+      response,
+      {
+        confidenceThreshold: data.confidenceThreshold,
+        maxIterations: data.correctionIterations,
+        steps,
+        maxTokens: data.maxTokens,
+      },
+      { ...context, nodeName: data.label || "AI Agent" }
+    );
+
+  return {
+    output: { ...(isObject ? output : {}), response: verified, verification },
+    outputIndex: verification.needsReview ? 1 : 0,
+  };
+};
+
+/**
+ * Read a memory metadata filter, entered as JSON in the node config or
+ * passed as an object in the input
+ * @param {string|Object} filter - e.g. '{"source": "faq.md"}'
+ * @returns {Object|null}
+ */
+const parseMemoryFilter = (filter) => {
+  if (!filter) return null;
+  if (typeof filter === "object") return filter;
+
+  if (!String(filter).trim()) return null;
+  const parsed = safeJsonParse(filter);
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(
+      'Metadata filter must be a JSON object, e.g. {"source": "faq.md"}'
+    );
+  }
+  return parsed;
+};
+
+/**
+ * Read a document from a File System or HTTP Request output, a Blob or text
+ * @returns {Promise<Object>} { content, bytes, filename, mimeType } where
+ * bytes holds PDFs and content the text (or parsed JSON) of anything else
+ */
+const readDocumentInput = async (input) => {
+  const isObject =
+    typeof input === "object" && input !== null && !(input instanceof Blob);
+  const blob =
+    input instanceof Blob
+      ? input
+      : isObject
+      ? input.blob || input.data?.blob
+      : null;
+  const filename =
+    (isObject && (input.filename || input.name)) || blob?.name || "";
+  const mimeType =
+    blob?.type ||
+    (isObject &&
+      (input.type || input.mimeType || input.headers?.["content-type"])) ||
+    "";
+
+  if (blob instanceof Blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    if (String.fromCharCode(...bytes.subarray(0, 5)) === "%PDF-") {
+      return { bytes, filename, mimeType: "application/pdf" };
+    }
+    return { content: new TextDecoder().decode(bytes), filename, mimeType };
+  }
+
+  if (!isObject) return { content: String(input ?? ""), filename, mimeType };
+  return {
+    content: input.content ?? input.text ?? input.data ?? input,
+    filename,
+    mimeType,
+  };
+};
+
+/**
+ * Add the memory passages an AI answer was given to its output, marking
+ * the ones the answer cites as [n]
+ */
+const withCitations = (result, citations) => {
+  if (citations.length === 0) return result;
+
+  const output =
+    typeof result.output === "object" && result.output !== null
+      ? result.output
+      : { response: result.output };
+  const response = typeof output.response === "string" ? output.response : "";
+
+  return {
+    ...result,
+    output: {
+      ...output,
+      citations: citations.map((citation) => ({
+        ...citation,
+        cited: response.includes(`[${citation.index}]`),
+      })),
+    },
+  };
+};
+
+/**
+ * Save a question and its answer to a Conversation Memory session, then
+ * have the model summarize older turns if the session is over its budget
+ * @param {Object} conversation - { sessionId, tokenBudget, keepRecent }
+ */
+const saveConversationTurn = async (
+  conversation,
+  question,
+  result,
+  context,
+  nodeName
+) => {
+  const { sessionId, tokenBudget, keepRecent } = conversation;
+  const output = result.output;
+  const answer =
+    typeof output === "object" && output !== null
+      ? output.response ?? JSON.stringify(output)
+      : String(output ?? "");
+
+  try {
+    await conversationMemoryService.append(sessionId, [
+      { role: "user", content: question },
+      { role: "assistant", content: answer },
+    ]);
+
+    const summarized = await conversationMemoryService.compact(sessionId, {
+      tokenBudget,
+      keepRecent,
+      summarize: (prompt) =>
+        context.llm.generateWithHistory(prompt, [], {
+          temperature: 0.2,
+          maxTokens: 500,
+          systemPrompt: "You write concise, factual conversation summaries.",
+        }),
+    });
+    if (summarized > 0) {
+      context.addLog({
+        type: "info",
+        nodeId: context.nodeId,
+        nodeName,
+        message: `📝 Summarized ${summarized} older messages of session "${sessionId}"`,
+      });
+    }
+  } catch (err) {
+    context.addLog({
+      type: "warning",
+      nodeId: context.nodeId,
+      nodeName,
+      message: `⚠️ Conversation memory: ${err.message}`,
+    });
+  }
+};
+
 /**
  * Executor functions for each node type
  */
@@ -505,15 +783,48 @@ const NodeExecutors = {
   },
 
   scheduleTrigger: async (data, input, context) => {
-    // When hit as part of a loop, we just log and pass through
-    // In a real backend system, this might register a future job
+    // Runs are started by SchedulerService (input carries scheduledTime),
+    // by the Run button, or when re-triggered from inside a loop
+    const schedule = data.schedule || "*/5 * * * *";
+    const timezone = data.timezone || "";
+
+    let nextRun = null;
+    try {
+      nextRun = getNextRun(schedule, { timezone })?.toISOString() || null;
+    } catch (error) {
+      context.addLog({
+        type: "warning",
+        nodeId: context.nodeId,
+        nodeName: data.label || "Schedule",
+        message: `⚠️ Invalid cron expression "${schedule}": ${error.message}`,
+      });
+    }
+
+    const isScheduledRun =
+      typeof input === "object" && input !== null && input.scheduledTime;
+
     context.addLog({
       type: "info",
       nodeId: context.nodeId,
-      nodeName: "Schedule",
-      message: `⏰ Rescheduling next run... (Simulated)`,
+      nodeName: data.label || "Schedule",
+      message: isScheduledRun
+        ? `⏰ Scheduled run for ${input.scheduledTime}${
+            input.catchUp ? " (catch-up)" : ""
+          }`
+        : `⏰ Schedule run started manually`,
     });
-    return { output: input };
+
+    return {
+      output: {
+        ...(typeof input === "object" && input !== null ? input : {}),
+        timestamp: new Date().toISOString(),
+        trigger: "schedule",
+        schedule,
+        timezone: timezone || null,
+        scheduledTime: isScheduledRun ? input.scheduledTime : null,
+        nextRun,
+      },
+    };
   },
 
   // LLM Node
@@ -616,9 +927,53 @@ const NodeExecutors = {
       message: "🤖 AI processing...",
     });
 
-    // 4. Apply connected memory (Context Retrieval)
+    // 4. Apply connected memory. Conversation Memory puts the session's
+    // summary and recent turns before this message; Vector Memory
+    // retrieves passages that become numbered citations in the output
     const connectedMemory = mergedData.connectedMemory;
-    if (connectedMemory) {
+    const citations = [];
+    let conversation = null;
+    if (connectedMemory?.type === "conversationMemory") {
+      const sessionId =
+        resolveExpressions(connectedMemory.sessionId || "", { input }).trim() ||
+        "default";
+
+      try {
+        const session = await conversationMemoryService.getSession(sessionId);
+        conversation = {
+          ...connectedMemory,
+          sessionId,
+          transcript: formatTranscript(session.messages),
+        };
+        if (session.summary) {
+          finalSystemMessage =
+            `${finalSystemMessage}\n\n[CONVERSATION SUMMARY]\n${session.summary}\n[/SUMMARY]`.trim();
+        }
+        history = [
+          ...session.messages.map(({ role, content }) => ({ role, content })),
+          ...history,
+        ];
+
+        context.addLog({
+          type: "info",
+          nodeId: context.nodeId,
+          nodeName: data.label || "AI Agent",
+          message:
+            session.messages.length || session.summary
+              ? `💬 Session "${sessionId}": ${
+                  session.messages.length
+                } recent messages${session.summary ? " and a summary" : ""}`
+              : `💬 New session "${sessionId}"`,
+        });
+      } catch (err) {
+        context.addLog({
+          type: "warning",
+          nodeId: context.nodeId,
+          nodeName: data.label || "AI Agent",
+          message: `⚠️ Conversation memory unavailable: ${err.message}`,
+        });
+      }
+    } else if (connectedMemory) {
       context.addLog({
         type: "info",
         nodeId: context.nodeId,
@@ -630,27 +985,30 @@ const NodeExecutors = {
         const memoryResult = await vectorMemoryService.query(
           connectedMemory.namespace,
           currentMessage,
-          connectedMemory.topK || 5
+          connectedMemory.topK || 5,
+          undefined,
+          {
+            filter: parseMemoryFilter(connectedMemory.filter),
+            semanticWeight: connectedMemory.semanticWeight,
+          }
         );
 
         if (memoryResult?.matches?.length > 0) {
-          const contextText = memoryResult.matches
-            .map(
-              (m) =>
-                `- ${
-                  typeof m.text === "string" ? m.text : JSON.stringify(m.text)
-                }`
-            )
+          memoryResult.matches.forEach((m, i) =>
+            citations.push(toCitation(m, i + 1))
+          );
+          const contextText = citations
+            .map((c) => `[${c.index}] (${c.label}) ${c.text}`)
             .join("\n");
 
           finalSystemMessage =
-            `${finalSystemMessage}\n\n[CONTEXT FROM MEMORY]\nUse the following retrieved context to answer the user:\n${contextText}\n[/CONTEXT]`.trim();
+            `${finalSystemMessage}\n\n[CONTEXT FROM MEMORY]\nUse the following retrieved context to answer the user. Cite the passages you use by their number, e.g. [1]:\n${contextText}\n[/CONTEXT]`.trim();
 
           context.addLog({
             type: "info",
             nodeId: context.nodeId,
             nodeName: data.label || "AI Agent",
-            message: `✅ Found ${memoryResult.matches.length} relevant memories`,
+            message: `✅ Found ${memoryResult.matches.length} relevant memories (${memoryResult.retrieval} search)`,
           });
         }
       } catch (err) {
@@ -663,37 +1021,96 @@ const NodeExecutors = {
       }
     }
 
+    // Reasoning and tool calls take no message history, so they get the
+    // recent conversation in the system prompt
+    const systemWithTranscript = conversation?.transcript
+      ? `${finalSystemMessage}\n\n[RECENT CONVERSATION]\n${conversation.transcript}\n[/CONVERSATION]`.trim()
+      : finalSystemMessage;
+
+    // Add the citations and save this turn to the conversation
+    const finish = async (result) => {
+      if (conversation) {
+        await saveConversationTurn(
+          conversation,
+          currentMessage,
+          result,
+          context,
+          data.label || "AI Agent"
+        );
+      }
+      return withCitations(result, citations);
+    };
+
     try {
-      // 5. Ensure model is loaded
-      const targetModelId = mergedData.modelId || "gemma-2-2b-it";
+      // 5. Prepare the model; every call below goes through context.llm
+      context = await prepareModel(
+        mergedData,
+        context,
+        data.label || "AI Agent"
+      );
 
-      if (
-        !webLLMService.isReady ||
-        webLLMService.currentModel !== targetModelId
-      ) {
-        context.addLog({
-          type: "info",
-          nodeId: context.nodeId,
-          nodeName: data.label || "AI Agent",
-          message: `🔄 Loading AI Model: ${targetModelId}...`,
-        });
+      const tools = mergedData.tools || [];
+      const useTools = tools.length > 0 && mergedData.enableToolCalling !== false;
 
-        await webLLMService.initialize(targetModelId, () => {
-          if (context.heartbeat) context.heartbeat();
-        });
+      // 6. Reason with Chain-of-Thought / Tree-of-Thoughts and return the
+      // audit trail ("adaptive" may pick ReAct, which continues below).
+      // Nodes saved before the strategy selector store "auto" or "react",
+      // which never changed their output, so they keep the direct path.
+      const reasoningMode = REASONING_STRATEGIES.get(mergedData.reasoningMode);
 
-        context.addLog({
-          type: "success",
-          nodeId: context.nodeId,
-          nodeName: data.label || "AI Agent",
-          message: `✅ Model loaded: ${targetModelId}`,
-        });
-      }
+      if (reasoningMode) {
+        if (useTools && reasoningMode !== "auto") {
+          context.addLog({
+            type: "warning",
+            nodeId: context.nodeId,
+            nodeName: data.label || "AI Agent",
+            message: `⚠️ Connected tools are not used with ${reasoningMode.toUpperCase()} reasoning`,
+          });
+        }
 
-      // 6. Get tools and execute
-      const tools = mergedData.tools || [];
+        const reasoning = await reasoningEngine.reason(
+          currentMessage,
+          reasoningMode,
+          {
+            systemPrompt: systemWithTranscript,
+            maxTokens,
+            temperature,
+            branchCount: mergedData.branchCount,
+            beamWidth: mergedData.beamWidth,
+            depth: mergedData.treeDepth,
+            tools: useTools ? tools : [],
+          },
+          { ...context, nodeName: data.label || "AI Agent" }
+        );
 
-      if (tools.length > 0 && mergedData.enableToolCalling !== false) {
+        if (!reasoning.requiresReAct) {
+          const {
+            finalAnswer,
+            rawResponse,
+            strategy,
+            auditTrail,
+            ...details
+          } = reasoning;
+
+          return finish(
+            await verifyOutput(
+              {
+                response: (finalAnswer || rawResponse || "").trim(),
+                strategy,
+                ...details,
+                auditTrail,
+              },
+              currentMessage,
+              details.steps,
+              mergedData,
+              context
+            )
+          );
+        }
+      }
+
+      // 7. Get tools and execute
+      if (useTools) {
         // Use centralized ToolCallingService for tool-enabled execution
         context.addLog({
           type: "info",
@@ -710,20 +1127,40 @@ const NodeExecutors = {
           nodeName: data.label || "AI Agent",
         };
 
+        // Only the answer is streamed; each iteration starts a new one
+        const answerStream = createAnswerStream(mergedData, context);
+        let answerIteration = 0;
+
         const result = await runJSONReActLoop(
           currentMessage,
           tools,
           {
-            systemPrompt: finalSystemMessage,
+            systemPrompt: systemWithTranscript,
             maxTokens,
             temperature,
             maxIterations,
             onHeartbeat: context.heartbeat,
+            onAnswerText: (text, iteration) => {
+              if (iteration !== answerIteration) {
+                answerIteration = iteration;
+                answerStream.restart();
+              }
+              answerStream.update(text);
+            },
           },
           toolContext
         );
-
-        return { output: result.output };
+        answerStream.finish();
+
+        return finish(
+          await verifyOutput(
+            result.output,
+            currentMessage,
+            null,
+            mergedData,
+            context
+          )
+        );
       } else {
         // Simple generation without tools
         context.addLog({
@@ -733,7 +1170,8 @@ const NodeExecutors = {
           message: `🤖 Generating response...`,
         });
 
-        const response = await webLLMService.generateWithHistory(
+        const answerStream = createAnswerStream(mergedData, context);
+        const response = await context.llm.generateWithHistory(
           currentMessage,
           history,
           {
@@ -741,10 +1179,12 @@ const NodeExecutors = {
             maxTokens,
             systemPrompt: finalSystemMessage,
           },
-          () => {
+          (_token, text) => {
             if (context.heartbeat) context.heartbeat();
+            answerStream.update(text);
           }
         );
+        answerStream.finish();
 
         context.addLog({
           type: "success",
@@ -753,7 +1193,15 @@ const NodeExecutors = {
           message: `✅ Generation complete`,
         });
 
-        return { output: response.trim() };
+        return finish(
+          await verifyOutput(
+            response.trim(),
+            currentMessage,
+            null,
+            mergedData,
+            context
+          )
+        );
       }
     } catch (err) {
       throw new Error(`AI generation failed: ${err.message}`);
@@ -946,6 +1394,7 @@ const NodeExecutors = {
         contentType.includes("audio/") ||
         contentType.includes("video/") ||
         contentType.includes("image/") ||
+        contentType.includes("application/pdf") ||
         contentType.includes("application/octet-stream")
       ) {
         // Binary content - return as Blob
@@ -1162,9 +1611,16 @@ const NodeExecutors = {
     return { output };
   },
 
-  // Semantic Router - Routes based on keyword/LLM classification
+  // Semantic Router - Routes based on keyword, embedding or LLM classification
   semanticRouter: async (data, input, context) => {
-    const { routes = [], classificationMode = "keyword" } = data;
+    const {
+      routes = [],
+      classificationMode = "keyword",
+      scoring = "centroid",
+      k = DEFAULT_ROUTE_K,
+      threshold = DEFAULT_ROUTE_THRESHOLD,
+      fallbackRoute = "",
+    } = data;
 
     // Get text to classify
     const textToClassify =
@@ -1180,72 +1636,67 @@ const NodeExecutors = {
     });
 
     let matchedRouteIndex = -1;
+    // One score per route (null where the mode gives none)
+    let scores = routes.map(() => null);
 
     if (classificationMode === "keyword") {
-      // Simple keyword matching
+      // Share of each route's keywords in the text; the first route with
+      // any keyword wins
       const lowerText = textToClassify.toLowerCase();
 
-      for (let i = 0; i < routes.length; i++) {
-        const route = routes[i];
+      scores = routes.map((route) => {
         const keywords = route.keywords || [];
-
-        for (const keyword of keywords) {
-          if (lowerText.includes(keyword.toLowerCase())) {
-            matchedRouteIndex = i;
-            break;
-          }
-        }
-
-        if (matchedRouteIndex >= 0) break;
-      }
+        if (keywords.length === 0) return null;
+        const found = keywords.filter((keyword) =>
+          lowerText.includes(keyword.toLowerCase())
+        );
+        return found.length / keywords.length;
+      });
+      matchedRouteIndex = scores.findIndex((score) => score > 0);
     } else if (classificationMode === "embedding") {
-      // Embedding-based classification
+      // Compare the input with each route's example utterances, whose
+      // embeddings are cached per workflow
       try {
+        const examples = routes.map(routeExamples);
+        const { vectors, embedded } = await routeEmbeddingCache.getEmbeddings(
+          context.workflowId,
+          context.nodeId,
+          examples.flat()
+        );
+
         context.addLog({
           type: "info",
           nodeId: context.nodeId,
           nodeName: data.label || "Router",
-          message: "🧠 Generating embeddings for input...",
+          message:
+            embedded > 0
+              ? `🧠 Embedded ${embedded} route examples (cached for later runs)`
+              : `🧠 Using ${vectors.size} cached route embeddings`,
         });
 
-        // Generate embedding for input
         const inputEmbedding = await vectorMemory.generateEmbedding(
           textToClassify
         );
-
-        // Compare with each route
-        let bestScore = -1;
-
-        for (let i = 0; i < routes.length; i++) {
-          const route = routes[i];
-          // Use keywords or label as the semantic target
-          const routeText = (route.keywords || []).join(" ") || route.label;
-
-          if (!routeText) continue;
-
-          // Generate embedding for route (this should ideally be cached)
-          const routeEmbedding = await vectorMemory.generateEmbedding(
-            routeText
-          );
-
-          const score = vectorMemory.cosineSimilarity(
+        scores = examples.map((texts) =>
+          scoreRoute(
             inputEmbedding,
-            routeEmbedding
-          );
-
-          context.addLog({
-            type: "info",
-            nodeId: context.nodeId,
-            nodeName: data.label || "Router",
-            message: `Route "${route.label}" score: ${score.toFixed(4)}`,
-          });
+            texts.map((text) => vectors.get(text)),
+            { scoring, k }
+          )
+        );
+        matchedRouteIndex = pickRoute(scores, threshold);
 
-          if (score > bestScore && score > 0.3) {
-            // Threshold
-            bestScore = score;
-            matchedRouteIndex = i;
-          }
-        }
+        const scoreList = routes
+          .map((route, i) => `${route.label} ${scores[i]?.toFixed(3) ?? "-"}`)
+          .join(", ");
+        context.addLog({
+          type: "info",
+          nodeId: context.nodeId,
+          nodeName: data.label || "Router",
+          message: `📊 ${
+            scoring === "knn" ? `${k}-NN` : "Centroid"
+          } scores: ${scoreList} (threshold ${threshold})`,
+        });
       } catch (error) {
         context.addLog({
           type: "error",
@@ -1254,13 +1705,75 @@ const NodeExecutors = {
           message: `Embedding error: ${error.message}`,
         });
       }
+    } else if (classificationMode === "llm") {
+      // Ask the model (connected Chat Model or WebLLM) to pick a route,
+      // showing it the example utterances as few-shot examples
+      try {
+        const { llm } = await prepareModel(
+          data,
+          context,
+          data.label || "Router"
+        );
+        const routeList = routes
+          .map((route, i) => {
+            const examples = (route.examples || [])
+              .map((example) => String(example ?? "").trim())
+              .filter(Boolean)
+              .map((example) => `\n   Example: "${example}"`)
+              .join("");
+            return `${i + 1}. ${route.label}${
+              route.keywords?.length ? ` (${route.keywords.join(", ")})` : ""
+            }${examples}`;
+          })
+          .join("\n");
+
+        const answer = await llm.generateWithHistory(
+          `Text:\n${textToClassify}\n\nRoutes:\n${routeList}\n\nWhich route fits the text best? Reply with its number only, or 0 if none fits.`,
+          [],
+          {
+            systemPrompt:
+              "You are a classifier. Reply with a single route number.",
+            maxTokens: 10,
+            temperature: 0,
+          }
+        );
+
+        // A number, or failing that a route label in the reply
+        const number = parseInt(answer.match(/\d+/)?.[0], 10);
+        matchedRouteIndex =
+          number >= 1 && number <= routes.length
+            ? number - 1
+            : routes.findIndex((route) =>
+                answer.toLowerCase().includes(route.label?.toLowerCase())
+              );
+
+        context.addLog({
+          type: "info",
+          nodeId: context.nodeId,
+          nodeName: data.label || "Router",
+          message: `Model answered: ${answer.trim().slice(0, 50)}`,
+        });
+      } catch (error) {
+        context.addLog({
+          type: "error",
+          nodeId: context.nodeId,
+          nodeName: data.label || "Router",
+          message: `LLM classification error: ${error.message}`,
+        });
+      }
     }
 
-    // If no match, use last output (fallback/other)
-    // If no routes defined, use output 0 (first/default output)
+    // No match goes to the fallback route if one is set, else to the last
+    // output (Other); without routes, output 0 (first/default output)
+    const fallbackIndex = fallbackRoute
+      ? routes.findIndex((route) => route.id === fallbackRoute)
+      : -1;
+    const usedFallback = matchedRouteIndex < 0;
     const finalOutputIndex =
       matchedRouteIndex >= 0
         ? matchedRouteIndex
+        : fallbackIndex >= 0
+        ? fallbackIndex
         : routes.length > 0
         ? routes.length
         : 0;
@@ -1276,11 +1789,34 @@ const NodeExecutors = {
       type: "success",
       nodeId: context.nodeId,
       nodeName: data.label || "Router",
-      message: `✅ Routed to: ${routeLabel} (output ${finalOutputIndex + 1})`,
+      message: `✅ Routed to: ${routeLabel} (output ${finalOutputIndex + 1})${
+        usedFallback && routes.length > 0 ? " - no route matched" : ""
+      }`,
     });
 
+    // The input passes through with the routing decision added
+    const routing = {
+      route: routeLabel,
+      routeId: routes[finalOutputIndex]?.id ?? null,
+      outputIndex: finalOutputIndex,
+      mode: classificationMode,
+      ...(classificationMode === "embedding" && { scoring, threshold }),
+      fallback: usedFallback,
+      scores: routes.map((route, i) => ({
+        id: route.id,
+        label: route.label,
+        score: scores[i],
+      })),
+    };
+    const isObject =
+      typeof input === "object" && input !== null && !Array.isArray(input);
+
     return {
-      output: input,
+      output: isObject
+        ? { ...input, routing }
+        : typeof input === "string"
+        ? { text: input, routing }
+        : { data: input, routing },
       outputIndex: finalOutputIndex,
     };
   },
@@ -1291,6 +1827,7 @@ const NodeExecutors = {
       evaluationType = "schema",
       schema = null,
       regexPattern = "",
+      criteria = "",
       maxRetries = 3,
     } = data;
 
@@ -1361,11 +1898,40 @@ const NodeExecutors = {
           }
           break;
 
-        case "llm":
-          // LLM-based evaluation would go here
-          // For now, just pass
-          isValid = true;
+        case "llm": {
+          // The model (connected Chat Model or WebLLM) judges the output
+          const { llm } = await prepareModel(
+            data,
+            context,
+            data.label || "Evaluator"
+          );
+          const textToCheck =
+            typeof actualInput === "string"
+              ? actualInput
+              : JSON.stringify(actualInput, null, 2);
+
+          const verdict = await llm.generateWithHistory(
+            `Criteria:\n${
+              criteria.trim() ||
+              "The output is correct, complete and well-formed."
+            }\n\nOutput:\n${textToCheck}\n\nDoes the output meet the criteria? Reply PASS, or FAIL: <reason>.`,
+            [],
+            {
+              systemPrompt:
+                "You are a strict evaluator. Reply PASS or FAIL with a one-sentence reason.",
+              maxTokens: 150,
+              temperature: 0,
+            }
+          );
+
+          isValid = /^\W*PASS\b/i.test(verdict);
+          if (!isValid) {
+            validationError =
+              verdict.replace(/^\W*FAIL\W*/i, "").trim() ||
+              "Output does not meet the criteria";
+          }
           break;
+        }
 
         default:
           isValid = true;
@@ -1573,7 +2139,14 @@ const NodeExecutors = {
     // 1. Merge input overrides
     const mergedData = { ...data };
     if (typeof input === "object" && input !== null) {
-      ["mode", "namespace", "topK", "minScore"].forEach((key) => {
+      [
+        "mode",
+        "namespace",
+        "topK",
+        "minScore",
+        "filter",
+        "semanticWeight",
+      ].forEach((key) => {
         if (input[key] !== undefined) mergedData[key] = input[key];
       });
     }
@@ -1583,6 +2156,8 @@ const NodeExecutors = {
       namespace = "default",
       topK = 5,
       minScore = 0.1,
+      filter,
+      semanticWeight,
     } = mergedData;
 
     context.addLog({
@@ -1647,14 +2222,15 @@ const NodeExecutors = {
           namespace,
           queryText,
           topK,
-          minScore
+          minScore,
+          { filter: parseMemoryFilter(filter), semanticWeight }
         );
 
         context.addLog({
           type: "success",
           nodeId: context.nodeId,
           nodeName: data.label || "Vector Store",
-          message: `🔍 Found ${result.count} matches`,
+          message: `🔍 Found ${result.count} matches (${result.retrieval} search)`,
         });
       } else if (mode === "delete") {
         // Expect input to be ID or array of IDs
@@ -1669,6 +2245,15 @@ const NodeExecutors = {
           message: `🗑️ Deleted ${result.deleted} items`,
         });
       }
+
+      if (result?.pendingEmbeddings > 0) {
+        context.addLog({
+          type: "info",
+          nodeId: context.nodeId,
+          nodeName: data.label || "Vector Store",
+          message: `🔄 ${result.pendingEmbeddings} memories are not embedded yet (ranked by keywords after the embedded ones until then)`,
+        });
+      }
     } catch (err) {
       throw new Error(`Memory operation failed: ${err.message}`);
     }
@@ -1676,6 +2261,132 @@ const NodeExecutors = {
     return { output: result };
   },
 
+  // Document Loader - split a document into chunks with source and offset
+  // metadata, and store them in vector memory
+  documentLoader: async (data, input, context) => {
+    const nodeName = data.label || "Document Loader";
+    const {
+      format = "auto",
+      chunkSize = 1000,
+      chunkOverlap = 200,
+      store = true,
+      namespace = "documents",
+      replaceExisting = true,
+    } = data;
+
+    // Separators are entered as a JSON array of strings
+    let separators;
+    if (data.separators && String(data.separators).trim()) {
+      separators =
+        typeof data.separators === "string"
+          ? safeJsonParse(data.separators)
+          : data.separators;
+      if (
+        !Array.isArray(separators) ||
+        !separators.every((s) => typeof s === "string")
+      ) {
+        throw new Error(
+          'Separators must be a JSON array of strings, e.g. ["\\n\\n", "\\n", " "]'
+        );
+      }
+    }
+
+    const doc = await readDocumentInput(input);
+    let source = data.source || doc.filename || "document";
+    if (source.includes("{{")) {
+      source = resolveExpressions(source, { input, $json: input });
+    }
+
+    const detectedFormat =
+      format === "auto"
+        ? doc.bytes
+          ? "pdf"
+          : detectDocumentFormat(doc)
+        : format;
+
+    // PDFs: pages are joined by blank lines, remembering where each starts
+    let text = "";
+    let pageOffsets;
+    if (detectedFormat === "pdf") {
+      if (!doc.bytes) {
+        throw new Error(
+          "PDFs need the file itself - read it with a File System node or an HTTP Request that returns application/pdf"
+        );
+      }
+      pageOffsets = [];
+      (await extractPdfText(doc.bytes)).forEach((page, i) => {
+        if (i > 0) text += "\n\n";
+        pageOffsets.push(text.length);
+        text += page;
+      });
+      if (!text.trim()) {
+        throw new Error(
+          "No text layer found in the PDF (scanned documents need OCR)"
+        );
+      }
+    } else {
+      text = extractDocumentText(doc.content ?? "", detectedFormat);
+    }
+
+    const chunks = createDocumentChunks(text, {
+      source,
+      format: detectedFormat,
+      pageOffsets,
+      chunkSize,
+      chunkOverlap,
+      separators,
+    });
+
+    context.addLog({
+      type: "info",
+      nodeId: context.nodeId,
+      nodeName,
+      message: `📄 ${source} (${detectedFormat}, ${text.length} characters${
+        pageOffsets ? `, ${pageOffsets.length} pages` : ""
+      }) → ${chunks.length} chunks`,
+    });
+
+    let stored = null;
+    if (store && chunks.length > 0) {
+      // Chunks of an earlier version of the document would linger
+      const removed = replaceExisting
+        ? (await vectorMemoryService.deleteByMetadata(namespace, { source }))
+            .deleted
+        : 0;
+      const result = await vectorMemoryService.upsert(namespace, chunks, {
+        onProgress: () => context.heartbeat?.(),
+      });
+      stored = {
+        namespace,
+        added: result.added,
+        updated: result.updated,
+        replaced: removed,
+        total: result.total,
+      };
+
+      context.addLog({
+        type: "success",
+        nodeId: context.nodeId,
+        nodeName,
+        message: `💾 Stored ${chunks.length} chunks in "${namespace}"${
+          removed ? ` (replaced ${removed} earlier chunks)` : ""
+        }`,
+      });
+    }
+
+    return {
+      output: {
+        source,
+        format: detectedFormat,
+        characters: text.length,
+        ...(pageOffsets && { pages: pageOffsets.length }),
+        chunks,
+        count: chunks.length,
+        stored,
+      },
+    };
+  },
+
   // Output Node - workflow terminal
   output: async (data, input, context) => {
     // Merge input overrides
@@ -2067,21 +2778,41 @@ const NodeExecutors = {
 
   // Webhook Trigger - HTTP endpoint for external triggers
   webhookTrigger: async (data, input, context) => {
+    const endpoint = data.endpoint || "/webhook/default";
+    // Requests forwarded by the service worker arrive as { webhook: request }
+    const request = input?.webhook;
+
     context.addLog({
       type: "info",
       nodeId: context.nodeId,
       nodeName: data.label || "Webhook",
-      message: `🔗 Webhook endpoint ready: ${
-        data.endpoint || "/webhook/default"
-      }`,
+      message: request
+        ? `🔗 ${request.method} ${request.path} received`
+        : `🔗 Webhook run started manually (${endpoint})`,
     });
 
+    if (request) {
+      return {
+        output: {
+          timestamp: request.receivedAt || new Date().toISOString(),
+          trigger: "webhook",
+          method: request.method,
+          endpoint,
+          path: request.path,
+          headers: request.headers || {},
+          body: request.body ?? {},
+          query: request.query || {},
+        },
+      };
+    }
+
     return {
       output: {
         timestamp: new Date().toISOString(),
         trigger: "webhook",
         method: data.method || "POST",
-        endpoint: data.endpoint || "/webhook/default",
+        endpoint,
+        headers: {},
         body: input || {},
         query: {},
       },
@@ -2090,20 +2821,32 @@ const NodeExecutors = {
 
   // Error Trigger - catches errors from other nodes
   errorTrigger: async (data, input, context) => {
+    // Started by ExecutionEngine.runErrorHandlers with the failure details
+    const failure = input?.nodeId ? input : null;
+
     context.addLog({
       type: "warning",
       nodeId: context.nodeId,
       nodeName: data.label || "Error Trigger",
-      message: `⚠️ Error trigger activated`,
+      message: failure
+        ? `⚠️ Handling failure of "${failure.label}": ${failure.error}`
+        : `⚠️ Error trigger activated`,
       data: input,
     });
 
     return {
       output: {
-        timestamp: new Date().toISOString(),
+        timestamp: failure?.timestamp || new Date().toISOString(),
         trigger: "error",
-        error: input?.error || null,
-        originalInput: input,
+        error: failure?.error || input?.error || null,
+        nodeId: failure?.nodeId || null,
+        nodeLabel: failure?.label || null,
+        nodeType: failure?.nodeType || null,
+        attempts: failure?.attempts || 0,
+        input: failure ? failure.input : input,
+        executionId: failure?.executionId || context.executionId,
+        workflowId: failure?.workflowId || null,
+        workflowName: failure?.workflowName || null,
       },
     };
   },
@@ -2173,6 +2916,7 @@ const NodeExecutors = {
               type: file.type,
               content,
               lastModified: file.lastModified,
+              blob: file, // Binary contents, e.g. for PDFs
             },
           };
         } else {
@@ -2230,6 +2974,59 @@ const NodeExecutors = {
     return { output: input };
   },
 
+  // Browser Tools - runs the toolkit tool an AI Agent called, after asking
+  // the user when the tool needs permission
+  browserTools: async (data, input, context) => {
+    const { toolId, enabledTools = [], alwaysAsk = false } = data;
+    const nodeName = data.label || "Browser Tools";
+
+    if (!toolId) {
+      throw new Error("Browser Tools run when an AI Agent calls one of them");
+    }
+    const tool = BROWSER_TOOLS[toolId];
+    if (!tool || !enabledTools.includes(toolId)) {
+      throw new Error(`"${tool?.name || toolId}" is not enabled`);
+    }
+
+    // Plain text goes to the tool's text input, e.g. { text } or { url }
+    const { valid, errors, value: inputs } = validateToolArguments(
+      tool.parameters,
+      input
+    );
+    if (!valid) {
+      throw new Error(`Invalid input for "${tool.name}": ${errors.join("; ")}`);
+    }
+
+    if (tool.requiresPermission || alwaysAsk) {
+      context.addLog({
+        type: "warning",
+        nodeId: context.nodeId,
+        nodeName,
+        message: `🔐 Waiting for permission to use ${tool.name}`,
+      });
+
+      const allowed = await useConsentStore.getState().requestConsent({
+        // "Always ask" never remembers the answer
+        key: alwaysAsk ? null : toolId,
+        title: tool.name,
+        description: tool.description,
+        details: Object.keys(inputs).length > 0 ? inputs : undefined,
+        source:
+          context.nodes?.find((n) => n.id === context.nodeId)?.data?.label ||
+          "AI Agent",
+      });
+      if (!allowed) {
+        throw new Error(`Permission to use "${tool.name}" was denied`);
+      }
+    }
+
+    const result = await browserToolkit.execute(toolId, inputs, {
+      ...context,
+      nodeName,
+    });
+    return { output: result };
+  },
+
   // Local Storage - persist data between runs
   localStorage: async (data, input, context) => {
     const { mode = "get", storageType = "localStorage", key } = data;
@@ -2450,188 +3247,410 @@ const NodeExecutors = {
     });
   },
 
-  // Sub-Workflow - execute another workflow
+  // Sub-Workflow - execute another workflow in a nested engine
   subWorkflow: async (data, input, context) => {
-    const { workflowId, workflowName, passInput = true } = data;
+    const { workflowId, passInput = true, async: detached = false } = data;
+    const nodeName = data.label || "Sub-Workflow";
+
+    if (!workflowId) {
+      throw new Error("No workflow selected");
+    }
+    if (!context.runSubWorkflow) {
+      throw new Error("Sub-workflows can only run as part of a workflow");
+    }
+
+    // Load workflow from the workflow repository (by ID or name)
+    const subWorkflow = await findWorkflow(workflowId);
+    if (!subWorkflow) {
+      throw new Error(`Workflow "${workflowId}" not found`);
+    }
+    if (!subWorkflow.nodes?.length) {
+      throw new Error("Sub-workflow has no nodes");
+    }
 
     context.addLog({
       type: "info",
       nodeId: context.nodeId,
-      nodeName: data.label || "Sub-Workflow",
-      message: `🔀 Executing sub-workflow: ${
-        workflowName || workflowId || "none selected"
-      }`,
+      nodeName,
+      message: `🔀 Running sub-workflow "${subWorkflow.name}" (${
+        subWorkflow.nodes.length
+      } nodes${detached ? ", fire & forget" : ""})`,
     });
 
-    if (!workflowId) {
-      context.addLog({
-        type: "error",
-        nodeId: context.nodeId,
-        nodeName: data.label || "Sub-Workflow",
-        message: `❌ No workflow selected`,
-      });
-      return { output: { error: "No workflow selected", success: false } };
+    const run = await context.runSubWorkflow(
+      subWorkflow,
+      passInput ? input : {},
+      { detached }
+    );
+
+    if (detached) {
+      return {
+        output: {
+          subWorkflowId: subWorkflow.id,
+          subWorkflowName: subWorkflow.name,
+          executionId: run.executionId,
+          started: true,
+        },
+      };
     }
 
-    try {
-      // Load workflow from localStorage (where WorkflowManager saves them)
-      const savedWorkflows = localStorage.getItem("iosans-workflows");
-      if (!savedWorkflows) {
-        throw new Error("No workflows found in storage");
-      }
+    context.addLog({
+      type: "success",
+      nodeId: context.nodeId,
+      nodeName,
+      message: `✅ Sub-workflow completed in ${run.duration}ms (${run.nodesExecuted} nodes executed)`,
+    });
 
-      const workflows = JSON.parse(savedWorkflows);
-      const subWorkflow = workflows.find(
-        (w) => w.id === workflowId || w.name === workflowId
-      );
+    return {
+      output: {
+        subWorkflowId: subWorkflow.id,
+        subWorkflowName: subWorkflow.name,
+        executionId: run.executionId,
+        result: run.output,
+        outputNodeId: run.outputNodeId,
+        allResults: run.results,
+        nodesExecuted: run.nodesExecuted,
+        duration: run.duration,
+        success: true,
+      },
+    };
+  },
 
-      if (!subWorkflow) {
-        throw new Error(`Workflow "${workflowId}" not found`);
-      }
+  // Planner - turn a goal into a JSON plan and execute it step by step,
+  // replanning from the failed steps
+  planner: async (data, input, context) => {
+    const {
+      goal: goalTemplate = "",
+      planMode = "generate", // generate, approved
+      maxReplans = 2,
+      stepRetries = 1,
+    } = data;
+    const nodeName = data.label || "Planner";
+    const tools = data.tools || [];
+
+    const goal = goalTemplate.trim()
+      ? resolveExpressions(goalTemplate, { input })
+      : formatInputForAI(input);
 
-      const { nodes: subNodes, edges: subEdges } = subWorkflow;
+    const planContext = await prepareModel(
+      data,
+      { ...context, nodeName },
+      nodeName
+    );
 
-      if (!subNodes || subNodes.length === 0) {
-        throw new Error("Sub-workflow has no nodes");
+    // "tool" steps run the tool nodes connected to the tool slot
+    const callTool = async (toolName, toolInput) => {
+      const tool = tools.find(
+        (t) => t.name.toLowerCase() === String(toolName).toLowerCase()
+      );
+      const toolNode = resolveToolNode(tool, context);
+      if (!toolNode) {
+        throw new Error(
+          `Tool "${toolName}" is not connected. Available: ${
+            tools.map((t) => t.name).join(", ") || "none"
+          }`
+        );
       }
 
+      const check = validateToolCall(tool, toolInput);
+      if (!check.valid) throw new Error(check.feedback);
+
       context.addLog({
         type: "info",
         nodeId: context.nodeId,
-        nodeName: data.label || "Sub-Workflow",
-        message: `📋 Loaded workflow "${subWorkflow.name}" with ${subNodes.length} nodes`,
+        nodeName,
+        message: `🔧 Calling tool: ${tool.name}`,
       });
 
-      // Find trigger node(s) in the sub-workflow
-      const triggerTypes = [
-        "manualTrigger",
-        "webhookTrigger",
-        "scheduleTrigger",
-        "browserEventTrigger",
-      ];
-      const triggerNode = subNodes.find((n) => triggerTypes.includes(n.type));
-
-      if (!triggerNode) {
-        throw new Error("Sub-workflow has no trigger node");
+      const result = await executeNode(toolNode, check.value, planContext);
+      if (!result.success) {
+        throw new Error(`Tool "${tool.name}" failed: ${result.error}`);
       }
+      return result.output;
+    };
 
-      // Execute the sub-workflow using a simplified inline execution
-      const startTime = Date.now();
-      const results = {};
-      const visited = new Set();
-
-      // Simple BFS execution (synchronous for now)
-      const queue = [{ nodeId: triggerNode.id, input: passInput ? input : {} }];
-
-      while (queue.length > 0) {
-        const { nodeId: currentId, input: nodeInput } = queue.shift();
-
-        if (visited.has(currentId)) continue;
-        visited.add(currentId);
+    // A fresh service per run keeps parallel planners apart
+    const planning = new PlanningService();
+    let plan;
 
-        const node = subNodes.find((n) => n.id === currentId);
-        if (!node) continue;
+    if (planMode === "approved") {
+      if (!data.plan?.steps?.length) {
+        throw new Error("No plan to run - generate one in the node settings");
+      }
+      if (!data.planApproved) {
+        throw new Error("The plan has not been approved");
+      }
+      plan = JSON.parse(JSON.stringify(data.plan));
+      plan.steps = plan.steps.map((step) => ({
+        ...step,
+        status: "pending",
+        result: undefined,
+        error: undefined,
+      }));
+      context.addLog({
+        type: "info",
+        nodeId: context.nodeId,
+        nodeName,
+        message: `📋 Running approved plan with ${plan.steps.length} steps`,
+      });
+    } else {
+      plan = await planning.generatePlan(
+        goal,
+        { availableTools: tools },
+        planContext
+      );
+    }
 
-        // Skip re-executing triggers, just pass input through
-        let nodeOutput = nodeInput;
+    const replans = [];
+    const completedSteps = [];
 
-        if (!triggerTypes.includes(node.type)) {
-          // Get the executor for this node type
-          const executor = NodeExecutors[node.type];
-          if (executor) {
-            try {
-              const subContext = {
-                ...context,
-                nodeId: `${context.nodeId}:${currentId}`,
-                addLog: (log) => {
-                  context.addLog({
-                    ...log,
-                    message: `[Sub] ${log.message}`,
-                  });
-                },
-              };
+    for (;;) {
+      const execution = await planning.executePlan(
+        plan,
+        { maxRetries: stepRetries, callTool },
+        planContext
+      );
 
-              const result = await executor(node.data, nodeInput, subContext);
-              nodeOutput = result.output ?? result;
-              results[currentId] = nodeOutput;
-            } catch (err) {
-              context.addLog({
-                type: "error",
-                nodeId: context.nodeId,
-                nodeName: data.label || "Sub-Workflow",
-                message: `❌ Sub-node ${node.type} failed: ${err.message}`,
-              });
-              // Continue execution despite error
-            }
-          }
-        } else {
-          results[currentId] = nodeInput;
-        }
+      completedSteps.push(
+        ...plan.steps.filter((step) => step.status === "completed")
+      );
 
-        // Find connected nodes and add to queue
-        const outEdges = subEdges.filter((e) => e.source === currentId);
-        for (const edge of outEdges) {
-          queue.push({ nodeId: edge.target, input: nodeOutput });
-        }
+      if (execution.success) {
+        const lastStep = completedSteps[completedSteps.length - 1];
+        return {
+          output: {
+            goal,
+            success: true,
+            result: lastStep?.result ?? null,
+            plan,
+            results: execution.results,
+            replans,
+          },
+        };
       }
 
-      const duration = Date.now() - startTime;
+      const unfinished = [...execution.failedSteps, ...execution.skippedSteps];
+      const failedSteps = unfinished.map((step) => ({
+        id: step.id,
+        action: step.action,
+        description: step.description,
+        error: step.error,
+      }));
+
+      if (replans.length >= maxReplans) {
+        throw new Error(
+          `Plan failed after ${replans.length} replan(s): ${failedSteps
+            .map((step) => `step ${step.id}: ${step.error}`)
+            .join("; ")}`
+        );
+      }
 
-      context.addLog({
-        type: "success",
-        nodeId: context.nodeId,
-        nodeName: data.label || "Sub-Workflow",
-        message: `✅ Sub-workflow completed in ${duration}ms (${visited.size} nodes executed)`,
+      plan = await planning.replan(goal, unfinished, planContext, {
+        availableTools: tools,
+        completedSteps,
       });
+      replans.push({ failedSteps, plan });
+    }
+  },
 
-      // Return the last result or aggregated results
-      const lastNodeId = Array.from(visited).pop();
-      const finalOutput = results[lastNodeId] || {};
+  // Critic - verify an answer from upstream, correct it and route
+  // low-confidence results to the review output
+  critic: async (data, input, context) => {
+    const {
+      question: questionTemplate = "",
+      response: responseTemplate = "",
+      confidenceThreshold = 0.7,
+      correctionIterations = 2,
+      autoCorrect = true,
+      scoreSteps = true,
+    } = data;
+    const nodeName = data.label || "Critic";
+    const source =
+      typeof input === "object" && input !== null && !Array.isArray(input)
+        ? input
+        : {};
+
+    const question = questionTemplate.trim()
+      ? resolveExpressions(questionTemplate, { input })
+      : String(source.question ?? source.prompt ?? source.goal ?? "");
+
+    // AI Agent and Planner outputs carry the answer in response / result
+    let response;
+    if (responseTemplate.trim()) {
+      response = resolveExpressions(responseTemplate, { input });
+    } else if (typeof input === "string") {
+      response = input;
+    } else {
+      const answer = source.response ?? source.result ?? source.output;
+      response =
+        typeof answer === "string" ? answer : formatInputForAI(answer ?? input);
+    }
 
-      return {
-        output: {
-          subWorkflowId: workflowId,
-          subWorkflowName: subWorkflow.name,
-          result: finalOutput,
-          allResults: results,
-          nodesExecuted: visited.size,
-          duration,
-          success: true,
+    if (!response.trim()) {
+      throw new Error("Nothing to review - the response is empty");
+    }
+
+    const criticContext = await prepareModel(
+      data,
+      { ...context, nodeName },
+      nodeName
+    );
+
+    const { response: verified, ...verification } =
+      await responseVerifier.verify(
+        question,
+        response,
+        {
+          confidenceThreshold,
+          maxIterations: correctionIterations,
+          autoCorrect,
+          scoreSteps,
+          steps: Array.isArray(source.steps) ? source.steps : null,
         },
-      };
-    } catch (error) {
-      context.addLog({
-        type: "error",
-        nodeId: context.nodeId,
-        nodeName: data.label || "Sub-Workflow",
-        message: `❌ Sub-workflow failed: ${error.message}`,
-      });
+        criticContext
+      );
 
-      return {
-        output: {
-          subWorkflowId: workflowId,
-          error: error.message,
-          success: false,
+    return {
+      output: { question, response: verified, verification },
+      outputIndex: verification.needsReview ? 1 : 0,
+    };
+  },
+
+  // Decompose - split a task into a tree of subtasks, solve the leaves
+  // with the connected AI Agent or a sub-workflow and roll the results up
+  decompose: async (data, input, context) => {
+    const {
+      task: taskTemplate = "",
+      maxDepth = 3,
+      minComplexity = 50,
+      leafExecutor = "agent", // agent, subWorkflow
+      workflowId,
+      rollup = "join", // join, list, summarize
+      continueOnError = false,
+    } = data;
+    const nodeName = data.label || "Decompose";
+    const decomposeContext = { ...context, nodeName };
+
+    const task = taskTemplate.trim()
+      ? resolveExpressions(taskTemplate, { input })
+      : formatInputForAI(input);
+
+    // The agent on the tool slot, run with its own model, memory and tools
+    const agentTool = (data.tools || []).find((t) => t.type === "aiAgent");
+    const agentNode = context.nodes?.find((n) => n.id === agentTool?.nodeId);
+    const runAgent = async (prompt) => {
+      const resources = context.getConnectedResources?.(agentNode.id) || {};
+      const node = {
+        ...agentNode,
+        data: {
+          ...agentNode.data,
+          ...(resources.model && { connectedModel: resources.model }),
+          ...(resources.memory && { connectedMemory: resources.memory }),
+          ...(resources.tools?.length && { tools: resources.tools }),
         },
       };
+      const result = await executeNode(node, prompt, decomposeContext);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return result.output?.response ?? result.output;
+    };
+
+    if ((leafExecutor === "agent" || rollup === "summarize") && !agentNode) {
+      throw new Error("Connect an AI Agent to the Agent slot");
     }
+
+    let subWorkflow = null;
+    if (leafExecutor === "subWorkflow") {
+      if (!workflowId) {
+        throw new Error("No workflow selected for the leaf tasks");
+      }
+      if (!context.runSubWorkflow) {
+        throw new Error("Sub-workflows can only run as part of a workflow");
+      }
+      subWorkflow = await findWorkflow(workflowId);
+      if (!subWorkflow?.nodes?.length) {
+        throw new Error(`Workflow "${workflowId}" not found or empty`);
+      }
+    }
+
+    // A fresh engine per run keeps parallel decompositions apart
+    const engine = new DecompositionEngine();
+    const tree = await engine.decompose(
+      task,
+      { maxDepth, minComplexity },
+      decomposeContext
+    );
+
+    const runLeaf = async (leafTask, leafContext, leaf) => {
+      if (subWorkflow) {
+        const run = await context.runSubWorkflow(subWorkflow, {
+          task: leafTask,
+          rootTask: task,
+          path: leaf.id,
+        });
+        return run.output;
+      }
+      return runAgent(
+        leafTask === task
+          ? leafTask
+          : `${leafTask}\n\nThis is one part of a larger task: ${task}`
+      );
+    };
+
+    // Parents get their subtasks' results as sections, a list or a summary
+    const toSections = (node, results) =>
+      node.subtasks
+        .map(
+          (subtask, i) =>
+            `## ${subtask.task}\n${
+              subtask.status === "failed"
+                ? `(failed: ${subtask.error})`
+                : formatInputForAI(results[i])
+            }`
+        )
+        .join("\n\n");
+
+    const rollups = {
+      list: null,
+      join: toSections,
+      summarize: (node, results) =>
+        runAgent(
+          `Combine the results of these subtasks into one answer for the task: ${
+            node.task
+          }\n\n${toSections(node, results)}`
+        ),
+    };
+
+    const result = await engine.execute(tree, runLeaf, decomposeContext, {
+      rollup: rollup in rollups ? rollups[rollup] : toSections,
+      continueOnError,
+    });
+
+    return {
+      output: {
+        task,
+        result,
+        tree,
+        progress: engine.getProgress(tree),
+      },
+    };
   },
 
-  // Swarm - parallel multi-agent execution with consensus/aggregation
+  // Swarm - several role agents collaborate on the input: in parallel
+  // with aggregation, led by a coordinator, or in debate rounds
   swarm: async (data, input, context) => {
     const {
       agentCount = 3,
       aggregationMode = "consensus", // consensus, first, all
       timeout = 30000,
       systemPrompt = "",
+      roles = [],
+      customRoles = [],
+      pattern = "parallel", // parallel, coordinator, debate
+      debateRounds = 2,
     } = data;
-
-    context.addLog({
-      type: "info",
-      nodeId: context.nodeId,
-      nodeName: data.label || "Swarm",
-      message: `🐝 Starting swarm with ${agentCount} agents (mode: ${aggregationMode})`,
-    });
+    const nodeName = data.label || "Swarm";
 
     // Get the input text to process
     const inputText =
@@ -2642,118 +3661,67 @@ const NodeExecutors = {
           input?.message ||
           JSON.stringify(input);
 
-    // Create parallel agent tasks
-    const agentPromises = [];
-    const startTime = Date.now();
-
-    for (let i = 0; i < agentCount; i++) {
-      const agentPromise = (async () => {
-        try {
-          // Each agent uses slightly varied prompting
-          const variance =
-            i > 0 ? `\n[Agent ${i + 1}: Provide a unique perspective]` : "";
-          const fullPrompt = systemPrompt + variance;
-
-          const response = await webLLMService.generate(
-            inputText,
-            fullPrompt || "You are a helpful assistant. Answer concisely.",
-            { maxTokens: 500 }
-          );
-
-          return {
-            agentId: i + 1,
-            response: response?.text || response,
-            success: true,
-          };
-        } catch (err) {
-          return {
-            agentId: i + 1,
-            error: err.message,
-            success: false,
-          };
-        }
-      })();
-
-      agentPromises.push(agentPromise);
-    }
-
-    // Race against timeout
-    const timeoutPromise = new Promise((resolve) =>
-      setTimeout(() => resolve({ timeout: true }), timeout)
+    // Without roles the swarm is a set of identical general agents
+    const generalAgents =
+      roles.length + customRoles.length === 0
+        ? Array.from({ length: agentCount }, (_, i) => ({
+            id: `agent-${i + 1}`,
+            name: `Agent ${i + 1}`,
+            emoji: "🐝",
+            systemPrompt: "You are a helpful assistant. Answer concisely.",
+          }))
+        : [];
+    const agentRoles = [...customRoles, ...generalAgents];
+    const agentIds = [...roles, ...agentRoles.map((role) => role.id)];
+
+    const swarmContext = await prepareModel(
+      data,
+      { ...context, nodeName },
+      nodeName
     );
 
-    let results;
-
-    if (aggregationMode === "first") {
-      // Return first successful result
-      const firstResult = await Promise.race([
-        Promise.any(
-          agentPromises.map((p) =>
-            p.then((r) => (r.success ? r : Promise.reject(r)))
-          )
-        ),
-        timeoutPromise,
-      ]);
-
-      if (firstResult.timeout) {
-        throw new Error("Swarm timed out");
-      }
-
-      results = [firstResult];
-    } else {
-      // Wait for all results
-      const allSettled = await Promise.race([
-        Promise.allSettled(agentPromises),
-        timeoutPromise,
-      ]);
-
-      if (allSettled.timeout) {
-        throw new Error("Swarm timed out");
-      }
-
-      results = allSettled.map(
-        (r) => r.value || { error: r.reason?.message, success: false }
-      );
-    }
-
-    const successfulResults = results.filter((r) => r.success);
-    const duration = Date.now() - startTime;
-
-    context.addLog({
-      type: "success",
-      nodeId: context.nodeId,
-      nodeName: data.label || "Swarm",
-      message: `✅ Swarm completed: ${successfulResults.length}/${agentCount} successful in ${duration}ms`,
-    });
+    const startTime = Date.now();
 
-    // Aggregate results based on mode
-    let finalOutput;
+    // A fresh coordinator per run keeps message histories apart
+    const swarm = await new SwarmCoordinator().runSwarm(
+      inputText,
+      {
+        agents: agentIds,
+        customRoles: agentRoles,
+        pattern,
+        aggregation: aggregationMode,
+        rounds: debateRounds,
+        sharedPrompt: systemPrompt,
+        timeout,
+      },
+      swarmContext
+    );
 
-    if (aggregationMode === "consensus" && successfulResults.length > 1) {
-      // Simple consensus: take the most common response length bracket
-      // (A proper implementation would use semantic similarity)
-      const responses = successfulResults.map((r) => r.response);
-
-      // For now, just take the median-length response as "consensus"
-      responses.sort((a, b) => a.length - b.length);
-      const medianIndex = Math.floor(responses.length / 2);
-      finalOutput = responses[medianIndex];
-    } else if (aggregationMode === "all") {
-      finalOutput = results;
-    } else {
-      // first or fallback
-      finalOutput =
-        successfulResults[0]?.response || results[0]?.error || "No results";
-    }
+    const allResponses = swarm.answers.map((answer) => ({
+      agentId: answer.agent,
+      role: swarm.agents.find((agent) => agent.id === answer.agent)?.name,
+      ...(answer.success
+        ? { response: answer.response }
+        : { error: answer.error }),
+      success: answer.success,
+    }));
 
     return {
       output: {
-        result: finalOutput,
-        allResponses: results,
-        successCount: successfulResults.length,
-        totalAgents: agentCount,
+        // "all" aggregation returns every answer
+        result: Array.isArray(swarm.finalAnswer)
+          ? allResponses
+          : swarm.finalAnswer,
+        pattern,
+        allResponses,
+        agents: swarm.agents,
+        ...(swarm.votes && { votes: swarm.votes, tally: swarm.tally }),
+        ...(swarm.breakdown && { breakdown: swarm.breakdown }),
+        ...(swarm.rounds && { rounds: swarm.rounds }),
+        successCount: allResponses.filter((r) => r.success).length,
+        totalAgents: swarm.agentsUsed.length,
         aggregationMode,
-        duration,
+        duration: Date.now() - startTime,
       },
     };
   },
@@ -2816,10 +3784,18 @@ const NodeExecutors = {
         if (data.autoPlay === true) {
           const audioUrl = URL.createObjectURL(result.blob);
           const audio = new Audio(audioUrl);
+          let finished;
+          const ended = new Promise((resolve) => (finished = resolve));
+          audio.onended = () => {
+            URL.revokeObjectURL(audioUrl);
+            finished();
+          };
           audio.play().catch((err) => {
             console.warn("Could not auto-play audio:", err);
+            finished();
           });
-          audio.onended = () => URL.revokeObjectURL(audioUrl);
+          // Streamed sentences play one after another
+          if (context.streamed) await ended;
         }
 
         // Return the actual audio blob
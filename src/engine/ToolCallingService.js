@@ -3,8 +3,13 @@
  * Implements ReAct (Reasoning + Acting) pattern for AI tool calling
  * Allows AI Agent to call connected nodes as tools during reasoning
  */
-import webLLMService from "./WebLLMService";
+import { getLLM } from "./llm/LLMService";
 import { executeNode } from "./NodeExecutors";
+import {
+  getToolContract,
+  validateToolArguments,
+  describeParameters,
+} from "../utils/toolContracts";
 
 // Maximum iterations to prevent infinite loops
 const MAX_ITERATIONS = 10;
@@ -30,88 +35,20 @@ IMPORTANT:
 - Always think step by step
 - Only use tools when necessary
 - Tool names are case-sensitive
-- Action Input must be valid JSON
+- Action Input must be valid JSON matching the tool's Input
 - Never make up tool results - wait for the actual Observation`;
 
 /**
  * Generate tool schema from connected nodes
+ * Each node type declares its parameters in toolContracts
  */
 export function generateToolSchema(connectedNodes) {
-  const tools = [];
-
-  for (const node of connectedNodes) {
-    const tool = {
-      id: node.id,
-      name: node.data.label || node.type,
-      type: node.type,
-      description: getToolDescription(node),
-      inputSchema: getToolInputSchema(node),
-    };
-    tools.push(tool);
-  }
-
-  return tools;
-}
-
-/**
- * Get tool description based on node type
- */
-function getToolDescription(node) {
-  const descriptions = {
-    // Core utility nodes
-    httpRequest: `Make HTTP requests. Input: { "url": "string", "method": "GET|POST", "body"?: object }`,
-    codeExecutor: `Execute JavaScript code. Input: { "code": "string" } or pass data to process.`,
-    setVariable: `Store a value. Input: { "key": "string", "value": any }`,
-    ifElse: `Check a condition. Input: { "value": any } - returns evaluation result.`,
-    loopEach: `Iterate through array items. Input: array of items.`,
-    switchNode: `Route based on value matching cases. Input: value to match.`,
-    delay: `Wait for specified duration. Input: { "duration": number } in ms.`,
-    merge: `Combine multiple inputs. Input: array of values.`,
-    // Media/AI nodes
-    textToSpeech: `Convert text to spoken audio. Input: { "text": "string" } or plain text string.`,
-    imageGeneration: `Generate image from prompt. Input: { "prompt": "string" } or plain text.`,
-    pythonExecutor: `Execute Python code. Input: data to process in Python.`,
-    speechToText: `Convert audio to text. Input: audio blob or URL.`,
-    // Data processing nodes
-    dataTransformer: `Transform data using mapping rules. Input: object to transform.`,
-    vectorMemory: `Store or query vectors. Input: { "text": "string", "mode": "store|query" }.`,
-    semanticRouter: `Route based on semantic meaning. Input: text to classify.`,
-    evaluator: `Validate output. Input: data to validate.`,
-    // NOTE: Output is NOT a tool - it's a workflow terminal
-  };
-
-  return (
-    descriptions[node.type] ||
-    node.data?.description ||
-    `Execute ${node.type} node.`
-  );
-}
-
-/**
- * Get input schema based on node type
- */
-function getToolInputSchema(node) {
-  const schemas = {
-    httpRequest: { url: "string", method: "string", body: "object?" },
-    codeExecutor: { data: "any" },
-    setVariable: { key: "string", value: "any" },
-    ifElse: { value: "any" },
-    loopEach: { items: "array" },
-    switchNode: { value: "any" },
-    delay: { duration: "number" },
-    merge: { inputs: "array" },
-    textToSpeech: { text: "string" },
-    imageGeneration: { prompt: "string" },
-    pythonExecutor: { data: "any" },
-    speechToText: { audio: "blob|url" },
-    dataTransformer: { data: "object" },
-    vectorMemory: { text: "string", mode: "string?" },
-    semanticRouter: { text: "string" },
-    evaluator: { data: "any" },
-    // NOTE: Output is NOT a tool - it's a workflow terminal
-  };
-
-  return schemas[node.type] || { input: "any" };
+  return connectedNodes.map((node) => ({
+    id: node.id,
+    name: node.data.label || node.type,
+    type: node.type,
+    ...getToolContract(node),
+  }));
 }
 
 /**
@@ -122,7 +59,32 @@ export function formatToolsForPrompt(tools) {
     return "No tools available.";
   }
 
-  return tools.map((tool) => `- ${tool.name}: ${tool.description}`).join("\n");
+  return tools
+    .map((tool) =>
+      tool.parameters
+        ? `- ${tool.name}: ${tool.description}\n  Input: ${describeParameters(
+            tool.parameters
+          )}`
+        : `- ${tool.name}: ${tool.description}`
+    )
+    .join("\n");
+}
+
+/**
+ * Check tool-call input against the tool's parameter contract
+ * Invalid input comes back with feedback the model can correct itself from.
+ * @returns {{valid: boolean, errors: Array<string>, value: *, feedback?: string}}
+ */
+export function validateToolCall(tool, input) {
+  const result = validateToolArguments(tool.parameters, input);
+  if (result.valid) return result;
+
+  return {
+    ...result,
+    feedback: `Invalid input for tool "${tool.name}":\n${result.errors
+      .map((error) => `- ${error}`)
+      .join("\n")}\nExpected input: ${describeParameters(tool.parameters)}`,
+  };
 }
 
 /**
@@ -173,12 +135,25 @@ export function parseReActResponse(response) {
   return result;
 }
 
+/**
+ * Find the node that runs a tool (support both nodeId and id property
+ * names). A Browser Tools node provides several tools, so the chosen one
+ * is passed to it as toolId.
+ */
+export function resolveToolNode(tool, context) {
+  const toolNodeId = tool?.nodeId || tool?.id;
+  const toolNode = context.nodes?.find((n) => n.id === toolNodeId);
+  if (!toolNode || !tool.toolId) return toolNode;
+
+  return { ...toolNode, data: { ...toolNode.data, toolId: tool.toolId } };
+}
+
 /**
  * Execute a tool (node) with given input
  */
 async function executeTool(tool, input, context) {
   // Find the actual node to execute
-  const toolNode = context.nodes?.find((n) => n.id === tool.id);
+  const toolNode = resolveToolNode(tool, context);
   if (!toolNode) {
     return { error: `Tool "${tool.name}" not found` };
   }
@@ -242,7 +217,7 @@ export async function runReActLoop(userMessage, tools, options, context) {
     iterations++;
 
     // Generate response
-    const response = await webLLMService.generateWithHistory(
+    const response = await getLLM(context).generateWithHistory(
       iterations === 1
         ? userMessage
         : "Continue based on the observation above.",
@@ -308,16 +283,32 @@ export async function runReActLoop(userMessage, tools, options, context) {
         continue;
       }
 
+      // Invalid input goes back to the model instead of to the node
+      const check = validateToolCall(tool, parsed.actionInput);
+      if (!check.valid) {
+        history.push({
+          role: "user",
+          content: `Observation: ${check.feedback}\nFix the Action Input and try again.`,
+        });
+        context.addLog({
+          type: "warning",
+          nodeId: context.nodeId,
+          nodeName: context.nodeName || "AI Agent",
+          message: `⚠️ Invalid input for ${tool.name}: ${check.errors.join("; ")}`,
+        });
+        continue;
+      }
+
       // Execute tool
       context.addLog({
         type: "ai",
         nodeId: context.nodeId,
         nodeName: context.nodeName || "AI Agent",
         message: `🔧 Action: ${parsed.action}`,
-        data: parsed.actionInput,
+        data: check.value,
       });
 
-      const toolResult = await executeTool(tool, parsed.actionInput, context);
+      const toolResult = await executeTool(tool, check.value, context);
 
       // Format observation
       const observation = toolResult.error
@@ -368,7 +359,7 @@ const JSON_REACT_SYSTEM_PROMPT = `You have access to these tools:
 {tools}
 
 IMPORTANT: When you need to use a tool, respond ONLY with this JSON format:
-{"action": "tool", "tool": "tool_name", "input": "your input for the tool"}
+{"action": "tool", "tool": "tool_name", "input": {tool input matching its Input}}
 
 When you have the final answer (after tool results or if no tool needed), respond with:
 {"action": "answer", "content": "your final response to the user"}
@@ -414,6 +405,33 @@ export function parseJSONResponse(response) {
   }
 }
 
+/**
+ * Answer text of a partly generated JSON ReAct response, so answers can be
+ * streamed while tool calls are not: the "content" of {"action": "answer"}
+ * or a plain-text reply. Returns null while no answer text is known.
+ */
+export function extractStreamingAnswer(text) {
+  const trimmed = text.trimStart();
+  if (!trimmed) return null;
+
+  // Plain text is the answer, unless a JSON tool call follows it
+  if (!trimmed.startsWith("{") && !trimmed.startsWith("`")) {
+    return trimmed.includes("{") ? null : trimmed;
+  }
+  if (/"action"\s*:\s*"(?!answer")/.test(trimmed)) return null;
+
+  const match = trimmed.match(/"content"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  if (!match) return null;
+
+  // Drop an escape sequence that is still being generated
+  const body = match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, "");
+  try {
+    return JSON.parse(`"${body}"`);
+  } catch {
+    return body;
+  }
+}
+
 /**
  * Check if output is binary/blob data or media output that should be passed through directly
  */
@@ -467,6 +485,7 @@ export async function runJSONReActLoop(userMessage, tools, options, context) {
     temperature = 0.7,
     maxIterations = MAX_ITERATIONS,
     onHeartbeat = null,
+    onAnswerText = null, // (text, iteration) while an answer is generated
   } = options;
 
   // Build enhanced system prompt with tools
@@ -518,7 +537,7 @@ export async function runJSONReActLoop(userMessage, tools, options, context) {
     if (onHeartbeat) onHeartbeat();
 
     // Generate response
-    const response = await webLLMService.generateWithHistory(
+    const response = await getLLM(context).generateWithHistory(
       currentUserMessage || "Please continue based on the previous context.",
       conversationHistory,
       {
@@ -526,9 +545,11 @@ export async function runJSONReActLoop(userMessage, tools, options, context) {
         maxTokens,
         temperature,
       },
-      // Token callback for heartbeat
-      () => {
+      // Token callback for heartbeat and answer streaming
+      (_token, text) => {
         if (onHeartbeat) onHeartbeat();
+        const answer = onAnswerText && extractStreamingAnswer(text);
+        if (answer) onAnswerText(answer, iterations);
       }
     );
 
@@ -627,9 +648,9 @@ export async function runJSONReActLoop(userMessage, tools, options, context) {
         continue;
       }
 
-      // Find the actual node to execute (support both nodeId and id property names)
+      // Find the actual node to execute
       const toolNodeId = toolDef.nodeId || toolDef.id;
-      const toolNode = context.nodes?.find((n) => n.id === toolNodeId);
+      const toolNode = resolveToolNode(toolDef, context);
 
       if (!toolNode) {
         context.addLog({
@@ -644,6 +665,31 @@ export async function runJSONReActLoop(userMessage, tools, options, context) {
         break;
       }
 
+      // Invalid input goes back to the model so it can correct the call
+      const check = validateToolCall(toolDef, toolInput);
+      if (!check.valid) {
+        context.addLog({
+          type: "warning",
+          nodeId: context.nodeId,
+          nodeName: context.nodeName || "AI Agent",
+          message: `⚠️ Invalid input for '${toolName}': ${check.errors.join(
+            "; "
+          )}`,
+          data: { tool: toolName, input: toolInput },
+        });
+
+        conversationHistory.push(
+          { role: "assistant", content: response },
+          {
+            role: "user",
+            content: `${check.feedback}\n\nCall the tool again with corrected input: {"action": "tool", "tool": "${toolDef.name}", "input": {...}}, or answer without it using: {"action": "answer", "content": "..."}`,
+          }
+        );
+        currentUserMessage = "";
+        continue;
+      }
+      toolInput = check.value;
+
       context.addLog({
         type: "info",
         nodeId: context.nodeId,
@@ -744,9 +790,12 @@ export async function runJSONReActLoop(userMessage, tools, options, context) {
 
 export default {
   generateToolSchema,
+  resolveToolNode,
   formatToolsForPrompt,
+  validateToolCall,
   parseReActResponse,
   parseJSONResponse,
+  extractStreamingAnswer,
   runReActLoop,
   runJSONReActLoop,
 };
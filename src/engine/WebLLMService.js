@@ -8,7 +8,7 @@
 // import useModelStore from '../store/modelStore';
 // const models = useModelStore.getState().availableModels;
 
-class WebLLMService {
+export class WebLLMService {
   constructor() {
     this.worker = null;
     this.isLoading = false;
@@ -3,7 +3,7 @@
  * Second-pass verification to detect and fix errors before output
  * Implements the "Critic" pattern for self-correction
  */
-import webLLMService from "../WebLLMService";
+import { getLLM } from "../llm/LLMService";
 
 // Configuration
 const MAX_CORRECTION_ITERATIONS = 2;
@@ -77,7 +77,7 @@ RESPONSE: ${response}
 
 Analyze for accuracy, hallucinations, and reasoning gaps.`;
 
-      const reviewResult = await webLLMService.generateWithHistory(
+      const reviewResult = await getLLM(context).generateWithHistory(
         reviewPrompt,
         [],
         {
@@ -126,7 +126,7 @@ Analyze for accuracy, hallucinations, and reasoning gaps.`;
           .replace("{response}", correctedResponse)
           .replace("{issues}", currentIssues.join("\n- "));
 
-        correctedResponse = await webLLMService.generateWithHistory(
+        correctedResponse = await getLLM(context).generateWithHistory(
           correctionPromptFilled,
           [],
           {
@@ -186,7 +186,7 @@ Analyze for accuracy, hallucinations, and reasoning gaps.`;
   /**
    * Quick review for re-checking corrections
    */
-  async quickReview(question, response) {
+  async quickReview(question, response, _options, context = {}) {
     const quickPrompt = `Quick check: Does this response to "${question.slice(
       0,
       100
@@ -197,11 +197,15 @@ RESPONSE: ${response.slice(0, 500)}...
 Answer only: PASS or FAIL with brief reason.`;
 
     try {
-      const result = await webLLMService.generateWithHistory(quickPrompt, [], {
-        systemPrompt: "You are a quick fact-checker. Be concise.",
-        maxTokens: 100,
-        temperature: 0.2,
-      });
+      const result = await getLLM(context).generateWithHistory(
+        quickPrompt,
+        [],
+        {
+          systemPrompt: "You are a quick fact-checker. Be concise.",
+          maxTokens: 100,
+          temperature: 0.2,
+        }
+      );
 
       const isPassing =
         result.toLowerCase().includes("pass") ||
@@ -241,7 +245,7 @@ Answer only: PASS or FAIL with brief reason.`;
     if (issuesMatch) {
       result.issues = issuesMatch[1]
         .split(/\n-\s*/)
-        .map((i) => i.trim())
+        .map((i) => i.replace(/^-\s*/, "").trim())
         .filter((i) => i.length > 0);
     }
 
@@ -0,0 +1,68 @@
+/**
+ * LLM Service - Pluggable model providers
+ * Every LLM call in the engine goes through a provider chosen by the Chat
+ * Model node: WebLLM in the browser, a local OpenAI-compatible server or
+ * the deterministic mock. Providers share one interface:
+ *   prepare({ log, onProgress })      - load or check the model
+ *   generateWithHistory(userMessage, history, options, onToken)
+ */
+import WebLLMProvider from "./WebLLMProvider";
+import OpenAICompatibleProvider from "./OpenAICompatibleProvider";
+import MockProvider from "./MockProvider";
+
+export const DEFAULT_MODEL_ID = "gemma-2-2b-it";
+
+export const LLM_PROVIDERS = {
+  webllm: {
+    name: "WebLLM (In Browser)",
+    icon: "🌐",
+    create: (model) => new WebLLMProvider(model),
+  },
+  "openai-compatible": {
+    name: "OpenAI-Compatible Server",
+    icon: "🔌",
+    create: (model) => new OpenAICompatibleProvider(model),
+  },
+  mock: {
+    name: "Mock (Deterministic)",
+    icon: "🧪",
+    create: (model) => new MockProvider(model),
+  },
+};
+
+// Providers offered before the provider layer existed
+const LEGACY_PROVIDERS = {
+  local: "openai-compatible",
+  openai: "openai-compatible",
+};
+
+export const resolveProviderId = (provider) =>
+  LEGACY_PROVIDERS[provider] || provider || "webllm";
+
+/**
+ * Create a provider for a model configuration
+ * @param {Object} model - Chat Model settings: { provider, modelId,
+ * baseUrl, apiKey, mockResponses }
+ */
+export function createLLM(model = {}) {
+  const providerId = resolveProviderId(model.provider);
+  const provider = LLM_PROVIDERS[providerId];
+  if (!provider) {
+    throw new Error(`Unknown model provider "${model.provider}"`);
+  }
+  return provider.create({
+    ...model,
+    modelId: model.modelId || (providerId === "webllm" ? DEFAULT_MODEL_ID : ""),
+  });
+}
+
+// Used when no Chat Model is connected (or outside a workflow run)
+const defaultLLM = new WebLLMProvider({ modelId: DEFAULT_MODEL_ID });
+
+/**
+ * The provider for an execution context; nodes put theirs in context.llm
+ * @param {Object} context - Execution context
+ */
+export const getLLM = (context) => context?.llm || defaultLLM;
+
+export default { createLLM, getLLM, LLM_PROVIDERS };
@@ -0,0 +1,60 @@
+/**
+ * Mock Provider - Deterministic responses for tests and offline design
+ * Returns the scripted responses in order (the last one repeats), or
+ * echoes the user message when there are none. Responses stream word by
+ * word like a real model.
+ */
+import { streamAsTokens } from "../../utils/chatCompletions";
+
+export class MockProvider {
+  constructor({ mockResponses } = {}) {
+    this.id = "mock";
+    this.modelId = "mock";
+    this.responses = Array.isArray(mockResponses)
+      ? mockResponses
+      : parseMockResponses(mockResponses);
+    this.calls = [];
+  }
+
+  async prepare({ log } = {}) {
+    log?.(
+      "info",
+      `🧪 Using mock model (${
+        this.responses.length
+          ? `${this.responses.length} scripted response(s)`
+          : "echo"
+      })`
+    );
+  }
+
+  async generateWithHistory(
+    userMessage,
+    history = [],
+    options = {},
+    onToken = null
+  ) {
+    this.calls.push({ userMessage, history, options });
+
+    const text = this.responses.length
+      ? this.responses[Math.min(this.calls.length, this.responses.length) - 1]
+      : `Mock response to: ${userMessage}`;
+
+    streamAsTokens(text, onToken);
+    return text;
+  }
+}
+
+/**
+ * Split the Chat Model node's mock responses: one per block, blocks
+ * separated by a line containing only ---
+ * @param {string} text - Mock responses as entered
+ * @returns {Array<string>}
+ */
+export function parseMockResponses(text) {
+  return String(text || "")
+    .split(/^\s*---\s*$/m)
+    .map((response) => response.trim())
+    .filter(Boolean);
+}
+
+export default MockProvider;
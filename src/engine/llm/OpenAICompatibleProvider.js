@@ -0,0 +1,134 @@
+/**
+ * OpenAI-Compatible Provider - Chat completions over HTTP
+ * Works with local servers that speak the OpenAI API: llama.cpp
+ * (llama-server), Ollama, vLLM, LM Studio. Needs no WebGPU.
+ */
+import {
+  buildChatMessages,
+  createCompletionStreamParser,
+} from "../../utils/chatCompletions";
+
+export const DEFAULT_BASE_URL = "http://localhost:11434/v1";
+
+// Same inactivity limit as the WebLLM worker
+const RESPONSE_TIMEOUT = 60000;
+
+export class OpenAICompatibleProvider {
+  constructor({ baseUrl, modelId, apiKey } = {}) {
+    this.id = "openai-compatible";
+    this.baseUrl = (baseUrl || DEFAULT_BASE_URL).trim().replace(/\/+$/, "");
+    this.modelId = modelId || "";
+    this.apiKey = apiKey || "";
+  }
+
+  /**
+   * Nothing to load; the server holds the model
+   * @param {Object} options - { log(type, message) }
+   */
+  async prepare({ log } = {}) {
+    log?.(
+      "info",
+      `🔌 Using ${this.modelId || "the server's model"} at ${this.baseUrl}`
+    );
+  }
+
+  /**
+   * Generate a response
+   * @param {string} userMessage - The user's input
+   * @param {Array} history - Conversation history
+   * @param {Object} options - { maxTokens, temperature, systemPrompt, signal }
+   * @param {Function} onToken - Optional callback for streaming tokens
+   */
+  async generateWithHistory(
+    userMessage,
+    history = [],
+    options = {},
+    onToken = null
+  ) {
+    const {
+      maxTokens = 4096,
+      temperature = 1,
+      systemPrompt = "",
+      signal,
+    } = options;
+    const streaming = !!onToken;
+
+    // Abort when the server goes quiet or the caller cancels
+    const controller = new AbortController();
+    let timeoutId;
+    const resetTimeout = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => controller.abort(), RESPONSE_TIMEOUT);
+    };
+    const onAbort = () => controller.abort();
+    signal?.addEventListener("abort", onAbort);
+    resetTimeout();
+
+    try {
+      let response;
+      try {
+        response = await fetch(`${this.baseUrl}/chat/completions`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+          },
+          body: JSON.stringify({
+            ...(this.modelId && { model: this.modelId }),
+            messages: buildChatMessages(userMessage, history, systemPrompt),
+            max_tokens: maxTokens,
+            temperature,
+            stream: streaming,
+          }),
+          signal: controller.signal,
+        });
+      } catch (error) {
+        if (controller.signal.aborted) throw error;
+        throw new Error(
+          `Cannot reach ${this.baseUrl} - is the local model server running and allowing this origin (CORS)?`
+        );
+      }
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => "");
+        throw new Error(
+          `Model server responded ${response.status}${
+            body ? `: ${body.slice(0, 200)}` : ""
+          }`
+        );
+      }
+
+      if (!streaming || !response.body) {
+        const result = await response.json();
+        const text = result.choices?.[0]?.message?.content || "";
+        if (streaming) onToken(text, text);
+        return text;
+      }
+
+      const parser = createCompletionStreamParser(onToken);
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+
+      while (!parser.done()) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        resetTimeout();
+        parser.push(decoder.decode(value, { stream: true }));
+      }
+      parser.push("\n");
+      reader.cancel().catch(() => {});
+
+      return parser.text();
+    } catch (error) {
+      if (controller.signal.aborted && !signal?.aborted) {
+        throw new Error("Model server timed out (no response for 60s)");
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener("abort", onAbort);
+    }
+  }
+}
+
+export default OpenAICompatibleProvider;
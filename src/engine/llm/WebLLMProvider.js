@@ -0,0 +1,51 @@
+/**
+ * WebLLM Provider - In-browser inference on WebGPU
+ * Wraps the shared WebLLM worker; preparing loads the model unless it is
+ * already the active one
+ */
+import webLLMService, { WebLLMService } from "../WebLLMService";
+
+export class WebLLMProvider {
+  constructor({ modelId } = {}) {
+    this.id = "webllm";
+    this.modelId = modelId || null;
+  }
+
+  /**
+   * Load the model into the WebLLM worker
+   * @param {Object} options - { log(type, message), onProgress() }
+   */
+  async prepare({ log, onProgress } = {}) {
+    if (!this.modelId) {
+      throw new Error("No WebLLM model selected");
+    }
+    if (webLLMService.isReady && webLLMService.currentModel === this.modelId) {
+      return;
+    }
+
+    const support = await WebLLMService.checkWebGPUSupport();
+    if (!support.supported) {
+      throw new Error(
+        `WebLLM needs WebGPU (${support.reason}). Connect a Chat Model node using a local OpenAI-compatible server instead.`
+      );
+    }
+
+    log?.("info", `🔄 Loading AI Model: ${this.modelId}...`);
+    await webLLMService.initialize(this.modelId, onProgress);
+    log?.("success", `✅ Model loaded: ${this.modelId}`);
+  }
+
+  /**
+   * Generate a response, see WebLLMService.generateWithHistory
+   */
+  async generateWithHistory(userMessage, history, options, onToken) {
+    return webLLMService.generateWithHistory(
+      userMessage,
+      history,
+      options,
+      onToken
+    );
+  }
+}
+
+export default WebLLMProvider;
@@ -33,8 +33,7 @@ class DecompositionEngine {
         task,
         0,
         maxDepth,
-        minComplexity,
-        context
+        minComplexity
       );
 
       const subtaskCount = this.countSubtasks(taskTree);
@@ -58,11 +57,12 @@ class DecompositionEngine {
   }
 
   /**
-   * Build task tree recursively
+   * Build task tree recursively. Ids follow the path from the root
+   * ("root", "root.1", "root.1.2") so they stay the same between runs.
    */
-  async buildTaskTree(task, depth, maxDepth, minComplexity) {
+  async buildTaskTree(task, depth, maxDepth, minComplexity, id = "root") {
     const taskNode = {
-      id: `task_${depth}_${Date.now()}`,
+      id,
       task,
       depth,
       subtasks: [],
@@ -80,17 +80,21 @@ class DecompositionEngine {
 
     if (subtasks.length > 1) {
       taskNode.isLeaf = false;
-      taskNode.subtasks = subtasks.map((st, i) => ({
-        id: `task_${depth + 1}_${i}_${Date.now()}`,
-        task: st.task,
-        description: st.description,
-        depth: depth + 1,
-        subtasks: [],
-        isLeaf: true,
-        status: "pending",
-        preconditions: st.preconditions || [],
-        postconditions: st.postconditions || [],
-      }));
+      for (const [i, st] of subtasks.entries()) {
+        const child = await this.buildTaskTree(
+          st.task,
+          depth + 1,
+          maxDepth,
+          minComplexity,
+          `${id}.${i + 1}`
+        );
+        taskNode.subtasks.push({
+          ...child,
+          description: st.description,
+          preconditions: st.preconditions || [],
+          postconditions: st.postconditions || [],
+        });
+      }
     }
 
     return taskNode;
@@ -192,13 +196,23 @@ class DecompositionEngine {
   /**
    * Execute a decomposed task tree
    * @param {Object} taskTree - The task tree to execute
-   * @param {Function} executor - Function to execute leaf tasks
+   * @param {Function} executor - Function to execute leaf tasks, called
+   * with (task, context, node)
    * @param {Object} context - Execution context
+   * @param {Object} options - { rollup, continueOnError }; rollup(node,
+   * childResults) combines the results of a parent's subtasks, by default
+   * into an array. With continueOnError a failed leaf is marked failed and
+   * its siblings still run.
    */
-  async execute(taskTree, executor, context = {}) {
+  async execute(taskTree, executor, context = {}, options = {}) {
     this.log(context, "info", `▶️ Executing task tree...`);
 
-    const results = await this.executeNode(taskTree, executor, context);
+    const results = await this.executeNode(
+      taskTree,
+      executor,
+      context,
+      options
+    );
 
     const completedCount = this.countCompleted(taskTree);
     const totalCount = this.countSubtasks(taskTree);
@@ -215,20 +229,28 @@ class DecompositionEngine {
   /**
    * Execute a single node and its children
    */
-  async executeNode(node, executor, context) {
+  async executeNode(node, executor, context, options = {}) {
+    const { rollup = null, continueOnError = false } = options;
+
     if (node.isLeaf) {
       // Execute leaf task
       node.status = "running";
       this.log(context, "info", `🔄 Executing: ${node.task.slice(0, 50)}...`);
 
       try {
-        node.result = await executor(node.task, context);
+        node.result = await executor(node.task, context, node);
         node.status = "completed";
         return node.result;
       } catch (error) {
         node.status = "failed";
         node.error = error.message;
-        throw error;
+        if (!continueOnError) throw error;
+        this.log(
+          context,
+          "warning",
+          `⚠️ Task ${node.id} failed: ${error.message}`
+        );
+        return null;
       }
     }
 
@@ -237,13 +259,26 @@ class DecompositionEngine {
     const results = [];
 
     for (const subtask of node.subtasks) {
-      const result = await this.executeNode(subtask, executor, context);
+      const result = await this.executeNode(
+        subtask,
+        executor,
+        context,
+        options
+      );
       results.push(result);
     }
 
-    node.status = "completed";
-    node.result = results;
-    return results;
+    try {
+      node.result = rollup ? await rollup(node, results) : results;
+    } catch (error) {
+      node.status = "failed";
+      node.error = error.message;
+      throw error;
+    }
+    node.status = node.subtasks.some((st) => st.status === "failed")
+      ? "partial"
+      : "completed";
+    return node.result;
   }
 
   /**
@@ -3,7 +3,7 @@
  * LLM+P style planning - translates natural language to structured execution plans
  * Validates, executes, and handles replanning on failures
  */
-import webLLMService from "../WebLLMService";
+import { getLLM } from "../llm/LLMService";
 
 // Planning prompt template
 const PLANNING_SYSTEM_PROMPT = `You are an expert task planner. Given a goal, create a structured execution plan.
@@ -32,12 +32,14 @@ AVAILABLE ACTIONS:
 - validate: Check if something is correct (input: {assertion})
 - store: Save a value (input: {key, value})
 - retrieve: Get a stored value (input: {key})
+- tool: Call one of the additional tools (add "tool": "<tool name>", input: the data to send)
 
 RULES:
 1. Break complex tasks into atomic steps
 2. Identify dependencies between steps
 3. Mark steps that can run in parallel
-4. Each step should have a clear, testable outcome`;
+4. Each step should have a clear, testable outcome
+5. Reference an earlier step's result in inputs as "{step_N.field}"`;
 
 class PlanningService {
   constructor() {
@@ -66,7 +68,7 @@ class PlanningService {
       // Enhance prompt with available tools
       let toolsSection = "";
       if (availableTools.length > 0) {
-        toolsSection = `\n\nADDITIONAL TOOLS AVAILABLE:\n${availableTools
+        toolsSection = `\n\nADDITIONAL TOOLS AVAILABLE (use with the "tool" action):\n${availableTools
           .map((t) => `- ${t.name}: ${t.description}`)
           .join("\n")}`;
       }
@@ -75,7 +77,7 @@ class PlanningService {
 
 Respond with ONLY a valid JSON plan.`;
 
-      const response = await webLLMService.generateWithHistory(
+      const response = await getLLM(context).generateWithHistory(
         planningPrompt,
         [],
         {
@@ -128,6 +130,7 @@ Respond with ONLY a valid JSON plan.`;
       plan.steps = plan.steps.map((step, i) => ({
         id: step.id || i + 1,
         action: step.action || "think",
+        tool: step.tool,
         description: step.description || `Step ${i + 1}`,
         inputs: step.inputs || {},
         dependencies: step.dependencies || [],
@@ -144,7 +147,8 @@ Respond with ONLY a valid JSON plan.`;
   /**
    * Execute a plan step by step
    * @param {Object} plan - The execution plan
-   * @param {Object} options - Execution options
+   * @param {Object} options - Execution options; callTool(name, input)
+   * runs "tool" steps
    * @param {Object} context - Execution context
    */
   async executePlan(plan, options = {}, context = {}) {
@@ -154,6 +158,7 @@ Respond with ONLY a valid JSON plan.`;
 
     const results = {};
     const failedSteps = [];
+    const skippedSteps = [];
 
     for (const step of plan.steps) {
       // Check dependencies
@@ -162,15 +167,21 @@ Respond with ONLY a valid JSON plan.`;
       );
 
       if (unmetDeps.length > 0) {
+        step.status = "skipped";
+        step.error = `Dependencies not met: ${unmetDeps.join(", ")}`;
+        skippedSteps.push(step);
         this.log(
           context,
           "warning",
-          `⏳ Step ${step.id} waiting for dependencies: ${unmetDeps.join(", ")}`
+          `⏳ Step ${step.id} skipped, dependencies not met: ${unmetDeps.join(
+            ", "
+          )}`
         );
         continue;
       }
 
       step.status = "running";
+      context.heartbeat?.();
       this.log(context, "info", `🔄 Step ${step.id}: ${step.description}`);
 
       let retries = 0;
@@ -178,7 +189,12 @@ Respond with ONLY a valid JSON plan.`;
 
       while (retries <= maxRetries && !success) {
         try {
-          const result = await this.executeStep(step, results, context);
+          const result = await this.executeStep(
+            step,
+            results,
+            context,
+            options
+          );
           results[step.id] = result;
           step.status = "completed";
           step.result = result;
@@ -219,9 +235,10 @@ Respond with ONLY a valid JSON plan.`;
     );
 
     return {
-      success: failedSteps.length === 0,
+      success: failedSteps.length === 0 && skippedSteps.length === 0,
       results,
       failedSteps,
+      skippedSteps,
       completedSteps: this.executedSteps,
     };
   }
@@ -229,13 +246,15 @@ Respond with ONLY a valid JSON plan.`;
   /**
    * Execute a single step
    */
-  async executeStep(step, previousResults, context) {
+  async executeStep(step, previousResults, context, options = {}) {
     const { action, inputs } = step;
 
     // Resolve input references to previous results
     const resolvedInputs = this.resolveInputs(inputs, previousResults);
 
     switch (action) {
+      case "tool":
+        return await this.executeTool(step.tool, resolvedInputs, options);
       case "think":
         return await this.executeThink(resolvedInputs, context);
       case "generate":
@@ -277,11 +296,24 @@ Respond with ONLY a valid JSON plan.`;
     return resolved;
   }
 
+  /**
+   * Execute tool action through the caller's tool runner
+   */
+  async executeTool(toolName, inputs, { callTool } = {}) {
+    if (!callTool) {
+      throw new Error("No tools are available to this plan");
+    }
+    if (!toolName) {
+      throw new Error('Tool step has no "tool" name');
+    }
+    return await callTool(toolName, inputs);
+  }
+
   /**
    * Execute think action
    */
-  async executeThink(inputs) {
-    const response = await webLLMService.generateWithHistory(
+  async executeThink(inputs, context = {}) {
+    const response = await getLLM(context).generateWithHistory(
       `Think about: ${inputs.topic || inputs.query || JSON.stringify(inputs)}`
     );
     return { thought: response };
@@ -290,8 +322,8 @@ Respond with ONLY a valid JSON plan.`;
   /**
    * Execute generate action
    */
-  async executeGenerate(inputs) {
-    const response = await webLLMService.generateWithHistory(
+  async executeGenerate(inputs, context = {}) {
+    const response = await getLLM(context).generateWithHistory(
       inputs.prompt || JSON.stringify(inputs),
       [],
       { maxTokens: 1000 }
@@ -314,13 +346,16 @@ Respond with ONLY a valid JSON plan.`;
    */
   executeCompute(inputs) {
     const { expression } = inputs;
-    try {
-      // SECURITY: Only allow safe math operations\r\n      const safeMathPattern = /^[\\d\\s+\\-*/%().]+$/;\r\n      if (!safeMathPattern.test(expression)) {\r\n        return { error: \"Only numeric math expressions allowed\" };\r\n      }\r\n      // Safe evaluation using Function constructor
-      const result = new Function(`return ${expression}`)();
-      return { result };
-    } catch (error) {
-      return { error: error.message };
+
+    // SECURITY: Only allow safe math operations
+    const safeMathPattern = /^[\d\s+\-*/%().]+$/;
+    if (!safeMathPattern.test(String(expression))) {
+      throw new Error("Only numeric math expressions allowed");
     }
+
+    // Safe evaluation using Function constructor
+    const result = new Function(`return ${expression}`)();
+    return { result };
   }
 
   /**
@@ -343,22 +378,37 @@ Respond with ONLY a valid JSON plan.`;
 
   /**
    * Replan after failures
+   * @param {Object} options - generatePlan options plus completedSteps
+   * (steps that already succeeded, so the new plan continues from there)
    */
-  async replan(originalGoal, failedSteps, context) {
+  async replan(originalGoal, failedSteps, context, options = {}) {
+    const { completedSteps = [], ...planOptions } = options;
     const failureContext = failedSteps
       .map((s) => `Step ${s.id} (${s.action}): ${s.error}`)
       .join("\n");
+    const completedContext = completedSteps
+      .map(
+        (s) =>
+          `Step ${s.id} (${s.action}): ${s.description} -> ${JSON.stringify(
+            s.result
+          )}`
+      )
+      .join("\n");
 
     this.log(context, "info", "🔄 Replanning after failures...");
 
     const replanPrompt = `The original goal was: "${originalGoal}"
-    
+${
+  completedContext
+    ? `\nThese steps already succeeded (do not repeat them, use their results):\n${completedContext}\n`
+    : ""
+}
 These steps failed:
 ${failureContext}
 
 Create a new plan that works around these failures.`;
 
-    return await this.generatePlan(replanPrompt, {}, context);
+    return await this.generatePlan(replanPrompt, planOptions, context);
   }
 
   /**
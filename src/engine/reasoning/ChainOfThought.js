@@ -3,7 +3,7 @@
  * Linear step-by-step reasoning with explicit verbalization
  * Creates Industrial Audit Trail for transparency
  */
-import webLLMService from "../WebLLMService";
+import { getLLM } from "../llm/LLMService";
 
 // Maximum steps to prevent runaway reasoning
 const MAX_STEPS = 15;
@@ -52,7 +52,7 @@ class ChainOfThought {
 
     try {
       // Generate response with CoT prompt
-      const response = await webLLMService.generateWithHistory(
+      const response = await getLLM(context).generateWithHistory(
         input,
         [],
         {
@@ -143,6 +143,13 @@ class ChainOfThought {
     return { steps, finalAnswer };
   }
 
+  /**
+   * Streamed token: keep the node's timeout alive while the answer arrives
+   */
+  handleStreamToken(_token, _fullText, context) {
+    context.heartbeat?.();
+  }
+
   /**
    * Generate confidence score for a step
    */
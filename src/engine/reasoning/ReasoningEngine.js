@@ -3,7 +3,7 @@
  * Core orchestrator for multiple reasoning strategies
  * Supports Chain-of-Thought, Tree-of-Thoughts, and ReAct patterns
  */
-// Note: webLLMService imported in ChainOfThought/TreeOfThoughts
+// Note: the model (getLLM) is used in ChainOfThought/TreeOfThoughts
 import ChainOfThought from "./ChainOfThought";
 import TreeOfThoughts from "./TreeOfThoughts";
 import useThinkingStore from "../../store/thinkingStore";
@@ -3,7 +3,7 @@
  * Branching reasoning with scoring and backtracking
  * Explores multiple paths for high-stakes decisions
  */
-import webLLMService from "../WebLLMService";
+import { getLLM } from "../llm/LLMService";
 
 // Configuration
 const DEFAULT_BRANCH_COUNT = 3;
@@ -58,57 +58,64 @@ class TreeOfThoughts {
       temperature = 0.8,
       branchCount = DEFAULT_BRANCH_COUNT,
       beamWidth = DEFAULT_BEAM_WIDTH,
+      depth = 1,
       // enableBacktracking reserved for future use
     } = options;
 
-    // Build enhanced system prompt
-    const enhancedPrompt = `${systemPrompt}\n\n${TOT_SYSTEM_PROMPT.replace(
-      "{branchCount}",
-      branchCount.toString()
-    )}`;
+    const maxDepth = Math.min(Math.max(depth, 1), MAX_DEPTH);
 
     this.log(
       context,
       "info",
-      `Starting Tree-of-Thoughts with ${branchCount} branches...`
+      `Starting Tree-of-Thoughts with ${branchCount} branches${
+        maxDepth > 1 ? `, depth ${maxDepth}, beam width ${beamWidth}` : ""
+      }...`
     );
 
     try {
       // Phase 1: Generate branches
-      const branchResponse = await webLLMService.generateWithHistory(
-        input,
-        [],
-        {
-          systemPrompt: enhancedPrompt,
-          maxTokens,
-          temperature,
-        }
-      );
+      const branchResponse = await this.generateBranches(input, {
+        systemPrompt,
+        maxTokens,
+        temperature,
+        branchCount,
+        context,
+      });
 
-      // Parse branches
       const branches = this.parseBranches(branchResponse);
+      this.recordBranches(branches, 1, auditTrail, context);
 
-      // Log each branch
-      for (const branch of branches) {
-        auditTrail.steps.push({
-          type: "tot_branch",
-          branchNumber: branch.number,
-          name: branch.name,
-          reasoning: branch.reasoning,
-          issues: branch.issues,
-          score: branch.score,
-          timestamp: new Date().toISOString(),
-        });
-
+      // Phase 2: Keep the best branches (beam search) and refine them
+      // level by level until the requested depth
+      let frontier = this.beamSelect(branches, beamWidth);
+      for (let level = 2; level <= maxDepth && frontier.length > 0; level++) {
         this.log(
           context,
           "info",
-          `🌿 Branch ${branch.number}: ${branch.name} (Score: ${branch.score}/10)`
+          `🎯 Refining branch(es) ${frontier
+            .map((b) => b.number)
+            .join(", ")} (level ${level}/${maxDepth})`
         );
+
+        const children = [];
+        for (const parent of frontier) {
+          const refined = await this.refineBranch(parent, input, {
+            systemPrompt,
+            maxTokens,
+            temperature,
+            branchCount,
+            context,
+          });
+          this.recordBranches(refined, level, auditTrail, context);
+          children.push(...refined);
+        }
+
+        // A level that produced nothing parseable ends the search
+        if (children.length === 0) break;
+        frontier = this.beamSelect(children, beamWidth);
       }
 
-      // Phase 2: Select best branch(es) using beam search
-      const topBranches = this.beamSelect(branches, beamWidth);
+      const topBranches = frontier;
       this.log(
         context,
         "info",
@@ -117,11 +124,10 @@ class TreeOfThoughts {
           .join(", ")}`
       );
 
-      // Phase 3: Expand best branch if needed
+      // Phase 3: Use the model's answer for the best branch, or expand it
       const bestBranch = topBranches[0];
       let finalAnswer = bestBranch?.finalAnswer || null;
 
-      // If no clear final answer, generate one from best branch
       if (!finalAnswer && bestBranch) {
         finalAnswer = await this.expandBranch(
           bestBranch,
@@ -131,16 +137,11 @@ class TreeOfThoughts {
         );
       }
 
-      // Extract final answer from response if present
-      const finalMatch = branchResponse.match(/Final Answer:\s*(.+?)$/is);
-      if (finalMatch) {
-        finalAnswer = finalMatch[1].trim();
-      }
-
       // Log final selection
       auditTrail.steps.push({
         type: "tot_selection",
         selectedBranch: bestBranch?.number,
+        path: bestBranch?.path,
         finalAnswer,
         timestamp: new Date().toISOString(),
       });
@@ -157,6 +158,7 @@ class TreeOfThoughts {
         finalAnswer,
         rawResponse: branchResponse,
         branchCount: branches.length,
+        depth: maxDepth,
       };
     } catch (error) {
       this.log(context, "error", `ToT failed: ${error.message}`);
@@ -164,12 +166,84 @@ class TreeOfThoughts {
     }
   }
 
+  /**
+   * Ask the model for scored branches
+   */
+  async generateBranches(
+    prompt,
+    { systemPrompt, maxTokens, temperature, branchCount, context }
+  ) {
+    const enhancedPrompt = `${systemPrompt}\n\n${TOT_SYSTEM_PROMPT.replace(
+      "{branchCount}",
+      branchCount.toString()
+    )}`;
+
+    return getLLM(context).generateWithHistory(
+      prompt,
+      [],
+      {
+        systemPrompt: enhancedPrompt,
+        maxTokens,
+        temperature,
+      },
+      () => context.heartbeat?.()
+    );
+  }
+
+  /**
+   * Explore sub-branches that continue a branch's reasoning
+   */
+  async refineBranch(parent, originalInput, options) {
+    const prompt = `Original Question: ${originalInput}
+
+Reasoning so far (${parent.path.join(" → ")}):
+${parent.reasoning}
+
+Explore different ways to continue this reasoning towards an answer:`;
+
+    const response = await this.generateBranches(prompt, options);
+
+    return this.parseBranches(response).map((branch) => ({
+      ...branch,
+      number: `${parent.number}.${branch.number}`,
+      path: [...parent.path, branch.name],
+    }));
+  }
+
+  /**
+   * Add branches of one tree level to the audit trail and log
+   */
+  recordBranches(branches, level, auditTrail, context) {
+    for (const branch of branches) {
+      auditTrail.steps.push({
+        type: "tot_branch",
+        level,
+        branchNumber: branch.number,
+        name: branch.name,
+        reasoning: branch.reasoning,
+        issues: branch.issues,
+        score: branch.score,
+        timestamp: new Date().toISOString(),
+      });
+
+      this.log(
+        context,
+        "info",
+        `🌿 Branch ${branch.number}: ${branch.name} (Score: ${branch.score}/10)`
+      );
+    }
+  }
+
   /**
    * Parse branches from ToT response
    */
   parseBranches(response) {
     const branches = [];
 
+    // The model's final answer belongs to the branch it picked
+    const bestMatch = response.match(/Best Branch:\s*(\d+)/i);
+    const finalMatch = response.match(/Final Answer:\s*(.+?)$/is);
+
     // Split by branch markers
     const branchBlocks = response
       .split(/(?=Branch\s*\d+\s*:)/i)
@@ -186,13 +260,19 @@ class TreeOfThoughts {
         /Potential Issues:\s*(.+?)(?=\nScore:|$)/is
       );
       const scoreMatch = block.match(/Score:\s*(\d+)\/10/i);
+      const number = parseInt(numberMatch[1], 10);
 
       branches.push({
-        number: parseInt(numberMatch[1], 10),
+        number,
         name: numberMatch[2].trim(),
+        path: [numberMatch[2].trim()],
         reasoning: reasoningMatch ? reasoningMatch[1].trim() : "",
         issues: issuesMatch ? issuesMatch[1].trim() : "",
         score: scoreMatch ? parseInt(scoreMatch[1], 10) : 5,
+        finalAnswer:
+          finalMatch && Number(bestMatch?.[1]) === number
+            ? finalMatch[1].trim()
+            : null,
       });
     }
 
@@ -220,7 +300,7 @@ Original Question: ${originalInput}
 Provide a complete, detailed answer using this approach:`;
 
     try {
-      const expansion = await webLLMService.generateWithHistory(
+      const expansion = await getLLM(context).generateWithHistory(
         expandPrompt,
         [],
         {
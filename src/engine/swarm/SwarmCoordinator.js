@@ -3,7 +3,7 @@
  * Orchestrates multiple specialized AI agents working together
  * Manages task distribution, agent communication, and result synthesis
  */
-import webLLMService from "../WebLLMService";
+import { getLLM } from "../llm/LLMService";
 
 // Agent role definitions
 const AGENT_ROLES = {
@@ -83,58 +83,128 @@ Think about task dependencies and optimal sequencing.`,
   },
 };
 
+// Collaboration patterns
+export const SWARM_PATTERNS = {
+  PARALLEL: "parallel", // Independent answers, then aggregation
+  COORDINATOR: "coordinator", // Breakdown → specialists → synthesis
+  DEBATE: "debate", // Answers revised over rounds, then a vote
+};
+
+// Longest candidate text shown to voters
+const MAX_CANDIDATE_LENGTH = 1500;
+
 class SwarmCoordinator {
   constructor() {
     this.name = "SwarmCoordinator";
     this.agents = { ...AGENT_ROLES };
     this.messageHistory = [];
+    this.agentMessages = new Map();
     this.activeAgents = new Set();
   }
 
   /**
    * Run a swarm task with multiple agents
    * @param {string} task - The main task to accomplish
-   * @param {Object} options - Configuration options
+   * @param {Object} options - { agents (role IDs), customRoles
+   * ([{ id, name, emoji, systemPrompt }]), pattern, aggregation
+   * (consensus, first, all - parallel only), rounds (debate only),
+   * sharedPrompt, temperature, maxTokens, timeout (per response) }
    * @param {Object} context - Execution context
    */
   async runSwarm(task, options = {}, context = {}) {
     const {
       agents = ["coordinator", "coder", "researcher"],
-      temperature = 0.7,
-      maxTokens = 2000,
+      customRoles = [],
+      pattern = SWARM_PATTERNS.COORDINATOR,
     } = options;
 
-    this.log(context, "info", `🐝 Swarm starting with ${agents.length} agents`);
+    const roles = agents
+      .map((agentId) => this.getRole(agentId, customRoles))
+      .filter(Boolean);
+
+    if (roles.length === 0) {
+      throw new Error("The swarm has no agents");
+    }
+
+    this.log(
+      context,
+      "info",
+      `🐝 Swarm starting with ${roles.length} agents (${pattern})`
+    );
 
     this.messageHistory = [];
-    this.activeAgents = new Set(agents);
+    this.agentMessages = new Map(roles.map((role) => [role.id, []]));
+    this.activeAgents = new Set(roles.map((role) => role.id));
 
     try {
-      // Phase 1: Coordinator breaks down the task
-      const coordinator = this.agents.COORDINATOR;
-      const breakdown = await this.runAgent(
-        coordinator,
-        `Break down this task and identify which specialists should handle each part:
+      let result;
+      switch (pattern) {
+        case SWARM_PATTERNS.PARALLEL:
+          result = await this.runParallel(task, roles, options, context);
+          break;
+        case SWARM_PATTERNS.DEBATE:
+          result = await this.runDebate(task, roles, options, context);
+          break;
+        default:
+          result = await this.runCoordinated(task, roles, options, context);
+      }
 
-TASK: ${task}
+      this.log(context, "success", "✅ Swarm completed successfully");
 
-Available specialists: ${agents.filter((a) => a !== "coordinator").join(", ")}
+      return {
+        ...result,
+        pattern,
+        // Includes the built-in coordinator when it led the swarm
+        agents: [...this.agentMessages].map(([agentId, messages]) => {
+          const role = this.getRole(agentId, customRoles);
+          return { id: agentId, name: role.name, emoji: role.emoji, messages };
+        }),
+        messageHistory: this.messageHistory,
+        agentsUsed: roles.map((role) => role.id),
+      };
+    } catch (error) {
+      this.log(context, "error", `Swarm failed: ${error.message}`);
+      throw error;
+    }
+  }
 
-Provide a structured breakdown with assigned agents.`,
-        { temperature: 0.5, maxTokens },
-        context
-      );
+  /**
+   * Coordinator-led: the coordinator breaks the task down, every
+   * specialist works on its part and the coordinator synthesizes
+   */
+  async runCoordinated(task, roles, options, context) {
+    const { temperature = 0.7, maxTokens = 2000 } = options;
+
+    const coordinator =
+      roles.find((role) => role.id === "coordinator") ||
+      this.agents.COORDINATOR;
+    const specialists = roles.filter((role) => role.id !== coordinator.id);
+
+    if (specialists.length === 0) {
+      throw new Error("A coordinator-led swarm needs at least one specialist");
+    }
+    if (!this.agentMessages.has(coordinator.id)) {
+      this.agentMessages.set(coordinator.id, []);
+    }
 
-      this.addMessage("coordinator", breakdown);
+    // Phase 1: Coordinator breaks down the task
+    const breakdown = await this.runAgent(
+      coordinator,
+      `Break down this task and identify which specialists should handle each part:
 
-      // Phase 2: Specialists work on their assigned parts
-      const specialistResponses = [];
-      for (const agentId of agents) {
-        if (agentId === "coordinator") continue;
+TASK: ${task}
 
-        const agent = this.agents[agentId.toUpperCase()];
-        if (!agent) continue;
+Available specialists: ${specialists.map((s) => s.name).join(", ")}
 
+Provide a structured breakdown with assigned agents.`,
+      { ...options, temperature: 0.5, maxTokens, phase: "breakdown" },
+      context
+    );
+
+    // Phase 2: Specialists work on their assigned parts
+    const specialistResponses = [];
+    for (const agent of specialists) {
+      try {
         const response = await this.runAgent(
           agent,
           `Based on the coordinator's breakdown, complete your assigned portion:
@@ -145,56 +215,287 @@ COORDINATOR'S BREAKDOWN:
 ${breakdown}
 
 Focus on your specialty (${agent.name}) and provide your contribution.`,
-          { temperature, maxTokens },
+          { ...options, temperature, maxTokens, phase: "contribution" },
           context
         );
-
-        this.addMessage(agentId, response);
-        specialistResponses.push({ agent: agentId, response });
+        specialistResponses.push({ agent: agent.id, response, success: true });
+      } catch (error) {
+        this.log(context, "warning", `${agent.name} failed: ${error.message}`);
+        specialistResponses.push({
+          agent: agent.id,
+          error: error.message,
+          success: false,
+        });
       }
+    }
 
-      // Phase 3: Coordinator synthesizes results
-      const synthesis = await this.runAgent(
-        coordinator,
-        `Synthesize the specialist responses into a coherent final answer:
+    const contributions = specialistResponses.filter((s) => s.success);
+    if (contributions.length === 0) {
+      throw new Error("No specialist produced a contribution");
+    }
+
+    // Phase 3: Coordinator synthesizes results
+    const synthesis = await this.runAgent(
+      coordinator,
+      `Synthesize the specialist responses into a coherent final answer:
 
 ORIGINAL TASK: ${task}
 
 SPECIALIST CONTRIBUTIONS:
-${specialistResponses
-  .map((s) => `[${s.agent.toUpperCase()}]: ${s.response}`)
+${contributions
+  .map((s) => `[${this.nameOf(s.agent, roles).toUpperCase()}]: ${s.response}`)
   .join("\n\n")}
 
 Provide a unified, comprehensive response.`,
-        { temperature: 0.5, maxTokens: maxTokens * 1.5 },
-        context
-      );
+      {
+        ...options,
+        temperature: 0.5,
+        maxTokens: Math.round(maxTokens * 1.5),
+        phase: "synthesis",
+      },
+      context
+    );
+
+    return {
+      finalAnswer: synthesis,
+      breakdown,
+      specialistResponses,
+      answers: specialistResponses,
+    };
+  }
 
-      this.log(context, "success", "✅ Swarm completed successfully");
+  /**
+   * Parallel: every agent answers on its own, then the answers are
+   * aggregated by vote (consensus), the first answer, or all answers.
+   * The local model serves one generation at a time, so the independent
+   * turns run one after another.
+   */
+  async runParallel(task, roles, options, context) {
+    const { aggregation = "consensus" } = options;
+    const answers = [];
 
-      return {
-        finalAnswer: synthesis,
-        breakdown,
-        specialistResponses,
-        messageHistory: this.messageHistory,
-        agentsUsed: agents,
-      };
-    } catch (error) {
-      this.log(context, "error", `Swarm failed: ${error.message}`);
-      throw error;
+    for (const agent of roles) {
+      try {
+        const response = await this.runAgent(
+          agent,
+          task,
+          { ...options, phase: "answer" },
+          context
+        );
+        answers.push({ agent: agent.id, response, success: true });
+        if (aggregation === "first") break;
+      } catch (error) {
+        this.log(context, "warning", `${agent.name} failed: ${error.message}`);
+        answers.push({ agent: agent.id, error: error.message, success: false });
+      }
+    }
+
+    const successful = answers.filter((a) => a.success);
+    if (successful.length === 0) {
+      throw new Error("No agent produced an answer");
+    }
+
+    if (aggregation === "all") {
+      return { finalAnswer: answers, answers };
+    }
+
+    if (aggregation === "consensus" && successful.length > 1) {
+      const vote = await this.vote(task, successful, roles, options, context);
+      return { finalAnswer: vote.winner.response, answers, ...vote };
+    }
+
+    return { finalAnswer: successful[0].response, answers };
+  }
+
+  /**
+   * Debate: agents answer, then revise their answers over several rounds
+   * after reading each other's positions; a vote picks the final answer
+   */
+  async runDebate(task, roles, options, context) {
+    const { rounds = 2 } = options;
+    const positions = new Map();
+    const transcript = [];
+
+    for (let round = 1; round <= Math.max(1, rounds); round++) {
+      this.log(context, "info", `🗣️ Debate round ${round}`);
+      const roundAnswers = [];
+
+      for (const agent of roles) {
+        const others = roles.filter(
+          (other) => other.id !== agent.id && positions.has(other.id)
+        );
+        const prompt =
+          round === 1 || others.length === 0
+            ? task
+            : `TASK: ${task}
+
+YOUR PREVIOUS ANSWER:
+${positions.get(agent.id) || "(none)"}
+
+OTHER AGENTS' ANSWERS:
+${others
+  .map((other) => `[${other.name.toUpperCase()}]: ${positions.get(other.id)}`)
+  .join("\n\n")}
+
+Point out anything you disagree with and why, then give your revised answer.`;
+
+        try {
+          const response = await this.runAgent(
+            agent,
+            prompt,
+            { ...options, phase: round === 1 ? "answer" : "debate", round },
+            context
+          );
+          roundAnswers.push({ agent: agent.id, response });
+        } catch (error) {
+          // An agent that fails a round keeps its previous position
+          this.log(
+            context,
+            "warning",
+            `${agent.name} failed in round ${round}: ${error.message}`
+          );
+        }
+      }
+
+      for (const { agent, response } of roundAnswers) {
+        positions.set(agent, response);
+      }
+      transcript.push({ round, answers: roundAnswers });
+    }
+
+    const answers = roles
+      .filter((role) => positions.has(role.id))
+      .map((role) => ({
+        agent: role.id,
+        response: positions.get(role.id),
+        success: true,
+      }));
+
+    if (answers.length === 0) {
+      throw new Error("No agent produced an answer");
+    }
+    if (answers.length === 1) {
+      return { finalAnswer: answers[0].response, answers, rounds: transcript };
+    }
+
+    const vote = await this.vote(task, answers, roles, options, context);
+    return {
+      finalAnswer: vote.winner.response,
+      answers,
+      rounds: transcript,
+      ...vote,
+    };
+  }
+
+  /**
+   * Every agent votes for the best candidate answer; ties go to the
+   * earlier candidate
+   * @returns {Object} { winner, votes: [{ agent, choice }], tally }
+   */
+  async vote(task, candidates, roles, options, context) {
+    this.log(context, "info", `🗳️ Voting on ${candidates.length} answers`);
+
+    const ballot = candidates
+      .map(
+        (candidate, i) =>
+          `ANSWER ${i + 1}:\n${String(candidate.response).slice(
+            0,
+            MAX_CANDIDATE_LENGTH
+          )}`
+      )
+      .join("\n\n");
+
+    const tally = candidates.map(() => 0);
+    const votes = [];
+
+    for (const agent of roles) {
+      try {
+        const reply = await this.runAgent(
+          agent,
+          `TASK: ${task}
+
+${ballot}
+
+Judge the answers on merit, including your own. Reply with only the number of the best answer (1-${candidates.length}).`,
+          { ...options, temperature: 0.2, maxTokens: 10, phase: "vote" },
+          context
+        );
+        const choice = parseInt(reply.match(/\d+/)?.[0], 10);
+        if (choice >= 1 && choice <= candidates.length) {
+          tally[choice - 1]++;
+          votes.push({ agent: agent.id, choice });
+        }
+      } catch (error) {
+        this.log(
+          context,
+          "warning",
+          `${agent.name} could not vote: ${error.message}`
+        );
+      }
     }
+
+    const best = tally.indexOf(Math.max(...tally));
+    this.log(
+      context,
+      "info",
+      `🗳️ Answer ${best + 1} (${this.nameOf(
+        candidates[best].agent,
+        roles
+      )}) won with ${tally[best]} vote(s)`
+    );
+
+    return {
+      winner: candidates[best],
+      votes,
+      tally: Object.fromEntries(
+        candidates.map((candidate, i) => [candidate.agent, tally[i]])
+      ),
+    };
   }
 
   /**
-   * Run a single agent
+   * Run a single agent and record the exchange in its history
+   * @param {Object} options - Generation options plus phase and round for
+   * the history, sharedPrompt and timeout (ms)
    */
   async runAgent(agent, prompt, options, context) {
     this.log(context, "info", `${agent.emoji} ${agent.name} working...`);
 
-    const response = await webLLMService.generateWithHistory(prompt, [], {
-      systemPrompt: agent.systemPrompt,
-      maxTokens: options.maxTokens || 1500,
-      temperature: options.temperature || 0.7,
+    const systemPrompt = options.sharedPrompt
+      ? `${agent.systemPrompt}\n\n${options.sharedPrompt}`
+      : agent.systemPrompt;
+
+    const generation = getLLM(context).generateWithHistory(
+      prompt,
+      [],
+      {
+        systemPrompt,
+        maxTokens: options.maxTokens || 1500,
+        temperature: options.temperature ?? 0.7,
+      },
+      () => context.heartbeat?.()
+    );
+
+    let timer;
+    const response = await (options.timeout
+      ? Promise.race([
+          generation,
+          new Promise((_, reject) => {
+            timer = setTimeout(
+              () =>
+                reject(
+                  new Error(`No response within ${options.timeout / 1000}s`)
+                ),
+              options.timeout
+            );
+          }),
+        ]).finally(() => clearTimeout(timer))
+      : generation);
+
+    this.addMessage(agent.id, response, {
+      prompt,
+      phase: options.phase,
+      round: options.round,
     });
 
     return response;
@@ -202,13 +503,53 @@ Provide a unified, comprehensive response.`,
 
   /**
    * Add message to history
+   * @param {Object} details - { prompt, phase, round } of the exchange
    */
-  addMessage(agentId, content) {
-    this.messageHistory.push({
-      agent: agentId,
-      content,
-      timestamp: new Date().toISOString(),
-    });
+  addMessage(agentId, content, details = {}) {
+    const timestamp = new Date().toISOString();
+    const { prompt, phase, round } = details;
+
+    this.messageHistory.push({ agent: agentId, content, phase, timestamp });
+
+    const messages = this.agentMessages.get(agentId);
+    if (messages) {
+      if (prompt) {
+        messages.push({ role: "user", content: prompt, phase, round });
+      }
+      messages.push({
+        role: "assistant",
+        content,
+        phase,
+        round,
+        timestamp,
+      });
+    }
+  }
+
+  /**
+   * Find a built-in or custom role by ID
+   * @param {Array} customRoles - [{ id, name, emoji, systemPrompt }]
+   */
+  getRole(roleId, customRoles = []) {
+    const custom = customRoles.find((role) => role.id === roleId);
+    if (custom) {
+      return {
+        emoji: "🧑‍💼",
+        ...custom,
+        name: custom.name || "Custom Agent",
+        systemPrompt:
+          custom.systemPrompt ||
+          "You are a helpful assistant. Answer concisely.",
+      };
+    }
+    return this.getAgentInfo(roleId);
+  }
+
+  /**
+   * Display name of an agent ID
+   */
+  nameOf(agentId, roles) {
+    return roles.find((role) => role.id === agentId)?.name || agentId;
   }
 
   /**
@@ -12,6 +12,12 @@ const BROWSER_TOOLS = {
     name: "Read File",
     description: "Read contents of a user-selected file",
     requiresPermission: true,
+    parameters: {
+      type: "object",
+      properties: {
+        types: { type: "array", description: "File picker type filters" },
+      },
+    },
     handler: async (inputs) => {
       if (!("showOpenFilePicker" in window)) {
         throw new Error("File System Access API not supported");
@@ -38,6 +44,14 @@ const BROWSER_TOOLS = {
     name: "Write File",
     description: "Save content to a user-selected file",
     requiresPermission: true,
+    parameters: {
+      type: "object",
+      properties: {
+        content: { type: "string", description: "Text to save" },
+        filename: { type: "string", description: "Suggested file name" },
+      },
+      required: ["content"],
+    },
     handler: async (inputs) => {
       if (!("showSaveFilePicker" in window)) {
         throw new Error("File System Access API not supported");
@@ -66,6 +80,7 @@ const BROWSER_TOOLS = {
     name: "Read Clipboard",
     description: "Read text from clipboard",
     requiresPermission: true,
+    parameters: { type: "object", properties: {} },
     handler: async () => {
       const text = await navigator.clipboard.readText();
       return { text };
@@ -76,6 +91,13 @@ const BROWSER_TOOLS = {
     name: "Write Clipboard",
     description: "Copy text to clipboard",
     requiresPermission: false,
+    parameters: {
+      type: "object",
+      properties: {
+        text: { type: "string", description: "Text to copy" },
+      },
+      required: ["text"],
+    },
     handler: async (inputs) => {
       await navigator.clipboard.writeText(inputs.text);
       return { success: true };
@@ -87,6 +109,13 @@ const BROWSER_TOOLS = {
     name: "Get Storage",
     description: "Retrieve a value from local storage",
     requiresPermission: false,
+    parameters: {
+      type: "object",
+      properties: {
+        key: { type: "string", minLength: 1 },
+      },
+      required: ["key"],
+    },
     handler: async (inputs) => {
       const db = await openToolkitDB();
       const tx = db.transaction("keyvalue", "readonly");
@@ -100,6 +129,14 @@ const BROWSER_TOOLS = {
     name: "Set Storage",
     description: "Store a value in local storage",
     requiresPermission: false,
+    parameters: {
+      type: "object",
+      properties: {
+        key: { type: "string", minLength: 1 },
+        value: { description: "Any JSON value" },
+      },
+      required: ["key", "value"],
+    },
     handler: async (inputs) => {
       const db = await openToolkitDB();
       const tx = db.transaction("keyvalue", "readwrite");
@@ -116,6 +153,19 @@ const BROWSER_TOOLS = {
     name: "HTTP Fetch",
     description: "Make an HTTP request",
     requiresPermission: false,
+    parameters: {
+      type: "object",
+      properties: {
+        url: { type: "string", minLength: 1, description: "Full URL" },
+        method: {
+          type: "string",
+          enum: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+        },
+        headers: { type: "object" },
+        body: { type: "object", description: "JSON request body" },
+      },
+      required: ["url"],
+    },
     handler: async (inputs) => {
       const { url, method = "GET", headers = {}, body } = inputs;
 
@@ -147,6 +197,7 @@ const BROWSER_TOOLS = {
     name: "WebGPU Info",
     description: "Get WebGPU adapter information",
     requiresPermission: false,
+    parameters: { type: "object", properties: {} },
     handler: async () => {
       if (!navigator.gpu) {
         return { supported: false, reason: "WebGPU not available" };
@@ -172,6 +223,13 @@ const BROWSER_TOOLS = {
     name: "Capture Element",
     description: "Capture an element as an image",
     requiresPermission: false,
+    parameters: {
+      type: "object",
+      properties: {
+        selector: { type: "string", minLength: 1, description: "CSS selector" },
+      },
+      required: ["selector"],
+    },
     handler: async (inputs) => {
       const element = document.querySelector(inputs.selector);
       if (!element) {
@@ -244,6 +302,7 @@ class BrowserToolkit {
       id,
       name: tool.name,
       description: tool.description,
+      parameters: tool.parameters,
       requiresPermission: tool.requiresPermission,
     }));
   }
@@ -288,15 +347,24 @@ class BrowserToolkit {
 
   /**
    * Generate tool schemas for AI agent
+   * @param {string} nodeId - Browser Tools node that provides the tools
+   * @param {Array<string>} toolIds - Tools the agent may call (all by default)
    */
-  generateToolSchemas() {
-    return Object.entries(this.tools).map(([id, tool]) => ({
-      nodeId: `browser_${id}`,
-      name: tool.name,
-      type: "browserTool",
-      description: tool.description,
-      inputSchema: { input: "any" },
-    }));
+  generateToolSchemas(nodeId, toolIds = Object.keys(this.tools)) {
+    return toolIds
+      .filter((id) => this.tools[id])
+      .map((id) => {
+        const tool = this.tools[id];
+        return {
+          nodeId,
+          toolId: id,
+          name: tool.name,
+          type: "browserTools",
+          description: tool.description,
+          parameters: tool.parameters,
+          requiresPermission: tool.requiresPermission,
+        };
+      });
   }
 
   /**
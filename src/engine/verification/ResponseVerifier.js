@@ -0,0 +1,180 @@
+/**
+ * ResponseVerifier
+ * Verification stage for AI answers: a Critic review with corrections,
+ * Process Reward Model scores for the reasoning steps and a single
+ * confidence value used to route answers to human review
+ */
+import criticAgent from "../agents/CriticAgent";
+import { ProcessRewardModel } from "./ProcessRewardModel";
+
+// Configuration
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.7;
+const DEFAULT_MAX_ITERATIONS = 2;
+const CRITIC_WEIGHT = 0.7; // The rest of the confidence comes from the PRM
+
+/**
+ * Split an answer into reasoning steps for scoring: paragraphs or list
+ * items, falling back to sentences
+ */
+function splitIntoSteps(text) {
+  if (!text) return [];
+
+  const blocks = text
+    .split(/\n\s*\n|\n(?=\s*(?:\d+[.)]|[-*•])\s)/)
+    .map((block) => block.trim())
+    .filter(Boolean);
+  if (blocks.length > 1) return blocks;
+
+  return text
+    .split(/(?<=[.!?])\s+/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
+
+class ResponseVerifier {
+  constructor() {
+    this.name = "ResponseVerifier";
+  }
+
+  /**
+   * Verify an answer to a question
+   * @param {string} question - What the answer responds to
+   * @param {string} response - The answer to verify
+   * @param {Object} options - { confidenceThreshold, maxIterations,
+   * autoCorrect, scoreSteps, steps, maxTokens }; steps are the reasoning
+   * steps behind the answer (strings or { content })
+   * @param {Object} context - Execution context
+   * @returns {Object} { response, confidence, needsReview, reasons, critic, prm }
+   */
+  async verify(question, response, options = {}, context = {}) {
+    const {
+      confidenceThreshold = DEFAULT_CONFIDENCE_THRESHOLD,
+      maxIterations = DEFAULT_MAX_ITERATIONS,
+      autoCorrect = true,
+      scoreSteps = true,
+      steps = null,
+      maxTokens,
+    } = options;
+
+    const review = await criticAgent.review(
+      question,
+      response,
+      {
+        autoCorrect: autoCorrect && maxIterations > 0,
+        maxIterations,
+        responseMaxTokens: maxTokens,
+      },
+      context
+    );
+
+    const corrected = Boolean(review.correctedResponse);
+    const finalResponse = corrected ? review.correctedResponse : response;
+
+    // The review scored the original answer, so score the correction too
+    const finalReview = corrected
+      ? await criticAgent.review(
+          question,
+          finalResponse,
+          { autoCorrect: false },
+          context
+        )
+      : review;
+
+    // Given steps belong to the original answer, a correction is re-split
+    const stepsToScore =
+      !corrected && steps?.length ? steps : splitIntoSteps(finalResponse);
+
+    let prm = null;
+    if (scoreSteps && stepsToScore.length > 0) {
+      // A fresh model per answer keeps drift detection to this answer
+      const scored = await new ProcessRewardModel().scoreSteps(
+        stepsToScore,
+        question,
+        context
+      );
+      prm = {
+        steps: scored.steps.map(({ stepIndex, score, flags }) => ({
+          stepIndex,
+          score,
+          flags,
+        })),
+        aggregate: scored.aggregate,
+        drift: scored.steps.some((s) => s.flags.includes("drift_detected")),
+      };
+    }
+
+    const criticConfidence =
+      typeof finalReview.score === "number" ? finalReview.score / 10 : null;
+    const combined = prm
+      ? CRITIC_WEIGHT * criticConfidence +
+        (1 - CRITIC_WEIGHT) * prm.aggregate.average
+      : criticConfidence;
+    const confidence =
+      criticConfidence === null ? null : Math.round(combined * 100) / 100;
+
+    const reasons = [];
+    if (confidence === null) {
+      reasons.push(`Critic review failed: ${finalReview.error || "no score"}`);
+    } else if (confidence < confidenceThreshold) {
+      reasons.push(
+        `Confidence ${Math.round(confidence * 100)}% is below ${Math.round(
+          confidenceThreshold * 100
+        )}%`
+      );
+    }
+    if (finalReview.hallucinationRisk === "HIGH") {
+      reasons.push("High hallucination risk");
+    }
+    if (prm?.drift) {
+      reasons.push("Reasoning quality declines across steps");
+    }
+
+    const needsReview = reasons.length > 0;
+
+    this.log(
+      context,
+      needsReview ? "warning" : "success",
+      needsReview
+        ? `🚩 Sent for review: ${reasons.join("; ")}`
+        : `✅ Verified with ${Math.round(confidence * 100)}% confidence`
+    );
+
+    return {
+      response: finalResponse,
+      confidence,
+      needsReview,
+      reasons,
+      critic: {
+        score: finalReview.score,
+        issues: finalReview.issues,
+        hallucinationRisk: finalReview.hallucinationRisk,
+        corrected,
+        iterations: review.iterations || 0,
+        originalResponse: corrected ? response : undefined,
+        originalScore: corrected ? review.score : undefined,
+      },
+      prm,
+    };
+  }
+
+  /**
+   * Helper to log with context
+   */
+  log(context, type, message, data = null) {
+    if (context.addLog) {
+      context.addLog({
+        type,
+        nodeId: context.nodeId,
+        nodeName: context.nodeName || "Verifier",
+        message,
+        data,
+      });
+    }
+  }
+}
+
+// Singleton
+const responseVerifier = new ResponseVerifier();
+export default responseVerifier;
+
+export { ResponseVerifier };
@@ -4,6 +4,7 @@
  */
 
 import * as webllm from "@mlc-ai/web-llm";
+import { buildChatMessages } from "../utils/chatCompletions";
 
 let engine = null;
 let isReady = false;
@@ -76,27 +77,8 @@ async function handleGenerate(payload, id) {
     streaming = false,
   } = payload;
 
-  // Build messages array with optional system prompt
-  const messages = [];
-
-  // Add system prompt if provided
-  if (systemPrompt && systemPrompt.trim()) {
-    messages.push({ role: "system", content: systemPrompt });
-  }
-
-  // Add conversation history
-  // Add conversation history
-  history.slice(-10).forEach((h) => {
-    if (h.role && h.content) {
-      messages.push({ role: h.role, content: h.content });
-    } else if (h.query && h.response) {
-      messages.push({ role: "user", content: h.query });
-      messages.push({ role: "assistant", content: h.response });
-    }
-  });
-
-  // Add current user message
-  messages.push({ role: "user", content: userMessage });
+  // System prompt, the last 10 history items and the user message
+  const messages = buildChatMessages(userMessage, history, systemPrompt);
 
   if (streaming) {
     // Streaming mode - send tokens as they arrive
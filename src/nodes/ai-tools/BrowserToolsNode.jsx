@@ -0,0 +1,42 @@
+/**
+ * BrowserToolsNode Component
+ * Gives a connected AI Agent the browser tools ticked in its settings
+ */
+import { memo } from "react";
+import BaseNode from "../base/BaseNode";
+import { BROWSER_TOOLS } from "../../engine/tools/BrowserToolkit";
+import "./BrowserToolsNode.css";
+
+function BrowserToolsNode({ data }) {
+  const enabled = (data.enabledTools || []).filter((id) => BROWSER_TOOLS[id]);
+  const needsPermission = enabled.filter(
+    (id) => data.alwaysAsk || BROWSER_TOOLS[id].requiresPermission
+  );
+
+  return (
+    <BaseNode
+      type="browserTools"
+      data={data}
+      inputs={0}
+      outputs={0}
+      providerOutput={{ id: "tool-out", type: "tool", label: null }}
+    >
+      <div className="browser-tools-content">
+        {enabled.length === 0 ? (
+          <span className="browser-tools-empty">No tools enabled</span>
+        ) : (
+          <div className="browser-tools-list">
+            {enabled.map((id) => (
+              <span key={id} className="browser-tools-tag">
+                {needsPermission.includes(id) && "🔐 "}
+                {BROWSER_TOOLS[id].name}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    </BaseNode>
+  );
+}
+
+export default memo(BrowserToolsNode);
@@ -3,8 +3,10 @@
  * AI-powered node using WebLLM with ReAct pattern
  */
 import { memo, useState, useEffect } from "react";
+import { useNodeId, useUpdateNodeInternals } from "@xyflow/react";
 import BaseNode from "../base/BaseNode";
 import useModelStore from "../../store/modelStore";
+import useExecutionStore from "../../store/executionStore";
 import {
   detectHardware,
   getTierEmoji,
@@ -13,8 +15,11 @@ import {
 import "./AIAgentNode.css";
 
 function AIAgentNode({ data }) {
+  const nodeId = useNodeId();
+  const updateNodeInternals = useUpdateNodeInternals();
   const availableModels = useModelStore((state) => state.availableModels);
   const modelStatus = useModelStore((state) => state.status);
+  const stream = useExecutionStore((state) => state.streams[nodeId]);
 
   // Hardware detection state
   const [hardware, setHardware] = useState(null);
@@ -23,6 +28,14 @@ function AIAgentNode({ data }) {
     detectHardware().then(setHardware);
   }, []);
 
+  // Verification adds the review output
+  const verify = Boolean(data.enableSelfCorrection);
+  const minConfidence = Math.round((data.confidenceThreshold ?? 0.7) * 100);
+
+  useEffect(() => {
+    updateNodeInternals(nodeId);
+  }, [verify, nodeId, updateNodeInternals]);
+
   // Get current model name
   const currentModel = availableModels.find((m) => m.id === data.modelId);
   const modelName = currentModel?.name || "Gemma 2 2B";
@@ -31,7 +44,13 @@ function AIAgentNode({ data }) {
   const promptPreview = (data.systemPrompt || "").split("\n")[0].slice(0, 50);
 
   return (
-    <BaseNode type="aiAgent" data={data} inputs={1} outputs={1}>
+    <BaseNode
+      type="aiAgent"
+      data={data}
+      inputs={1}
+      outputs={verify ? 2 : 1}
+      outputLabels={verify ? ["verified ✓", "review ⚑"] : []}
+    >
       <div className="ai-node-content">
         <div className="model-badge">
           <span className={`status-dot ${modelStatus}`} />
@@ -55,6 +74,20 @@ function AIAgentNode({ data }) {
           <div className="node-preview prompt-preview">{promptPreview}...</div>
         )}
 
+        {stream?.text && (
+          <div className="node-preview stream-preview">
+            {stream.text.length > 160 && "..."}
+            {stream.text.slice(-160)}
+            {!stream.done && <span className="stream-cursor">▍</span>}
+          </div>
+        )}
+
+        {verify && (
+          <div className="tools-count">
+            🔍 Verified, min {minConfidence}% confidence
+          </div>
+        )}
+
         {data.tools && data.tools.length > 0 && (
           <div className="tools-count">
             🔧 {data.tools.length} tool(s) available
@@ -5,6 +5,7 @@
  */
 import { memo } from "react";
 import useModelStore from "../../store/modelStore";
+import { LLM_PROVIDERS, resolveProviderId } from "../../engine/llm/LLMService";
 import BaseNode from "../base/BaseNode";
 import "./ChatModelNode.css";
 
@@ -14,16 +15,15 @@ function ChatModelNode({ data }) {
   const modelStatus = useModelStore((state) => state.status);
 
   // Get provider info
-  const provider = data.provider || "webllm";
+  const provider = resolveProviderId(data.provider);
+  const providerInfo = LLM_PROVIDERS[provider];
   const currentModel = availableModels.find((m) => m.id === data.modelId);
-  const modelName = currentModel?.name || data.modelName || "Gemma 2 2B";
-
-  const providerIcons = {
-    webllm: "🧠",
-    openai: "⚡",
-    anthropic: "🔮",
-    local: "💻",
-  };
+  const modelName =
+    provider === "webllm"
+      ? currentModel?.name || data.modelName || "Gemma 2 2B"
+      : provider === "mock"
+      ? "Mock responses"
+      : data.modelName || data.modelId || "Server model";
 
   return (
     <BaseNode
@@ -36,17 +36,22 @@ function ChatModelNode({ data }) {
       <div className="chat-model-content">
         <div className="model-provider-row">
           <span className="provider-icon-badge">
-            {providerIcons[provider] || "🤖"}
+            {providerInfo?.icon || "🤖"}
           </span>
           <div className="model-details">
             <div className="model-name-label">{modelName}</div>
-            <div className="provider-name">{provider.toUpperCase()}</div>
-          </div>
-          <div className={`model-status-indicator ${modelStatus}`}>
-            {modelStatus === "ready" && "●"}
-            {modelStatus === "loading" && "◐"}
-            {modelStatus === "error" && "×"}
+            <div className="provider-name">
+              {providerInfo?.name || provider}
+            </div>
           </div>
+          {/* Only WebLLM models are loaded in the app */}
+          {provider === "webllm" && (
+            <div className={`model-status-indicator ${modelStatus}`}>
+              {modelStatus === "ready" && "●"}
+              {modelStatus === "loading" && "◐"}
+              {modelStatus === "error" && "×"}
+            </div>
+          )}
         </div>
       </div>
     </BaseNode>
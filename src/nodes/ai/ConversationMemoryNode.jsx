@@ -0,0 +1,32 @@
+/**
+ * ConversationMemoryNode Component
+ * Provider node that gives connected AI Agents a per-session chat history,
+ * summarized by the model once it grows past the token budget
+ */
+import { memo } from "react";
+import BaseNode from "../base/BaseNode";
+import { DEFAULT_TOKEN_BUDGET } from "../../utils/conversationMemory";
+import "./ConversationMemoryNode.css";
+
+function ConversationMemoryNode({ data }) {
+  return (
+    <BaseNode
+      type="conversationMemory"
+      data={data}
+      inputs={0}
+      outputs={0}
+      providerOutput={{ id: "memory-out", type: "memory", label: null }}
+    >
+      <div className="conversation-memory-content">
+        <div className="conversation-memory-session">
+          💬 {data.sessionId || "default"}
+        </div>
+        <div className="conversation-memory-budget">
+          Summarize after ~{data.tokenBudget ?? DEFAULT_TOKEN_BUDGET} tokens
+        </div>
+      </div>
+    </BaseNode>
+  );
+}
+
+export default memo(ConversationMemoryNode);
@@ -0,0 +1,44 @@
+/**
+ * CriticNode Component
+ * Verifies an upstream answer and routes low-confidence results to review
+ */
+import { memo } from "react";
+import BaseNode from "../base/BaseNode";
+import { MODEL_ONLY_SLOTS } from "../../utils/handleTypes";
+import "./CriticNode.css";
+
+function CriticNode({ data }) {
+  const minConfidence = Math.round((data.confidenceThreshold ?? 0.7) * 100);
+  const corrections =
+    data.autoCorrect === false ? 0 : data.correctionIterations ?? 2;
+
+  return (
+    <BaseNode
+      type="critic"
+      data={data}
+      inputs={1}
+      outputs={2}
+      outputLabels={["verified ✓", "review ⚑"]}
+      resourceSlots={MODEL_ONLY_SLOTS}
+    >
+      <div className="critic-content">
+        <div className="critic-threshold">
+          Min confidence <strong>{minConfidence}%</strong>
+        </div>
+
+        <div className="critic-tags">
+          <span className="critic-tag">
+            {corrections > 0
+              ? `✏️ ${corrections} correction${corrections === 1 ? "" : "s"}`
+              : "👁️ Review only"}
+          </span>
+          {data.scoreSteps !== false && (
+            <span className="critic-tag">📊 Step scores</span>
+          )}
+        </div>
+      </div>
+    </BaseNode>
+  );
+}
+
+export default memo(CriticNode);
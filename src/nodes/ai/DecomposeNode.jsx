@@ -0,0 +1,60 @@
+/**
+ * DecomposeNode Component
+ * Splits a task into a tree of subtasks and solves the leaves with a
+ * connected AI Agent or a sub-workflow
+ */
+import { memo, useEffect } from "react";
+import { useNodeId, useUpdateNodeInternals } from "@xyflow/react";
+import BaseNode from "../base/BaseNode";
+import { AI_AGENT_SLOTS } from "../../utils/handleTypes";
+import "./DecomposeNode.css";
+
+// The tool slot holds the AI Agent that solves the leaves
+const DECOMPOSE_SLOTS = AI_AGENT_SLOTS.resourceSlots
+  .filter((slot) => slot.id === "tool-slot")
+  .map((slot) => ({ ...slot, label: "Agent", multiple: false }));
+
+const ROLLUP_LABELS = {
+  join: "📝 Joined",
+  list: "📋 List",
+  summarize: "✨ Summarized",
+};
+
+function DecomposeNode({ data }) {
+  const nodeId = useNodeId();
+  const updateNodeInternals = useUpdateNodeInternals();
+  const usesWorkflow = data.leafExecutor === "subWorkflow";
+
+  // The agent slot comes and goes with the leaf executor
+  useEffect(() => {
+    updateNodeInternals(nodeId);
+  }, [usesWorkflow, nodeId, updateNodeInternals]);
+
+  return (
+    <BaseNode
+      type="decompose"
+      data={data}
+      inputs={1}
+      outputs={1}
+      resourceSlots={usesWorkflow ? [] : DECOMPOSE_SLOTS}
+    >
+      <div className="decompose-content">
+        {data.task && <div className="decompose-task">{data.task}</div>}
+
+        <div className="decompose-tags">
+          <span className="decompose-tag">
+            {usesWorkflow
+              ? `🔀 ${data.workflowName || data.workflowId || "No workflow"}`
+              : "🤖 Agent"}
+          </span>
+          <span className="decompose-tag">↧ {data.maxDepth ?? 3} levels</span>
+          <span className="decompose-tag">
+            {ROLLUP_LABELS[data.rollup] || ROLLUP_LABELS.join}
+          </span>
+        </div>
+      </div>
+    </BaseNode>
+  );
+}
+
+export default memo(DecomposeNode);
@@ -0,0 +1,37 @@
+/**
+ * DocumentLoaderNode Component
+ * Splits incoming documents into chunks and stores them in vector memory
+ */
+import { memo } from "react";
+import BaseNode from "../base/BaseNode";
+import "./DocumentLoaderNode.css";
+
+function DocumentLoaderNode({ data }) {
+  const format = data.format || "auto";
+
+  return (
+    <BaseNode type="documentLoader" data={data} inputs={1} outputs={1}>
+      <div className="document-loader-content">
+        {data.source && (
+          <div className="document-loader-source">📄 {data.source}</div>
+        )}
+
+        <div className="document-loader-tags">
+          <span className="document-loader-tag">
+            {format === "auto" ? "Any format" : format.toUpperCase()}
+          </span>
+          <span className="document-loader-tag">
+            ✂️ {data.chunkSize ?? 1000} / {data.chunkOverlap ?? 200}
+          </span>
+          {data.store !== false && (
+            <span className="document-loader-tag">
+              🧠 {data.namespace || "documents"}
+            </span>
+          )}
+        </div>
+      </div>
+    </BaseNode>
+  );
+}
+
+export default memo(DocumentLoaderNode);
@@ -5,6 +5,7 @@
  */
 import { memo } from "react";
 import BaseNode from "../base/BaseNode";
+import { MODEL_ONLY_SLOTS } from "../../utils/handleTypes";
 import "./EvaluatorNode.css";
 
 function EvaluatorNode({ data }) {
@@ -19,6 +20,7 @@ function EvaluatorNode({ data }) {
       inputs={1}
       outputs={2}
       outputLabels={["pass ✓", "retry →"]}
+      resourceSlots={MODEL_ONLY_SLOTS}
     >
       <div className="evaluator-node-content">
         <div className="eval-type">
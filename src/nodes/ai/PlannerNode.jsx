@@ -0,0 +1,55 @@
+/**
+ * PlannerNode Component
+ * Plan-and-execute: turns a goal into structured steps and runs them
+ */
+import { memo } from "react";
+import BaseNode from "../base/BaseNode";
+import { AI_AGENT_SLOTS } from "../../utils/handleTypes";
+import "./PlannerNode.css";
+
+// Model and tools, no memory; without a model the default WebLLM is used
+const PLANNER_SLOTS = AI_AGENT_SLOTS.resourceSlots
+  .filter((slot) => slot.id !== "memory-slot")
+  .map((slot) => ({ ...slot, required: false }));
+
+function PlannerNode({ data }) {
+  const steps = data.plan?.steps || [];
+  const usesApprovedPlan = data.planMode === "approved";
+  const goalPreview = (data.goal || "").split("\n")[0].slice(0, 50);
+
+  return (
+    <BaseNode
+      type="planner"
+      data={data}
+      inputs={1}
+      outputs={1}
+      resourceSlots={PLANNER_SLOTS}
+    >
+      <div className="planner-content">
+        <div className="planner-goal">
+          {goalPreview ? `🎯 ${goalPreview}` : "🎯 Goal from input"}
+        </div>
+
+        <div className="planner-tags">
+          {usesApprovedPlan ? (
+            <span
+              className={`planner-tag ${data.planApproved ? "approved" : ""}`}
+            >
+              {data.planApproved ? "✅ Approved plan" : "⏸️ Needs approval"}
+            </span>
+          ) : (
+            <span className="planner-tag">✨ Plans each run</span>
+          )}
+          {usesApprovedPlan && steps.length > 0 && (
+            <span className="planner-tag">{steps.length} steps</span>
+          )}
+          {data.maxReplans > 0 && (
+            <span className="planner-tag">↻ {data.maxReplans} replans</span>
+          )}
+        </div>
+      </div>
+    </BaseNode>
+  );
+}
+
+export default memo(PlannerNode);
@@ -6,6 +6,7 @@
 import { memo, useEffect } from "react";
 import { useNodeId, useUpdateNodeInternals } from "@xyflow/react";
 import BaseNode from "../base/BaseNode";
+import { MODEL_ONLY_SLOTS } from "../../utils/handleTypes";
 import "./SemanticRouterNode.css";
 
 function SemanticRouterNode({ data }) {
@@ -48,6 +49,7 @@ function SemanticRouterNode({ data }) {
       inputs={1}
       outputs={outputCount}
       outputLabels={outputLabels}
+      resourceSlots={MODEL_ONLY_SLOTS}
     >
       <div className="semantic-router-content">
         <div className="routes-header">
@@ -73,6 +75,8 @@ function SemanticRouterNode({ data }) {
           <span className="mode-label">Mode:</span>
           <span className="mode-value">
             {data.classificationMode || "keyword"}
+            {data.classificationMode === "embedding" &&
+              ` · ${data.scoring === "knn" ? "k-NN" : "centroid"}`}
           </span>
         </div>
       </div>
@@ -1,16 +1,36 @@
 /**
  * SwarmNode Component
- * Executes multiple AI agents in parallel and aggregates results
+ * Role-based AI agents that vote, follow a coordinator or debate
  */
 import { memo } from "react";
 import BaseNode from "../base/BaseNode";
+import { AGENT_ROLES } from "../../engine/swarm/SwarmCoordinator";
+import { MODEL_ONLY_SLOTS } from "../../utils/handleTypes";
 import "./SwarmNode.css";
 
+const ROLE_EMOJIS = Object.fromEntries(
+  Object.values(AGENT_ROLES).map((role) => [role.id, role.emoji])
+);
+
 function SwarmNode({ data }) {
-  const agentCount = data.agentCount || 3;
+  const pattern = data.pattern || "parallel";
   const aggregationMode = data.aggregationMode || "consensus";
   const timeout = data.timeout || 30000;
 
+  // Role emojis, or one bee per general agent when no roles are chosen
+  const agentEmojis = [
+    ...(data.roles || []).map((id) => ROLE_EMOJIS[id] || "🐝"),
+    ...(data.customRoles || []).map((role) => role.emoji || "🧑‍💼"),
+  ];
+  const agentCount = agentEmojis.length || data.agentCount || 3;
+  const mode =
+    pattern === "parallel"
+      ? aggregationMode
+      : pattern === "coordinator"
+      ? "coordinator"
+      : `debate ×${data.debateRounds ?? 2}`;
+  const modeClass = pattern === "parallel" ? aggregationMode : pattern;
+
   return (
     <BaseNode
       type="swarm"
@@ -18,6 +38,7 @@ function SwarmNode({ data }) {
       inputs={1}
       outputs={2}
       outputLabels={["result", "all"]}
+      resourceSlots={MODEL_ONLY_SLOTS}
     >
       <div className="swarm-node-content">
         <div className="swarm-header">
@@ -27,22 +48,28 @@ function SwarmNode({ data }) {
 
         <div className="swarm-mode">
           <span className="mode-label">Mode:</span>
-          <span className={`mode-value ${aggregationMode}`}>
-            {aggregationMode}
+          <span className={`mode-value ${modeClass}`}>
+            {mode}
           </span>
         </div>
 
         <div className="swarm-agents">
-          {Array.from({ length: Math.min(agentCount, 5) }).map((_, i) => (
-            <div key={i} className="agent-indicator" />
-          ))}
+          {agentEmojis.length > 0
+            ? agentEmojis.slice(0, 5).map((emoji, i) => (
+                <span key={i} className="agent-role">
+                  {emoji}
+                </span>
+              ))
+            : Array.from({ length: Math.min(agentCount, 5) }).map((_, i) => (
+                <div key={i} className="agent-indicator" />
+              ))}
           {agentCount > 5 && (
             <span className="agent-overflow">+{agentCount - 5}</span>
           )}
         </div>
 
         <div className="swarm-timeout">
-          <span className="timeout-label">Timeout:</span>
+          <span className="timeout-label">Per response:</span>
           <span className="timeout-value">{timeout / 1000}s</span>
         </div>
       </div>
@@ -3,7 +3,7 @@
  * Common wrapper for custom nodes with 4-Axis Port System:
  * - Left/Right: Circle handles for data flow
  * - Top/Bottom: Diamond handles for resource injection
- * - Action toolbar with run step and config toggle
+ * - Action toolbar with run step, pin data and config toggle
  */
 import { memo, useMemo, useState, useCallback } from "react";
 import { Handle, Position, useNodeId } from "@xyflow/react";
@@ -12,6 +12,11 @@ import useWorkflowStore from "../../store/workflowStore";
 import { NODE_TYPES, getNodeColor } from "../../utils/nodeTypes";
 import { HANDLE_TYPES, AI_AGENT_SLOTS } from "../../utils/handleTypes";
 import { executeStep } from "../../utils/stepExecutor";
+import {
+  canPinNode,
+  createPin,
+  hasPinnableOutput,
+} from "../../utils/pinnedData";
 import "./BaseNode.css";
 
 // Diamond Handle Component - label above, handle at bottom edge
@@ -73,6 +78,7 @@ function BaseNode({
   const configOpen = useWorkflowStore((state) => state.configOpen);
   const openConfig = useWorkflowStore((state) => state.openConfig);
   const closeConfig = useWorkflowStore((state) => state.closeConfig);
+  const updateNode = useWorkflowStore((state) => state.updateNode);
   const edges = useWorkflowStore((state) => state.edges);
   const nodes = useWorkflowStore((state) => state.nodes);
 
@@ -86,6 +92,9 @@ function BaseNode({
   const hasResult = nodeResults[nodeId] !== undefined;
   const hasError = nodeResults[nodeId]?.error;
   const stepResult = nodeResults[nodeId];
+  const pinnedData = data.pinnedData;
+  const canPin =
+    canPinNode(type) && !hasError && hasPinnableOutput(stepResult);
 
   // Toggle config panel - only this button opens config
   const handleToggleConfig = useCallback(
@@ -122,6 +131,17 @@ function BaseNode({
     [nodeId, nodes, isStepRunning, isRunning]
   );
 
+  // Pin the last real output so runs reuse it, or drop the pin
+  const handleTogglePin = useCallback(
+    (e) => {
+      e.stopPropagation();
+      updateNode(nodeId, {
+        pinnedData: pinnedData ? null : createPin(stepResult),
+      });
+    },
+    [nodeId, pinnedData, stepResult, updateNode]
+  );
+
   // Check which slots and handles are connected
   const connectedHandles = useMemo(() => {
     const connected = new Set();
@@ -159,7 +179,7 @@ function BaseNode({
         isSupportingActive ? "supporting-active" : ""
       } ${isSelected ? "selected" : ""} ${hasError ? "error" : ""} ${
         slots ? "has-resource-slots" : ""
-      } ${isStepRunning ? "step-running" : ""}
+      } ${isStepRunning ? "step-running" : ""} ${pinnedData ? "pinned" : ""}
       }`}
       style={{ "--node-color": color }}
     >
@@ -203,6 +223,16 @@ function BaseNode({
         <span className="node-label">
           {data.label || nodeType?.name || type}
         </span>
+        {pinnedData && (
+          <span
+            className="pinned-indicator"
+            title={`Pinned data from ${new Date(
+              pinnedData.pinnedAt
+            ).toLocaleString()} - runs reuse it instead of executing`}
+          >
+            📌
+          </span>
+        )}
         {isActive && <span className="running-indicator">⚡</span>}
         {isStepRunning && <span className="running-indicator step">🔬</span>}
         {hasResult && !isActive && !isStepRunning && !hasError && (
@@ -240,6 +270,15 @@ function BaseNode({
             {isStepRunning ? "⏳" : "▶"}
           </button>
         )}
+        {(pinnedData || canPin) && (
+          <button
+            className={`action-btn pin-btn ${pinnedData ? "active" : ""}`}
+            onClick={handleTogglePin}
+            title={pinnedData ? "Unpin data" : "Pin this output"}
+          >
+            📌
+          </button>
+        )}
       </div>
 
       {/* Step Result Preview */}
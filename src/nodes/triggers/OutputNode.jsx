@@ -3,13 +3,19 @@
  * Terminal node that collects and displays workflow output with rich media
  */
 import { memo, useMemo } from "react";
+import { useNodeId } from "@xyflow/react";
 import BaseNode from "../base/BaseNode";
+import useExecutionStore from "../../store/executionStore";
 import { AudioPlayer, ImageLightbox } from "../../components/MediaPreview";
 import MarkdownRenderer from "../../components/MarkdownRenderer/MarkdownRenderer";
 import { autoDetectType } from "../../utils/autoDetectType";
 import "./OutputNode.css";
 
 function OutputNode({ data }) {
+  const nodeId = useNodeId();
+  // Sentences streamed by an AI node before this node runs
+  const stream = useExecutionStore((state) => state.streams[nodeId]);
+  const streaming = stream && !stream.done;
   const getOutputTypeLabel = () => {
     switch (data.outputType) {
       case "file":
@@ -100,7 +106,16 @@ function OutputNode({ data }) {
       <div className="output-node-body">
         <div className="output-type-badge">{getOutputTypeLabel()}</div>
 
-        {renderPreview && <div className="output-preview">{renderPreview}</div>}
+        {streaming ? (
+          <div className="output-preview">
+            <div className="output-preview-text">
+              {stream.text.length > 300 && "..."}
+              {stream.text.slice(-300)}
+            </div>
+          </div>
+        ) : (
+          renderPreview && <div className="output-preview">{renderPreview}</div>
+        )}
       </div>
     </BaseNode>
   );
@@ -1,6 +1,6 @@
 /**
  * ScheduleTriggerNode Component
- * Trigger node that runs on a schedule (simulated in browser)
+ * Trigger node that runs on a cron schedule while the app is open
  */
 import { memo } from "react";
 import BaseNode from "../base/BaseNode";
@@ -10,7 +10,10 @@ function ScheduleTriggerNode({ data }) {
     <BaseNode type="scheduleTrigger" data={data} inputs={1} outputs={1}>
       <div className="node-field">
         <label>Schedule (cron)</label>
-        <div className="node-preview">{data.schedule || "*/5 * * * *"}</div>
+        <div className="node-preview">
+          {data.schedule || "*/5 * * * *"}
+          {data.timezone ? ` (${data.timezone})` : ""}
+        </div>
       </div>
       <div className="node-preview">
         {data.enabled ? "✓ Enabled" : "○ Disabled"}
@@ -0,0 +1,165 @@
+/**
+ * ConversationMemoryService
+ * Per-session chat history for AI Agents with a Conversation Memory node.
+ * Uses IndexedDB for persistence. Each session keeps its recent messages
+ * verbatim; once a session passes its token budget, older messages are
+ * folded into a running summary written by the connected model.
+ */
+import { planSummary, buildSummaryPrompt } from "../utils/conversationMemory";
+
+const DB_NAME = "EchoesConversationMemoryDB";
+const STORE_NAME = "sessions";
+const DB_VERSION = 1;
+
+const emptySession = (sessionId) => ({
+  sessionId,
+  summary: "",
+  messages: [],
+  updatedAt: null,
+});
+
+class ConversationMemoryService {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  // Initialize/open the database
+  async _openDB() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: "sessionId" });
+        }
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Load a session; unknown ids give an empty one
+   * @param {string} sessionId - Session key
+   * @returns {Promise<Object>} { sessionId, summary, messages, updatedAt }
+   */
+  async getSession(sessionId = "default") {
+    try {
+      const db = await this._openDB();
+      const session = await new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_NAME], "readonly");
+        const request = tx.objectStore(STORE_NAME).get(sessionId);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      return session || emptySession(sessionId);
+    } catch (err) {
+      console.error("Conversation load error:", err);
+      const saved = localStorage.getItem(`echoes_conversation_${sessionId}`);
+      return saved ? JSON.parse(saved) : emptySession(sessionId);
+    }
+  }
+
+  // Save a session to IndexedDB
+  async _save(session) {
+    const record = { ...session, updatedAt: Date.now() };
+    try {
+      const db = await this._openDB();
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_NAME], "readwrite");
+        const request = tx.objectStore(STORE_NAME).put(record);
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    } catch (err) {
+      console.error("Conversation save error:", err);
+      // Fallback to localStorage
+      localStorage.setItem(
+        `echoes_conversation_${session.sessionId}`,
+        JSON.stringify(record)
+      );
+    }
+    return record;
+  }
+
+  /**
+   * Add messages to the end of a session
+   * @param {string} sessionId - Session key
+   * @param {Array<{role: string, content: string}>} messages - New turns
+   */
+  async append(sessionId = "default", messages) {
+    const session = await this.getSession(sessionId);
+    const timestamp = Date.now();
+    return this._save({
+      ...session,
+      messages: [
+        ...session.messages,
+        ...messages.map(({ role, content }) => ({ role, content, timestamp })),
+      ],
+    });
+  }
+
+  /**
+   * Fold older messages into the summary once the session is over budget
+   * @param {string} sessionId - Session key
+   * @param {Object} options - { tokenBudget, keepRecent, summarize } where
+   * summarize(prompt) resolves to the new summary text
+   * @returns {Promise<number>} Number of messages summarized (0 if the
+   * session fits its budget)
+   */
+  async compact(sessionId = "default", options = {}) {
+    const session = await this.getSession(sessionId);
+    const plan = planSummary(session, options);
+    if (!plan) return 0;
+
+    const summary = String(
+      await options.summarize(buildSummaryPrompt(session.summary, plan.older))
+    ).trim();
+    if (!summary) throw new Error("The model returned an empty summary");
+
+    // Messages may have been added while summarizing; keep those
+    const current = await this.getSession(sessionId);
+    const folded = plan.older.length;
+    const unchanged =
+      JSON.stringify(current.messages.slice(0, folded)) ===
+      JSON.stringify(plan.older);
+    if (!unchanged) return 0;
+
+    await this._save({
+      ...current,
+      summary,
+      messages: current.messages.slice(folded),
+    });
+    return folded;
+  }
+
+  /**
+   * Forget a session
+   * @param {string} sessionId - Session key
+   */
+  async clearSession(sessionId = "default") {
+    localStorage.removeItem(`echoes_conversation_${sessionId}`);
+    try {
+      const db = await this._openDB();
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_NAME], "readwrite");
+        const request = tx.objectStore(STORE_NAME).delete(sessionId);
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    } catch (err) {
+      console.error("Conversation delete error:", err);
+    }
+  }
+}
+
+export const conversationMemoryService = new ConversationMemoryService();
@@ -4,6 +4,7 @@ import useModelStore from "../store/modelStore";
 import useExecutionStore from "../store/executionStore";
 import { NODE_DOCS } from "../data/nodeDocsData";
 import { WORKFLOW_TEMPLATES } from "../data/templates";
+import versioningService from "../utils/versioningService";
 
 /**
  * VRAM requirements for common model sizes (approximate in GB)
@@ -935,7 +936,22 @@ class OverseerService {
     return [];
   }
 
+  // Keep a version of the canvas so Overseer edits can be restored
+  snapshotBeforeEdit() {
+    const store = useWorkflowStore.getState();
+    if (store.nodes.length === 0) return;
+
+    // Unsaved workflows get their ID now so the version has an owner
+    if (!store.workflowId) store.setWorkflowId(Date.now().toString());
+
+    const workflow = useWorkflowStore.getState().getWorkflowData();
+    versioningService
+      .saveVersionIfChanged(workflow.id, workflow, "Before Overseer edit")
+      .catch((error) => console.error("Failed to save version:", error));
+  }
+
   executeActions(actions) {
+    this.snapshotBeforeEdit();
     const store = useWorkflowStore.getState();
 
     const VALID_NODE_TYPES = [
@@ -0,0 +1,116 @@
+/**
+ * RouteEmbeddingCache
+ * Embeddings of Semantic Router examples, cached per workflow and node so
+ * routes are only embedded again when their examples change.
+ * Uses IndexedDB for persistence, with an in-memory copy for repeat runs.
+ */
+import vectorMemory from "../engine/memory/VectorMemory";
+import { EMBEDDING_MODEL } from "./VectorMemoryService";
+
+const DB_NAME = "EchoesRouteEmbeddingDB";
+const STORE_NAME = "routes";
+const DB_VERSION = 1;
+
+class RouteEmbeddingCache {
+  constructor() {
+    this.dbPromise = null;
+    // key -> { key, model, vectors } where vectors are [text, embedding]
+    // entries, since example texts are user input and unsafe as object keys
+    this.records = new Map();
+  }
+
+  // Initialize/open the database
+  async _openDB() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: "key" });
+        }
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  async _load(key) {
+    if (this.records.has(key)) return this.records.get(key);
+    try {
+      const db = await this._openDB();
+      const record = await new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_NAME], "readonly");
+        const request = tx.objectStore(STORE_NAME).get(key);
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+      });
+      if (record) this.records.set(key, record);
+      return record;
+    } catch (err) {
+      console.error("Route embedding load error:", err);
+      return null;
+    }
+  }
+
+  async _save(record) {
+    this.records.set(record.key, record);
+    try {
+      const db = await this._openDB();
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_NAME], "readwrite");
+        const request = tx.objectStore(STORE_NAME).put(record);
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    } catch (err) {
+      // The in-memory copy still serves this session
+      console.error("Route embedding save error:", err);
+    }
+  }
+
+  /**
+   * Embeddings for a router's example texts, embedding only the texts
+   * not cached yet. Texts no longer used are dropped from the cache.
+   * @param {string} workflowId - Workflow the router belongs to
+   * @param {string} nodeId - Router node
+   * @param {Array<string>} texts - Example texts of all routes
+   * @returns {Promise<Object>} { vectors: Map text -> embedding, embedded }
+   * where embedded counts the texts embedded now
+   */
+  async getEmbeddings(workflowId, nodeId, texts) {
+    const key = `${workflowId || "unsaved"}/${nodeId}`;
+    const record = await this._load(key);
+    const cached = new Map(
+      record?.model === EMBEDDING_MODEL ? record.vectors : []
+    );
+
+    const vectors = new Map();
+    let embedded = 0;
+    for (const text of new Set(texts)) {
+      if (!Array.isArray(cached.get(text))) {
+        cached.set(text, await vectorMemory.generateEmbedding(text));
+        embedded++;
+      }
+      vectors.set(text, cached.get(text));
+    }
+
+    if (embedded > 0 || cached.size !== vectors.size) {
+      await this._save({
+        key,
+        model: EMBEDDING_MODEL,
+        vectors: [...vectors],
+      });
+    }
+    return { vectors, embedded };
+  }
+}
+
+export const routeEmbeddingCache = new RouteEmbeddingCache();
@@ -0,0 +1,286 @@
+/**
+ * SchedulerService
+ * Runs saved workflows whose Schedule Trigger is enabled while the app is open.
+ * Tracks the last run of each trigger in localStorage so runs missed while the
+ * tab was closed can be caught up according to the trigger's catch-up policy.
+ */
+import { parseCron, getNextRun, getRunsBetween } from "../utils/cronParser";
+
+const STATE_STORAGE_KEY = "iosans-scheduler-state";
+
+// Never sleep longer than this between checks (handles sleep/wake and clock drift)
+const MAX_TICK_INTERVAL = 60000;
+
+// Upper bound on missed runs replayed with the "all" policy
+const MAX_CATCH_UP_RUNS = 50;
+
+export const CATCH_UP_POLICIES = {
+  SKIP: "skip", // Ignore missed runs
+  ONCE: "once", // Run once if anything was missed
+  ALL: "all", // Replay every missed run (bounded)
+};
+
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map(); // jobKey -> job
+    this.queue = [];
+    this.caughtUp = new Set(); // Job keys whose missed runs were handled
+    this.timer = null;
+    this.isProcessing = false;
+    this.runner = null;
+    this.isBusy = () => false;
+    this.state = this._loadState();
+  }
+
+  /**
+   * Start the scheduler
+   * @param {Object} options
+   * @param {Function} options.run - async (workflow, triggerNode, payload) => result
+   * @param {Function} options.isBusy - Returns true while another execution is running
+   */
+  start({ run, isBusy } = {}) {
+    this.runner = run;
+    if (isBusy) this.isBusy = isBusy;
+    this._scheduleTick();
+    this._processQueue(); // Catch-up runs queued before start
+  }
+
+  /**
+   * Stop the scheduler and drop pending runs
+   */
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.queue = [];
+  }
+
+  /**
+   * Replace all registrations with the scheduled triggers of the given workflows
+   * @param {Array<Object>} workflows - Saved workflows ({ id, name, nodes, edges })
+   */
+  sync(workflows = []) {
+    const seen = new Set();
+
+    for (const workflow of workflows) {
+      for (const key of this.register(workflow)) {
+        seen.add(key);
+      }
+    }
+
+    for (const key of [...this.jobs.keys()]) {
+      if (!seen.has(key)) this.jobs.delete(key);
+    }
+
+    this._scheduleTick();
+  }
+
+  /**
+   * Register (or refresh) every enabled Schedule Trigger in a workflow
+   * @param {Object} workflow - Saved workflow
+   * @returns {string[]} Job keys registered for this workflow
+   */
+  register(workflow) {
+    if (!workflow?.id || !Array.isArray(workflow.nodes)) return [];
+
+    // Drop previous registrations of this workflow
+    this.unregister(workflow.id);
+
+    const keys = [];
+    const triggers = workflow.nodes.filter(
+      (n) => n.type === "scheduleTrigger" && n.data?.enabled
+    );
+
+    for (const trigger of triggers) {
+      const key = `${workflow.id}:${trigger.id}`;
+      const expression = trigger.data.schedule || "*/5 * * * *";
+      const timezone = trigger.data.timezone || "";
+
+      let schedule;
+      try {
+        schedule = parseCron(expression);
+      } catch (error) {
+        console.warn(
+          `[Scheduler] Skipping "${workflow.name}" - invalid cron "${expression}": ${error.message}`
+        );
+        continue;
+      }
+
+      const job = {
+        key,
+        workflow,
+        trigger,
+        schedule,
+        timezone,
+        catchUp: trigger.data.catchUp || CATCH_UP_POLICIES.SKIP,
+        nextRun: getNextRun(schedule, { timezone }),
+      };
+
+      this.jobs.set(key, job);
+      keys.push(key);
+
+      // Re-registering on save must not queue the same missed runs again
+      if (!this.caughtUp.has(key)) {
+        this.caughtUp.add(key);
+        this._catchUp(job);
+      }
+    }
+
+    return keys;
+  }
+
+  /**
+   * Remove all jobs belonging to a workflow
+   */
+  unregister(workflowId) {
+    for (const [key, job] of this.jobs) {
+      if (job.workflow.id === workflowId) this.jobs.delete(key);
+    }
+  }
+
+  /**
+   * Get a snapshot of registered jobs for display
+   */
+  getJobs() {
+    return [...this.jobs.values()].map((job) => ({
+      key: job.key,
+      workflowId: job.workflow.id,
+      workflowName: job.workflow.name,
+      triggerId: job.trigger.id,
+      schedule: job.schedule.expression,
+      timezone: job.timezone,
+      nextRun: job.nextRun?.toISOString() || null,
+      lastRun: this.state[job.key]?.lastRun || null,
+    }));
+  }
+
+  // Queue runs missed since the last recorded run of this job
+  _catchUp(job) {
+    const lastRun = this.state[job.key]?.lastRun;
+
+    if (!lastRun) {
+      // First time we see this job - start counting from now
+      this._recordRun(job.key, new Date());
+      return;
+    }
+
+    const missed = getRunsBetween(job.schedule, new Date(lastRun), new Date(), {
+      timezone: job.timezone,
+      limit: MAX_CATCH_UP_RUNS,
+    });
+
+    if (missed.length === 0) return;
+
+    switch (job.catchUp) {
+      case CATCH_UP_POLICIES.ALL:
+        missed.forEach((time) => this._enqueue(job, time, true));
+        break;
+      case CATCH_UP_POLICIES.ONCE:
+        this._enqueue(job, missed[missed.length - 1], true, missed.length);
+        break;
+      case CATCH_UP_POLICIES.SKIP:
+      default:
+        console.info(
+          `[Scheduler] Skipped ${missed.length} missed run(s) of "${job.workflow.name}"`
+        );
+        this._recordRun(job.key, new Date());
+    }
+
+    this._processQueue();
+  }
+
+  _enqueue(job, scheduledTime, catchUp = false, missedCount = 0) {
+    this.queue.push({ job, scheduledTime, catchUp, missedCount });
+  }
+
+  _scheduleTick() {
+    if (!this.runner) return;
+    if (this.timer) clearTimeout(this.timer);
+
+    const now = Date.now();
+    let delay = MAX_TICK_INTERVAL;
+    for (const job of this.jobs.values()) {
+      if (job.nextRun) {
+        delay = Math.min(delay, Math.max(0, job.nextRun.getTime() - now));
+      }
+    }
+
+    this.timer = setTimeout(() => this._tick(), delay);
+  }
+
+  _tick() {
+    const now = new Date();
+
+    for (const job of this.jobs.values()) {
+      if (job.nextRun && job.nextRun <= now) {
+        this._enqueue(job, job.nextRun);
+        job.nextRun = getNextRun(job.schedule, {
+          from: now,
+          timezone: job.timezone,
+        });
+      }
+    }
+
+    this._processQueue();
+    this._scheduleTick();
+  }
+
+  // Run queued jobs one at a time, waiting while another execution is active
+  async _processQueue() {
+    if (this.isProcessing || !this.runner) return;
+    this.isProcessing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        if (this.isBusy()) {
+          await new Promise((resolve) => setTimeout(resolve, 1000));
+          continue;
+        }
+
+        const { job, scheduledTime, catchUp, missedCount } = this.queue.shift();
+
+        // Job may have been unregistered while waiting
+        if (!this.jobs.has(job.key)) continue;
+
+        const payload = {
+          scheduledTime: scheduledTime.toISOString(),
+          catchUp,
+          ...(missedCount > 1 ? { missedRuns: missedCount } : {}),
+        };
+
+        try {
+          await this.runner(job.workflow, job.trigger, payload);
+        } catch (error) {
+          console.error(
+            `[Scheduler] Run of "${job.workflow.name}" failed:`,
+            error
+          );
+        }
+
+        this._recordRun(job.key, scheduledTime);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  _recordRun(key, time) {
+    this.state[key] = { lastRun: time.toISOString() };
+    try {
+      localStorage.setItem(STATE_STORAGE_KEY, JSON.stringify(this.state));
+    } catch (error) {
+      console.error("[Scheduler] Failed to persist state:", error);
+    }
+  }
+
+  _loadState() {
+    try {
+      const stored = localStorage.getItem(STATE_STORAGE_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch {
+      return {};
+    }
+  }
+}
+
+export const schedulerService = new SchedulerService();
+export default schedulerService;
@@ -1,17 +1,30 @@
 /**
  * VectorMemoryService
  * Service for managing local vector memory.
- * Uses IndexedDB for persistence and simple text similarity (Jaccard) for search
- * since we don't have a local embedding model loaded by default.
+ * Uses IndexedDB for persistence. Items are stored with an all-MiniLM-L6-v2
+ * embedding next to the text and searched by hybrid BM25 + cosine scoring
+ * (see utils/hybridSearch). Items saved before embeddings existed, or while
+ * the embedding model was unavailable, are re-embedded in the background
+ * and ranked by keywords, after the embedded items, until then.
  */
+import vectorMemory from "../engine/memory/VectorMemory";
+import { hybridRank, matchesFilter } from "../utils/hybridSearch";
 
 const DB_NAME = "EchoesVectorMemoryDB";
 const STORE_NAME = "memories";
 const DB_VERSION = 1;
+export const EMBEDDING_MODEL = "all-MiniLM-L6-v2";
+
+// After the model fails to embed, skip it for this long instead of
+// waiting for it (up to its timeout) on every upsert and query
+const EMBEDDING_RETRY_DELAY = 5 * 60 * 1000;
 
 class VectorMemoryService {
   constructor() {
     this.dbPromise = null;
+    this.reembedding = new Map(); // namespace -> running re-embed promise
+    this.reembedQueried = new Set(); // Namespaces queries started re-embedding for
+    this.embeddingUnavailableUntil = 0;
   }
 
   // Initialize/open the database
@@ -84,38 +97,86 @@ class VectorMemoryService {
     }
   }
 
-  // Generate tokens from text (simple word tokenization)
-  _tokenize(text) {
-    if (!text) return new Set();
-    return new Set(
-      text
-        .toLowerCase()
-        .replace(/[^\w\s]/g, "")
-        .split(/\s+/)
-        .filter((w) => w.length > 2)
-    );
+  // Embed text with the local model; null when the model is unavailable
+  // (no worker support, download failed) so callers fall back to keywords
+  async _embed(text) {
+    if (Date.now() < this.embeddingUnavailableUntil) return null;
+    try {
+      return await vectorMemory.generateEmbedding(text);
+    } catch (err) {
+      console.warn("Embedding unavailable:", err.message);
+      this.embeddingUnavailableUntil = Date.now() + EMBEDDING_RETRY_DELAY;
+      return null;
+    }
   }
 
-  // Calculate Jaccard similarity between two text strings
-  _similarity(text1, text2) {
-    const set1 = this._tokenize(text1);
-    const set2 = this._tokenize(text2);
+  _needsEmbedding(item) {
+    return !item.embedding || item.embeddingModel !== EMBEDDING_MODEL;
+  }
 
-    if (set1.size === 0 || set2.size === 0) return 0;
+  /**
+   * Embed the items of a namespace that have no (current) embedding.
+   * Runs once per namespace at a time; stops early if the model is
+   * unavailable. Writes are merged into the latest data so upserts made
+   * meanwhile are kept.
+   * @param {string} namespace - Storage namespace
+   * @returns {Promise<number>} Number of items embedded
+   */
+  reembedNamespace(namespace = "default") {
+    if (this.reembedding.has(namespace)) {
+      return this.reembedding.get(namespace);
+    }
 
-    const intersection = new Set([...set1].filter((x) => set2.has(x)));
-    const union = new Set([...set1, ...set2]);
+    const run = (async () => {
+      const pending = (await this._load(namespace)).filter((item) =>
+        this._needsEmbedding(item)
+      );
 
-    return intersection.size / union.size;
+      const embeddings = new Map();
+      for (const item of pending) {
+        const embedding = await this._embed(item.text);
+        if (!embedding) break;
+        embeddings.set(item.id, { text: item.text, embedding });
+      }
+      if (embeddings.size === 0) return 0;
+
+      const current = await this._load(namespace);
+      let embedded = 0;
+      current.forEach((item) => {
+        const result = embeddings.get(item.id);
+        if (result && result.text === item.text) {
+          item.embedding = result.embedding;
+          item.embeddingModel = EMBEDDING_MODEL;
+          embedded++;
+        }
+      });
+      await this._save(namespace, current);
+      return embedded;
+    })().finally(() => this.reembedding.delete(namespace));
+
+    this.reembedding.set(namespace, run);
+    return run;
+  }
+
+  // Start re-embedding in the background if any items need it
+  _scheduleReembed(namespace, items) {
+    const pending = items.filter((item) => this._needsEmbedding(item)).length;
+    if (pending > 0) {
+      this.reembedNamespace(namespace).catch((err) =>
+        console.error("Memory re-embed error:", err)
+      );
+    }
+    return pending;
   }
 
   /**
    * Upsert items into memory
    * @param {string} namespace - Storage namespace
    * @param {Array<Object>} items - Items to store. Each should have { id, text, metadata }
+   * @param {Object} options - { onProgress(done, total) } called as items
+   * are embedded
    */
-  async upsert(namespace = "default", items) {
-    const current = await this._load(namespace);
+  async upsert(namespace = "default", items, options = {}) {
     const timestamp = Date.now();
 
     // Convert single item to array
@@ -123,23 +184,35 @@ class VectorMemoryService {
 
     let addedCount = 0;
     let updatedCount = 0;
+    let canEmbed = true; // Don't retry the model for every item
 
-    itemsArray.forEach((newItem) => {
+    // Embed before loading so the slow part can't overwrite other writes
+    const entries = [];
+    for (const newItem of itemsArray) {
       // Ensure ID
       if (!newItem.id)
         newItem.id = `mem_${timestamp}_${Math.random()
           .toString(36)
           .substr(2, 9)}`;
 
-      const existingIndex = current.findIndex((c) => c.id === newItem.id);
+      const text = newItem.text || JSON.stringify(newItem);
+      const embedding = canEmbed ? await this._embed(text) : null;
+      if (!embedding) canEmbed = false;
+      options.onProgress?.(entries.length + 1, itemsArray.length);
 
       const entry = {
         id: newItem.id,
-        text: newItem.text || JSON.stringify(newItem),
+        text,
         metadata: newItem.metadata || {},
         timestamp,
+        ...(embedding && { embedding, embeddingModel: EMBEDDING_MODEL }),
       };
+      entries.push(entry);
+    }
 
+    const current = await this._load(namespace);
+    for (const entry of entries) {
+      const existingIndex = current.findIndex((c) => c.id === entry.id);
       if (existingIndex >= 0) {
         current[existingIndex] = entry;
         updatedCount++;
@@ -147,15 +220,20 @@ class VectorMemoryService {
         current.push(entry);
         addedCount++;
       }
-    });
+    }
 
     await this._save(namespace, current);
+    // Older items may still need embeddings (skip if the model just failed)
+    const pendingEmbeddings = canEmbed
+      ? this._scheduleReembed(namespace, current)
+      : current.filter((item) => this._needsEmbedding(item)).length;
 
     return {
       status: "success",
       added: addedCount,
       updated: updatedCount,
       total: current.length,
+      pendingEmbeddings,
     };
   }
 
@@ -165,22 +243,57 @@ class VectorMemoryService {
    * @param {string} queryText - Text to search for
    * @param {number} topK - Number of results to return
    * @param {number} minScore - Minimum similarity score (0-1)
+   * @param {Object} options - { filter, semanticWeight } where filter
+   * matches item metadata (see utils/hybridSearch matchesFilter) and
+   * semanticWeight (0-1) is the share of the cosine score
    */
-  async query(namespace = "default", queryText, topK = 5, minScore = 0.1) {
+  async query(
+    namespace = "default",
+    queryText,
+    topK = 5,
+    minScore = 0.1,
+    options = {}
+  ) {
     const current = await this._load(namespace);
 
-    const results = current
-      .map((item) => {
-        const score = this._similarity(queryText, item.text);
-        return { ...item, score };
-      })
-      .filter((item) => item.score >= minScore)
-      .sort((a, b) => b.score - a.score)
-      .slice(0, topK);
+    // Queries start re-embedding once per namespace; upserts start it
+    // again for items added later
+    let pendingEmbeddings;
+    if (this.reembedQueried.has(namespace)) {
+      pendingEmbeddings = current.filter((item) =>
+        this._needsEmbedding(item)
+      ).length;
+    } else {
+      this.reembedQueried.add(namespace);
+      pendingEmbeddings = this._scheduleReembed(namespace, current);
+    }
+
+    // Embeddings of another model are not comparable with the query's
+    const items = current.map((item) => {
+      if (!item.embedding || !this._needsEmbedding(item)) return item;
+      const { embedding: _stale, ...rest } = item;
+      return rest;
+    });
+    const queryEmbedding =
+      pendingEmbeddings < current.length ? await this._embed(queryText) : null;
+
+    const results = hybridRank(items, {
+      queryText,
+      queryEmbedding,
+      topK,
+      minScore,
+      filter: options.filter,
+      semanticWeight: options.semanticWeight,
+    });
 
     return {
       matches: results,
       count: results.length,
+      retrieval:
+        queryEmbedding && pendingEmbeddings < current.length
+          ? "hybrid"
+          : "keyword",
+      pendingEmbeddings,
     };
   }
 
@@ -211,6 +324,102 @@ class VectorMemoryService {
     };
   }
 
+  /**
+   * Delete the items whose metadata matches a filter, e.g. the chunks of
+   * one source document
+   * @param {string} namespace - Storage namespace
+   * @param {Object} filter - Metadata filter (see utils/hybridSearch)
+   */
+  async deleteByMetadata(namespace = "default", filter) {
+    // An empty filter would match everything - use delete(..., true)
+    if (!filter || Object.keys(filter).length === 0) {
+      throw new Error("A metadata filter is required");
+    }
+
+    const current = await this._load(namespace);
+    const remaining = current.filter(
+      (item) => !matchesFilter(item.metadata, filter)
+    );
+
+    if (remaining.length !== current.length) {
+      await this._save(namespace, remaining);
+    }
+
+    return {
+      status: "success",
+      deleted: current.length - remaining.length,
+      remaining: remaining.length,
+    };
+  }
+
+  /**
+   * List the stored namespaces for browsing
+   * @returns {Promise<Array<Object>>} { namespace, count, size (bytes),
+   * embedded, updatedAt } sorted by name
+   */
+  async listNamespaces() {
+    let records;
+    try {
+      const db = await this._openDB();
+      records = await new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_NAME], "readonly");
+        const request = tx.objectStore(STORE_NAME).getAll();
+
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+      });
+    } catch (err) {
+      console.error("Memory list error:", err);
+      // Namespaces saved by the localStorage fallback
+      records = Object.keys(localStorage)
+        .filter((k) => k.startsWith("echoes_memory_"))
+        .map((key) => ({
+          namespace: key.replace("echoes_memory_", ""),
+          items: JSON.parse(localStorage.getItem(key) || "[]"),
+          updatedAt: null,
+        }));
+    }
+
+    return records
+      .map(({ namespace, items = [], updatedAt }) => ({
+        namespace,
+        count: items.length,
+        size: new Blob([JSON.stringify(items)]).size,
+        embedded: items.filter((item) => !this._needsEmbedding(item)).length,
+        updatedAt,
+      }))
+      .sort((a, b) => a.namespace.localeCompare(b.namespace));
+  }
+
+  /**
+   * All items of a namespace, including embeddings
+   * @param {string} namespace - Storage namespace
+   */
+  async getItems(namespace = "default") {
+    return this._load(namespace);
+  }
+
+  /**
+   * Remove a namespace and its items altogether
+   * @param {string} namespace - Storage namespace
+   */
+  async deleteNamespace(namespace) {
+    localStorage.removeItem(`echoes_memory_${namespace}`);
+    try {
+      const db = await this._openDB();
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_NAME], "readwrite");
+        const request = tx.objectStore(STORE_NAME).delete(namespace);
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    } catch (err) {
+      console.error("Memory delete error:", err);
+    }
+    return { status: "success", deleted: "all" };
+  }
+
   /**
    * Migrate existing localStorage data to IndexedDB
    */
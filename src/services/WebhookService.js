@@ -0,0 +1,218 @@
+/**
+ * WebhookService
+ * Receives webhook requests forwarded by the service worker (public/webhook-sw.js),
+ * runs the saved workflow whose Webhook Trigger matches the endpoint and method,
+ * and replies either immediately (202) or with the output of a chosen node.
+ */
+import { listWorkflows } from "../utils/workflowRepository";
+
+// Longest time a request waits for its workflow to finish
+const RESPONSE_TIMEOUT = 120000;
+
+// How often to check whether the engine is free again
+const BUSY_POLL_INTERVAL = 500;
+
+export const RESPONSE_MODES = {
+  IMMEDIATE: "immediate", // 202 Accepted, workflow runs in the background
+  OUTPUT: "output", // Wait for the workflow and return a node's output
+};
+
+/**
+ * Normalize an endpoint to the part after /webhook/ ("/webhook/a/" -> "a")
+ */
+export function normalizeEndpoint(endpoint = "") {
+  return String(endpoint)
+    .trim()
+    .replace(/^\/+/, "")
+    .replace(/^webhook\//, "")
+    .replace(/\/+$/, "");
+}
+
+class WebhookService {
+  constructor() {
+    this.runner = null;
+    this.isBusy = () => false;
+    this.getNodeResult = () => null;
+    this.queue = Promise.resolve();
+    this._onMessage = this._onMessage.bind(this);
+  }
+
+  /**
+   * Start listening for forwarded requests
+   * @param {Object} options
+   * @param {Function} options.run - async (workflow, triggerNode, payload) => result
+   * @param {Function} options.isBusy - Returns true while another execution is running
+   * @param {Function} options.getNodeResult - (nodeId) => last result of a node
+   */
+  start({ run, isBusy, getNodeResult } = {}) {
+    this.runner = run;
+    if (isBusy) this.isBusy = isBusy;
+    if (getNodeResult) this.getNodeResult = getNodeResult;
+    navigator.serviceWorker?.addEventListener("message", this._onMessage);
+  }
+
+  stop() {
+    navigator.serviceWorker?.removeEventListener("message", this._onMessage);
+    this.runner = null;
+  }
+
+  /**
+   * Find the saved workflow and trigger node that handle a request
+   * @param {Object} request - { method, endpoint }
+   * @returns {Promise<{workflow: Object, trigger: Object}|null>}
+   */
+  async findTarget(request) {
+    const endpoint = normalizeEndpoint(request.endpoint);
+
+    for (const workflow of await listWorkflows()) {
+      const trigger = (workflow.nodes || []).find(
+        (n) =>
+          n.type === "webhookTrigger" &&
+          normalizeEndpoint(n.data?.endpoint || "/webhook/default") ===
+            endpoint &&
+          (n.data?.method || "POST") === request.method
+      );
+      if (trigger) return { workflow, trigger };
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle one request
+   * @param {Object} request - { method, path, endpoint, headers, query, body }
+   * @returns {Promise<{status: number, headers: Object, body: string}>}
+   */
+  async handleRequest(request) {
+    if (!this.runner) {
+      return jsonReply(503, { error: "Webhooks are not active" });
+    }
+
+    const target = await this.findTarget(request);
+    if (!target) {
+      return jsonReply(404, {
+        error: `No saved workflow handles ${request.method} ${request.path}`,
+      });
+    }
+
+    const { workflow, trigger } = target;
+    const data = trigger.data || {};
+
+    if (data.authRequired && !isAuthorized(request.headers, data.authToken)) {
+      return jsonReply(401, { error: "Unauthorized" });
+    }
+
+    const payload = { webhook: request };
+    const responseMode = data.responseMode || RESPONSE_MODES.IMMEDIATE;
+
+    if (responseMode === RESPONSE_MODES.IMMEDIATE) {
+      this._enqueue(workflow, trigger, payload).catch((error) =>
+        console.error(`[Webhook] Run of "${workflow.name}" failed:`, error)
+      );
+      return jsonReply(202, { accepted: true, workflow: workflow.name });
+    }
+
+    const responseNodeId =
+      data.responseNodeId ||
+      workflow.nodes.find((n) => n.type === "output")?.id;
+
+    let result;
+    let output;
+    try {
+      ({ result, output } = await withTimeout(
+        this._enqueue(workflow, trigger, payload, (runResult) => ({
+          result: runResult,
+          output: responseNodeId
+            ? this.getNodeResult(responseNodeId)?.output
+            : undefined,
+        })),
+        RESPONSE_TIMEOUT
+      ));
+    } catch (error) {
+      return jsonReply(504, { error: error.message });
+    }
+
+    if (!result?.success) {
+      return jsonReply(500, { error: result?.error || "Workflow failed" });
+    }
+
+    if (output === undefined) {
+      return jsonReply(200, { success: true });
+    }
+    if (typeof output === "string") {
+      return {
+        status: 200,
+        headers: { "Content-Type": "text/plain; charset=utf-8" },
+        body: output,
+      };
+    }
+    return jsonReply(200, output);
+  }
+
+  // Run workflows one after another, waiting while the engine is busy.
+  // `collect` reads node results before the next queued run clears them.
+  _enqueue(workflow, trigger, payload, collect = (result) => result) {
+    const run = this.queue.then(async () => {
+      while (this.isBusy()) {
+        await new Promise((resolve) =>
+          setTimeout(resolve, BUSY_POLL_INTERVAL)
+        );
+      }
+      return collect(await this.runner(workflow, trigger, payload));
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async _onMessage(event) {
+    if (event.data?.type !== "webhook-request") return;
+
+    const [port] = event.ports;
+    let reply;
+
+    try {
+      reply = await this.handleRequest(event.data.request);
+    } catch (error) {
+      reply = jsonReply(500, { error: error.message });
+    }
+
+    port?.postMessage(reply);
+  }
+}
+
+function isAuthorized(headers = {}, token) {
+  if (!token) return false;
+  const header = headers.authorization || "";
+  return header === token || header === `Bearer ${token}`;
+}
+
+function jsonReply(status, body) {
+  return {
+    status,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
+
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error("Timed out waiting for the workflow to respond")),
+      ms
+    );
+    promise.then(
+      (value) => {
+        clearTimeout(timer);
+        resolve(value);
+      },
+      (error) => {
+        clearTimeout(timer);
+        reject(error);
+      }
+    );
+  });
+}
+
+export const webhookService = new WebhookService();
+export default webhookService;
@@ -0,0 +1,59 @@
+/**
+ * ConsentStore
+ * Zustand store for in-app permission prompts. Tools that need the
+ * user's permission wait here until the prompt is answered.
+ */
+import { create } from "zustand";
+
+const useConsentStore = create((set, get) => ({
+  // Open prompts, the first one is shown
+  requests: [],
+
+  // Keys allowed for the rest of the session
+  grants: {},
+
+  /**
+   * Ask the user for permission
+   * @param {Object} request - { key, title, description, details, source };
+   * key identifies what is allowed when the user allows it for the session
+   * @returns {Promise<boolean>} Whether the user allowed it
+   */
+  requestConsent: (request) => {
+    if (request.key && get().grants[request.key]) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      const id = Date.now().toString() + Math.random().toString(36).slice(2, 6);
+      set((state) => ({
+        requests: [...state.requests, { ...request, id, resolve }],
+      }));
+    });
+  },
+
+  // Answer a prompt; remember keeps the permission for the session
+  respond: (id, allowed, remember = false) => {
+    const request = get().requests.find((r) => r.id === id);
+    if (!request) return;
+
+    set((state) => ({
+      requests: state.requests.filter((r) => r.id !== id),
+      grants:
+        allowed && remember && request.key
+          ? { ...state.grants, [request.key]: true }
+          : state.grants,
+    }));
+    request.resolve(allowed);
+  },
+
+  // Deny everything still waiting (e.g. when a run is stopped)
+  denyAll: () => {
+    const { requests } = get();
+    set({ requests: [] });
+    requests.forEach((r) => r.resolve(false));
+  },
+
+  clearGrants: () => set({ grants: {} }),
+}));
+
+export default useConsentStore;
@@ -20,6 +20,9 @@ const useExecutionStore = create((set, get) => ({
   logs: [],
   nodeResults: {},
   edgeSnapshots: {},
+  // Text streamed while AI nodes generate: nodeId -> { text, nodeName,
+  // sourceId (set on Output nodes fed by an AI node), done }
+  streams: {},
   artifacts: [],
   startTime: null,
   endTime: null,
@@ -39,6 +42,7 @@ const useExecutionStore = create((set, get) => ({
       currentNodeId: null,
       activeSupportingNodeIds: [],
       edgeSnapshots: {}, // Clear snapshots for fresh debugging
+      streams: {},
     });
   },
 
@@ -78,6 +82,25 @@ const useExecutionStore = create((set, get) => ({
     });
   },
 
+  setNodeStream: (nodeId, stream) => {
+    const streams = get().streams;
+    set({
+      streams: {
+        ...streams,
+        [nodeId]: { ...streams[nodeId], ...stream, done: false },
+      },
+    });
+  },
+
+  // The node finished; its streamed text stays visible until the next run
+  finishNodeStream: (nodeId) => {
+    const streams = get().streams;
+    if (!streams[nodeId] || streams[nodeId].done) return;
+    set({
+      streams: { ...streams, [nodeId]: { ...streams[nodeId], done: true } },
+    });
+  },
+
   // Add edge snapshot for Ghost Data debugging
   addEdgeSnapshot: (edgeId, data) => {
     const snapshots = get().edgeSnapshots;
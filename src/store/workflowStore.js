@@ -9,6 +9,7 @@ const useWorkflowStore = create((set, get) => ({
   // Workflow metadata
   workflowId: null,
   workflowName: "Untitled Workflow",
+  settings: {}, // Per-workflow options, e.g. { errorWorkflowId }
 
   // React Flow state
   nodes: [],
@@ -88,18 +89,25 @@ const useWorkflowStore = create((set, get) => ({
 
   setWorkflowName: (name) => set({ workflowName: name }),
 
+  setWorkflowId: (id) => set({ workflowId: id }),
+
+  updateSettings: (settings) =>
+    set({ settings: { ...get().settings, ...settings } }),
+
   // Serialization
   getWorkflowData: () => ({
     id: get().workflowId,
     name: get().workflowName,
     nodes: get().nodes,
     edges: get().edges,
+    settings: get().settings,
   }),
 
   loadWorkflow: (data) => {
     set({
       workflowId: data.id || Date.now().toString(),
       workflowName: data.name || "Untitled Workflow",
+      settings: data.settings || {},
       nodes: data.nodes || [],
       edges: data.edges || [],
       selectedNodeId: null,
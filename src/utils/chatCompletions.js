@@ -0,0 +1,105 @@
+/**
+ * Chat Completions
+ * Helpers for the OpenAI chat completions format, shared by the in-browser
+ * WebLLM worker and OpenAI-compatible HTTP servers (llama.cpp, Ollama, vLLM)
+ */
+
+/**
+ * Build the messages array for a chat completion
+ * History items may be { role, content } or { query, response } pairs;
+ * only the last 10 are sent.
+ * @param {string} userMessage - The new user message
+ * @param {Array} history - Earlier conversation
+ * @param {string} systemPrompt - Optional system prompt
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function buildChatMessages(
+  userMessage,
+  history = [],
+  systemPrompt = ""
+) {
+  const messages = [];
+
+  if (systemPrompt && systemPrompt.trim()) {
+    messages.push({ role: "system", content: systemPrompt });
+  }
+
+  history.slice(-10).forEach((h) => {
+    if (h.role && h.content) {
+      messages.push({ role: h.role, content: h.content });
+    } else if (h.query && h.response) {
+      messages.push({ role: "user", content: h.query });
+      messages.push({ role: "assistant", content: h.response });
+    }
+  });
+
+  messages.push({ role: "user", content: userMessage });
+  return messages;
+}
+
+/**
+ * Create a parser for a streamed (server-sent events) chat completion
+ * @param {Function} onDelta - Called with (token, textSoFar) for each
+ * content delta
+ * @returns {{push: Function, text: Function, done: Function}} push(chunk)
+ * with each decoded chunk of the response body; text() is the content so
+ * far; done() is true once the server sent [DONE]
+ */
+export function createCompletionStreamParser(onDelta) {
+  let buffer = "";
+  let text = "";
+  let finished = false;
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith("data:")) return; // Comments, event names
+
+    const payload = trimmed.slice(5).trim();
+    if (payload === "[DONE]") {
+      finished = true;
+      return;
+    }
+
+    let chunk;
+    try {
+      chunk = JSON.parse(payload);
+    } catch {
+      return; // Keep-alive or partial garbage
+    }
+    if (chunk.error) {
+      throw new Error(chunk.error.message || String(chunk.error));
+    }
+
+    const token = chunk.choices?.[0]?.delta?.content || "";
+    if (token) {
+      text += token;
+      onDelta?.(token, text);
+    }
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split("\n");
+      buffer = lines.pop(); // The last line may be incomplete
+      lines.forEach(handleLine);
+    },
+    text: () => text,
+    done: () => finished,
+  };
+}
+
+/**
+ * Send finished text to a token callback word by word, the way a model
+ * streams it (for mock and replayed responses)
+ * @param {string} text - Complete response
+ * @param {Function} onToken - Called with (token, textSoFar)
+ */
+export function streamAsTokens(text, onToken) {
+  if (!onToken) return;
+  let streamed = "";
+  for (const token of text.match(/\s*\S+/g) || []) {
+    streamed += token;
+    onToken(token, streamed);
+  }
+}
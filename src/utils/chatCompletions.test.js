@@ -0,0 +1,48 @@
+import {
+  buildChatMessages,
+  createCompletionStreamParser,
+} from "./chatCompletions";
+
+test("builds messages from both history formats", () => {
+  const messages = buildChatMessages(
+    "And now?",
+    [
+      { role: "user", content: "Hi" },
+      { role: "assistant", content: "Hello!" },
+      { query: "Weather?", response: "Sunny." },
+      { query: "", response: "" },
+    ],
+    "Be brief."
+  );
+
+  expect(messages).toEqual([
+    { role: "system", content: "Be brief." },
+    { role: "user", content: "Hi" },
+    { role: "assistant", content: "Hello!" },
+    { role: "user", content: "Weather?" },
+    { role: "assistant", content: "Sunny." },
+    { role: "user", content: "And now?" },
+  ]);
+});
+
+test("parses streamed deltas split across chunks", () => {
+  const tokens = [];
+  const parser = createCompletionStreamParser((token, text) =>
+    tokens.push([token, text])
+  );
+  const delta = (content) =>
+    `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+  const body = `: keep-alive\n\n${delta("Hel")}${delta("lo")}data: [DONE]\n\n`;
+
+  // Chunks end mid-line, as network reads do
+  for (let i = 0; i < body.length; i += 7) {
+    parser.push(body.slice(i, i + 7));
+  }
+
+  expect(tokens).toEqual([
+    ["Hel", "Hel"],
+    ["lo", "Hello"],
+  ]);
+  expect(parser.text()).toBe("Hello");
+  expect(parser.done()).toBe(true);
+});
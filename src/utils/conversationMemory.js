@@ -0,0 +1,84 @@
+/**
+ * Conversation Memory
+ * Helpers for per-session chat history: token estimates, deciding which
+ * turns to fold into the running summary, and the summarization prompt
+ */
+
+export const DEFAULT_TOKEN_BUDGET = 1500;
+export const DEFAULT_KEEP_RECENT = 6;
+
+/**
+ * Rough token count (about four characters per token for English text),
+ * close enough to keep prompts under a model's context window
+ * @param {string} text
+ */
+export const estimateTokens = (text) =>
+  Math.ceil(String(text ?? "").length / 4);
+
+/**
+ * Estimated tokens of a session's summary and stored messages
+ * @param {Object} session - { summary, messages: [{ role, content }] }
+ */
+export function conversationTokens({ summary = "", messages = [] }) {
+  return messages.reduce(
+    (total, message) => total + estimateTokens(message.content),
+    estimateTokens(summary)
+  );
+}
+
+/**
+ * Decide which messages to summarize once a session is over its budget
+ * @param {Object} session - { summary, messages }
+ * @param {Object} options - { tokenBudget, keepRecent } where keepRecent
+ * messages stay verbatim
+ * @returns {Object|null} { older, recent }, or null when the session fits
+ * (or there is nothing older than the recent messages to fold)
+ */
+export function planSummary(session, options = {}) {
+  const {
+    tokenBudget = DEFAULT_TOKEN_BUDGET,
+    keepRecent = DEFAULT_KEEP_RECENT,
+  } = options;
+  const { messages = [] } = session;
+
+  if (conversationTokens(session) <= tokenBudget) return null;
+
+  // Start the recent part at a user message so turns stay together
+  let split = Math.max(messages.length - Math.max(keepRecent, 0), 0);
+  while (split > 0 && messages[split]?.role === "assistant") split--;
+  if (split === 0) return null;
+
+  return { older: messages.slice(0, split), recent: messages.slice(split) };
+}
+
+/**
+ * Messages as a plain transcript, e.g. "User: Hi\nAssistant: Hello"
+ * @param {Array<{role: string, content: string}>} messages
+ */
+export function formatTranscript(messages) {
+  return messages
+    .map(
+      ({ role, content }) =>
+        `${role === "assistant" ? "Assistant" : "User"}: ${content}`
+    )
+    .join("\n");
+}
+
+/**
+ * Prompt asking the model to fold older turns into the running summary
+ * @param {string} summary - Summary so far (may be empty)
+ * @param {Array} messages - Turns to add to it
+ */
+export function buildSummaryPrompt(summary, messages) {
+  return [
+    "Update the summary of this conversation. Keep names, facts, decisions,",
+    "preferences and open questions; drop small talk. Reply with the summary",
+    "only, in a few short paragraphs.",
+    "",
+    "Summary so far:",
+    summary || "(none)",
+    "",
+    "New messages:",
+    formatTranscript(messages),
+  ].join("\n");
+}
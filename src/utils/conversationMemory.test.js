@@ -0,0 +1,40 @@
+import {
+  buildSummaryPrompt,
+  conversationTokens,
+  estimateTokens,
+  planSummary,
+} from "./conversationMemory";
+
+const turn = (n, length = 40) => [
+  { role: "user", content: `Question ${n} `.padEnd(length, "?") },
+  { role: "assistant", content: `Answer ${n} `.padEnd(length, ".") },
+];
+
+test("summarizes older turns once over the token budget", () => {
+  const messages = [...turn(1), ...turn(2), ...turn(3)];
+  expect(estimateTokens("abcdefgh")).toBe(2);
+  expect(conversationTokens({ summary: "abcd", messages })).toBe(61);
+
+  expect(planSummary({ messages }, { tokenBudget: 100 })).toBeNull();
+
+  const plan = planSummary(
+    { summary: "", messages },
+    { tokenBudget: 40, keepRecent: 2 }
+  );
+  expect(plan.older).toEqual(messages.slice(0, 4));
+  expect(plan.recent).toEqual(messages.slice(4));
+
+  // An odd keepRecent still starts the recent part at a user message
+  expect(
+    planSummary({ messages }, { tokenBudget: 40, keepRecent: 3 }).recent
+  ).toEqual(messages.slice(2));
+
+  // Nothing older than the recent messages to fold
+  expect(
+    planSummary({ messages }, { tokenBudget: 10, keepRecent: 6 })
+  ).toBeNull();
+
+  expect(buildSummaryPrompt("Ada likes tea.", turn(4, 0))).toContain(
+    "Ada likes tea.\n\nNew messages:\nUser: Question 4 \nAssistant: Answer 4 "
+  );
+});
@@ -0,0 +1,344 @@
+/**
+ * Cron Parser
+ * Parses standard 5-field cron expressions and computes upcoming run times,
+ * optionally evaluated in an IANA timezone (e.g. "Europe/Berlin")
+ *
+ * Format: minute hour day-of-month month day-of-week
+ * Supports: * , - / and month/weekday names (JAN-DEC, SUN-SAT)
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+const MONTH_NAMES = [
+  "JAN",
+  "FEB",
+  "MAR",
+  "APR",
+  "MAY",
+  "JUN",
+  "JUL",
+  "AUG",
+  "SEP",
+  "OCT",
+  "NOV",
+  "DEC",
+];
+const DAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+// Common shorthands
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+// Upper bound on minutes scanned when searching for the next run (~5 years)
+const MAX_SCAN_MINUTES = 5 * 366 * 24 * 60;
+
+/**
+ * Resolve a single value token (number or name) for a field
+ */
+function parseValue(token, field) {
+  const upper = token.toUpperCase();
+  if (field.name === "month" && MONTH_NAMES.includes(upper)) {
+    return MONTH_NAMES.indexOf(upper) + 1;
+  }
+  if (field.name === "dayOfWeek" && DAY_NAMES.includes(upper)) {
+    return DAY_NAMES.indexOf(upper);
+  }
+
+  if (!/^\d+$/.test(token)) {
+    throw new Error(`Invalid ${field.name} value "${token}"`);
+  }
+
+  const value = parseInt(token, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(
+      `${field.name} value ${value} out of range (${field.min}-${field.max})`
+    );
+  }
+  return value;
+}
+
+/**
+ * Parse one cron field into a set of allowed values
+ */
+function parseField(expr, field) {
+  const values = new Set();
+
+  for (const part of expr.split(",")) {
+    const [rangePart, stepPart] = part.split("/");
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepPart}" in ${field.name}`);
+    }
+
+    let start;
+    let end;
+
+    if (rangePart === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes("-")) {
+      const [from, to] = rangePart.split("-");
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid range "${rangePart}" in ${field.name}`);
+      }
+    } else {
+      start = parseValue(rangePart, field);
+      // "5/15" means starting at 5, every 15
+      end = stepPart === undefined ? start : field.max;
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+
+  // Normalize Sunday
+  if (field.name === "dayOfWeek" && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression (5 fields or @macro)
+ * @returns {Object} Parsed schedule { minute, hour, dayOfMonth, month, dayOfWeek, ... }
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCron(expression) {
+  if (typeof expression !== "string" || !expression.trim()) {
+    throw new Error("Cron expression is empty");
+  }
+
+  const normalized = MACROS[expression.trim().toLowerCase()] || expression;
+  const parts = normalized.trim().split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(
+      `Expected 5 fields (minute hour day month weekday), got ${parts.length}`
+    );
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(parts[i], field);
+  });
+
+  // Standard cron semantics: when both day fields are restricted,
+  // a time matches if EITHER of them matches. Fields starting with "*"
+  // (including steps like "*/2") count as unrestricted, as in Vixie cron
+  parsed.dayOfMonthRestricted = !parts[2].startsWith("*");
+  parsed.dayOfWeekRestricted = !parts[4].startsWith("*");
+  parsed.expression = expression.trim();
+
+  return parsed;
+}
+
+/**
+ * Validate a cron expression without throwing
+ * @param {string} expression - Cron expression
+ * @returns {{valid: boolean, error: string|null}}
+ */
+export function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return { valid: true, error: null };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * Check whether a timezone name is supported by the runtime
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone) return true;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Cache formatters - constructing Intl.DateTimeFormat is expensive
+const formatterCache = new Map();
+
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        weekday: "short",
+      })
+    );
+  }
+  return formatterCache.get(timezone);
+}
+
+/**
+ * Get wall-clock parts of a date in the given timezone (local if empty)
+ */
+function getDateParts(date, timezone) {
+  if (!timezone) {
+    return {
+      minute: date.getMinutes(),
+      hour: date.getHours(),
+      dayOfMonth: date.getDate(),
+      month: date.getMonth() + 1,
+      dayOfWeek: date.getDay(),
+    };
+  }
+
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10) % 24,
+    dayOfMonth: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    dayOfWeek: DAY_NAMES.indexOf(parts.weekday.slice(0, 3).toUpperCase()),
+  };
+}
+
+function matchesDay(schedule, parts) {
+  const domMatch = schedule.dayOfMonth.has(parts.dayOfMonth);
+  const dowMatch = schedule.dayOfWeek.has(parts.dayOfWeek);
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Compute upcoming run times for a cron expression
+ * @param {string|Object} expression - Cron expression or result of parseCron
+ * @param {Object} options - { from: Date, count: number, timezone: string }
+ * @returns {Date[]} Next run times (strictly after `from`)
+ */
+export function getNextRuns(expression, options = {}) {
+  const { from = new Date(), count = 5, timezone = "" } = options;
+  const schedule =
+    typeof expression === "string" ? parseCron(expression) : expression;
+
+  const runs = [];
+
+  // Start at the next whole minute after `from`
+  let cursor = new Date(from.getTime());
+  cursor.setSeconds(0, 0);
+  cursor = new Date(cursor.getTime() + 60000);
+
+  let scanned = 0;
+  while (runs.length < count && scanned < MAX_SCAN_MINUTES) {
+    const parts = getDateParts(cursor, timezone);
+    let skipMinutes = 0;
+
+    // Skip whole days/hours where possible instead of minute-by-minute
+    if (!schedule.month.has(parts.month) || !matchesDay(schedule, parts)) {
+      // Days around DST changes have 23 or 25 hours, so stop in the last
+      // hour before midnight and re-check instead of overshooting it
+      const toMidnight = (23 - parts.hour) * 60 + (60 - parts.minute);
+      skipMinutes = toMidnight > 60 ? toMidnight - 60 : toMidnight;
+    } else if (!schedule.hour.has(parts.hour)) {
+      skipMinutes = 60 - parts.minute;
+    } else if (!schedule.minute.has(parts.minute)) {
+      skipMinutes = 1;
+    } else {
+      runs.push(new Date(cursor.getTime()));
+      skipMinutes = 1;
+    }
+
+    cursor = new Date(cursor.getTime() + skipMinutes * 60000);
+    scanned += skipMinutes;
+  }
+
+  return runs;
+}
+
+/**
+ * Get the next single run time
+ * @returns {Date|null}
+ */
+export function getNextRun(expression, options = {}) {
+  return getNextRuns(expression, { ...options, count: 1 })[0] || null;
+}
+
+/**
+ * List run times that fell due within (after, until]
+ * Used to catch up on runs missed while the app was closed
+ * @param {string|Object} expression - Cron expression
+ * @param {Date} after - Exclusive lower bound (last known run)
+ * @param {Date} until - Inclusive upper bound (usually now)
+ * @param {Object} options - { timezone, limit }
+ * @returns {Date[]}
+ */
+export function getRunsBetween(expression, after, until, options = {}) {
+  const { timezone = "", limit = 100 } = options;
+  const runs = [];
+  let from = after;
+
+  while (runs.length < limit) {
+    const batch = getNextRuns(expression, { from, count: 20, timezone });
+    for (const run of batch) {
+      if (run > until || runs.length >= limit) return runs;
+      runs.push(run);
+    }
+    if (batch.length < 20) break;
+    from = batch[batch.length - 1];
+  }
+
+  return runs;
+}
+
+/**
+ * Produce a short human-readable description of common expressions
+ * @param {string} expression - Cron expression
+ * @returns {string|null}
+ */
+export function describeCron(expression) {
+  const known = {
+    "* * * * *": "Every minute",
+    "0 * * * *": "Every hour",
+    "0 0 * * *": "Every day at midnight",
+    "0 0 * * 0": "Every Sunday at midnight",
+    "0 0 1 * *": "First day of every month",
+  };
+  const trimmed = (expression || "").trim();
+  if (known[trimmed]) return known[trimmed];
+
+  const stepMatch = trimmed.match(/^\*\/(\d+) \* \* \* \*$/);
+  if (stepMatch) return `Every ${stepMatch[1]} minutes`;
+
+  return null;
+}
@@ -0,0 +1,94 @@
+import {
+  parseCron,
+  validateCron,
+  getNextRuns,
+  getRunsBetween,
+} from "./cronParser";
+
+test("parses lists, ranges, steps and names", () => {
+  const parsed = parseCron("0,30 9-17/4 * JAN-MAR mon-fri");
+  expect([...parsed.minute]).toEqual([0, 30]);
+  expect([...parsed.hour]).toEqual([9, 13, 17]);
+  expect([...parsed.month]).toEqual([1, 2, 3]);
+  expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+});
+
+test("rejects invalid expressions", () => {
+  expect(validateCron("* * *").valid).toBe(false);
+  expect(validateCron("60 * * * *").valid).toBe(false);
+  expect(validateCron("*/0 * * * *").valid).toBe(false);
+  expect(validateCron("@daily").valid).toBe(true);
+});
+
+test("computes next runs in a timezone", () => {
+  const from = new Date("2024-01-15T10:02:00Z");
+  const runs = getNextRuns("*/5 * * * *", { from, count: 3, timezone: "UTC" });
+  expect(runs.map((d) => d.toISOString())).toEqual([
+    "2024-01-15T10:05:00.000Z",
+    "2024-01-15T10:10:00.000Z",
+    "2024-01-15T10:15:00.000Z",
+  ]);
+
+  const [berlin] = getNextRuns("0 9 * * *", {
+    from,
+    count: 1,
+    timezone: "Europe/Berlin",
+  });
+  expect(berlin.toISOString()).toBe("2024-01-16T08:00:00.000Z");
+});
+
+test("matches either day field when both are restricted", () => {
+  // 1st of the month OR Monday
+  const runs = getNextRuns("0 0 1 * 1", {
+    from: new Date("2024-01-01T00:00:00Z"),
+    count: 3,
+    timezone: "UTC",
+  });
+  expect(runs.map((d) => d.toISOString().slice(0, 10))).toEqual([
+    "2024-01-08",
+    "2024-01-15",
+    "2024-01-22",
+  ]);
+
+  // A "*/1" day of month is unrestricted, so only Mondays match
+  const mondays = getNextRuns("0 0 */1 * 1", {
+    from: new Date("2024-01-01T00:00:00Z"),
+    count: 2,
+    timezone: "UTC",
+  });
+  expect(mondays.map((d) => d.toISOString().slice(0, 10))).toEqual([
+    "2024-01-08",
+    "2024-01-15",
+  ]);
+});
+
+test("lists missed runs between two dates", () => {
+  const missed = getRunsBetween(
+    "0 * * * *",
+    new Date("2024-01-15T10:00:00Z"),
+    new Date("2024-01-15T13:30:00Z"),
+    { timezone: "UTC" }
+  );
+  expect(missed).toHaveLength(3);
+});
+
+test("keeps daily runs across DST changes", () => {
+  // Spring forward: Sunday 2024-03-31 has 23 hours in Berlin
+  const [monday] = getNextRuns("0 0 * * 1", {
+    from: new Date("2024-03-29T12:00:00Z"),
+    count: 1,
+    timezone: "Europe/Berlin",
+  });
+  expect(monday.toISOString()).toBe("2024-03-31T22:00:00.000Z");
+
+  // Fall back: Sunday 2024-10-27 has 25 hours in Berlin
+  const runs = getNextRuns("30 0 * * *", {
+    from: new Date("2024-10-26T12:00:00Z"),
+    count: 2,
+    timezone: "Europe/Berlin",
+  });
+  expect(runs.map((d) => d.toISOString())).toEqual([
+    "2024-10-26T22:30:00.000Z",
+    "2024-10-27T23:30:00.000Z",
+  ]);
+});
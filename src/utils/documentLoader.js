@@ -0,0 +1,333 @@
+/**
+ * Document Loader
+ * Turns documents (plain text, Markdown, HTML, CSV, JSON, PDF text) into
+ * text and splits it into overlapping chunks with source and offset
+ * metadata for vector memory. Retrieved chunks become numbered citations.
+ */
+
+export const DOCUMENT_FORMATS = [
+  "text",
+  "markdown",
+  "html",
+  "csv",
+  "json",
+  "pdf",
+];
+
+// Tried in order: paragraphs, lines, sentences, words, then a hard cut
+export const DEFAULT_SEPARATORS = ["\n\n", "\n", ". ", " ", ""];
+
+const EXTENSIONS = {
+  txt: "text",
+  text: "text",
+  log: "text",
+  md: "markdown",
+  markdown: "markdown",
+  html: "html",
+  htm: "html",
+  csv: "csv",
+  tsv: "csv",
+  json: "json",
+  pdf: "pdf",
+};
+
+const MIME_TYPES = {
+  "text/markdown": "markdown",
+  "text/html": "html",
+  "application/xhtml+xml": "html",
+  "text/csv": "csv",
+  "text/tab-separated-values": "csv",
+  "application/json": "json",
+  "application/pdf": "pdf",
+};
+
+/**
+ * Detect a document's format from its file name, MIME type or content
+ * @param {Object} doc - { filename, mimeType, content }
+ * @returns {string} One of DOCUMENT_FORMATS
+ */
+export function detectDocumentFormat({
+  filename = "",
+  mimeType = "",
+  content,
+}) {
+  const extension = /\.([a-z0-9]+)$/i.exec(filename)?.[1]?.toLowerCase();
+  if (EXTENSIONS[extension]) return EXTENSIONS[extension];
+
+  const mime = String(mimeType).split(";")[0].trim().toLowerCase();
+  if (MIME_TYPES[mime]) return MIME_TYPES[mime];
+
+  if (typeof content !== "string") return "json";
+  const start = content.trimStart().slice(0, 100).toLowerCase();
+  if (start.startsWith("%pdf")) return "pdf";
+  if (start.startsWith("<!doctype html") || start.startsWith("<html")) {
+    return "html";
+  }
+  if (/^[[{]/.test(start)) {
+    try {
+      JSON.parse(content);
+      return "json";
+    } catch {
+      // Not JSON after all
+    }
+  }
+  return "text";
+}
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  copy: "©",
+};
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code =
+        name[1].toLowerCase() === "x"
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  });
+
+// Readable text of an HTML page, keeping paragraphs and list items apart
+const htmlToText = (html) =>
+  decodeEntities(
+    html
+      .replace(/<(script|style|noscript|template|head)\b[\s\S]*?<\/\1>/gi, "")
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<li\b[^>]*>/gi, "\n- ")
+      .replace(/<\/(td|th)>/gi, " ")
+      .replace(/<\/(tr|dt|dd)>/gi, "\n")
+      .replace(
+        /<\/(p|div|section|article|main|header|footer|aside|nav|h[1-6]|blockquote|pre|table|ul|ol|dl|figure)>/gi,
+        "\n\n"
+      )
+      .replace(/<[^>]+>/g, "")
+  )
+    .split("\n")
+    .map((line) => line.replace(/[ \t\u00a0]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+// Split CSV into rows of fields (quoted fields may hold delimiters/newlines)
+const parseCsv = (text) => {
+  const firstLine = text.split("\n", 1)[0];
+  const delimiter = [",", ";", "\t"].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+
+  return rows.filter((r) => r.some((value) => value.trim()));
+};
+
+// One line per row: "Header: value; Header: value"
+const csvToText = (text) => {
+  const [headers = [], ...rows] = parseCsv(text);
+  return rows
+    .map((row) =>
+      row
+        .map(
+          (value, i) =>
+            `${headers[i]?.trim() || `Column ${i + 1}`}: ${value.trim()}`
+        )
+        .join("; ")
+    )
+    .join("\n");
+};
+
+// Arrays become one record per paragraph so chunks break between records
+const jsonToText = (content) => {
+  const value = typeof content === "string" ? JSON.parse(content) : content;
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => (typeof item === "string" ? item : JSON.stringify(item)))
+      .join("\n\n");
+  }
+  return typeof value === "string" ? value : JSON.stringify(value, null, 2);
+};
+
+/**
+ * Extract the text of a non-PDF document (see utils/pdfText for PDFs)
+ * @param {string|Object} content - Document contents (JSON may be parsed)
+ * @param {string} format - One of DOCUMENT_FORMATS except "pdf"
+ * @returns {string}
+ */
+export function extractDocumentText(content, format = "text") {
+  if (format === "json") return jsonToText(content);
+
+  const text = String(content ?? "").replace(/\r\n?/g, "\n");
+  if (format === "html") return htmlToText(text);
+  if (format === "csv") return csvToText(text);
+  return text;
+}
+
+/**
+ * Split text into chunks of at most chunkSize characters, each ending at
+ * the best separator available and starting chunkOverlap characters
+ * before the previous one ended
+ * @param {string} text - Text to split
+ * @param {Object} options - { chunkSize, chunkOverlap, separators }
+ * @returns {Array<{text: string, start: number, end: number}>} Chunks
+ * with their character offsets in text
+ */
+export function splitText(text, options = {}) {
+  const {
+    chunkSize = 1000,
+    chunkOverlap = 200,
+    separators = DEFAULT_SEPARATORS,
+  } = options;
+
+  if (!(chunkSize > 0)) throw new Error("Chunk size must be positive");
+  if (chunkOverlap < 0 || chunkOverlap >= chunkSize) {
+    throw new Error("Chunk overlap must be at least 0 and below chunk size");
+  }
+
+  const chunks = [];
+  let position = 0;
+
+  while (position < text.length) {
+    let end = Math.min(position + chunkSize, text.length);
+
+    // Prefer a separator in the second half of the window
+    if (end < text.length) {
+      for (const separator of separators) {
+        if (!separator) break;
+        const index = text.lastIndexOf(separator, end - separator.length);
+        if (index + separator.length >= position + chunkSize / 2) {
+          end = index + separator.length;
+          break;
+        }
+      }
+    }
+
+    const raw = text.slice(position, end);
+    const trimmed = raw.trim();
+    if (trimmed) {
+      const start = position + (raw.length - raw.trimStart().length);
+      chunks.push({ text: trimmed, start, end: start + trimmed.length });
+    }
+    if (end >= text.length) break;
+
+    // Start the overlap at a word boundary
+    let next = end - chunkOverlap;
+    if (next <= position) next = end;
+    else if (chunkOverlap > 0) {
+      const boundary = text.slice(next, end).search(/\s/);
+      if (boundary !== -1) next += boundary + 1;
+    }
+    position = next;
+  }
+
+  return chunks;
+}
+
+/**
+ * Split a document's text into memory items
+ * @param {string} text - Extracted document text
+ * @param {Object} options - { source, format, pageOffsets, chunkSize,
+ * chunkOverlap, separators } where pageOffsets are the start offsets of
+ * each page (PDF)
+ * @returns {Array<{id: string, text: string, metadata: Object}>} Items
+ * with ids "<source>#<chunk>" so loading a document again updates them
+ */
+export function createDocumentChunks(text, options = {}) {
+  const { source = "document", format = "text", pageOffsets } = options;
+  const chunks = splitText(text, options);
+
+  return chunks.map((chunk, index) => {
+    const page = pageOffsets?.filter((offset) => offset <= chunk.start).length;
+    return {
+      id: `${source}#${index}`,
+      text: chunk.text,
+      metadata: {
+        source,
+        format,
+        chunk: index,
+        chunkCount: chunks.length,
+        start: chunk.start,
+        end: chunk.end,
+        ...(page && { page }),
+      },
+    };
+  });
+}
+
+/**
+ * Short label for where a memory came from, e.g. "guide.pdf, p. 3"
+ * @param {Object} metadata - Memory metadata
+ */
+export function formatCitationLabel(metadata = {}) {
+  if (!metadata.source) return "memory";
+  if (metadata.page) return `${metadata.source}, p. ${metadata.page}`;
+  if (metadata.chunk !== undefined) {
+    return `${metadata.source}, chunk ${metadata.chunk + 1}`;
+  }
+  return metadata.source;
+}
+
+/**
+ * Citation for a retrieved memory, pointing back to its source chunk
+ * @param {Object} match - Query match { id, text, metadata, score }
+ * @param {number} index - Citation number, as written in answers ([1])
+ */
+export function toCitation(match, index) {
+  const metadata = match.metadata || {};
+  return {
+    index,
+    id: match.id,
+    label: formatCitationLabel(metadata),
+    source: metadata.source ?? null,
+    chunk: metadata.chunk ?? null,
+    page: metadata.page ?? null,
+    start: metadata.start ?? null,
+    end: metadata.end ?? null,
+    score: match.score,
+    text:
+      typeof match.text === "string" ? match.text : JSON.stringify(match.text),
+  };
+}
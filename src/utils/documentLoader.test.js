@@ -0,0 +1,63 @@
+import {
+  createDocumentChunks,
+  detectDocumentFormat,
+  extractDocumentText,
+  splitText,
+  toCitation,
+} from "./documentLoader";
+
+test("splits at separators with overlap and exact offsets", () => {
+  const text =
+    "First paragraph about refunds.\n\nSecond paragraph about shipping times. It has two sentences.";
+  const chunks = splitText(text, { chunkSize: 60, chunkOverlap: 20 });
+
+  expect(chunks[0].text).toBe("First paragraph about refunds.");
+  expect(chunks.length).toBeGreaterThan(2);
+  chunks.forEach((chunk) => {
+    expect(chunk.text.length).toBeLessThanOrEqual(60);
+    expect(text.slice(chunk.start, chunk.end)).toBe(chunk.text);
+  });
+  // Later chunks repeat the end of the one before
+  expect(chunks[2].start).toBeLessThan(chunks[1].end);
+
+  const [item] = createDocumentChunks(text, {
+    source: "faq.md",
+    format: "markdown",
+    chunkSize: 60,
+    chunkOverlap: 20,
+    pageOffsets: [0],
+  });
+  expect(item.id).toBe("faq.md#0");
+  expect(item.metadata).toMatchObject({ source: "faq.md", chunk: 0, page: 1 });
+  expect(toCitation({ ...item, score: 0.8 }, 1)).toMatchObject({
+    index: 1,
+    label: "faq.md, p. 1",
+    start: 0,
+  });
+
+  expect(() => splitText(text, { chunkSize: 10, chunkOverlap: 10 })).toThrow();
+});
+
+test("detects formats and extracts readable text", () => {
+  expect(detectDocumentFormat({ filename: "notes.MD" })).toBe("markdown");
+  expect(detectDocumentFormat({ mimeType: "text/html; charset=utf-8" })).toBe(
+    "html"
+  );
+  expect(detectDocumentFormat({ content: "%PDF-1.4 ..." })).toBe("pdf");
+  expect(detectDocumentFormat({ content: '[{"a": 1}]' })).toBe("json");
+
+  expect(
+    extractDocumentText(
+      "<html><head><title>x</title></head><body><h1>Tom &amp; Jerry</h1><p>A <b>cat</b>.</p><ul><li>One</li><li>Two</li></ul><script>alert(1)</script></body></html>",
+      "html"
+    )
+  ).toBe("Tom & Jerry\n\nA cat.\n\n- One\n- Two");
+
+  expect(
+    extractDocumentText('name,note\nAda,"Likes ""maths"", chess"\n', "csv")
+  ).toBe('name: Ada; note: Likes "maths", chess');
+
+  expect(extractDocumentText([{ q: "Hi" }, "Plain"], "json")).toBe(
+    '{"q":"Hi"}\n\nPlain'
+  );
+});
@@ -0,0 +1,155 @@
+/**
+ * Execution History Storage
+ * Uses IndexedDB to keep a record of every workflow execution
+ * (trigger input, per-node inputs/outputs, timings, logs, artifact links)
+ */
+import { LIMITS } from "../config/appConfig";
+
+const DB_NAME = "EchoesExecutionsDB";
+const STORE_NAME = "executions";
+const DB_VERSION = 1;
+
+/**
+ * Open IndexedDB connection
+ */
+const openDB = () => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = (event) =>
+      reject("IndexedDB error: " + event.target.error);
+
+    request.onsuccess = (event) => resolve(event.target.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, {
+          keyPath: "executionId",
+        });
+        store.createIndex("workflowId", "workflowId", { unique: false });
+        store.createIndex("status", "status", { unique: false });
+        store.createIndex("startTime", "startTime", { unique: false });
+      }
+    };
+  });
+};
+
+/**
+ * Save (or update) an execution record and prune the oldest ones
+ * @param {Object} record - { executionId, workflowId, workflowName, status, startTime, ... }
+ */
+export const saveExecution = async (record) => {
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], "readwrite");
+    const request = transaction.objectStore(STORE_NAME).put(record);
+
+    request.onsuccess = () => resolve(record);
+    request.onerror = (event) => reject(event.target.error);
+  });
+
+  await pruneExecutions(db, LIMITS.MAX_EXECUTION_HISTORY);
+  return record;
+};
+
+/**
+ * Get an execution record by ID
+ */
+export const getExecution = async (executionId) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], "readonly");
+    const request = transaction.objectStore(STORE_NAME).get(executionId);
+
+    request.onsuccess = (event) => resolve(event.target.result || null);
+    request.onerror = (event) => reject(event.target.error);
+  });
+};
+
+/**
+ * List executions, newest first
+ * @param {Object} filters - { workflowId, status, limit }
+ */
+export const getExecutions = async ({
+  workflowId,
+  status,
+  limit = 100,
+} = {}) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], "readonly");
+    const index = transaction.objectStore(STORE_NAME).index("startTime");
+    const request = index.openCursor(null, "prev");
+    const results = [];
+
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor || results.length >= limit) {
+        resolve(results);
+        return;
+      }
+
+      const record = cursor.value;
+      if (
+        (!workflowId || record.workflowId === workflowId) &&
+        (!status || record.status === status)
+      ) {
+        results.push(record);
+      }
+      cursor.continue();
+    };
+    request.onerror = (event) => reject(event.target.error);
+  });
+};
+
+/**
+ * Delete an execution record
+ */
+export const deleteExecution = async (executionId) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], "readwrite");
+    const request = transaction.objectStore(STORE_NAME).delete(executionId);
+
+    request.onsuccess = () => resolve(true);
+    request.onerror = (event) => reject(event.target.error);
+  });
+};
+
+/**
+ * Clear all execution records
+ */
+export const clearExecutions = async () => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], "readwrite");
+    const request = transaction.objectStore(STORE_NAME).clear();
+
+    request.onsuccess = () => resolve(true);
+    request.onerror = (event) => reject(event.target.error);
+  });
+};
+
+/**
+ * Keep only the newest `max` records
+ */
+const pruneExecutions = (db, max) => {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], "readwrite");
+    const index = transaction.objectStore(STORE_NAME).index("startTime");
+    const request = index.openCursor(null, "prev");
+    let kept = 0;
+
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      if (++kept > max) cursor.delete();
+      cursor.continue();
+    };
+    request.onerror = (event) => reject(event.target.error);
+  });
+};
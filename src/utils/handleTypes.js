@@ -145,6 +145,12 @@ export const AI_AGENT_SLOTS = {
   ],
 };
 
+// Only an optional model slot, for nodes that call the model but use no
+// memory or tools; without a Chat Model the default WebLLM is used
+export const MODEL_ONLY_SLOTS = AI_AGENT_SLOTS.resourceSlots
+  .filter((slot) => slot.id === "model-slot")
+  .map((slot) => ({ ...slot, required: false }));
+
 // Provider node configurations (with top diamond outputs)
 export const PROVIDER_CONFIGS = {
   chatModel: {
@@ -185,6 +191,18 @@ export const PROVIDER_CONFIGS = {
       },
     ],
   },
+  conversationMemory: {
+    name: "Conversation Memory",
+    outputs: [
+      {
+        id: "memory-out",
+        type: "memory",
+        position: "top",
+        shape: "diamond",
+        label: "Memory",
+      },
+    ],
+  },
   pythonTool: {
     name: "Python Tool",
     inputs: [
@@ -0,0 +1,177 @@
+/**
+ * Hybrid Search
+ * Ranks memory items by BM25 keyword relevance blended with embedding
+ * cosine similarity, after applying metadata filters. Items without an
+ * embedding (or a query that could not be embedded) fall back to the
+ * keyword score alone; as that score is on another scale, such items are
+ * ranked after the embedded ones.
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+export const DEFAULT_SEMANTIC_WEIGHT = 0.7;
+
+/**
+ * Split text into lowercase word tokens (words of 3+ characters)
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter((w) => w.length > 2);
+}
+
+/**
+ * Cosine similarity between two vectors (0 when missing or mismatched)
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dotProduct += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  const magnitude = Math.sqrt(normA) * Math.sqrt(normB);
+  return magnitude === 0 ? 0 : dotProduct / magnitude;
+}
+
+/**
+ * BM25 score of every text for a query, normalized to 0-1 by the score a
+ * text would get if it matched every query term at the average length
+ * @param {string} queryText - Query
+ * @param {Array<string>} texts - Documents to score
+ * @returns {Array<number>} One score per text
+ */
+export function bm25Scores(queryText, texts) {
+  const queryTerms = [...new Set(tokenize(queryText))];
+  const docs = texts.map((text) => tokenize(text));
+  if (queryTerms.length === 0 || docs.length === 0) return docs.map(() => 0);
+
+  const avgLength =
+    docs.reduce((sum, tokens) => sum + tokens.length, 0) / docs.length || 1;
+
+  const idf = {};
+  for (const term of queryTerms) {
+    const docFreq = docs.filter((tokens) => tokens.includes(term)).length;
+    idf[term] = Math.log(1 + (docs.length - docFreq + 0.5) / (docFreq + 0.5));
+  }
+  const maxScore = queryTerms.reduce((sum, term) => sum + idf[term], 0);
+
+  return docs.map((tokens) => {
+    const counts = {};
+    tokens.forEach((t) => (counts[t] = (counts[t] || 0) + 1));
+    const lengthNorm = 1 - BM25_B + (BM25_B * tokens.length) / avgLength;
+
+    let score = 0;
+    for (const term of queryTerms) {
+      const tf = counts[term] || 0;
+      if (tf === 0) continue;
+      score += idf[term] * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm));
+    }
+    return maxScore > 0 ? Math.min(score / maxScore, 1) : 0;
+  });
+}
+
+/**
+ * Check item metadata against a filter. Each filter key must match:
+ * a plain value by equality, an array by membership, or an object of
+ * operators ($eq, $ne, $gt, $gte, $lt, $lte, $in, $contains)
+ * @param {Object} metadata - Item metadata
+ * @param {Object} filter - e.g. { source: "faq.md", page: { $gte: 3 } }
+ * @returns {boolean}
+ */
+export function matchesFilter(metadata = {}, filter = null) {
+  if (!filter || typeof filter !== "object") return true;
+
+  return Object.entries(filter).every(([key, condition]) => {
+    const value = metadata?.[key];
+
+    if (Array.isArray(condition)) return condition.includes(value);
+    if (condition === null || typeof condition !== "object") {
+      return value === condition;
+    }
+
+    return Object.entries(condition).every(([op, expected]) => {
+      switch (op) {
+        case "$eq":
+          return value === expected;
+        case "$ne":
+          return value !== expected;
+        case "$gt":
+          return value > expected;
+        case "$gte":
+          return value >= expected;
+        case "$lt":
+          return value < expected;
+        case "$lte":
+          return value <= expected;
+        case "$in":
+          return Array.isArray(expected) && expected.includes(value);
+        case "$contains":
+          return Array.isArray(value)
+            ? value.includes(expected)
+            : String(value ?? "").includes(expected);
+        default:
+          throw new Error(`Unknown metadata filter operator: ${op}`);
+      }
+    });
+  });
+}
+
+/**
+ * Rank items for a query
+ * @param {Array<Object>} items - { id, text, metadata, embedding? }
+ * @param {Object} options - { queryText, queryEmbedding, topK, minScore,
+ * filter, semanticWeight }
+ * @returns {Array<Object>} Matching items (without embeddings) with
+ * score, keywordScore and semanticScore (null when not embedded)
+ */
+export function hybridRank(items, options = {}) {
+  const {
+    queryText = "",
+    queryEmbedding = null,
+    topK = 5,
+    minScore = 0,
+    filter = null,
+    semanticWeight = DEFAULT_SEMANTIC_WEIGHT,
+  } = options;
+
+  const candidates = items.filter((item) =>
+    matchesFilter(item.metadata, filter)
+  );
+  const keywordScores = bm25Scores(
+    queryText,
+    candidates.map((item) => item.text)
+  );
+
+  return candidates
+    .map((item, i) => {
+      const { embedding, ...rest } = item;
+      const keywordScore = keywordScores[i];
+      const semanticScore =
+        queryEmbedding && embedding
+          ? Math.max(0, cosineSimilarity(queryEmbedding, embedding))
+          : null;
+      const score =
+        semanticScore === null
+          ? keywordScore
+          : semanticWeight * semanticScore +
+            (1 - semanticWeight) * keywordScore;
+      return { ...rest, score, keywordScore, semanticScore };
+    })
+    .filter((item) => item.score >= minScore)
+    .sort(
+      (a, b) =>
+        (a.semanticScore === null) - (b.semanticScore === null) ||
+        b.score - a.score
+    )
+    .slice(0, topK);
+}
@@ -0,0 +1,63 @@
+import { bm25Scores, hybridRank, matchesFilter } from "./hybridSearch";
+
+const items = [
+  {
+    id: "refund",
+    text: "Refunds are issued within 14 days of purchase.",
+    metadata: { source: "faq.md", page: 2 },
+    embedding: [1, 0, 0],
+  },
+  {
+    id: "shipping",
+    text: "Orders ship within two business days.",
+    metadata: { source: "faq.md", page: 5 },
+    embedding: [0, 1, 0],
+  },
+  {
+    id: "legacy",
+    text: "Refunds for legacy orders go through support.",
+    metadata: { source: "old.md", tags: ["legacy"] },
+  },
+];
+
+test("scores keywords with BM25 and filters metadata", () => {
+  const [refund, shipping] = bm25Scores("refunds policy", [
+    items[0].text,
+    items[1].text,
+  ]);
+  expect(refund).toBeGreaterThan(0);
+  expect(shipping).toBe(0);
+
+  expect(matchesFilter(items[0].metadata, { source: "faq.md" })).toBe(true);
+  expect(matchesFilter(items[1].metadata, { page: { $lte: 3 } })).toBe(false);
+  expect(
+    matchesFilter(items[2].metadata, { tags: { $contains: "legacy" } })
+  ).toBe(true);
+  expect(matchesFilter(items[2].metadata, { source: ["faq.md"] })).toBe(false);
+});
+
+test("blends semantic and keyword scores, keyword-only without embeddings", () => {
+  // A paraphrase with no shared words still finds the item by meaning
+  const [match] = hybridRank(items, {
+    queryText: "money back?",
+    queryEmbedding: [0.9, 0.1, 0],
+    minScore: 0.1,
+  });
+  expect(match.id).toBe("refund");
+  expect(match.keywordScore).toBe(0);
+  expect(match.embedding).toBeUndefined();
+
+  const keywordOnly = hybridRank(items, {
+    queryText: "refunds",
+    filter: { source: "old.md" },
+  });
+  expect(keywordOnly.map((m) => m.id)).toEqual(["legacy"]);
+  expect(keywordOnly[0].semanticScore).toBeNull();
+
+  // A full keyword match without an embedding ranks after embedded items
+  const mixed = hybridRank(items, {
+    queryText: "refunds legacy orders support",
+    queryEmbedding: [1, 0, 0],
+  });
+  expect(mixed.map((m) => m.id)).toEqual(["refund", "shipping", "legacy"]);
+});
@@ -0,0 +1,129 @@
+/**
+ * LLM Recording
+ * Record mode captures every model response of a run, keyed by node id,
+ * prompt hash and model; replay mode serves the responses from the
+ * recording instead of calling the model, so workflows with AI nodes run
+ * reproducibly without a GPU or model download.
+ */
+import { streamAsTokens } from "./chatCompletions";
+
+export const LLM_MODES = ["live", "record", "replay"];
+
+/**
+ * Stable 32-bit FNV-1a hash of a prompt (system prompt, history and user
+ * message), as 8 hex characters
+ */
+export function hashPrompt(userMessage, history = [], systemPrompt = "") {
+  const text = JSON.stringify([systemPrompt || "", history || [], userMessage]);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+const modelKey = (llm) => `${llm.id}:${llm.modelId || ""}`;
+const entryKey = ({ nodeId, model, promptHash }) =>
+  `${nodeId}|${model}|${promptHash}`;
+
+/**
+ * Create a recorder for one run
+ * @param {Object} options - { mode: "record" | "replay", recording }
+ * where recording is a previous getRecording() result (replay)
+ * @returns {{mode: string, wrap: Function, getRecording: Function,
+ * stats: Object}}
+ */
+export function createLLMRecorder({ mode = "record", recording = null } = {}) {
+  const entries = [];
+  const stats = { recorded: 0, replayed: 0 };
+
+  // Replay: responses per key, served in the order they were recorded
+  const recorded = new Map();
+  const served = new Map();
+  for (const entry of recording?.entries || []) {
+    const key = entryKey(entry);
+    recorded.set(key, [...(recorded.get(key) || []), entry.response]);
+  }
+
+  const replay = (entry) => {
+    const key = entryKey(entry);
+    const responses = recorded.get(key);
+    if (!responses) {
+      throw new Error(
+        `No recorded response for node ${entry.nodeId} (${entry.model}, prompt ${entry.promptHash}). Record the workflow again after changing prompts or models.`
+      );
+    }
+    // A prompt asked more often than recorded gets the last response again
+    const index = served.get(key) || 0;
+    served.set(key, index + 1);
+    stats.replayed++;
+    return responses[Math.min(index, responses.length - 1)];
+  };
+
+  return {
+    mode,
+    stats,
+
+    /**
+     * Wrap a provider so its calls are recorded or replayed
+     * @param {Object} llm - Provider (see engine/llm/LLMService)
+     * @param {string} nodeId - Node the calls are made for
+     */
+    wrap(llm, nodeId) {
+      return {
+        id: llm.id,
+        modelId: llm.modelId,
+
+        // Replay needs no model
+        async prepare(options = {}) {
+          if (mode === "replay") {
+            options.log?.("info", "📼 Replaying recorded model responses");
+            return;
+          }
+          return llm.prepare(options);
+        },
+
+        async generateWithHistory(
+          userMessage,
+          history = [],
+          options = {},
+          onToken = null
+        ) {
+          const entry = {
+            nodeId,
+            model: modelKey(llm),
+            promptHash: hashPrompt(userMessage, history, options.systemPrompt),
+          };
+
+          if (mode === "replay") {
+            const response = replay(entry);
+            streamAsTokens(response, onToken);
+            return response;
+          }
+
+          const response = await llm.generateWithHistory(
+            userMessage,
+            history,
+            options,
+            onToken
+          );
+          entries.push({ ...entry, prompt: userMessage, response });
+          stats.recorded++;
+          return response;
+        },
+      };
+    },
+
+    /**
+     * The responses captured so far, for the workflow settings
+     */
+    getRecording() {
+      return {
+        version: 1,
+        recordedAt: new Date().toISOString(),
+        entries: [...entries],
+      };
+    },
+  };
+}
@@ -0,0 +1,52 @@
+import { createLLMRecorder, hashPrompt } from "./llmRecording";
+
+// A model that answers differently on every call
+const createCountingModel = () => {
+  let calls = 0;
+  return {
+    id: "mock",
+    modelId: "counter",
+    prepare: jest.fn(),
+    generateWithHistory: async (message) => `${message} #${++calls}`,
+  };
+};
+
+test("hashes prompts stably", () => {
+  expect(hashPrompt("Hi", [], "Be brief")).toBe(
+    hashPrompt("Hi", [], "Be brief")
+  );
+  expect(hashPrompt("Hi", [], "Be brief")).not.toBe(hashPrompt("Hi", [], ""));
+  expect(hashPrompt("Hi")).toMatch(/^[0-9a-f]{8}$/);
+});
+
+test("replays recorded responses in order without the model", async () => {
+  const recorder = createLLMRecorder({ mode: "record" });
+  const recorded = recorder.wrap(createCountingModel(), "agent");
+  await recorded.generateWithHistory("Hi");
+  await recorded.generateWithHistory("Hi");
+  await recorded.generateWithHistory("Bye");
+
+  const model = createCountingModel();
+  const replayer = createLLMRecorder({
+    mode: "replay",
+    recording: recorder.getRecording(),
+  });
+  const replayed = replayer.wrap(model, "agent");
+  await replayed.prepare();
+
+  const tokens = [];
+  expect(await replayed.generateWithHistory("Bye")).toBe("Bye #3");
+  expect(await replayed.generateWithHistory("Hi")).toBe("Hi #1");
+  expect(
+    await replayed.generateWithHistory("Hi", [], {}, (_token, text) =>
+      tokens.push(text)
+    )
+  ).toBe("Hi #2");
+  expect(tokens).toEqual(["Hi", "Hi #2"]);
+  expect(model.prepare).not.toHaveBeenCalled();
+
+  // Another node or prompt was never recorded
+  await expect(
+    replayer.wrap(model, "other").generateWithHistory("Hi")
+  ).rejects.toThrow("No recorded response for node other");
+});
@@ -0,0 +1,66 @@
+/**
+ * Memory JSONL
+ * Export and import of a memory namespace as JSON Lines, one
+ * { id, text, metadata } object per line. Embeddings are left out: they
+ * are large, tied to the embedding model, and recomputed on import.
+ */
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Serialize memory items to JSONL
+ * @param {Array<Object>} items - Memory items { id, text, metadata }
+ * @returns {string} One JSON object per line, ending with a newline
+ */
+export function toMemoryJSONL(items) {
+  return items
+    .map(
+      ({ id, text, metadata }) =>
+        `${JSON.stringify({ id, text, metadata: metadata || {} })}\n`
+    )
+    .join("");
+}
+
+/**
+ * Parse JSONL into memory items, ready for VectorMemoryService.upsert
+ * @param {string} text - JSONL contents; blank lines are skipped
+ * @returns {Array<{id?: string, text: string, metadata: Object}>}
+ * @throws {Error} Naming the first invalid line
+ */
+export function parseMemoryJSONL(text) {
+  const items = [];
+
+  String(text)
+    .split(/\r?\n/)
+    .forEach((line, index) => {
+      if (!line.trim()) return;
+      const where = `Line ${index + 1}`;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        throw new Error(`${where}: invalid JSON (${e.message})`);
+      }
+
+      if (!isPlainObject(entry)) {
+        throw new Error(`${where}: expected an object`);
+      }
+      if (typeof entry.text !== "string" || !entry.text.trim()) {
+        throw new Error(`${where}: "text" must be a non-empty string`);
+      }
+      if (entry.metadata !== undefined && !isPlainObject(entry.metadata)) {
+        throw new Error(`${where}: "metadata" must be an object`);
+      }
+
+      items.push({
+        ...(entry.id !== undefined &&
+          entry.id !== null && { id: String(entry.id) }),
+        text: entry.text,
+        metadata: entry.metadata || {},
+      });
+    });
+
+  return items;
+}
@@ -0,0 +1,37 @@
+import { parseMemoryJSONL, toMemoryJSONL } from "./memoryJsonl";
+
+test("round-trips memory items without embeddings", () => {
+  const jsonl = toMemoryJSONL([
+    {
+      id: "faq#0",
+      text: "Refunds take 5 days",
+      metadata: { source: "faq.md" },
+      embedding: [0.1, 0.2],
+      embeddingModel: "all-MiniLM-L6-v2",
+    },
+    { id: "note", text: "Line one\nline two" },
+  ]);
+
+  expect(jsonl.split("\n")).toHaveLength(3);
+  expect(parseMemoryJSONL(jsonl)).toEqual([
+    {
+      id: "faq#0",
+      text: "Refunds take 5 days",
+      metadata: { source: "faq.md" },
+    },
+    { id: "note", text: "Line one\nline two", metadata: {} },
+  ]);
+});
+
+test("reports the first invalid line", () => {
+  expect(parseMemoryJSONL('\r\n{"id": 7, "text": "ok"}\r\n')).toEqual([
+    { id: "7", text: "ok", metadata: {} },
+  ]);
+  expect(() => parseMemoryJSONL('{"text": "ok"}\n{"text": ""}')).toThrow(
+    'Line 2: "text" must be a non-empty string'
+  );
+  expect(() => parseMemoryJSONL('{"text": "ok", "metadata": []}')).toThrow(
+    'Line 1: "metadata" must be an object'
+  );
+  expect(() => parseMemoryJSONL("{oops")).toThrow("Line 1: invalid JSON");
+});
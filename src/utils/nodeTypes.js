@@ -58,6 +58,8 @@ export const NODE_TYPES = {
     defaultData: {
       label: "Schedule",
       schedule: "*/5 * * * *", // Every 5 minutes
+      timezone: "", // Empty = local time
+      catchUp: "skip", // skip | once | all
       enabled: false,
     },
   },
@@ -76,6 +78,9 @@ export const NODE_TYPES = {
       method: "POST",
       endpoint: "/webhook/default",
       authRequired: false,
+      authToken: "",
+      responseMode: "immediate", // immediate | output
+      responseNodeId: "", // Output node whose result is returned
     },
   },
 
@@ -199,6 +204,21 @@ export const NODE_TYPES = {
       description: "Read or write files. Args: { filename, content, mode }", // Tool description for AI
     },
   },
+  browserTools: {
+    type: "browserTools",
+    category: "aiTool",
+    name: "Browser Tools",
+    description: "Clipboard, storage, files and more for AI Agents",
+    icon: "🧰",
+    inputs: 0,
+    outputs: 0,
+    isProvider: true, // Connects to AI Agent
+    defaultData: {
+      label: "Browser Tools",
+      enabledTools: ["clipboardWrite", "storageGet", "storageSet"],
+      alwaysAsk: false,
+    },
+  },
 
   // Local Storage Node
   localStorage: {
@@ -294,6 +314,10 @@ export const NODE_TYPES = {
     defaultData: {
       label: "Router",
       classificationMode: "keyword", // keyword, llm, embedding
+      scoring: "centroid", // centroid, knn (embedding mode)
+      k: 3,
+      threshold: 0.3,
+      fallbackRoute: "", // Route id for unmatched inputs ("" = Other output)
       routes: [
         { id: "route-0", label: "General", keywords: ["general", "other"] },
         {
@@ -325,6 +349,7 @@ export const NODE_TYPES = {
       maxRetries: 3,
       schema: null,
       regexPattern: "",
+      criteria: "", // llm: what the output must satisfy
     },
   },
 
@@ -333,18 +358,82 @@ export const NODE_TYPES = {
     type: "swarm",
     category: "ai",
     name: "Swarm",
-    description: "Execute multiple AI agents in parallel and aggregate results",
+    description: "Role-based AI agents that vote, follow a coordinator or debate",
     icon: "🐝",
     inputs: 1,
     outputs: 2, // result, all
     defaultData: {
       label: "Swarm",
-      agentCount: 3,
-      aggregationMode: "consensus", // consensus, first, all
-      timeout: 30000,
+      agentCount: 3, // General agents used when no roles are chosen
+      roles: ["researcher", "coder", "critic"],
+      customRoles: [], // { id, name, emoji, systemPrompt }
+      pattern: "parallel", // parallel, coordinator, debate
+      aggregationMode: "consensus", // consensus, first, all (parallel)
+      debateRounds: 2,
+      timeout: 30000, // Per agent response
       systemPrompt: "",
     },
   },
+
+  // Planner Node - Plan-and-execute with replanning
+  planner: {
+    type: "planner",
+    category: "ai",
+    name: "Planner",
+    description: "Turn a goal into a step-by-step plan and execute it",
+    icon: "🗺️",
+    inputs: 1,
+    outputs: 1,
+    defaultData: {
+      label: "Planner",
+      goal: "",
+      planMode: "generate", // generate, approved
+      plan: null,
+      planApproved: false,
+      maxReplans: 2,
+      stepRetries: 1,
+    },
+  },
+
+  // Critic Node - Verify answers and route low confidence to review
+  critic: {
+    type: "critic",
+    category: "ai",
+    name: "Critic",
+    description: "Review and correct an AI answer, flag low confidence",
+    icon: "🧐",
+    inputs: 1,
+    outputs: 2, // verified, review
+    defaultData: {
+      label: "Critic",
+      question: "",
+      response: "",
+      confidenceThreshold: 0.7,
+      correctionIterations: 2,
+      autoCorrect: true,
+      scoreSteps: true,
+    },
+  },
+  decompose: {
+    type: "decompose",
+    category: "ai",
+    name: "Decompose",
+    description: "Split a complex task into a tree and solve its leaves",
+    icon: "🌳",
+    inputs: 1,
+    outputs: 1,
+    defaultData: {
+      label: "Decompose",
+      task: "",
+      maxDepth: 3,
+      minComplexity: 50,
+      leafExecutor: "agent", // agent, subWorkflow
+      workflowId: "",
+      workflowName: "",
+      rollup: "join", // join, list, summarize
+      continueOnError: false,
+    },
+  },
   groupNode: {
     type: "groupNode",
     category: "logic",
@@ -375,7 +464,7 @@ export const NODE_TYPES = {
     isProvider: true, // Marks as provider node
     defaultData: {
       label: "Chat Model",
-      provider: "webllm", // webllm, openai, anthropic
+      provider: "webllm", // webllm, openai-compatible, mock
       modelId: "gemma-2-2b-it-q4f16_1-MLC",
       modelName: "Gemma 2 2B",
       temperature: 0.7,
@@ -418,6 +507,48 @@ export const NODE_TYPES = {
       namespace: "default",
       topK: 5,
       minScore: 0.3,
+      semanticWeight: 0.7, // Share of embedding similarity vs BM25 keywords
+      filter: "", // JSON metadata filter
+    },
+  },
+
+  // Conversation Memory Node - per-session chat history for AI Agents
+  conversationMemory: {
+    type: "conversationMemory",
+    category: "ai",
+    name: "Conversation Memory",
+    description: "Session chat history, summarized when it grows",
+    icon: "💬",
+    inputs: 0,
+    outputs: 0, // Uses special memory output handle
+    isProvider: true,
+    defaultData: {
+      label: "Conversation Memory",
+      sessionId: "{{ $input.sessionId }}",
+      tokenBudget: 1500, // Summarize older turns past this many tokens
+      keepRecent: 6, // Messages kept word for word
+    },
+  },
+
+  // Document Loader Node - chunks documents into vector memory
+  documentLoader: {
+    type: "documentLoader",
+    category: "ai",
+    name: "Document Loader",
+    description: "Split documents into chunks and store them in memory",
+    icon: "📄",
+    inputs: 1,
+    outputs: 1,
+    defaultData: {
+      label: "Document Loader",
+      format: "auto", // auto, text, markdown, html, csv, json, pdf
+      source: "", // Defaults to the file name
+      chunkSize: 1000,
+      chunkOverlap: 200,
+      separators: "", // JSON array; empty uses the default list
+      store: true,
+      namespace: "documents",
+      replaceExisting: true,
     },
   },
 
@@ -0,0 +1,470 @@
+/**
+ * PDF Text
+ * Reads the text layer of a PDF without a PDF library: walks the page
+ * tree, inflates content streams (FlateDecode via DecompressionStream) and
+ * collects the strings shown by text operators, mapped through the fonts'
+ * ToUnicode CMaps where present. Scanned PDFs have no text layer and need
+ * OCR; encrypted PDFs are not supported.
+ */
+
+const REF = /(\d+)\s+\d+\s+R/g;
+
+// Bytes -> one char per byte, so offsets and binary data survive slicing
+const toBinaryString = (bytes) => {
+  let text = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+};
+
+const toBytes = (binary) => {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+const inflate = async (bytes) => {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Text of the << ... >> dictionary starting at index
+const readDict = (text, index) => {
+  let depth = 0;
+  for (let i = index; i < text.length - 1; i++) {
+    if (text[i] === "<" && text[i + 1] === "<") {
+      depth++;
+      i++;
+    } else if (text[i] === ">" && text[i + 1] === ">") {
+      depth--;
+      i++;
+      if (depth === 0) return text.slice(index, i + 1);
+    }
+  }
+  return text.slice(index);
+};
+
+const getRef = (dict, key) => {
+  const match = new RegExp(`/${key}\\s+(\\d+)\\s+\\d+\\s+R`).exec(dict || "");
+  return match ? Number(match[1]) : null;
+};
+
+const getRefs = (text) => [...(text || "").matchAll(REF)].map((m) => +m[1]);
+
+/**
+ * Index the objects of a PDF: number -> { dict, data } where data is the
+ * raw stream (binary string) of stream objects
+ */
+const readObjects = (binary) => {
+  const objects = {};
+  const objectStart = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+
+  while ((match = objectStart.exec(binary))) {
+    const start = objectStart.lastIndex;
+    const streamIndex = binary.indexOf("stream", start);
+    const endIndex = binary.indexOf("endobj", start);
+
+    if (streamIndex !== -1 && (endIndex === -1 || streamIndex < endIndex)) {
+      const dict = binary.slice(start, streamIndex);
+      let dataStart = streamIndex + 6;
+      if (binary[dataStart] === "\r") dataStart++;
+      if (binary[dataStart] === "\n") dataStart++;
+
+      // Direct lengths are exact; otherwise read up to endstream
+      const length = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(dict);
+      let dataEnd = length
+        ? dataStart + Number(length[1])
+        : binary.indexOf("endstream", dataStart);
+      if (dataEnd < dataStart) dataEnd = binary.length;
+
+      let data = binary.slice(dataStart, dataEnd);
+      if (!length) data = data.replace(/\r?\n$/, "");
+      objects[match[1]] = { dict, data };
+      objectStart.lastIndex = dataEnd;
+    } else {
+      const end = endIndex === -1 ? binary.length : endIndex;
+      objects[match[1]] = { dict: binary.slice(start, end) };
+      objectStart.lastIndex = end;
+    }
+  }
+
+  return objects;
+};
+
+// Decoded stream as a binary string, or null for unsupported filters
+const decodeStream = async (object) => {
+  if (!object?.data) return null;
+  const filters = [...object.dict.matchAll(/\/(\w+Decode)\b/g)].map(
+    (m) => m[1]
+  );
+  if (filters.some((f) => f !== "FlateDecode")) return null;
+
+  try {
+    let bytes = toBytes(object.data);
+    for (let i = 0; i < filters.length; i++) bytes = await inflate(bytes);
+    return toBinaryString(bytes);
+  } catch {
+    return null; // Corrupt stream - skip it
+  }
+};
+
+// Add the objects packed into object streams (PDF 1.5+)
+const readObjectStreams = async (objects) => {
+  for (const object of Object.values(objects)) {
+    if (!/\/Type\s*\/ObjStm\b/.test(object.dict)) continue;
+
+    const content = await decodeStream(object);
+    const count = Number(/\/N\s+(\d+)/.exec(object.dict)?.[1] || 0);
+    const first = Number(/\/First\s+(\d+)/.exec(object.dict)?.[1] || 0);
+    if (!content) continue;
+
+    const header = content.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i < count; i++) {
+      const number = header[i * 2];
+      const start = first + header[i * 2 + 1];
+      const end =
+        i + 1 < count ? first + header[(i + 1) * 2 + 1] : content.length;
+      if (!objects[number]) {
+        objects[number] = { dict: content.slice(start, end) };
+      }
+    }
+  }
+};
+
+const hexToText = (hex) => {
+  if (!hex) return "";
+  if (hex.length <= 2) return String.fromCharCode(parseInt(hex, 16));
+  let text = "";
+  for (let i = 0; i < hex.length; i += 4) {
+    text += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+  }
+  return text;
+};
+
+/**
+ * Parse a ToUnicode CMap into { codeLength, map: code -> text }
+ */
+const parseCMap = (text) => {
+  const map = new Map();
+  const space = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(text);
+  const codeLength = space ? Math.max(1, space[1].length / 2) : 1;
+
+  for (const [, section] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, src, dst] of section.matchAll(
+      /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g
+    )) {
+      map.set(parseInt(src, 16), hexToText(dst));
+    }
+  }
+
+  for (const [, section] of text.matchAll(
+    /beginbfrange([\s\S]*?)endbfrange/g
+  )) {
+    for (const [, lo, hi, dst] of section.matchAll(
+      /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g
+    )) {
+      const low = parseInt(lo, 16);
+      const high = Math.min(parseInt(hi, 16), low + 0xffff);
+
+      if (dst.startsWith("[")) {
+        const items = [...dst.matchAll(/<([0-9a-fA-F]*)>/g)];
+        items.forEach(([, hex], i) => map.set(low + i, hexToText(hex)));
+      } else {
+        const base = hexToText(dst.slice(1, -1));
+        const last = base.charCodeAt(base.length - 1);
+        for (let code = low; code <= high; code++) {
+          map.set(
+            code,
+            base.slice(0, -1) + String.fromCharCode(last + code - low)
+          );
+        }
+      }
+    }
+  }
+
+  return { codeLength, map };
+};
+
+/**
+ * Decode the bytes of a shown string with the current font's CMap
+ */
+const decodeString = (bytes, cmap) => {
+  if (!cmap) return bytes;
+
+  let text = "";
+  for (let i = 0; i < bytes.length; i += cmap.codeLength) {
+    let code = 0;
+    for (let j = 0; j < cmap.codeLength; j++) {
+      code = code * 256 + (bytes.charCodeAt(i + j) || 0);
+    }
+    text += cmap.map.get(code) ?? "";
+  }
+  return text;
+};
+
+// Read a (literal) string starting after its opening parenthesis
+const readLiteral = (content, index) => {
+  const escapes = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+  let text = "";
+  let depth = 1;
+  let i = index;
+
+  while (i < content.length) {
+    const c = content[i++];
+    if (c === "\\") {
+      const next = content[i++];
+      if (escapes[next]) text += escapes[next];
+      else if (/[0-7]/.test(next)) {
+        let octal = next;
+        while (octal.length < 3 && /[0-7]/.test(content[i])) {
+          octal += content[i++];
+        }
+        text += String.fromCharCode(parseInt(octal, 8) & 0xff);
+      } else if (next === "\r") {
+        if (content[i] === "\n") i++;
+      } else if (next !== "\n") text += next;
+    } else if (c === "(") {
+      depth++;
+      text += c;
+    } else if (c === ")") {
+      if (--depth === 0) break;
+      text += c;
+    } else {
+      text += c;
+    }
+  }
+
+  return { text, end: i };
+};
+
+/**
+ * Collect the text shown by a content stream
+ * @param {string} content - Decoded content stream
+ * @param {Object} fonts - Font resource name -> CMap (or null)
+ */
+const readContentText = (content, fonts) => {
+  let text = "";
+  let cmap = null;
+  let lastY = null;
+  const operands = [];
+  const arrays = [];
+
+  const push = (value) =>
+    arrays.length
+      ? arrays[arrays.length - 1].push(value)
+      : operands.push(value);
+  const newLine = () => {
+    if (text && !text.endsWith("\n")) text += "\n";
+  };
+  const space = () => {
+    if (text && !/\s$/.test(text)) text += " ";
+  };
+  const show = (value) => {
+    if (value && typeof value === "object") text += decodeString(value.s, cmap);
+  };
+
+  let i = 0;
+  while (i < content.length) {
+    const c = content[i];
+
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === "%") {
+      while (i < content.length && !/[\r\n]/.test(content[i])) i++;
+    } else if (c === "(") {
+      const literal = readLiteral(content, i + 1);
+      push({ s: literal.text });
+      i = literal.end;
+    } else if (c === "<" && content[i + 1] === "<") {
+      i += readDict(content, i).length;
+      push(null);
+    } else if (c === "<") {
+      const end = content.indexOf(">", i);
+      let hex = content.slice(i + 1, end).replace(/\s/g, "");
+      if (hex.length % 2) hex += "0";
+      let bytes = "";
+      for (let j = 0; j < hex.length; j += 2) {
+        bytes += String.fromCharCode(parseInt(hex.slice(j, j + 2), 16));
+      }
+      push({ s: bytes });
+      i = end + 1;
+    } else if (c === "[") {
+      arrays.push([]);
+      i++;
+    } else if (c === "]") {
+      const array = arrays.pop() || [];
+      push(array);
+      i++;
+    } else if (c === "/") {
+      const name = /^\/[^\s/<>[\]()%{}]*/.exec(content.slice(i, i + 128))[0];
+      push(name.slice(1));
+      i += name.length;
+    } else if (/[\d.+-]/.test(c)) {
+      const number = /^[+-]?(\d+\.?\d*|\.\d+)/.exec(content.slice(i, i + 32));
+      push(number ? Number(number[0]) : 0);
+      i += number ? number[0].length : 1;
+    } else {
+      const op = /^[A-Za-z'"*]+/.exec(content.slice(i, i + 16))?.[0] || c;
+      i += op.length;
+
+      switch (op) {
+        case "Tf":
+          cmap = fonts[operands[0]] || null;
+          break;
+        case "Tj":
+          show(operands[operands.length - 1]);
+          break;
+        case "'":
+        case '"':
+          newLine();
+          show(operands[operands.length - 1]);
+          break;
+        case "TJ":
+          for (const item of operands[operands.length - 1] || []) {
+            if (typeof item === "number") {
+              if (item < -200) space(); // Wide gap between words
+            } else show(item);
+          }
+          break;
+        case "Td":
+        case "TD":
+          if (Math.abs(operands[1] || 0) > 0.1) newLine();
+          else if ((operands[0] || 0) > 0) space();
+          break;
+        case "Tm":
+          if (lastY !== null && operands[5] !== lastY) newLine();
+          else space();
+          lastY = operands[5];
+          break;
+        case "T*":
+          newLine();
+          break;
+        case "ID": {
+          // Skip inline image data
+          const end = content.indexOf("EI", i);
+          i = end === -1 ? content.length : end + 2;
+          break;
+        }
+        default:
+          break;
+      }
+      operands.length = 0;
+    }
+  }
+
+  return text;
+};
+
+/**
+ * Extract the text layer of a PDF, one string per page
+ * @param {Uint8Array|ArrayBuffer} data - PDF file contents
+ * @returns {Promise<Array<string>>}
+ */
+export async function extractPdfText(data) {
+  const binary = toBinaryString(
+    data instanceof Uint8Array ? data : new Uint8Array(data)
+  );
+  if (!binary.startsWith("%PDF")) throw new Error("Not a PDF file");
+  if (/\/Encrypt\s+\d+\s+\d+\s+R/.test(binary)) {
+    throw new Error("Encrypted PDFs are not supported");
+  }
+
+  const objects = readObjects(binary);
+  await readObjectStreams(objects);
+  const dictOf = (number) => objects[number]?.dict || "";
+
+  // Pages in order, with their (possibly inherited) resources
+  const pages = [];
+  const visited = new Set();
+  const walk = (number, inheritedResources) => {
+    if (visited.has(number) || !objects[number]) return;
+    visited.add(number);
+    const dict = dictOf(number);
+
+    const resourcesRef = getRef(dict, "Resources");
+    const inline = dict.indexOf("/Resources");
+    const resources = resourcesRef
+      ? dictOf(resourcesRef)
+      : inline !== -1 && dict.indexOf("<<", inline) !== -1
+      ? readDict(dict, dict.indexOf("<<", inline))
+      : inheritedResources;
+
+    if (/\/Type\s*\/Pages\b/.test(dict)) {
+      const kids = /\/Kids\s*\[([^\]]*)\]/.exec(dict);
+      getRefs(kids?.[1]).forEach((kid) => walk(kid, resources));
+    } else if (/\/Type\s*\/Page\b/.test(dict)) {
+      const contents = /\/Contents\s*\[([^\]]*)\]/.exec(dict);
+      let streams = contents ? getRefs(contents[1]) : [];
+      const single = getRef(dict, "Contents");
+      if (single) {
+        streams = objects[single]?.data ? [single] : getRefs(dictOf(single));
+      }
+      pages.push({ streams, resources });
+    }
+  };
+
+  const catalog = Object.keys(objects).find((n) =>
+    /\/Type\s*\/Catalog\b/.test(dictOf(n))
+  );
+  walk(getRef(dictOf(catalog), "Pages"), "");
+
+  // No readable page tree: read every stream as one page
+  if (pages.length === 0) {
+    pages.push({
+      streams: Object.keys(objects).filter((n) => objects[n].data),
+      resources: "",
+    });
+  }
+
+  // Fonts of a page: resource name -> ToUnicode CMap
+  const cmaps = {};
+  const fontsOf = async (resources) => {
+    const fontRef = getRef(resources, "Font");
+    const inline = resources.indexOf("/Font");
+    const inlineStart = inline === -1 ? -1 : resources.indexOf("<<", inline);
+    const fontDict = fontRef
+      ? dictOf(fontRef)
+      : inlineStart !== -1
+      ? readDict(resources, inlineStart)
+      : "";
+
+    const fonts = {};
+    for (const [, name, number] of fontDict.matchAll(
+      /\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g
+    )) {
+      if (!(number in cmaps)) {
+        const toUnicode = getRef(dictOf(number), "ToUnicode");
+        const cmap = toUnicode && (await decodeStream(objects[toUnicode]));
+        cmaps[number] = cmap ? parseCMap(cmap) : null;
+      }
+      fonts[name] = cmaps[number];
+    }
+    return fonts;
+  };
+
+  const texts = [];
+  for (const page of pages) {
+    const fonts = await fontsOf(page.resources || "");
+    let text = "";
+    for (const number of page.streams) {
+      const content = await decodeStream(objects[number]);
+      if (content && /\bBT\b/.test(content)) {
+        text += `${readContentText(content, fonts)}\n`;
+      }
+    }
+    texts.push(
+      text
+        .split("\n")
+        .map((line) => line.replace(/\s+/g, " ").trim())
+        .join("\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim()
+    );
+  }
+
+  return texts;
+}
@@ -0,0 +1,37 @@
+import { extractPdfText } from "./pdfText";
+
+// Build a minimal PDF with one uncompressed content stream per page
+const buildPdf = (pageContents) => {
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pageContents
+      .map((_, i) => `${3 + i * 2} 0 R`)
+      .join(" ")}] /Count ${pageContents.length} >>`,
+  ];
+  pageContents.forEach((content, i) => {
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /Contents ${4 + i * 2} 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  const body = objects
+    .map((object, i) => `${i + 1} 0 obj\n${object}\nendobj\n`)
+    .join("");
+  const text = `%PDF-1.4\n${body}trailer\n<< /Root 1 0 R >>\n%%EOF`;
+  return Uint8Array.from(text, (c) => c.charCodeAt(0));
+};
+
+test("extracts the text layer page by page", async () => {
+  const pages = await extractPdfText(
+    buildPdf([
+      "BT /F1 12 Tf 72 720 Td (Refund policy) Tj 0 -14 Td [(Paid ) -20 (\\(in full\\))] TJ ET",
+      "BT /F1 12 Tf 72 720 Td [(Ship)-10(ping)-400(times)] TJ ET",
+    ])
+  );
+
+  expect(pages).toEqual(["Refund policy\nPaid (in full)", "Shipping times"]);
+  await expect(extractPdfText(new Uint8Array([1, 2, 3]))).rejects.toThrow(
+    "Not a PDF file"
+  );
+});
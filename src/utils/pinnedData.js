@@ -0,0 +1,40 @@
+/**
+ * Pinned Data
+ * A node's output captured from a real run and stored in its data
+ * (`data.pinnedData`), so later executions reuse it instead of running
+ * the node again
+ */
+
+// Loops emit on their body output once per item, a fixed output would
+// never reach "done"
+const UNPINNABLE_TYPES = ["loop"];
+
+/**
+ * Whether a node type can be pinned
+ */
+export function canPinNode(nodeType) {
+  return !UNPINNABLE_TYPES.includes(nodeType);
+}
+
+/**
+ * Build the pinned data stored on a node from a successful node result
+ * @param {Object} result - { output, outputIndex }
+ * @param {string} executionId - Execution the output came from (optional)
+ */
+export function createPin(result, executionId = null) {
+  return {
+    output: JSON.parse(JSON.stringify(result.output ?? null)),
+    outputIndex: result.outputIndex,
+    pinnedAt: new Date().toISOString(),
+    executionId,
+  };
+}
+
+/**
+ * Whether a node result has an output worth pinning
+ */
+export function hasPinnableOutput(result) {
+  return Boolean(result?.success !== false && result?.output !== undefined);
+}
+
+export default { canPinNode, createPin, hasPinnableOutput };
@@ -0,0 +1,75 @@
+/**
+ * Route Scoring
+ * Scores Semantic Router routes against an input embedding from the
+ * embeddings of each route's example utterances
+ */
+import { cosineSimilarity } from "./hybridSearch";
+
+export const ROUTE_SCORING = ["centroid", "knn"];
+export const DEFAULT_ROUTE_THRESHOLD = 0.3;
+export const DEFAULT_ROUTE_K = 3;
+
+/**
+ * Texts that stand for a route: its example utterances, or for routes
+ * without examples its keywords (or label) as one text
+ * @param {Object} route - { label, keywords, examples }
+ * @returns {Array<string>}
+ */
+export function routeExamples(route) {
+  const examples = (route.examples || [])
+    .map((example) => String(example ?? "").trim())
+    .filter(Boolean);
+  if (examples.length > 0) return examples;
+
+  const fallback = (route.keywords || []).join(" ") || route.label;
+  return fallback ? [fallback] : [];
+}
+
+// Mean of equally long vectors
+const centroid = (vectors) =>
+  vectors[0].map(
+    (_, i) =>
+      vectors.reduce((sum, vector) => sum + vector[i], 0) / vectors.length
+  );
+
+/**
+ * Score one route
+ * @param {Array<number>} inputEmbedding - Embedding of the text to route
+ * @param {Array<Array<number>>} exampleEmbeddings - The route's examples
+ * @param {Object} options - { scoring: "centroid" | "knn", k } where
+ * centroid compares with the mean of the examples and knn averages the k
+ * most similar examples
+ * @returns {number|null} Cosine score, or null for a route without examples
+ */
+export function scoreRoute(inputEmbedding, exampleEmbeddings, options = {}) {
+  const { scoring = "centroid", k = DEFAULT_ROUTE_K } = options;
+  if (exampleEmbeddings.length === 0) return null;
+
+  if (scoring === "knn") {
+    const nearest = exampleEmbeddings
+      .map((embedding) => cosineSimilarity(inputEmbedding, embedding))
+      .sort((a, b) => b - a)
+      .slice(0, Math.max(1, k));
+    return nearest.reduce((sum, score) => sum + score, 0) / nearest.length;
+  }
+
+  return cosineSimilarity(inputEmbedding, centroid(exampleEmbeddings));
+}
+
+/**
+ * Index of the best-scoring route at or above the threshold
+ * @param {Array<number|null>} scores - One score per route
+ * @param {number} threshold - Minimum score
+ * @returns {number} Route index, or -1 when no route is close enough
+ */
+export function pickRoute(scores, threshold = DEFAULT_ROUTE_THRESHOLD) {
+  return scores.reduce(
+    (best, score, i) =>
+      score !== null &&
+      score >= threshold &&
+      (best === -1 || score > scores[best])
+        ? i
+        : best,
+    -1
+  );
+}
@@ -0,0 +1,30 @@
+import { pickRoute, routeExamples, scoreRoute } from "./routeScoring";
+
+test("scores routes by centroid or nearest examples", () => {
+  const examples = [
+    [1, 0, 0],
+    [0, 1, 0],
+    [0.9, 0.1, 0],
+  ];
+
+  expect(scoreRoute([1, 0, 0], examples)).toBeCloseTo(0.865, 2);
+  // The two nearest examples are both close to the input
+  expect(scoreRoute([1, 0, 0], examples, { scoring: "knn", k: 2 })).toBeCloseTo(
+    0.997,
+    2
+  );
+  expect(scoreRoute([1, 0, 0], [])).toBeNull();
+
+  expect(pickRoute([0.2, null, 0.6, 0.5], 0.3)).toBe(2);
+  expect(pickRoute([0.2, null], 0.3)).toBe(-1);
+});
+
+test("falls back to keywords or the label without examples", () => {
+  expect(
+    routeExamples({ label: "Billing", examples: [" Refund me ", ""] })
+  ).toEqual(["Refund me"]);
+  expect(routeExamples({ label: "Tech", keywords: ["bug", "code"] })).toEqual([
+    "bug code",
+  ]);
+  expect(routeExamples({ label: "" })).toEqual([]);
+});
@@ -0,0 +1,45 @@
+/**
+ * Sentence Stream
+ * Splits text that grows token by token into complete sentences, so
+ * streamed AI output can be spoken or shown before generation finishes
+ */
+
+// End of a sentence: punctuation (plus closing quotes/brackets) followed by
+// whitespace, or a line break. "3.14" and "e.g.x" do not end a sentence.
+const SENTENCE_END = /[.!?…]+["')\]]*\s+|\n+/g;
+
+/**
+ * Create a sentence stream
+ * @param {Function} onSentence - Called with (sentence, textSoFar) for each
+ * complete sentence; textSoFar is all text up to and including it
+ * @param {Object} options - { minLength }: shorter sentences ("1.", "Hi!")
+ * are joined with the next one
+ * @returns {{push: Function, flush: Function}} push(text) with the full
+ * text generated so far; flush(text) once generation is done
+ */
+export function createSentenceStream(onSentence, { minLength = 12 } = {}) {
+  let emitted = 0; // Characters of the text already sent as sentences
+
+  const emit = (text, end) => {
+    const sentence = text.slice(emitted, end).trim();
+    emitted = end;
+    if (sentence) onSentence(sentence, text.slice(0, end).trim());
+  };
+
+  return {
+    push(text) {
+      SENTENCE_END.lastIndex = emitted;
+      let match;
+      while ((match = SENTENCE_END.exec(text))) {
+        const end = match.index + match[0].length;
+        if (text.slice(emitted, end).trim().length >= minLength) {
+          emit(text, end);
+        }
+      }
+    },
+
+    flush(text) {
+      if (text.length > emitted) emit(text, text.length);
+    },
+  };
+}
@@ -0,0 +1,40 @@
+import { createSentenceStream } from "./sentenceStream";
+
+const collect = (options) => {
+  const sentences = [];
+  const stream = createSentenceStream(
+    (sentence, text) => sentences.push([sentence, text]),
+    options
+  );
+  return { sentences, stream };
+};
+
+test("emits sentences once they are complete", () => {
+  const { sentences, stream } = collect();
+  const text = "The sky is blue today. It costs 3.50 dollars! Maybe more";
+
+  // Feed the text the way tokens arrive
+  for (let i = 1; i <= text.length; i += 4) {
+    stream.push(text.slice(0, i));
+  }
+  stream.push(text);
+  expect(sentences.map(([sentence]) => sentence)).toEqual([
+    "The sky is blue today.",
+    "It costs 3.50 dollars!",
+  ]);
+
+  stream.flush(text);
+  expect(sentences[2]).toEqual(["Maybe more", text]);
+});
+
+test("joins short sentences with the next one", () => {
+  const { sentences, stream } = collect({ minLength: 12 });
+  const text = "Hi! Here is the plan.\n1. Wake up early\n";
+
+  stream.push(text);
+
+  expect(sentences).toEqual([
+    ["Hi! Here is the plan.", "Hi! Here is the plan."],
+    ["1. Wake up early", "Hi! Here is the plan.\n1. Wake up early"],
+  ]);
+});
@@ -1,72 +1,11 @@
 /**
  * Workflow Serialization Utilities
- * Save/load workflows to localStorage and JSON files
+ * Import/export workflows as JSON files. Saved workflows live in
+ * IndexedDB, see workflowRepository.js
  */
 
-const STORAGE_KEY = "workflow_automations";
 const ACTIVE_WORKFLOW_KEY = "active_workflow_id";
 
-/**
- * Save workflow to localStorage
- * @param {Object} workflow - Workflow data
- * @returns {string} Workflow ID
- */
-export function saveWorkflow(workflow) {
-  const workflows = getAllWorkflows();
-  const workflowId = workflow.id || Date.now().toString();
-
-  const workflowData = {
-    ...workflow,
-    id: workflowId,
-    updatedAt: new Date().toISOString(),
-    createdAt: workflow.createdAt || new Date().toISOString(),
-  };
-
-  workflows[workflowId] = workflowData;
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(workflows));
-
-  return workflowId;
-}
-
-/**
- * Load workflow from localStorage
- * @param {string} workflowId - Workflow ID
- * @returns {Object|null} Workflow data or null
- */
-export function loadWorkflow(workflowId) {
-  const workflows = getAllWorkflows();
-  return workflows[workflowId] || null;
-}
-
-/**
- * Get all saved workflows
- * @returns {Object} Map of workflow ID to workflow data
- */
-export function getAllWorkflows() {
-  try {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    return stored ? JSON.parse(stored) : {};
-  } catch (error) {
-    console.error("Failed to load workflows:", error);
-    return {};
-  }
-}
-
-/**
- * Delete a workflow
- * @param {string} workflowId - Workflow ID to delete
- */
-export function deleteWorkflow(workflowId) {
-  const workflows = getAllWorkflows();
-  delete workflows[workflowId];
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(workflows));
-
-  // Clear active if deleted
-  if (getActiveWorkflowId() === workflowId) {
-    setActiveWorkflowId(null);
-  }
-}
-
 /**
  * Get active workflow ID
  * @returns {string|null} Active workflow ID
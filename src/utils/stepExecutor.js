@@ -1,9 +1,10 @@
 /**
  * Step Executor
- * Execute a single node with mock or previous execution data
+ * Execute a single node with mock, pinned or previous execution data
  */
 import { executeNode } from "../engine/NodeExecutors";
 import useExecutionStore from "../store/executionStore";
+import useWorkflowStore from "../store/workflowStore";
 
 /**
  * Execute a single node in isolation
@@ -23,8 +24,8 @@ export async function executeStep(node, mockData = null) {
     if (nodeResult?.input) {
       inputData = nodeResult.input;
     } else {
-      // Default mock data based on node type
-      inputData = getDefaultMockData(node.type);
+      // Pinned output of an upstream node, else default mock data
+      inputData = getPinnedInput(node.id) ?? getDefaultMockData(node.type);
     }
   }
 
@@ -100,6 +101,26 @@ export async function executeStep(node, mockData = null) {
   }
 }
 
+/**
+ * Get the pinned output of a node connected to this node's inputs
+ */
+function getPinnedInput(nodeId) {
+  const { nodes, edges } = useWorkflowStore.getState();
+
+  for (const edge of edges.filter((e) => e.target === nodeId)) {
+    const pin = nodes.find((n) => n.id === edge.source)?.data?.pinnedData;
+    if (
+      pin &&
+      (pin.outputIndex === undefined ||
+        edge.sourceHandle === `output-${pin.outputIndex}`)
+    ) {
+      return pin.output;
+    }
+  }
+
+  return undefined;
+}
+
 /**
  * Get default mock data for a node type
  */
@@ -0,0 +1,406 @@
+/**
+ * Tool Contracts
+ * JSON-Schema parameter contracts for the node types an AI Agent can call
+ * as tools. A contract describes the arguments the node's executor reads
+ * from its input; it is shown to the model as the tool's schema and used
+ * to validate tool-call arguments before the node runs.
+ */
+
+// Parameters for nodes that take any input; it is passed through as-is
+const ANY_INPUT = { description: "Data for the node" };
+
+/**
+ * Contracts by node type. `parameters` is a JSON Schema, or a function of
+ * the node's data when the arguments depend on its settings.
+ */
+export const TOOL_CONTRACTS = {
+  httpRequest: {
+    description: "Make an HTTP request and return the status and response data",
+    parameters: {
+      type: "object",
+      properties: {
+        url: {
+          type: "string",
+          description: "Full URL to request; the node's URL when omitted",
+        },
+      },
+    },
+  },
+  codeExecutor: {
+    description:
+      "Run the node's JavaScript code on the given data and return its result",
+    parameters: { description: "Data the code receives as input" },
+  },
+  pythonExecutor: {
+    description:
+      "Run the node's Python code on the given data and return its result",
+    parameters: { description: "Data the code receives as input" },
+  },
+  setVariable: {
+    description: "Store a value in the workflow data",
+    parameters: (data) => ({
+      type: "object",
+      properties: {
+        value: {
+          description: `Value to store as "${data.variableName || "value"}"`,
+        },
+      },
+      required: ["value"],
+    }),
+  },
+  ifElse: {
+    description: "Check the node's condition against the data (true or false)",
+    parameters: (data) => ({
+      type: "object",
+      properties: data.condition
+        ? { [data.condition]: { description: "Value the condition checks" } }
+        : {},
+    }),
+  },
+  switchNode: {
+    description: "Match a field of the data against the node's cases",
+    parameters: (data) => ({
+      type: "object",
+      properties: data.field
+        ? { [data.field]: { description: "Value matched against the cases" } }
+        : {},
+    }),
+  },
+  merge: {
+    description: "Combine several values into one",
+    parameters: { type: "array", description: "Values to combine" },
+  },
+  textToSpeech: {
+    description: "Convert text to spoken audio",
+    parameters: {
+      type: "object",
+      properties: {
+        text: { type: "string", minLength: 1, description: "Text to speak" },
+      },
+      required: ["text"],
+    },
+  },
+  imageGeneration: {
+    description: "Generate an image from a text prompt",
+    parameters: {
+      type: "object",
+      properties: {
+        prompt: { type: "string", minLength: 1, description: "Image prompt" },
+        negativePrompt: {
+          type: "string",
+          description: "What the image should not contain",
+        },
+        seed: { type: "integer", description: "Seed for repeatable images" },
+      },
+      required: ["prompt"],
+    },
+  },
+  vectorMemory: {
+    description: "Store text in memory or search it by meaning",
+    parameters: {
+      type: "object",
+      properties: {
+        mode: {
+          type: "string",
+          enum: ["upsert", "query"],
+          description: "upsert stores the text, query searches for it",
+        },
+        text: { type: "string", minLength: 1, description: "Text to store" },
+        query: { type: "string", description: "Text to search for" },
+        namespace: { type: "string", description: "Memory namespace" },
+        topK: {
+          type: "integer",
+          minimum: 1,
+          maximum: 50,
+          description: "Number of results for a query",
+        },
+      },
+    },
+  },
+  semanticRouter: {
+    description: "Classify text into one of the node's routes",
+    parameters: {
+      type: "object",
+      properties: {
+        text: { type: "string", minLength: 1, description: "Text to classify" },
+      },
+      required: ["text"],
+    },
+  },
+  evaluator: {
+    description: "Validate data against the node's schema or pattern",
+    parameters: { description: "Data to validate" },
+  },
+  fileSystem: {
+    description: "Read a file the user picks, or save content to a file",
+    parameters: {
+      type: "object",
+      properties: {
+        mode: { type: "string", enum: ["read", "write"] },
+        filename: { type: "string", description: "Name for a saved file" },
+        content: { type: "string", description: "Content to save" },
+      },
+    },
+  },
+  aiAgent: {
+    description: "Ask another AI agent to handle a request",
+    parameters: {
+      type: "object",
+      properties: {
+        prompt: {
+          type: "string",
+          minLength: 1,
+          description: "Request for the agent",
+        },
+      },
+      required: ["prompt"],
+    },
+  },
+  speechToText: {
+    description: "Transcribe speech to text",
+    parameters: {
+      type: "object",
+      properties: {
+        audio: { description: "Audio blob or URL" },
+      },
+    },
+  },
+  loopEach: {
+    description: "Run the loop body for each item of an array",
+    parameters: { type: "array", description: "Items to loop over" },
+  },
+  delay: {
+    description: "Wait for the node's duration, then pass the data on",
+    parameters: ANY_INPUT,
+  },
+  dataTransformer: {
+    description: "Transform data using the node's mapping rules",
+    parameters: { type: "object", description: "Data to transform" },
+  },
+  webhookTrigger: {
+    description: "Start the webhook's workflow branch with the given payload",
+    parameters: ANY_INPUT,
+  },
+  browserEvent: {
+    description:
+      "Start the browser event's workflow branch with the given data",
+    parameters: ANY_INPUT,
+  },
+};
+
+/**
+ * Get the contract for a node
+ * @param {Object} node - Workflow node ({ type, data })
+ * @returns {{description: string, parameters: Object}}
+ */
+export function getToolContract(node) {
+  const contract = TOOL_CONTRACTS[node.type];
+  const data = node.data || {};
+
+  if (!contract) {
+    return {
+      description: data.description || `Execute ${node.type} node.`,
+      parameters: ANY_INPUT,
+    };
+  }
+
+  return {
+    description: contract.description,
+    parameters:
+      typeof contract.parameters === "function"
+        ? contract.parameters(data)
+        : contract.parameters,
+  };
+}
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+};
+
+// Models often quote numbers and booleans; accept the unambiguous cases
+function coerce(value, type) {
+  if (typeof value !== "string") return value;
+  const trimmed = value.trim();
+  if ((type === "number" || type === "integer") && trimmed !== "") {
+    const number = Number(trimmed);
+    if (!Number.isNaN(number)) return number;
+  }
+  if (type === "boolean" && (trimmed === "true" || trimmed === "false")) {
+    return trimmed === "true";
+  }
+  return value;
+}
+
+const childPath = (path, field) => (path ? `${path}.${field}` : field);
+
+function validateValue(schema, value, path, errors) {
+  const label = path ? `"${path}"` : "input";
+  const types = schema.type
+    ? Array.isArray(schema.type)
+      ? schema.type
+      : [schema.type]
+    : null;
+
+  if (types && !types.some((type) => matchesType(value, type))) {
+    const coerced = types
+      .map((type) => coerce(value, type))
+      .find((candidate, i) => matchesType(candidate, types[i]));
+    if (coerced === undefined) {
+      errors.push(`${label} must be ${types.join(" or ")}`);
+      return value;
+    }
+    value = coerced;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(
+      `${label} must be one of: ${schema.enum
+        .map((option) => JSON.stringify(option))
+        .join(", ")}`
+    );
+  }
+
+  if (typeof value === "string" && value.length < (schema.minLength ?? 0)) {
+    errors.push(
+      schema.minLength === 1
+        ? `${label} must not be empty`
+        : `${label} must be at least ${schema.minLength} characters`
+    );
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${label} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${label} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map((item, i) =>
+      validateValue(schema.items, item, `${path || "input"}[${i}]`, errors)
+    );
+  }
+
+  if (typeOf(value) === "object" && schema.properties) {
+    const result = { ...value };
+    for (const field of schema.required || []) {
+      if (result[field] === undefined || result[field] === null) {
+        errors.push(`"${childPath(path, field)}" is required`);
+      }
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties)) {
+      if (result[field] === undefined) {
+        if (fieldSchema.default !== undefined) {
+          result[field] = fieldSchema.default;
+        }
+        continue;
+      }
+      result[field] = validateValue(
+        fieldSchema,
+        result[field],
+        childPath(path, field),
+        errors
+      );
+    }
+    if (schema.additionalProperties === false) {
+      for (const field of Object.keys(result)) {
+        if (!(field in schema.properties)) {
+          errors.push(`"${childPath(path, field)}" is not allowed`);
+        }
+      }
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Turn raw tool-call input into arguments: JSON strings are parsed and
+ * plain text becomes the tool's text parameter
+ * (e.g. "hello" -> { text: "hello" })
+ * @param {Object} parameters - JSON Schema of the tool
+ * @param {*} input - Input from the model
+ */
+export function normalizeToolArguments(parameters, input) {
+  if (input === undefined || input === null || input === "") {
+    return parameters?.properties ? {} : input;
+  }
+  if (typeof input !== "string") return input;
+
+  const trimmed = input.trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      // Not JSON after all, use it as text
+    }
+  }
+
+  const properties = Object.entries(parameters?.properties || {});
+  const required = parameters?.required || [];
+  const [textField] =
+    properties.find(
+      ([name, schema]) => required.includes(name) && schema.type === "string"
+    ) ||
+    properties.find(([, schema]) => !schema.type || schema.type === "string") ||
+    [];
+
+  return textField ? { [textField]: input } : input;
+}
+
+/**
+ * Validate tool-call arguments against a JSON Schema
+ * Supports type, enum, required, properties, items, minLength, minimum,
+ * maximum, default and additionalProperties: false. Quoted numbers and
+ * booleans are converted.
+ * @param {Object} parameters - JSON Schema of the tool
+ * @param {*} input - Input from the model
+ * @returns {{valid: boolean, errors: Array<string>, value: *}}
+ */
+export function validateToolArguments(parameters, input) {
+  const args = normalizeToolArguments(parameters, input);
+  if (!parameters) return { valid: true, errors: [], value: args };
+
+  const errors = [];
+  const value = validateValue(parameters, args, "", errors);
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Compact, model-readable form of a parameter schema, e.g.
+ * {"text": string - Text to speak, "mode"?: "upsert" | "query"}
+ */
+export function describeParameters(parameters) {
+  const describeType = (schema) =>
+    schema.enum
+      ? schema.enum.map((option) => JSON.stringify(option)).join(" | ")
+      : [].concat(schema.type || "any").join(" | ");
+
+  if (!parameters?.properties) {
+    return parameters
+      ? `${describeType(parameters)}${
+          parameters.description ? ` - ${parameters.description}` : ""
+        }`
+      : "any";
+  }
+
+  const required = parameters.required || [];
+  const fields = Object.entries(parameters.properties).map(
+    ([name, schema]) =>
+      `"${name}"${required.includes(name) ? "" : "?"}: ${describeType(schema)}${
+        schema.description ? ` - ${schema.description}` : ""
+      }`
+  );
+  return `{${fields.join(", ")}}`;
+}
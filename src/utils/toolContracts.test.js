@@ -0,0 +1,84 @@
+import {
+  getToolContract,
+  validateToolArguments,
+  describeParameters,
+} from "./toolContracts";
+
+const fetchTool = {
+  type: "object",
+  properties: {
+    url: { type: "string", minLength: 1 },
+    method: { type: "string", enum: ["GET", "POST"], default: "GET" },
+    retries: { type: "integer", minimum: 0, maximum: 3 },
+  },
+  required: ["url"],
+  additionalProperties: false,
+};
+
+test("accepts valid arguments and fills defaults", () => {
+  const { valid, errors, value } = validateToolArguments(fetchTool, {
+    url: "https://example.com",
+    retries: "2",
+  });
+
+  expect(errors).toEqual([]);
+  expect(valid).toBe(true);
+  expect(value).toEqual({
+    url: "https://example.com",
+    method: "GET",
+    retries: 2,
+  });
+});
+
+test("reports missing, invalid and unknown arguments", () => {
+  const { valid, errors } = validateToolArguments(fetchTool, {
+    method: "FETCH",
+    retries: 5,
+    timeout: 10,
+  });
+
+  expect(valid).toBe(false);
+  expect(errors).toEqual([
+    '"url" is required',
+    '"method" must be one of: "GET", "POST"',
+    '"retries" must be at most 3',
+    '"timeout" is not allowed',
+  ]);
+
+  const code = { type: "object", properties: { pin: { minLength: 4 } } };
+  expect(validateToolArguments(code, { pin: "12" }).errors).toEqual([
+    '"pin" must be at least 4 characters',
+  ]);
+  expect(validateToolArguments(fetchTool, { url: "" }).errors).toEqual([
+    '"url" must not be empty',
+  ]);
+});
+
+test("parses JSON strings and wraps plain text", () => {
+  expect(
+    validateToolArguments(fetchTool, '{"url": "https://a.dev"}').value
+  ).toEqual({ url: "https://a.dev", method: "GET" });
+  expect(validateToolArguments(fetchTool, "https://b.dev").value).toEqual({
+    url: "https://b.dev",
+    method: "GET",
+  });
+});
+
+test("passes any input through for nodes without typed parameters", () => {
+  const { parameters } = getToolContract({ type: "codeExecutor", data: {} });
+
+  expect(validateToolArguments(parameters, [1, 2]).value).toEqual([1, 2]);
+  expect(validateToolArguments(parameters, "hello").value).toBe("hello");
+});
+
+test("builds contracts from node settings", () => {
+  const { parameters } = getToolContract({
+    type: "switchNode",
+    data: { field: "status" },
+  });
+
+  expect(Object.keys(parameters.properties)).toEqual(["status"]);
+  expect(describeParameters(fetchTool)).toBe(
+    '{"url": string, "method"?: "GET" | "POST", "retries"?: integer}'
+  );
+});
@@ -66,9 +66,9 @@ export function isValidConnection(connection, nodes, edges) {
     }
   }
 
-  // Memory slot only accepts connections from Vector Memory nodes
+  // Memory slot only accepts connections from memory nodes
   if (targetHandle === "memory-slot") {
-    if (sourceNode.type !== "vectorMemory") {
+    if (!["vectorMemory", "conversationMemory"].includes(sourceNode.type)) {
       return false;
     }
   }
@@ -83,6 +83,7 @@ export function isValidConnection(connection, nodes, edges) {
       "imageGeneration",
       "aiAgent",
       "fileSystem",
+      "browserTools",
       "setVariable",
       "ifElse",
       "loop",
@@ -2,6 +2,7 @@
  * WorkflowVersioning Service
  * Manages workflow version history with IndexedDB storage
  */
+import { diffWorkflows } from "./workflowDiff";
 
 const DB_NAME = "sauvrn_versions";
 const STORE_NAME = "workflow_versions";
@@ -37,10 +38,9 @@ class WorkflowVersioningService {
   }
 
   async saveVersion(workflowId, workflowData, message = "") {
-    await this.init();
-
+    // Clone before awaiting so later edits don't leak into the snapshot
     const version = {
-      id: `${workflowId}-${Date.now()}`,
+      id: `${workflowId}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
       workflowId,
       timestamp: new Date().toISOString(),
       message,
@@ -49,6 +49,8 @@ class WorkflowVersioningService {
       edgeCount: workflowData.edges?.length || 0,
     };
 
+    await this.init();
+
     return new Promise((resolve, reject) => {
       const tx = this.db.transaction(STORE_NAME, "readwrite");
       const store = tx.objectStore(STORE_NAME);
@@ -57,12 +59,36 @@ class WorkflowVersioningService {
 
       tx.oncomplete = () => {
         this.pruneOldVersions(workflowId);
+        window.dispatchEvent(
+          new CustomEvent("workflowVersionSaved", {
+            detail: { workflowId, versionId: version.id },
+          })
+        );
         resolve(version);
       };
       tx.onerror = () => reject(new Error("Failed to save version"));
     });
   }
 
+  /**
+   * Save a version unless nothing changed since the latest one
+   * @returns {Promise<Object|null>} The new version, or null if skipped
+   */
+  async saveVersionIfChanged(workflowId, workflowData, message = "") {
+    const data = JSON.parse(JSON.stringify(workflowData));
+    const [latest] = await this.getVersions(workflowId, 1);
+
+    if (
+      latest &&
+      latest.data?.name === data.name &&
+      diffWorkflows(latest.data, data).isEmpty
+    ) {
+      return null;
+    }
+
+    return this.saveVersion(workflowId, data, message);
+  }
+
   async getVersions(workflowId, limit = 20) {
     await this.init();
 
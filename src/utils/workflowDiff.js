@@ -0,0 +1,113 @@
+/**
+ * Workflow Diff
+ * Compare two workflow snapshots: added, removed and changed nodes, added
+ * and removed connections, and changed workflow settings
+ */
+
+// Node data the engine injects at run time, not part of the user's design
+const IGNORED_DATA_KEYS = ["connectedModel", "connectedMemory", "tools"];
+
+const serialize = (value) => JSON.stringify(value ?? null);
+
+// Sub-pixel drags are not a change
+const samePosition = (a, b) =>
+  Math.round(a?.x ?? 0) === Math.round(b?.x ?? 0) &&
+  Math.round(a?.y ?? 0) === Math.round(b?.y ?? 0);
+
+/**
+ * Key identifying a connection regardless of its generated edge ID
+ */
+export function edgeKey(edge) {
+  return `${edge.source}:${edge.sourceHandle || "output-0"}->${edge.target}:${
+    edge.targetHandle || "input-0"
+  }`;
+}
+
+/**
+ * List what differs between two versions of the same node
+ * @returns {string[]} Changed fields, e.g. ["type", "position", "data.url"]
+ */
+export function diffNode(before, after) {
+  const fields = [];
+
+  if (before.type !== after.type) fields.push("type");
+
+  if (!samePosition(before.position, after.position)) fields.push("position");
+
+  const beforeData = before.data || {};
+  const afterData = after.data || {};
+  const keys = new Set([...Object.keys(beforeData), ...Object.keys(afterData)]);
+
+  for (const key of keys) {
+    if (IGNORED_DATA_KEYS.includes(key)) continue;
+    if (serialize(beforeData[key]) !== serialize(afterData[key])) {
+      fields.push(`data.${key}`);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Diff two workflows ({ nodes, edges, settings })
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {{nodes: {added, removed, changed}, edges: {added, removed}, settings: string[], isEmpty: boolean}}
+ * where settings lists the changed settings keys
+ */
+export function diffWorkflows(before, after) {
+  const beforeNodes = new Map((before?.nodes || []).map((n) => [n.id, n]));
+  const afterNodes = new Map((after?.nodes || []).map((n) => [n.id, n]));
+
+  const nodes = { added: [], removed: [], changed: [] };
+
+  for (const [id, node] of afterNodes) {
+    const previous = beforeNodes.get(id);
+    if (!previous) {
+      nodes.added.push(node);
+      continue;
+    }
+    const fields = diffNode(previous, node);
+    if (fields.length > 0) {
+      nodes.changed.push({ id, before: previous, after: node, fields });
+    }
+  }
+
+  for (const [id, node] of beforeNodes) {
+    if (!afterNodes.has(id)) nodes.removed.push(node);
+  }
+
+  const beforeEdges = new Map(
+    (before?.edges || []).map((e) => [edgeKey(e), e])
+  );
+  const afterEdges = new Map((after?.edges || []).map((e) => [edgeKey(e), e]));
+
+  const edges = {
+    added: [...afterEdges.keys()]
+      .filter((key) => !beforeEdges.has(key))
+      .map((key) => afterEdges.get(key)),
+    removed: [...beforeEdges.keys()]
+      .filter((key) => !afterEdges.has(key))
+      .map((key) => beforeEdges.get(key)),
+  };
+
+  const beforeSettings = before?.settings || {};
+  const afterSettings = after?.settings || {};
+  const settings = [
+    ...new Set([...Object.keys(beforeSettings), ...Object.keys(afterSettings)]),
+  ].filter(
+    (key) => serialize(beforeSettings[key]) !== serialize(afterSettings[key])
+  );
+
+  const isEmpty =
+    nodes.added.length === 0 &&
+    nodes.removed.length === 0 &&
+    nodes.changed.length === 0 &&
+    edges.added.length === 0 &&
+    edges.removed.length === 0 &&
+    settings.length === 0;
+
+  return { nodes, edges, settings, isEmpty };
+}
+
+export default { diffWorkflows, diffNode, edgeKey };
@@ -0,0 +1,63 @@
+import { diffWorkflows, edgeKey } from "./workflowDiff";
+
+const node = (id, data = {}, position = { x: 0, y: 0 }) => ({
+  id,
+  type: "codeExecutor",
+  position,
+  data,
+});
+
+test("finds added, removed and changed nodes", () => {
+  const before = {
+    nodes: [node("a", { code: "1" }), node("b"), node("c")],
+    edges: [],
+  };
+  const after = {
+    nodes: [
+      node("a", { code: "2" }, { x: 40, y: 0 }),
+      node("b", { tools: ["injected"] }),
+      node("d"),
+    ],
+    edges: [],
+  };
+
+  const diff = diffWorkflows(before, after);
+  expect(diff.nodes.added.map((n) => n.id)).toEqual(["d"]);
+  expect(diff.nodes.removed.map((n) => n.id)).toEqual(["c"]);
+  expect(diff.nodes.changed).toHaveLength(1);
+  expect(diff.nodes.changed[0].fields).toEqual(["position", "data.code"]);
+  expect(diff.isEmpty).toBe(false);
+});
+
+test("matches connections by endpoints, not edge IDs", () => {
+  const edge = (id, source, target) => ({
+    id,
+    source,
+    target,
+    sourceHandle: "output-0",
+    targetHandle: "input-0",
+  });
+  const before = { nodes: [], edges: [edge("e1", "a", "b")] };
+  const after = {
+    nodes: [],
+    edges: [edge("e9", "a", "b"), edge("e2", "b", "c")],
+  };
+
+  const diff = diffWorkflows(before, after);
+  expect(diff.edges.added.map(edgeKey)).toEqual(["b:output-0->c:input-0"]);
+  expect(diff.edges.removed).toEqual([]);
+  expect(diffWorkflows(before, before).isEmpty).toBe(true);
+});
+
+test("lists changed workflow settings", () => {
+  const before = { nodes: [], edges: [], settings: { llmMode: "live" } };
+  const after = {
+    nodes: [],
+    edges: [],
+    settings: { llmMode: "replay", errorWorkflowId: "wf-2" },
+  };
+
+  const diff = diffWorkflows(before, after);
+  expect(diff.settings).toEqual(["llmMode", "errorWorkflowId"]);
+  expect(diff.isEmpty).toBe(false);
+});
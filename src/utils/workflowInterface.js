@@ -0,0 +1,128 @@
+/**
+ * Workflow Interface
+ * What a workflow expects and returns when another workflow calls it as a
+ * Sub-Workflow: the typed input fields of its Manual Trigger and the node
+ * designated as its output
+ */
+import { findTriggerNodes } from "./validation";
+
+/**
+ * Describe how a saved workflow can be called
+ * @returns {{trigger, inputs: Array, outputNode}} trigger is null when the
+ * workflow cannot be started
+ */
+export function getWorkflowInterface(workflow) {
+  const nodes = workflow?.nodes || [];
+  const triggers = findTriggerNodes(nodes).filter(
+    (n) => n.type !== "errorTrigger"
+  );
+  // The Manual Trigger is the entry point, other triggers are a fallback
+  const trigger =
+    triggers.find((n) => n.type === "manualTrigger") || triggers[0] || null;
+
+  const outputNodeId = trigger?.data?.outputNodeId;
+
+  return {
+    trigger,
+    inputs: trigger?.type === "manualTrigger" ? describeInputs(trigger) : [],
+    outputNode: outputNodeId
+      ? nodes.find((n) => n.id === outputNodeId) || null
+      : null,
+  };
+}
+
+/**
+ * Input fields of a Manual Trigger with their configured default values
+ */
+function describeInputs(trigger) {
+  const values = trigger.data?.inputValues || {};
+  return (trigger.data?.inputFields || []).map((field) => ({
+    name: field.name,
+    type: field.type,
+    required: Boolean(field.required),
+    options: field.options,
+    defaultValue: values[field.id] ?? field.defaultValue,
+  }));
+}
+
+/**
+ * Convert one value to a field type
+ * @returns {{value}|{error: string}}
+ */
+function coerce(field, value) {
+  switch (field.type) {
+    case "number": {
+      const number = typeof value === "number" ? value : Number(value);
+      if (value === "" || Number.isNaN(number)) {
+        return { error: `"${field.name}" must be a number` };
+      }
+      return { value: number };
+    }
+
+    case "toggle":
+      if (typeof value === "boolean") return { value };
+      if (value === "true" || value === 1) return { value: true };
+      if (value === "false" || value === 0) return { value: false };
+      return { error: `"${field.name}" must be true or false` };
+
+    case "json":
+      if (typeof value !== "string") return { value };
+      try {
+        return { value: JSON.parse(value) };
+      } catch {
+        return { error: `"${field.name}" must be valid JSON` };
+      }
+
+    case "dropdown":
+      if (field.options?.length && !field.options.includes(String(value))) {
+        return {
+          error: `"${field.name}" must be one of: ${field.options.join(", ")}`,
+        };
+      }
+      return { value: String(value) };
+
+    default:
+      return {
+        value: typeof value === "string" ? value : JSON.stringify(value),
+      };
+  }
+}
+
+/**
+ * Validate caller input against a workflow's input fields. Declared fields
+ * are converted to their type and fall back to their default value;
+ * undeclared keys pass through unchanged.
+ * @param {Array} inputs - Fields from getWorkflowInterface
+ * @param {Object} input - Data sent by the caller
+ * @returns {{data: Object, errors: string[]}}
+ */
+export function applyInputSchema(inputs, input) {
+  const source =
+    input && typeof input === "object" && !Array.isArray(input) ? input : {};
+  const data = { ...source };
+  const errors = [];
+
+  for (const field of inputs) {
+    const provided = source[field.name];
+    const missing = provided === undefined || provided === null;
+
+    if (missing && field.required) {
+      errors.push(`"${field.name}" is required`);
+      continue;
+    }
+
+    const value = missing ? field.defaultValue : provided;
+    if (value === undefined) continue;
+
+    const result = coerce(field, value);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      data[field.name] = result.value;
+    }
+  }
+
+  return { data, errors };
+}
+
+export default { getWorkflowInterface, applyInputSchema };
@@ -0,0 +1,36 @@
+import { applyInputSchema } from "./workflowInterface";
+
+const inputs = [
+  { name: "topic", type: "text", required: true },
+  { name: "count", type: "number", required: false, defaultValue: 3 },
+  { name: "verbose", type: "toggle", required: false, defaultValue: false },
+  { name: "tone", type: "dropdown", options: ["formal", "casual"] },
+];
+
+test("converts declared fields and fills defaults", () => {
+  const { data, errors } = applyInputSchema(inputs, {
+    topic: "bees",
+    verbose: "true",
+    tone: "casual",
+    extra: 1,
+  });
+
+  expect(errors).toEqual([]);
+  expect(data).toEqual({
+    topic: "bees",
+    count: 3,
+    verbose: true,
+    tone: "casual",
+    extra: 1,
+  });
+});
+
+test("reports missing and invalid fields", () => {
+  const { errors } = applyInputSchema(inputs, { count: "many", tone: "loud" });
+
+  expect(errors).toEqual([
+    '"topic" is required',
+    '"count" must be a number',
+    '"tone" must be one of: formal, casual',
+  ]);
+});
@@ -0,0 +1,221 @@
+/**
+ * Workflow Repository
+ * Single IndexedDB store (via Dexie) for saved workflows. The toolbar,
+ * Ctrl+S, Workflow Manager, schedules, webhooks, error workflows and the
+ * Sub-Workflow node all read and write workflows through this module.
+ */
+import Dexie from "dexie";
+import { setActiveWorkflowId, getActiveWorkflowId } from "./serialization";
+import versioningService from "./versioningService";
+import { STORAGE_KEYS } from "../config/appConfig";
+
+const DB_NAME = "IOSANSWorkflowsDB";
+
+const db = new Dexie(DB_NAME);
+db.version(1).stores({
+  workflows: "id, name, updatedAt",
+});
+
+// localStorage keys that held workflows before the repository existed
+const LEGACY_KEYS = {
+  AUTOMATIONS: "workflow_automations", // { [id]: workflow } - toolbar save
+  MANAGER: "flownode-workflows", // [{ id, name, data }] - Workflow Manager
+  SUBWORKFLOWS: STORAGE_KEYS.WORKFLOWS, // [workflow] - Sub-Workflow node
+  LAST_SAVED: STORAGE_KEYS.WORKFLOW, // workflow - Ctrl+S
+};
+
+let migration = null;
+
+/**
+ * Move workflows from the legacy localStorage keys into IndexedDB (once).
+ * Workflows already in the repository are never overwritten.
+ */
+export function migrateLegacyWorkflows() {
+  if (!migration) {
+    migration = runMigration().catch((error) => {
+      console.error("Workflow migration failed:", error);
+      migration = null;
+    });
+  }
+  return migration;
+}
+
+async function runMigration() {
+  const legacy = readLegacyWorkflows();
+  if (legacy.length === 0) return;
+
+  const existing = new Set(await db.workflows.toCollection().primaryKeys());
+  const migrated = new Map();
+  for (const workflow of legacy) {
+    if (!existing.has(workflow.id) && !migrated.has(workflow.id)) {
+      migrated.set(workflow.id, workflow);
+    }
+  }
+
+  await db.workflows.bulkPut([...migrated.values()]);
+  Object.values(LEGACY_KEYS).forEach((key) => localStorage.removeItem(key));
+}
+
+/**
+ * Collect workflows from every legacy key, newest storage format first
+ */
+function readLegacyWorkflows() {
+  const read = (key) => {
+    try {
+      const stored = localStorage.getItem(key);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.warn(`Ignoring unreadable legacy workflows in ${key}:`, error);
+      return null;
+    }
+  };
+
+  const workflows = [];
+
+  const automations = read(LEGACY_KEYS.AUTOMATIONS);
+  if (automations && typeof automations === "object") {
+    workflows.push(...Object.values(automations));
+  }
+
+  const managed = read(LEGACY_KEYS.MANAGER);
+  if (Array.isArray(managed)) {
+    workflows.push(
+      ...managed.map((entry) => ({
+        ...entry.data,
+        id: entry.id,
+        name: entry.name,
+        createdAt: entry.createdAt,
+        updatedAt: entry.updatedAt,
+      }))
+    );
+  }
+
+  const subWorkflows = read(LEGACY_KEYS.SUBWORKFLOWS);
+  if (Array.isArray(subWorkflows)) {
+    workflows.push(...subWorkflows);
+  }
+
+  const lastSaved = read(LEGACY_KEYS.LAST_SAVED);
+  if (lastSaved?.nodes) {
+    workflows.push({
+      ...lastSaved,
+      id: lastSaved.id || `ctrl-s-${Date.now()}`,
+    });
+  }
+
+  return workflows
+    .filter((w) => w && w.id && Array.isArray(w.nodes))
+    .map((w) => normalizeWorkflow(w));
+}
+
+/**
+ * Plain JSON copy with the fields every caller relies on
+ */
+function normalizeWorkflow(workflow) {
+  const now = new Date().toISOString();
+  return JSON.parse(
+    JSON.stringify({
+      ...workflow,
+      id: String(workflow.id),
+      name: workflow.name || "Untitled Workflow",
+      nodes: workflow.nodes || [],
+      edges: workflow.edges || [],
+      settings: workflow.settings || {},
+      createdAt: workflow.createdAt || now,
+      updatedAt: workflow.updatedAt || now,
+    })
+  );
+}
+
+/**
+ * Save (create or update) a workflow. Every save also becomes a version
+ * in the workflow's history unless nothing changed.
+ * @param {Object} workflow - Workflow data ({ id?, name, nodes, edges, settings })
+ * @param {Object} options - { versionMessage }
+ * @returns {Promise<string>} Workflow ID
+ */
+export async function saveWorkflow(
+  workflow,
+  { versionMessage = "Saved" } = {}
+) {
+  await migrateLegacyWorkflows();
+
+  const id = workflow.id ? String(workflow.id) : Date.now().toString();
+  const previous = await db.workflows.get(id);
+  const saved = normalizeWorkflow({
+    ...workflow,
+    id,
+    createdAt: previous?.createdAt || workflow.createdAt,
+    updatedAt: new Date().toISOString(),
+  });
+
+  await db.workflows.put(saved);
+
+  versioningService
+    .saveVersionIfChanged(id, saved, versionMessage)
+    .catch((error) => console.error("Failed to save version:", error));
+
+  return id;
+}
+
+/**
+ * Load a workflow by ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getWorkflow(workflowId) {
+  await migrateLegacyWorkflows();
+  if (!workflowId) return null;
+  return (await db.workflows.get(String(workflowId))) || null;
+}
+
+/**
+ * Load a workflow by ID, falling back to its name
+ * @returns {Promise<Object|null>}
+ */
+export async function findWorkflow(idOrName) {
+  if (!idOrName) return null;
+  const byId = await getWorkflow(idOrName);
+  if (byId) return byId;
+  return (await db.workflows.where("name").equals(idOrName).first()) || null;
+}
+
+/**
+ * List saved workflows, most recently updated first
+ * @returns {Promise<Array>}
+ */
+export async function listWorkflows() {
+  await migrateLegacyWorkflows();
+  return db.workflows.orderBy("updatedAt").reverse().toArray();
+}
+
+/**
+ * Get all saved workflows keyed by ID
+ * @returns {Promise<Object>} Map of workflow ID to workflow data
+ */
+export async function getAllWorkflows() {
+  const workflows = await listWorkflows();
+  return Object.fromEntries(workflows.map((w) => [w.id, w]));
+}
+
+/**
+ * Delete a workflow
+ */
+export async function deleteWorkflow(workflowId) {
+  await migrateLegacyWorkflows();
+  await db.workflows.delete(String(workflowId));
+
+  // Clear active if deleted
+  if (getActiveWorkflowId() === workflowId) {
+    setActiveWorkflowId(null);
+  }
+}
+
+export default {
+  saveWorkflow,
+  getWorkflow,
+  findWorkflow,
+  listWorkflows,
+  getAllWorkflows,
+  deleteWorkflow,
+  migrateLegacyWorkflows,
+};
@@ -39,6 +39,9 @@ export default defineConfig({
       workbox: {
         maximumFileSizeToCacheInBytes: 6 * 1024 * 1024,
         globPatterns: ["**/*.{js,css,html,ico,png,svg,woff2}"],
+        // Routes /webhook/<endpoint> requests to the open app window
+        importScripts: ["webhook-sw.js"],
+        navigateFallbackDenylist: [/^\/webhook\//],
         runtimeCaching: [
           {
             urlPattern: /^https:\/\/fonts\.googleapis\.com\/.*/i,